@@ -85,10 +85,126 @@ function runSQLiteMigrations(db) {
         db.exec(`CREATE INDEX IF NOT EXISTS idx_content_queue_created ON content_queue(created_at)`);
         console.log('content_queue table created');
     }
+
+    // Resumable pipeline state for content queue processing
+    addSQLiteColumn(db, 'content_queue', 'pipeline_state', 'TEXT');
+    addSQLiteColumn(db, 'content_queue', 'last_error', 'TEXT');
+    addSQLiteColumn(db, 'content_queue', 'failed_step', 'TEXT');
+
+    // WordPress sync state for published articles
+    addSQLiteColumn(db, 'articles', 'wp_status', 'TEXT');
+    addSQLiteColumn(db, 'articles', 'wp_modified_at', 'DATETIME');
+    addSQLiteColumn(db, 'articles', 'wp_synced_at', 'DATETIME');
+    addSQLiteColumn(db, 'articles', 'wp_drift', 'TEXT');
+    addSQLiteColumn(db, 'articles', 'publish_error', 'TEXT');
+
+    // Scheduled publishing
+    addSQLiteColumn(db, 'articles', 'scheduled_at', 'DATETIME');
+    addSQLiteColumn(db, 'content_queue', 'scheduled_at', 'DATETIME');
+
+    // SEO plugin read-back after publishing
+    addSQLiteColumn(db, 'articles', 'seo_verification', 'TEXT');
+
+    // Per-profile LLM provider and model
+    addSQLiteColumn(db, 'business_profiles', 'llm_provider', 'TEXT');
+    addSQLiteColumn(db, 'business_profiles', 'llm_model', 'TEXT');
+    addSQLiteColumn(db, 'business_profiles', 'llm_fallback_provider', 'TEXT');
+
+    // Long-form articles: word_count goes up to 10000
+    widenSQLiteWordCountCheck(db);
+
+    // Per-queue-item content template
+    addSQLiteColumn(db, 'content_queue', 'template_id', 'INTEGER REFERENCES content_templates(id) ON DELETE SET NULL');
+
+    // On-page SEO score and the minimum score for auto-publishing
+    addSQLiteColumn(db, 'articles', 'seo_score', 'INTEGER');
+    addSQLiteColumn(db, 'articles', 'seo_analysis', 'TEXT');
+    addSQLiteColumn(db, 'business_profiles', 'min_seo_score', 'INTEGER');
+
+    // Brand voice profile learned from the company's posts
+    addSQLiteColumn(db, 'business_profiles', 'brand_voice', 'TEXT');
+
+    // Compliance rules and the violations found on each article
+    addSQLiteColumn(db, 'business_profiles', 'compliance_rules', 'TEXT');
+    addSQLiteColumn(db, 'articles', 'compliance_violations', 'INTEGER');
+    addSQLiteColumn(db, 'articles', 'compliance_report', 'TEXT');
+    widenSQLiteRevisionSourceCheck(db);
+
+    // Search provider for keyword research (SEARCH_PROVIDER when unset)
+    addSQLiteColumn(db, 'business_profiles', 'search_provider', 'TEXT');
+
+    // Keyword cannibalization report, and the override that lets a conflicting item be written
+    addSQLiteColumn(db, 'content_queue', 'cannibalization', 'TEXT');
+    addSQLiteColumn(db, 'content_queue', 'allow_cannibalization', 'INTEGER DEFAULT 0');
     
     console.log('SQLite migrations completed successfully');
 }
 
+// SQLite can't alter a CHECK constraint, so the table is rebuilt from its own definition
+function widenSQLiteWordCountCheck(db) {
+    const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'business_profiles'").get();
+    if (!table || !table.sql.includes('BETWEEN 300 AND 3000')) {
+        return;
+    }
+
+    console.log('Widening business_profiles.word_count range...');
+    const createSql = table.sql
+        .replace('BETWEEN 300 AND 3000', 'BETWEEN 300 AND 10000')
+        .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?business_profiles["`]?/i, 'CREATE TABLE business_profiles_new');
+
+    db.exec('PRAGMA foreign_keys = OFF');
+    try {
+        db.exec('BEGIN');
+        db.exec(createSql);
+        db.exec('INSERT INTO business_profiles_new SELECT * FROM business_profiles');
+        db.exec('DROP TABLE business_profiles');
+        db.exec('ALTER TABLE business_profiles_new RENAME TO business_profiles');
+        db.exec('COMMIT');
+    } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+    } finally {
+        db.exec('PRAGMA foreign_keys = ON');
+    }
+}
+
+// Revisions made by compliance fixes, the internal linker and section images need their own sources
+function widenSQLiteRevisionSourceCheck(db) {
+    const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'article_revisions'").get();
+    if (!table || table.sql.includes("'images'")) {
+        return;
+    }
+
+    console.log('Widening article_revisions.source values...');
+    const createSql = table.sql
+        .replace(/'wordpress_sync', 'restore'(, 'compliance')?(, 'internal_links')?\)/, "'wordpress_sync', 'restore', 'compliance', 'internal_links', 'images')")
+        .replace(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?article_revisions["`]?/i, 'CREATE TABLE article_revisions_new');
+
+    db.exec('PRAGMA foreign_keys = OFF');
+    try {
+        db.exec('BEGIN');
+        db.exec(createSql);
+        db.exec('INSERT INTO article_revisions_new SELECT * FROM article_revisions');
+        db.exec('DROP TABLE article_revisions');
+        db.exec('ALTER TABLE article_revisions_new RENAME TO article_revisions');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_article_revisions_article ON article_revisions(article_id)');
+        db.exec('COMMIT');
+    } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+    } finally {
+        db.exec('PRAGMA foreign_keys = ON');
+    }
+}
+
+function addSQLiteColumn(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(col => col.name === column)) {
+        console.log(`Adding ${table}.${column} column...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
 async function runPostgresMigrations(db) {
     try {
         // Check if columns exist in PostgreSQL
@@ -177,6 +293,59 @@ async function runPostgresMigrations(db) {
             await db.exec(`CREATE INDEX IF NOT EXISTS idx_content_queue_created ON content_queue(created_at)`);
             console.log('content_queue table created in PostgreSQL');
         }
+
+        // Resumable pipeline state for content queue processing
+        await addPostgresColumn(db, 'content_queue', 'pipeline_state', 'TEXT');
+        await addPostgresColumn(db, 'content_queue', 'last_error', 'TEXT');
+        await addPostgresColumn(db, 'content_queue', 'failed_step', 'TEXT');
+
+        // WordPress sync state for published articles
+        await addPostgresColumn(db, 'articles', 'wp_status', 'TEXT');
+        await addPostgresColumn(db, 'articles', 'wp_modified_at', 'TIMESTAMP');
+        await addPostgresColumn(db, 'articles', 'wp_synced_at', 'TIMESTAMP');
+        await addPostgresColumn(db, 'articles', 'wp_drift', 'TEXT');
+        await addPostgresColumn(db, 'articles', 'publish_error', 'TEXT');
+
+        // Scheduled publishing
+        await addPostgresColumn(db, 'articles', 'scheduled_at', 'TIMESTAMP');
+        await addPostgresColumn(db, 'content_queue', 'scheduled_at', 'TIMESTAMP');
+
+        // SEO plugin read-back after publishing
+        await addPostgresColumn(db, 'articles', 'seo_verification', 'TEXT');
+
+        // Per-profile LLM provider and model
+        await addPostgresColumn(db, 'business_profiles', 'llm_provider', 'TEXT');
+        await addPostgresColumn(db, 'business_profiles', 'llm_model', 'TEXT');
+        await addPostgresColumn(db, 'business_profiles', 'llm_fallback_provider', 'TEXT');
+
+        // Long-form articles: word_count goes up to 10000
+        await db.exec(`ALTER TABLE business_profiles DROP CONSTRAINT IF EXISTS business_profiles_word_count_check`);
+        await db.exec(`ALTER TABLE business_profiles ADD CONSTRAINT business_profiles_word_count_check CHECK (word_count BETWEEN 300 AND 10000)`);
+
+        // Per-queue-item content template
+        await addPostgresColumn(db, 'content_queue', 'template_id', 'INTEGER REFERENCES content_templates(id) ON DELETE SET NULL');
+
+        // On-page SEO score and the minimum score for auto-publishing
+        await addPostgresColumn(db, 'articles', 'seo_score', 'INTEGER');
+        await addPostgresColumn(db, 'articles', 'seo_analysis', 'TEXT');
+        await addPostgresColumn(db, 'business_profiles', 'min_seo_score', 'INTEGER');
+
+        // Brand voice profile learned from the company's posts
+        await addPostgresColumn(db, 'business_profiles', 'brand_voice', 'TEXT');
+
+        // Compliance rules and the violations found on each article
+        await addPostgresColumn(db, 'business_profiles', 'compliance_rules', 'TEXT');
+        await addPostgresColumn(db, 'articles', 'compliance_violations', 'INTEGER');
+        await addPostgresColumn(db, 'articles', 'compliance_report', 'TEXT');
+        await db.exec(`ALTER TABLE article_revisions DROP CONSTRAINT IF EXISTS article_revisions_source_check`);
+        await db.exec(`ALTER TABLE article_revisions ADD CONSTRAINT article_revisions_source_check CHECK (source IN ('generation', 'ai_revision', 'manual', 'wordpress_sync', 'restore', 'compliance', 'internal_links', 'images'))`);
+
+        // Search provider for keyword research (SEARCH_PROVIDER when unset)
+        await addPostgresColumn(db, 'business_profiles', 'search_provider', 'TEXT');
+
+        // Keyword cannibalization report, and the override that lets a conflicting item be written
+        await addPostgresColumn(db, 'content_queue', 'cannibalization', 'TEXT');
+        await addPostgresColumn(db, 'content_queue', 'allow_cannibalization', 'INTEGER DEFAULT 0');
         
         console.log('PostgreSQL migrations completed successfully');
     } catch (err) {
@@ -184,4 +353,17 @@ async function runPostgresMigrations(db) {
     }
 }
 
+async function addPostgresColumn(db, table, column, definition) {
+    const result = await db.get(
+        `SELECT column_name FROM information_schema.columns 
+         WHERE table_name = $1 AND column_name = $2`,
+        table,
+        column
+    );
+    if (!result) {
+        console.log(`Adding ${table}.${column} column to PostgreSQL...`);
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
 module.exports = { runMigrations };
@@ -28,7 +28,7 @@ CREATE TABLE IF NOT EXISTS business_profiles (
     target_audience TEXT,
     location TEXT,
     tone TEXT DEFAULT 'professional' CHECK (tone IN ('professional', 'casual', 'friendly', 'formal', 'witty')),
-    word_count INTEGER DEFAULT 1500 CHECK (word_count BETWEEN 300 AND 3000),
+    word_count INTEGER DEFAULT 1500 CHECK (word_count BETWEEN 300 AND 10000),
     content_type TEXT DEFAULT 'blog_post' CHECK (content_type IN ('blog_post', 'article', 'news', 'tutorial', 'review')),
     keywords TEXT,
     competitors TEXT,
@@ -156,6 +156,147 @@ CREATE TABLE IF NOT EXISTS spreadsheet_data (
 CREATE INDEX IF NOT EXISTS idx_spreadsheet_data_user_id ON spreadsheet_data(user_id);
 CREATE INDEX IF NOT EXISTS idx_spreadsheet_data_status ON spreadsheet_data(status);
 
+-- Background jobs (durable work queue, see services/jobQueue.js)
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER,
+    type TEXT NOT NULL,
+    payload TEXT, -- JSON: handler input
+    status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    entity_type TEXT,
+    entity_id INTEGER,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_at TIMESTAMP,
+    locked_by TEXT,
+    lease_expires_at TIMESTAMP,
+    heartbeat_at TIMESTAMP,
+    last_error TEXT,
+    result TEXT, -- JSON: handler output
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Publishing cadence (one per user)
+CREATE TABLE IF NOT EXISTS publishing_schedules (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL UNIQUE,
+    enabled BOOLEAN DEFAULT TRUE,
+    days TEXT NOT NULL DEFAULT 'mon,wed,fri', -- comma-separated weekdays
+    publish_time TEXT NOT NULL DEFAULT '09:00', -- HH:MM in the schedule timezone
+    timezone TEXT, -- IANA name, defaults to the WordPress site timezone
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Drafts from the revise-until-passing loop (round 0 is the draft it started from)
+CREATE TABLE IF NOT EXISTS article_drafts (
+    id SERIAL PRIMARY KEY,
+    article_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    run INTEGER NOT NULL, -- one per revision run of the article
+    round INTEGER NOT NULL,
+    title TEXT,
+    content TEXT,
+    excerpt TEXT,
+    meta_title TEXT,
+    meta_description TEXT,
+    seo_score INTEGER,
+    issues TEXT, -- JSON: checks and missing keywords fed into the next rewrite
+    suggestions TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Article history: a snapshot after every change (see services/revisionHistory.js)
+CREATE TABLE IF NOT EXISTS article_revisions (
+    id SERIAL PRIMARY KEY,
+    article_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    source TEXT NOT NULL CHECK (source IN ('generation', 'ai_revision', 'manual', 'wordpress_sync', 'restore', 'compliance', 'internal_links', 'images')),
+    title TEXT,
+    content TEXT,
+    excerpt TEXT,
+    meta_title TEXT,
+    meta_description TEXT,
+    focus_keyword TEXT,
+    tags TEXT,
+    restored_from INTEGER, -- the revision a restore brought back
+    created_at TIMESTAMP DEFAULT NOW(),
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Cached SERP results and competitor page analyses, shared by all users (see services/researchCache.js)
+CREATE TABLE IF NOT EXISTS research_cache (
+    id SERIAL PRIMARY KEY,
+    cache_key TEXT NOT NULL UNIQUE, -- kind + normalized query, location and language (or the page URL)
+    kind TEXT NOT NULL CHECK (kind IN ('serp', 'page')),
+    query TEXT,
+    location TEXT,
+    language TEXT,
+    data TEXT NOT NULL, -- JSON
+    hits INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Daily research ledger: paid searches (the quota) and cache hits/misses,
+-- for the whole installation (scope 'global') and per user (scope 'user:<id>')
+CREATE TABLE IF NOT EXISTS research_ledger (
+    id SERIAL PRIMARY KEY,
+    day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+    scope TEXT NOT NULL,
+    user_id INTEGER,
+    searches INTEGER DEFAULT 0,
+    cache_hits INTEGER DEFAULT 0,
+    cache_misses INTEGER DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (day, scope),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Topical maps: a keyword list clustered into articles (a pillar keyword plus cluster
+-- keywords each) and arranged into topics, with the internal links between the articles
+CREATE TABLE IF NOT EXISTS topical_maps (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    name TEXT,
+    keywords TEXT NOT NULL, -- JSON: the keyword list
+    options TEXT, -- JSON: clustering options
+    status TEXT DEFAULT 'building' CHECK (status IN ('building', 'ready', 'failed')),
+    data TEXT, -- JSON: clusters, topics, links and SERP lookup counts
+    error TEXT,
+    queued_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Links the internal linker added: from a new article to existing pages (outbound) and
+-- from older pages back to it (backlink)
+CREATE TABLE IF NOT EXISTS internal_links (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    article_id INTEGER NOT NULL, -- the article the links were added for
+    kind TEXT NOT NULL CHECK (kind IN ('outbound', 'backlink')),
+    source_type TEXT NOT NULL CHECK (source_type IN ('article', 'wordpress')), -- the page the link was added to
+    source_id INTEGER NOT NULL,
+    target_type TEXT NOT NULL CHECK (target_type IN ('article', 'wordpress')),
+    target_id INTEGER NOT NULL,
+    target_url TEXT NOT NULL,
+    anchor TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_articles_user_id ON articles(user_id);
@@ -168,3 +309,13 @@ CREATE INDEX IF NOT EXISTS idx_clawbot_sessions_key ON clawbot_sessions(session_
 CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
 CREATE INDEX IF NOT EXISTS idx_activity_log_user_id ON activity_log(user_id);
 CREATE INDEX IF NOT EXISTS idx_activity_log_created ON activity_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_entity ON jobs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_article_drafts_article ON article_drafts(article_id, run);
+CREATE INDEX IF NOT EXISTS idx_article_revisions_article ON article_revisions(article_id);
+CREATE INDEX IF NOT EXISTS idx_research_cache_expires ON research_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_research_ledger_user ON research_ledger(user_id, day);
+CREATE INDEX IF NOT EXISTS idx_topical_maps_user_id ON topical_maps(user_id);
+CREATE INDEX IF NOT EXISTS idx_internal_links_article ON internal_links(article_id);
+CREATE INDEX IF NOT EXISTS idx_internal_links_target ON internal_links(user_id, target_url);
\ No newline at end of file
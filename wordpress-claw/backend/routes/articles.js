@@ -1,13 +1,67 @@
 const express = require('express');
 const db = require('../database/db');
 const { authenticateToken, requireCredits } = require('../middleware/auth');
-const { generateContent, generateImagePrompt } = require('../services/contentGeneration');
-const { generateFeaturedImage } = require('../services/imageGeneration');
-const { uploadImage } = require('../services/github');
-const { publishToWordPress } = require('../services/wordpress');
+const { fetchWordPressPost, detectDrift, getContentFormat } = require('../services/wordpress');
+const { publishArticle } = require('../services/publishing');
+const { enqueueArticleGeneration, enqueueArticleRevision, enqueueComplianceRewrite, enqueueBacklinks, enqueueBacklinksAfterPublish, enqueueSectionImages } = require('../services/jobHandlers');
+const { buildStructuredData } = require('../services/structuredData');
+const { analyzeCoverage } = require('../services/keywordCoverage');
+const { scoreArticle } = require('../services/seoAnalyzer');
+const { parseBrandVoice, scoreVoiceMatch } = require('../services/brandVoice');
+const { DIFF_MODES, recordRevision, restoreRevision, diffRevisions } = require('../services/revisionHistory');
+const { FIX_MODES, parseComplianceRules, checkArticleCompliance, fixArticleCompliance } = require('../services/compliance');
+const { getArticleFollowUpIdeas, queueFollowUpIdeas } = require('../services/followUpIdeas');
+const { linkArticle, getRecordedLinks } = require('../services/internalLinking');
 
 const router = express.Router();
 
+// Re-score on-page SEO after the content changes; scoring problems don't fail the request
+async function rescore(articleId) {
+    try {
+        await scoreArticle(articleId);
+    } catch (err) {
+        console.error('SEO scoring error:', err);
+    }
+}
+
+// Re-check the compliance rules after the article changes; check problems don't fail the request
+async function recheckCompliance(articleId) {
+    try {
+        await checkArticleCompliance(articleId);
+    } catch (err) {
+        console.error('Compliance check error:', err);
+    }
+}
+
+// Add a revision history snapshot; history problems don't fail the request
+async function saveRevision(articleId, source, options = {}) {
+    try {
+        await recordRevision(articleId, source, options);
+    } catch (err) {
+        console.error('Revision history error:', err);
+    }
+}
+
+// Publish the article (or update its existing post) and store the WordPress state on it
+async function pushToWordPress(article, wpConnection, user) {
+    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(user.id);
+    const publishResult = await publishArticle({ article, connection: wpConnection, businessProfile, authorName: user.name });
+
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, ?, 'article', ?, ?)
+    `).run(
+        user.id,
+        publishResult.updated ? 'updated_wordpress' : 'published',
+        article.id,
+        JSON.stringify({ wpUrl: publishResult.url, wpPostId: publishResult.postId })
+    );
+
+    await enqueueBacklinksAfterPublish({ articleId: article.id, userId: user.id, publishResult });
+
+    return publishResult;
+}
+
 // Get all articles
 router.get('/', authenticateToken, async (req, res) => {
     try {
@@ -16,8 +70,8 @@ router.get('/', authenticateToken, async (req, res) => {
         const offset = parseInt(req.query.offset) || 0;
 
         let query = `
-            SELECT id, title, excerpt, keyword, status, wp_post_id, wp_url, 
-                   featured_image_url, credits_used, created_at, updated_at, published_at
+            SELECT id, title, excerpt, keyword, status, wp_post_id, wp_url, wp_status, wp_synced_at,
+                   scheduled_at, featured_image_url, seo_score, compliance_violations, credits_used, created_at, updated_at, published_at
             FROM articles 
             WHERE user_id = ?
         `;
@@ -77,9 +131,28 @@ router.get('/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        // Articles saved before scoring existed are scored on first view
+        let seo = null;
+        try {
+            seo = article.seo_analysis ? JSON.parse(article.seo_analysis) : await scoreArticle(article.id);
+        } catch (err) {
+            console.error('SEO scoring error:', err);
+        }
+
+        let compliance = null;
+        try {
+            compliance = JSON.parse(article.compliance_report || 'null');
+        } catch {
+            compliance = null;
+        }
+
         res.json({
             success: true,
-            data: { article }
+            data: {
+                article: { ...article, seo_analysis: undefined, compliance_report: undefined, seo_score: seo?.score ?? article.seo_score },
+                seo,
+                compliance
+            }
         });
     } catch (err) {
         console.error('Get article error:', err);
@@ -93,7 +166,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Create new article (manual)
 router.post('/', authenticateToken, requireCredits, async (req, res) => {
     try {
-        const { title, content, excerpt, keyword, metaTitle, metaDescription, tags, category } = req.body;
+        const { title, content, excerpt, keyword, focusKeyword, secondaryKeywords, metaTitle, metaDescription, tags, category } = req.body;
 
         if (!title || !content) {
             return res.status(400).json({
@@ -103,14 +176,16 @@ router.post('/', authenticateToken, requireCredits, async (req, res) => {
         }
 
         const result = await db.prepare(`
-            INSERT INTO articles (user_id, title, content, excerpt, keyword, status, meta_title, meta_description, tags, category, credits_used)
-            VALUES (?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, 0)
+            INSERT INTO articles (user_id, title, content, excerpt, keyword, focus_keyword, secondary_keywords, status, meta_title, meta_description, tags, category, credits_used)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, 0)
         `).run(
             req.user.id,
             title,
             content,
             excerpt || null,
             keyword || null,
+            focusKeyword || null,
+            secondaryKeywords || null,
             metaTitle || null,
             metaDescription || null,
             tags || null,
@@ -123,6 +198,10 @@ router.post('/', authenticateToken, requireCredits, async (req, res) => {
             VALUES (?, 'created', 'article', ?, ?)
         `).run(req.user.id, result.lastInsertRowid, JSON.stringify({ title, method: 'manual' }));
 
+        await rescore(result.lastInsertRowid);
+        await recheckCompliance(result.lastInsertRowid);
+        await saveRevision(result.lastInsertRowid, 'manual');
+
         const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(result.lastInsertRowid);
 
         res.status(201).json({
@@ -151,24 +230,11 @@ router.post('/generate', authenticateToken, requireCredits, async (req, res) =>
             });
         }
 
-        // Get business profile for context
-        const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
-
-        // Get WordPress connection
-        const wpConnection = await db.prepare(`
-            SELECT * FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
-        `).get(req.user.id);
-
-        // Get GitHub connection for image uploads
-        const githubConnection = await db.prepare(`
-            SELECT * FROM connections WHERE user_id = ? AND type = 'github' AND status = 'active' LIMIT 1
-        `).get(req.user.id);
-
-        // Create article in generating status
+        // Create article in generating status (title/content are filled in by the worker)
         const result = await db.prepare(`
-            INSERT INTO articles (user_id, keyword, status, credits_used)
-            VALUES (?, ?, 'generating', 1)
-        `).run(req.user.id, keyword);
+            INSERT INTO articles (user_id, title, content, keyword, status, credits_used)
+            VALUES (?, ?, '', ?, 'generating', 1)
+        `).run(req.user.id, keyword, keyword);
 
         const articleId = result.lastInsertRowid;
 
@@ -178,166 +244,24 @@ router.post('/generate', authenticateToken, requireCredits, async (req, res) =>
             VALUES (?, 'started_generation', 'article', ?, ?)
         `).run(req.user.id, articleId, JSON.stringify({ keyword }));
 
-        // Start generation (async)
+        // Hand off to the background worker
+        const job = await enqueueArticleGeneration({
+            articleId,
+            userId: req.user.id,
+            keyword,
+            customPrompt
+        });
+
         res.status(202).json({
             success: true,
             message: 'Article generation started',
             data: {
                 articleId,
+                jobId: job.id,
                 status: 'generating'
             }
         });
 
-        // Continue generation in background
-        generateContent({
-            keyword,
-            businessProfile,
-            customPrompt,
-            userId: req.user.id,
-            articleId
-        }).then(async (generated) => {
-            let featuredImageUrl = null;
-            let githubImageUrl = null;
-            let githubImagePath = null;
-            let imageGenerationFailed = false;
-
-            // Generate images if business profile has image settings
-            if (businessProfile && businessProfile.image_count > 0) {
-                try {
-                    const imageCount = Math.min(businessProfile.image_count, 3);
-                    const imageStyle = businessProfile.image_style || 'photorealistic';
-
-                    // Generate image prompt
-                    const imagePrompt = await generateImagePrompt(generated.title, keyword, businessProfile);
-                    
-                    // Apply style to prompt
-                    const styledPrompt = `${imagePrompt}, ${imageStyle} style, high quality`;
-
-                    // Generate the featured image
-                    const imageResult = await generateFeaturedImage({
-                        prompt: styledPrompt,
-                        articleTitle: generated.title,
-                        keyword
-                    });
-
-                    // Upload to GitHub if connected
-                    if (githubConnection && imageResult.success) {
-                        try {
-                            const credentials = JSON.parse(githubConnection.credentials);
-                            const uploadResult = await uploadImage({
-                                imageBuffer: imageResult.buffer,
-                                filename: imageResult.filename,
-                                mimeType: imageResult.mimeType,
-                                credentials
-                            });
-
-                            githubImageUrl = uploadResult.url;
-                            githubImagePath = uploadResult.path;
-                            featuredImageUrl = uploadResult.url;
-                        } catch (uploadErr) {
-                            console.error('GitHub upload error:', uploadErr);
-                            // Still use the image even if upload fails
-                            imageGenerationFailed = true;
-                        }
-                    }
-
-                    // Log image generation
-                    await db.prepare(`
-                        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
-                        VALUES (?, 'generated_image', 'article', ?, ?)
-                    `).run(req.user.id, articleId, JSON.stringify({ 
-                        style: imageStyle,
-                        uploaded: !!githubImageUrl,
-                        failed: imageGenerationFailed
-                    }));
-
-                } catch (imageErr) {
-                    console.error('Image generation error:', imageErr);
-                    imageGenerationFailed = true;
-                }
-            }
-
-            // Update article with generated content
-            await db.prepare(`
-                UPDATE articles 
-                SET title = ?, content = ?, excerpt = ?, meta_title = ?, meta_description = ?, 
-                    tags = ?, status = ?, featured_image_url = ?, github_image_url = ?, 
-                    github_image_path = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `).run(
-                generated.title,
-                generated.content,
-                generated.excerpt,
-                generated.metaTitle,
-                generated.metaDescription,
-                generated.tags,
-                businessProfile?.auto_publish ? 'publishing' : 'review',
-                featuredImageUrl,
-                githubImageUrl,
-                githubImagePath,
-                articleId
-            );
-
-            // Deduct credit
-            if (req.user.tier !== 'pro') {
-                await db.prepare('UPDATE users SET credits_used = credits_used + 1 WHERE id = ?').run(req.user.id);
-            }
-
-            // Auto-publish if enabled
-            if (businessProfile?.auto_publish && wpConnection) {
-                try {
-                    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
-                    const wpCredentials = JSON.parse(wpConnection.credentials);
-                    
-                    const publishResult = await publishToWordPress({
-                        article,
-                        credentials: wpCredentials
-                    });
-
-                    // Update article as published
-                    await db.prepare(`
-                        UPDATE articles 
-                        SET status = ?, wp_post_id = ?, wp_url = ?, published_at = CURRENT_TIMESTAMP 
-                        WHERE id = ?
-                    `).run('published', publishResult.postId, publishResult.url, articleId);
-
-                    // Log activity
-                    await db.prepare(`
-                        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
-                        VALUES (?, 'auto_published', 'article', ?, ?)
-                    `).run(req.user.id, articleId, JSON.stringify({ wpUrl: publishResult.url }));
-
-                } catch (publishErr) {
-                    console.error('Auto-publish error:', publishErr);
-                    // Update status to review if auto-publish failed
-                    await db.prepare(`
-                        UPDATE articles SET status = 'review', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                    `).run(articleId);
-                }
-            }
-
-            // Log activity
-            await db.prepare(`
-                INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
-                VALUES (?, 'generated', 'article', ?, ?)
-            `).run(req.user.id, articleId, JSON.stringify({ 
-                title: generated.title,
-                hasImage: !!featuredImageUrl,
-                autoPublished: businessProfile?.auto_publish && wpConnection
-            }));
-
-        }).catch(async (err) => {
-            console.error('Generation error:', err);
-            await db.prepare(`
-                UPDATE articles SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-            `).run(articleId);
-
-            await db.prepare(`
-                INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
-                VALUES (?, 'generation_failed', 'article', ?, ?)
-            `).run(req.user.id, articleId, JSON.stringify({ error: err.message }));
-        });
-
     } catch (err) {
         console.error('Generate article error:', err);
         res.status(500).json({
@@ -350,7 +274,7 @@ router.post('/generate', authenticateToken, requireCredits, async (req, res) =>
 // Update article
 router.put('/:id', authenticateToken, async (req, res) => {
     try {
-        const { title, content, excerpt, keyword, metaTitle, metaDescription, tags, category } = req.body;
+        const { title, content, excerpt, keyword, focusKeyword, secondaryKeywords, metaTitle, metaDescription, tags, category, scheduledAt } = req.body;
         const articleId = req.params.id;
 
         // Check article exists
@@ -381,6 +305,14 @@ router.put('/:id', authenticateToken, async (req, res) => {
             updates.push('keyword = ?');
             values.push(keyword);
         }
+        if (focusKeyword !== undefined) {
+            updates.push('focus_keyword = ?');
+            values.push(focusKeyword);
+        }
+        if (secondaryKeywords !== undefined) {
+            updates.push('secondary_keywords = ?');
+            values.push(secondaryKeywords);
+        }
         if (metaTitle !== undefined) {
             updates.push('meta_title = ?');
             values.push(metaTitle);
@@ -397,6 +329,17 @@ router.put('/:id', authenticateToken, async (req, res) => {
             updates.push('category = ?');
             values.push(category);
         }
+        if (scheduledAt !== undefined) {
+            const scheduledDate = scheduledAt ? new Date(scheduledAt) : null;
+            if (scheduledDate && isNaN(scheduledDate.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid scheduledAt date'
+                });
+            }
+            updates.push('scheduled_at = ?');
+            values.push(scheduledDate ? scheduledDate.toISOString() : null);
+        }
 
         if (updates.length === 0) {
             return res.status(400).json({
@@ -410,6 +353,16 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
         await db.prepare(`UPDATE articles SET ${updates.join(', ')} WHERE id = ?`).run(...values);
 
+        if ([title, content, keyword, focusKeyword, metaTitle, metaDescription].some(value => value !== undefined)) {
+            await rescore(articleId);
+        }
+        if ([title, content, excerpt, metaTitle, metaDescription, category].some(value => value !== undefined)) {
+            await recheckCompliance(articleId);
+        }
+        if ([title, content, excerpt, focusKeyword, metaTitle, metaDescription, tags].some(value => value !== undefined)) {
+            await saveRevision(articleId, 'manual', { previous: existing });
+        }
+
         const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
 
         res.json({
@@ -426,7 +379,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Publish article to WordPress
+// Publish article to WordPress (updates the existing post if already published)
 router.post('/:id/publish', authenticateToken, async (req, res) => {
     try {
         const articleId = req.params.id;
@@ -440,7 +393,7 @@ router.post('/:id/publish', authenticateToken, async (req, res) => {
             });
         }
 
-        if (article.status === 'published') {
+        if (article.status === 'published' && !article.wp_post_id) {
             return res.status(400).json({
                 success: false,
                 error: 'Article is already published'
@@ -459,33 +412,22 @@ router.post('/:id/publish', authenticateToken, async (req, res) => {
             });
         }
 
-        // Publish to WordPress
-        const wpCredentials = JSON.parse(wpConnection.credentials);
-        const publishResult = await publishToWordPress({
-            article,
-            credentials: wpCredentials
-        });
-
-        // Update article
-        await db.prepare(`
-            UPDATE articles 
-            SET status = 'published', wp_post_id = ?, wp_url = ?, published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `).run(publishResult.postId, publishResult.url, articleId);
-
-        // Log activity
-        await db.prepare(`
-            INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
-            VALUES (?, 'published', 'article', ?, ?)
-        `).run(req.user.id, articleId, JSON.stringify({ wpUrl: publishResult.url }));
+        const publishResult = await pushToWordPress(article, wpConnection, req.user);
 
         res.json({
             success: true,
-            message: 'Article published successfully',
+            message: publishResult.status === 'future'
+                ? 'Article scheduled on WordPress'
+                : (publishResult.updated ? 'WordPress post updated successfully' : 'Article published successfully'),
             data: {
                 articleId,
                 wpUrl: publishResult.url,
-                wpPostId: publishResult.postId
+                wpPostId: publishResult.postId,
+                wpStatus: publishResult.status,
+                scheduledAt: article.scheduled_at || null,
+                updated: publishResult.updated,
+                seo: publishResult.seo,
+                schema: publishResult.schema
             }
         });
     } catch (err) {
@@ -497,6 +439,926 @@ router.post('/:id/publish', authenticateToken, async (req, res) => {
     }
 });
 
+// Sync article from WordPress and detect drift
+// Pass { apply: true } to overwrite our copy with the live title/content/excerpt
+router.post('/:id/sync', authenticateToken, async (req, res) => {
+    try {
+        const articleId = req.params.id;
+        const apply = req.body?.apply === true;
+
+        const article = await db.prepare('SELECT * FROM articles WHERE id = ? AND user_id = ?').get(articleId, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        if (!article.wp_post_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Article has not been published to WordPress'
+            });
+        }
+
+        const wpConnection = await db.prepare(`
+            SELECT * FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
+        `).get(req.user.id);
+
+        if (!wpConnection) {
+            return res.status(400).json({
+                success: false,
+                error: 'No active WordPress connection found. Please set up your WordPress connection first.'
+            });
+        }
+
+        const livePost = await fetchWordPressPost({
+            postId: article.wp_post_id,
+            credentials: JSON.parse(wpConnection.credentials)
+        });
+
+        if (!livePost) {
+            await db.prepare(`
+                UPDATE articles SET wp_status = 'deleted', wp_synced_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(articleId);
+
+            return res.json({
+                success: true,
+                message: 'Post no longer exists on WordPress',
+                data: {
+                    articleId,
+                    exists: false,
+                    drift: []
+                }
+            });
+        }
+
+        const drift = detectDrift(article, livePost, { contentFormat: getContentFormat(wpConnection) });
+
+        if (apply && drift.length > 0) {
+            // A post taken down on the site goes back to review on our side
+            const status = livePost.status === 'publish' ? 'published' : (article.status === 'published' ? 'review' : article.status);
+
+            await db.prepare(`
+                UPDATE articles
+                SET title = ?, content = ?, excerpt = ?, status = ?, wp_url = ?, wp_status = ?,
+                    wp_modified_at = ?, wp_synced_at = CURRENT_TIMESTAMP, wp_drift = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(livePost.title, livePost.content, livePost.excerpt, status, livePost.url, livePost.status, livePost.modified, articleId);
+
+            await db.prepare(`
+                INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+                VALUES (?, 'synced_from_wordpress', 'article', ?, ?)
+            `).run(req.user.id, articleId, JSON.stringify({ fields: drift.map(d => d.field) }));
+
+            await rescore(articleId);
+            await recheckCompliance(articleId);
+            await saveRevision(articleId, 'wordpress_sync', { previous: article });
+        } else {
+            await db.prepare(`
+                UPDATE articles
+                SET wp_url = ?, wp_status = ?, wp_modified_at = ?, wp_synced_at = CURRENT_TIMESTAMP, wp_drift = ?
+                WHERE id = ?
+            `).run(
+                livePost.url,
+                livePost.status,
+                livePost.modified,
+                drift.length > 0 ? JSON.stringify(drift.map(d => d.field)) : null,
+                articleId
+            );
+        }
+
+        res.json({
+            success: true,
+            message: drift.length === 0
+                ? 'Article is in sync with WordPress'
+                : (apply ? 'Article updated from WordPress' : 'Article differs from WordPress'),
+            data: {
+                articleId,
+                exists: true,
+                inSync: drift.length === 0,
+                applied: apply && drift.length > 0,
+                drift,
+                wpStatus: livePost.status,
+                wpModified: livePost.modified
+            }
+        });
+    } catch (err) {
+        console.error('Sync article error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sync article: ' + err.message
+        });
+    }
+});
+
+// Preview the JSON-LD structured data that will be published with an article
+router.get('/:id/schema', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT * FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        const { schemas, validation } = buildStructuredData({
+            article,
+            businessProfile,
+            authorName: req.user.name,
+            url: article.wp_url,
+            datePublished: article.scheduled_at || article.published_at || new Date(),
+            dateModified: article.updated_at || article.published_at || new Date()
+        });
+
+        res.json({
+            success: true,
+            data: {
+                schemas,
+                validation,
+                valid: Object.values(validation).every(result => result.valid)
+            }
+        });
+    } catch (err) {
+        console.error('Get article schema error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build structured data'
+        });
+    }
+});
+
+// Cluster keyword and service page coverage of the current content.
+// Uses the keywords and URL the article was generated with unless given as query parameters.
+router.get('/:id/coverage', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT * FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        let generationParams = {};
+        try {
+            generationParams = JSON.parse(article.generation_params || '{}') || {};
+        } catch {
+            generationParams = {};
+        }
+
+        const clusterKeywords = req.query.clusterKeywords ?? generationParams.clusterKeywords ?? null;
+        const serviceUrl = req.query.serviceUrl ?? generationParams.serviceUrl ?? null;
+
+        res.json({
+            success: true,
+            data: {
+                coverage: analyzeCoverage({
+                    content: article.content,
+                    clusterKeywords,
+                    serviceUrl,
+                    keyword: article.focus_keyword || article.keyword
+                }),
+                atGeneration: generationParams.coverage || null
+            }
+        });
+    } catch (err) {
+        console.error('Get article coverage error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check keyword coverage'
+        });
+    }
+});
+
+// How closely the current content matches the business profile's brand voice
+router.get('/:id/voice', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT * FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const profile = await db.prepare('SELECT brand_voice FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        const brandVoice = parseBrandVoice(profile);
+        if (!brandVoice) {
+            return res.status(400).json({
+                success: false,
+                error: 'No brand voice set up. Build one from your posts in the business profile.'
+            });
+        }
+
+        let generationParams = {};
+        try {
+            generationParams = JSON.parse(article.generation_params || '{}') || {};
+        } catch {
+            generationParams = {};
+        }
+
+        res.json({
+            success: true,
+            data: {
+                voiceMatch: scoreVoiceMatch(article.content || '', brandVoice),
+                atGeneration: generationParams.voiceMatch || null
+            }
+        });
+    } catch (err) {
+        console.error('Get article voice match error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to score voice match'
+        });
+    }
+});
+
+// Follow-up content ideas from the related searches and "People Also Ask" questions found
+// while researching the article
+router.get('/:id/content-ideas', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT id, content, research_data FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ideas: await getArticleFollowUpIdeas(req.user.id, article),
+                hasResearch: !!article.research_data
+            }
+        });
+    } catch (err) {
+        console.error('Get content ideas error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get content ideas'
+        });
+    }
+});
+
+// Add follow-up ideas to the content queue: the given keywords, or every idea not already
+// written or queued. Queued items link to the article's service page unless serviceUrl is given.
+router.post('/:id/content-ideas/queue', authenticateToken, async (req, res) => {
+    try {
+        const { keywords, serviceUrl, templateId } = req.body;
+
+        const article = await db.prepare('SELECT id, content, research_data, generation_params FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        if (keywords !== undefined && (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string'))) {
+            return res.status(400).json({
+                success: false,
+                error: 'keywords must be an array of strings'
+            });
+        }
+
+        if (templateId) {
+            const template = await db.prepare('SELECT id FROM content_templates WHERE id = ? AND user_id = ?').get(templateId, req.user.id);
+            if (!template) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+        }
+
+        const selected = keywords || (await getArticleFollowUpIdeas(req.user.id, article))
+            .filter(idea => !idea.exists)
+            .map(idea => idea.keyword);
+
+        if (selected.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No content ideas to queue'
+            });
+        }
+
+        let generationParams = {};
+        try {
+            generationParams = JSON.parse(article.generation_params || '{}') || {};
+        } catch {
+            generationParams = {};
+        }
+
+        const { queued, skipped } = await queueFollowUpIdeas(req.user.id, selected, {
+            serviceUrl: serviceUrl ?? generationParams.serviceUrl ?? null,
+            templateId: templateId || null
+        });
+
+        res.status(queued.length > 0 ? 201 : 200).json({
+            success: true,
+            message: `${queued.length} idea${queued.length === 1 ? '' : 's'} added to the content queue`,
+            data: { queued, skipped }
+        });
+    } catch (err) {
+        console.error('Queue content ideas error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to queue content ideas'
+        });
+    }
+});
+
+// Internal links: the links the linker would add now (to your published articles and, unless
+// wordpress=false, the site's other posts) and the ones it added before
+router.get('/:id/internal-links', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const plan = await linkArticle(article.id, { apply: false, includeWordPress: req.query.wordpress !== 'false' });
+
+        res.json({
+            success: true,
+            data: {
+                suggested: plan.links,
+                candidates: plan.candidates,
+                wordpressError: plan.wordpressError,
+                ...(await getRecordedLinks(article.id))
+            }
+        });
+    } catch (err) {
+        console.error('Get internal links error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get internal links'
+        });
+    }
+});
+
+// Add internal links to the article now (maxLinks, default INTERNAL_LINKS_MAX). Published
+// articles need publishing again to update the live post.
+router.post('/:id/internal-links', authenticateToken, async (req, res) => {
+    try {
+        const { maxLinks, includeWordPress = true } = req.body;
+
+        const article = await db.prepare('SELECT id, status, content FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        if (article.status === 'generating' || !article.content) {
+            return res.status(400).json({
+                success: false,
+                error: 'Article has no content to link yet'
+            });
+        }
+
+        if (maxLinks !== undefined && (!Number.isInteger(maxLinks) || maxLinks < 1 || maxLinks > 20)) {
+            return res.status(400).json({
+                success: false,
+                error: 'maxLinks must be an integer between 1 and 20'
+            });
+        }
+
+        const result = await linkArticle(article.id, {
+            includeWordPress: includeWordPress !== false,
+            ...(maxLinks !== undefined ? { maxLinks } : {})
+        });
+
+        if (result.applied) {
+            await recheckCompliance(article.id);
+        }
+
+        res.json({
+            success: true,
+            message: result.applied
+                ? `Added ${result.links.length} internal link${result.links.length === 1 ? '' : 's'}`
+                : 'No related pages are mentioned in the article',
+            data: result
+        });
+    } catch (err) {
+        console.error('Add internal links error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add internal links'
+        });
+    }
+});
+
+// Link older pages that mention the article to it (runs in the background)
+router.post('/:id/backlinks', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT id, status, wp_url FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        if (article.status !== 'published' || !article.wp_url) {
+            return res.status(400).json({
+                success: false,
+                error: 'Publish the article before adding links to it'
+            });
+        }
+
+        const job = await enqueueBacklinks({ articleId: article.id, userId: req.user.id });
+
+        res.status(202).json({
+            success: true,
+            message: 'Back-link pass started',
+            data: {
+                articleId: article.id,
+                jobId: job.id
+            }
+        });
+    } catch (err) {
+        console.error('Add back-links error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start the back-link pass'
+        });
+    }
+});
+
+// Generate images for the article's sections (runs in the background)
+router.post('/:id/section-images', authenticateToken, async (req, res) => {
+    try {
+        const { count } = req.body || {};
+        if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > 2)) {
+            return res.status(400).json({
+                success: false,
+                error: 'count must be 1 or 2 (the featured image is the third)'
+            });
+        }
+
+        const article = await db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const job = await enqueueSectionImages({ articleId: article.id, userId: req.user.id, count });
+
+        res.status(202).json({
+            success: true,
+            message: 'Section image generation started',
+            data: {
+                articleId: article.id,
+                jobId: job.id
+            }
+        });
+    } catch (err) {
+        console.error('Section images error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start section image generation'
+        });
+    }
+});
+
+// Check the article against the compliance rules now
+router.get('/:id/compliance', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const report = await checkArticleCompliance(article.id);
+        if (!report) {
+            return res.status(400).json({
+                success: false,
+                error: 'No compliance rules set up. Add them in the business profile.'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { compliance: report }
+        });
+    } catch (err) {
+        console.error('Check article compliance error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check compliance'
+        });
+    }
+});
+
+// Fix compliance violations: redact right away, or rewrite with the LLM in the background
+router.post('/:id/compliance/fix', authenticateToken, async (req, res) => {
+    try {
+        const { mode = 'redact' } = req.body;
+
+        if (!FIX_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Mode must be one of: ${FIX_MODES.join(', ')}`
+            });
+        }
+
+        const article = await db.prepare('SELECT id, status, content FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        if (article.status === 'generating' || !article.content) {
+            return res.status(400).json({
+                success: false,
+                error: 'Article has no content to fix yet'
+            });
+        }
+
+        const profile = await db.prepare('SELECT compliance_rules FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        if (!parseComplianceRules(profile)) {
+            return res.status(400).json({
+                success: false,
+                error: 'No compliance rules set up. Add them in the business profile.'
+            });
+        }
+
+        if (mode === 'rewrite') {
+            const job = await enqueueComplianceRewrite({ articleId: article.id, userId: req.user.id });
+            return res.status(202).json({
+                success: true,
+                message: 'Compliance rewrite started',
+                data: {
+                    articleId: article.id,
+                    jobId: job.id
+                }
+            });
+        }
+
+        const result = await fixArticleCompliance(article.id, 'redact');
+
+        await db.prepare(`
+            INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+            VALUES (?, 'compliance_fixed', 'article', ?, ?)
+        `).run(req.user.id, article.id, JSON.stringify({ mode, fixed: result.fixed, remaining: result.report.violations.length }));
+
+        res.json({
+            success: true,
+            message: result.applied ? `Fixed ${result.fixed} compliance violation${result.fixed === 1 ? '' : 's'}` : 'No compliance violations to fix',
+            data: {
+                fixed: result.fixed,
+                compliance: result.report
+            }
+        });
+    } catch (err) {
+        console.error('Fix article compliance error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fix compliance violations'
+        });
+    }
+});
+
+// Revise the article until it passes the SEO thresholds (runs in the background)
+router.post('/:id/improve', authenticateToken, async (req, res) => {
+    try {
+        const { maxRounds, targetScore } = req.body;
+
+        const article = await db.prepare('SELECT id, status, content FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        if (article.status === 'generating' || !article.content) {
+            return res.status(400).json({
+                success: false,
+                error: 'Article has no content to improve yet'
+            });
+        }
+
+        if (maxRounds !== undefined && (!Number.isInteger(maxRounds) || maxRounds < 1 || maxRounds > 5)) {
+            return res.status(400).json({
+                success: false,
+                error: 'maxRounds must be an integer between 1 and 5'
+            });
+        }
+
+        if (targetScore !== undefined && (!Number.isInteger(targetScore) || targetScore < 0 || targetScore > 100)) {
+            return res.status(400).json({
+                success: false,
+                error: 'targetScore must be an integer between 0 and 100'
+            });
+        }
+
+        const job = await enqueueArticleRevision({
+            articleId: article.id,
+            userId: req.user.id,
+            maxRounds,
+            targetScore
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Article revision started',
+            data: {
+                articleId: article.id,
+                jobId: job.id
+            }
+        });
+    } catch (err) {
+        console.error('Improve article error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start article revision'
+        });
+    }
+});
+
+// List the drafts kept by revision runs, newest run first
+router.get('/:id/drafts', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const drafts = await db.prepare(`
+            SELECT id, run, round, title, meta_title, meta_description, seo_score, issues, created_at
+            FROM article_drafts WHERE article_id = ?
+            ORDER BY run DESC, round
+        `).all(article.id);
+
+        res.json({
+            success: true,
+            data: {
+                drafts: drafts.map(draft => ({ ...draft, issues: JSON.parse(draft.issues || '[]') }))
+            }
+        });
+    } catch (err) {
+        console.error('Get article drafts error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get drafts'
+        });
+    }
+});
+
+// Get a single draft with its content
+router.get('/:id/drafts/:draftId', authenticateToken, async (req, res) => {
+    try {
+        const draft = await db.prepare(`
+            SELECT * FROM article_drafts WHERE id = ? AND article_id = ? AND user_id = ?
+        `).get(req.params.draftId, req.params.id, req.user.id);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                error: 'Draft not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                draft: { ...draft, issues: JSON.parse(draft.issues || '[]') }
+            }
+        });
+    } catch (err) {
+        console.error('Get article draft error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get draft'
+        });
+    }
+});
+
+// List an article's revisions, newest first
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+    try {
+        const article = await db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const revisions = await db.prepare(`
+            SELECT id, source, title, meta_title, restored_from, created_at, LENGTH(content) AS content_length
+            FROM article_revisions WHERE article_id = ?
+            ORDER BY id DESC
+        `).all(article.id);
+
+        res.json({
+            success: true,
+            data: { revisions }
+        });
+    } catch (err) {
+        console.error('Get article revisions error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get revisions'
+        });
+    }
+});
+
+// Diff two revisions: ?from=<revisionId>&to=<revisionId or "current">&mode=line|word
+router.get('/:id/revisions/diff', authenticateToken, async (req, res) => {
+    try {
+        const { from, to = 'current', mode = 'line' } = req.query;
+
+        if (!DIFF_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid diff mode. Must be one of: ${DIFF_MODES.join(', ')}`
+            });
+        }
+
+        if (!from) {
+            return res.status(400).json({
+                success: false,
+                error: 'from revision is required'
+            });
+        }
+
+        const article = await db.prepare('SELECT * FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        const getRevision = id => db.prepare('SELECT * FROM article_revisions WHERE id = ? AND article_id = ?').get(id, article.id);
+        const fromRevision = await getRevision(from);
+        const toRevision = to === 'current' ? article : await getRevision(to);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                from: fromRevision.id,
+                to: to === 'current' ? 'current' : toRevision.id,
+                diff: diffRevisions(fromRevision, toRevision, mode)
+            }
+        });
+    } catch (err) {
+        console.error('Diff article revisions error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to diff revisions'
+        });
+    }
+});
+
+// Get a single revision with its content
+router.get('/:id/revisions/:revisionId', authenticateToken, async (req, res) => {
+    try {
+        const revision = await db.prepare(`
+            SELECT * FROM article_revisions WHERE id = ? AND article_id = ? AND user_id = ?
+        `).get(req.params.revisionId, req.params.id, req.user.id);
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { revision }
+        });
+    } catch (err) {
+        console.error('Get article revision error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get revision'
+        });
+    }
+});
+
+// Restore a revision. { publish: true } also updates the WordPress post.
+router.post('/:id/revisions/:revisionId/restore', authenticateToken, async (req, res) => {
+    try {
+        const publish = req.body?.publish === true;
+
+        const article = await db.prepare('SELECT * FROM articles WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!article) {
+            return res.status(404).json({
+                success: false,
+                error: 'Article not found'
+            });
+        }
+
+        if (article.status === 'generating') {
+            return res.status(400).json({
+                success: false,
+                error: 'Article is still generating'
+            });
+        }
+
+        const revision = await db.prepare('SELECT * FROM article_revisions WHERE id = ? AND article_id = ?')
+            .get(req.params.revisionId, article.id);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        let wpConnection = null;
+        if (publish) {
+            if (!article.wp_post_id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Article has not been published to WordPress'
+                });
+            }
+
+            wpConnection = await db.prepare(`
+                SELECT * FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
+            `).get(req.user.id);
+
+            if (!wpConnection) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No active WordPress connection found. Please set up your WordPress connection first.'
+                });
+            }
+        }
+
+        const revisionId = await restoreRevision(article, revision);
+        await rescore(article.id);
+        await recheckCompliance(article.id);
+
+        await db.prepare(`
+            INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+            VALUES (?, 'restored_revision', 'article', ?, ?)
+        `).run(req.user.id, article.id, JSON.stringify({ revisionId: revision.id }));
+
+        const restored = await db.prepare('SELECT * FROM articles WHERE id = ?').get(article.id);
+
+        // The restore is kept even if WordPress can't be updated
+        let wordpress = null;
+        if (publish) {
+            try {
+                const publishResult = await pushToWordPress(restored, wpConnection, req.user);
+                wordpress = { updated: true, wpUrl: publishResult.url, wpStatus: publishResult.status };
+            } catch (err) {
+                console.error('Restore publish error:', err);
+                wordpress = { updated: false, error: err.message };
+            }
+        }
+
+        res.json({
+            success: true,
+            message: wordpress && !wordpress.updated
+                ? 'Revision restored, but the WordPress post could not be updated'
+                : 'Revision restored',
+            data: {
+                article: await db.prepare('SELECT * FROM articles WHERE id = ?').get(article.id),
+                revisionId,
+                wordpress
+            }
+        });
+    } catch (err) {
+        console.error('Restore article revision error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore revision'
+        });
+    }
+});
+
 // Delete article
 router.delete('/:id', authenticateToken, async (req, res) => {
     try {
@@ -1,6 +1,12 @@
 const express = require('express');
 const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { LLM_PROVIDERS } = require('../services/llmProviders');
+const { SEARCH_PROVIDERS } = require('../services/searchProviders');
+const { fetchRecentPosts } = require('../services/wordpress');
+const { validateBrandVoice } = require('../services/articleSchema');
+const { buildBrandVoice, parseBrandVoice } = require('../services/brandVoice');
+const { normalizeRules, parseComplianceRules, checkArticleCompliance } = require('../services/compliance');
 
 const router = express.Router();
 
@@ -8,6 +14,10 @@ const router = express.Router();
 const VALID_TONES = ['professional', 'casual', 'friendly', 'formal', 'witty'];
 const VALID_CONTENT_TYPES = ['blog_post', 'article', 'news', 'tutorial', 'review'];
 const VALID_IMAGE_STYLES = ['photorealistic', 'illustration', '3d', 'photo'];
+const MIN_WORD_COUNT = 300;
+const MAX_WORD_COUNT = 10000;
+const MAX_VOICE_POSTS = 10;
+const VOICE_FIELDS = ['summary', 'traits', 'pointOfView', 'preferredTerms', 'bannedPhrases'];
 
 // Get business profile
 router.get('/', authenticateToken, async (req, res) => {
@@ -133,7 +143,12 @@ router.put('/', authenticateToken, async (req, res) => {
             uniqueSellingPoints,
             imageCount,
             imageStyle,
-            autoPublish
+            autoPublish,
+            llmProvider,
+            llmModel,
+            llmFallbackProvider,
+            searchProvider,
+            minSeoScore
         } = req.body;
 
         // Validate tone
@@ -153,10 +168,10 @@ router.put('/', authenticateToken, async (req, res) => {
         }
 
         // Validate word count
-        if (wordCount && (wordCount < 300 || wordCount > 3000)) {
+        if (wordCount && (wordCount < MIN_WORD_COUNT || wordCount > MAX_WORD_COUNT)) {
             return res.status(400).json({
                 success: false,
-                error: 'Word count must be between 300 and 3000'
+                error: `Word count must be between ${MIN_WORD_COUNT} and ${MAX_WORD_COUNT}`
             });
         }
 
@@ -176,6 +191,32 @@ router.put('/', authenticateToken, async (req, res) => {
             });
         }
 
+        // Validate LLM providers
+        for (const provider of [llmProvider, llmFallbackProvider]) {
+            if (provider && !LLM_PROVIDERS.includes(provider)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid LLM provider. Must be one of: ${LLM_PROVIDERS.join(', ')}`
+                });
+            }
+        }
+
+        // Validate search provider
+        if (searchProvider && !SEARCH_PROVIDERS.includes(searchProvider)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid search provider. Must be one of: ${SEARCH_PROVIDERS.join(', ')}`
+            });
+        }
+
+        // Validate minimum SEO score for auto-publishing (null uses the server default)
+        if (minSeoScore !== undefined && minSeoScore !== null && !(Number.isInteger(minSeoScore) && minSeoScore >= 0 && minSeoScore <= 100)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Minimum SEO score must be a whole number between 0 and 100'
+            });
+        }
+
         // Build update query
         const updates = [];
         const values = [];
@@ -236,6 +277,26 @@ router.put('/', authenticateToken, async (req, res) => {
             updates.push('auto_publish = ?');
             values.push(autoPublish ? 1 : 0);
         }
+        if (llmProvider !== undefined) {
+            updates.push('llm_provider = ?');
+            values.push(llmProvider || null);
+        }
+        if (llmModel !== undefined) {
+            updates.push('llm_model = ?');
+            values.push(llmModel || null);
+        }
+        if (llmFallbackProvider !== undefined) {
+            updates.push('llm_fallback_provider = ?');
+            values.push(llmFallbackProvider || null);
+        }
+        if (searchProvider !== undefined) {
+            updates.push('search_provider = ?');
+            values.push(searchProvider || null);
+        }
+        if (minSeoScore !== undefined) {
+            updates.push('min_seo_score = ?');
+            values.push(minSeoScore);
+        }
 
         if (updates.length === 0) {
             return res.status(400).json({
@@ -276,6 +337,275 @@ router.put('/', authenticateToken, async (req, res) => {
     }
 });
 
+// Get brand voice profile
+router.get('/brand-voice', authenticateToken, async (req, res) => {
+    try {
+        const profile = await db.prepare('SELECT brand_voice FROM business_profiles WHERE user_id = ?').get(req.user.id);
+
+        res.json({
+            success: true,
+            data: { brandVoice: parseBrandVoice(profile) }
+        });
+    } catch (err) {
+        console.error('Get brand voice error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get brand voice'
+        });
+    }
+});
+
+// Build brand voice profile from the WordPress site's recent posts or pasted samples
+router.post('/brand-voice', authenticateToken, async (req, res) => {
+    try {
+        const { source = 'wordpress', postCount = MAX_VOICE_POSTS, samples } = req.body;
+
+        if (!['wordpress', 'samples'].includes(source)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Source must be wordpress or samples'
+            });
+        }
+
+        let texts;
+        if (source === 'samples') {
+            if (!Array.isArray(samples) || samples.length === 0 || samples.some(sample => typeof sample !== 'string')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Samples must be a non-empty array of post texts'
+                });
+            }
+            texts = samples.slice(0, MAX_VOICE_POSTS);
+        } else {
+            if (!Number.isInteger(postCount) || postCount < 1 || postCount > MAX_VOICE_POSTS) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Post count must be between 1 and ${MAX_VOICE_POSTS}`
+                });
+            }
+
+            const wpConnection = await db.prepare(`
+                SELECT * FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
+            `).get(req.user.id);
+
+            if (!wpConnection) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'No active WordPress connection found. Please set up your WordPress connection first.'
+                });
+            }
+
+            const posts = await fetchRecentPosts({
+                credentials: JSON.parse(wpConnection.credentials),
+                count: postCount
+            });
+            texts = posts.map(post => post.content);
+        }
+
+        let profile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        if (!profile) {
+            await db.prepare('INSERT INTO business_profiles (user_id) VALUES (?)').run(req.user.id);
+            profile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        }
+
+        let brandVoice;
+        try {
+            brandVoice = await buildBrandVoice({ samples: texts, businessProfile: profile, source });
+        } catch (err) {
+            return res.status(422).json({
+                success: false,
+                error: err.message
+            });
+        }
+
+        await db.prepare(`
+            UPDATE business_profiles SET brand_voice = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?
+        `).run(JSON.stringify(brandVoice), req.user.id);
+
+        await db.prepare(`
+            INSERT INTO activity_log (user_id, action, entity_type, details)
+            VALUES (?, 'brand_voice_built', 'business_profile', ?)
+        `).run(req.user.id, JSON.stringify({ source, samples: brandVoice.sampleCount }));
+
+        res.json({
+            success: true,
+            message: `Brand voice built from ${brandVoice.sampleCount} posts`,
+            data: { brandVoice }
+        });
+    } catch (err) {
+        console.error('Build brand voice error:', err);
+        res.status(500).json({
+            success: false,
+            error: err.message || 'Failed to build brand voice'
+        });
+    }
+});
+
+// Edit brand voice traits, vocabulary and banned phrases
+router.put('/brand-voice', authenticateToken, async (req, res) => {
+    try {
+        const profile = await db.prepare('SELECT brand_voice FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        const brandVoice = parseBrandVoice(profile);
+
+        if (!brandVoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'No brand voice yet. Build one from your posts first.'
+            });
+        }
+
+        const updated = { ...brandVoice };
+        for (const field of VOICE_FIELDS) {
+            if (req.body[field] !== undefined) updated[field] = req.body[field];
+        }
+
+        const { valid, errors } = validateBrandVoice(updated);
+        if (!valid) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid brand voice: ${errors.join('; ')}`
+            });
+        }
+
+        updated.updatedAt = new Date().toISOString();
+
+        await db.prepare(`
+            UPDATE business_profiles SET brand_voice = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?
+        `).run(JSON.stringify(updated), req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Brand voice updated',
+            data: { brandVoice: updated }
+        });
+    } catch (err) {
+        console.error('Update brand voice error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update brand voice'
+        });
+    }
+});
+
+// Remove brand voice profile
+router.delete('/brand-voice', authenticateToken, async (req, res) => {
+    try {
+        await db.prepare(`
+            UPDATE business_profiles SET brand_voice = NULL, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?
+        `).run(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Brand voice removed'
+        });
+    } catch (err) {
+        console.error('Delete brand voice error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove brand voice'
+        });
+    }
+});
+
+// Get compliance rules
+router.get('/compliance-rules', authenticateToken, async (req, res) => {
+    try {
+        const profile = await db.prepare('SELECT compliance_rules FROM business_profiles WHERE user_id = ?').get(req.user.id);
+
+        res.json({
+            success: true,
+            data: { rules: parseComplianceRules(profile) }
+        });
+    } catch (err) {
+        console.error('Get compliance rules error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get compliance rules'
+        });
+    }
+});
+
+// Set compliance rules; articles that aren't published yet are re-checked against them
+router.put('/compliance-rules', authenticateToken, async (req, res) => {
+    try {
+        const { rules, error } = normalizeRules(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const profile = await db.prepare('SELECT id FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        if (!profile) {
+            await db.prepare('INSERT INTO business_profiles (user_id) VALUES (?)').run(req.user.id);
+        }
+
+        await db.prepare(`
+            UPDATE business_profiles SET compliance_rules = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?
+        `).run(JSON.stringify(rules), req.user.id);
+
+        const articles = await db.prepare(`
+            SELECT id FROM articles WHERE user_id = ? AND status IN ('draft', 'review') AND content IS NOT NULL
+        `).all(req.user.id);
+
+        let flagged = 0;
+        for (const article of articles) {
+            const report = await checkArticleCompliance(article.id);
+            if (report && !report.passed) flagged++;
+        }
+
+        await db.prepare(`
+            INSERT INTO activity_log (user_id, action, entity_type, details)
+            VALUES (?, 'compliance_rules_updated', 'business_profile', ?)
+        `).run(req.user.id, JSON.stringify({
+            forbiddenTerms: rules.forbiddenTerms.length,
+            claimPatterns: rules.claimPatterns.length,
+            disclaimers: rules.disclaimers.length
+        }));
+
+        res.json({
+            success: true,
+            message: 'Compliance rules saved',
+            data: {
+                rules,
+                rechecked: articles.length,
+                flagged
+            }
+        });
+    } catch (err) {
+        console.error('Update compliance rules error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save compliance rules'
+        });
+    }
+});
+
+// Remove compliance rules
+router.delete('/compliance-rules', authenticateToken, async (req, res) => {
+    try {
+        await db.prepare(`
+            UPDATE business_profiles SET compliance_rules = NULL, updated_at = CURRENT_TIMESTAMP WHERE user_id = ?
+        `).run(req.user.id);
+
+        await db.prepare(`
+            UPDATE articles SET compliance_violations = NULL, compliance_report = NULL WHERE user_id = ?
+        `).run(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Compliance rules removed'
+        });
+    } catch (err) {
+        console.error('Delete compliance rules error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove compliance rules'
+        });
+    }
+});
+
 // Patch business profile (partial update)
 router.patch('/', authenticateToken, async (req, res) => {
     try {
@@ -1,6 +1,9 @@
 const express = require('express');
 const db = require('../database/db');
 const { authenticateToken } = require('../middleware/auth');
+const { CONTENT_FORMATS } = require('../services/markdownToWordPress');
+const { SEO_PLUGINS } = require('../services/seoPlugins');
+const { SCHEMA_PLACEMENTS } = require('../services/structuredData');
 
 const router = express.Router();
 
@@ -82,6 +85,14 @@ router.post('/', authenticateToken, async (req, res) => {
             });
         }
 
+        const configError = validateConfig(type, config);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                error: configError
+            });
+        }
+
         // Test connection based on type
         let testResult = { success: true };
         try {
@@ -146,6 +157,14 @@ router.put('/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        const configError = validateConfig(existing.type, config);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                error: configError
+            });
+        }
+
         // Test if credentials provided
         let testResult = { success: true };
         if (credentials) {
@@ -273,6 +292,20 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// Validate type-specific connection config
+function validateConfig(type, config) {
+    if (type === 'wordpress' && config?.contentFormat && !CONTENT_FORMATS.includes(config.contentFormat)) {
+        return `Invalid content format. Must be one of: ${CONTENT_FORMATS.join(', ')}`;
+    }
+    if (type === 'wordpress' && config?.seoPlugin && !SEO_PLUGINS.includes(config.seoPlugin)) {
+        return `Invalid SEO plugin. Must be one of: ${SEO_PLUGINS.join(', ')}`;
+    }
+    if (type === 'wordpress' && config?.schemaPlacement && !SCHEMA_PLACEMENTS.includes(config.schemaPlacement)) {
+        return `Invalid schema placement. Must be one of: ${SCHEMA_PLACEMENTS.join(', ')}`;
+    }
+    return null;
+}
+
 // Helper function to test connections
 async function testConnection(type, credentials, config) {
     switch (type) {
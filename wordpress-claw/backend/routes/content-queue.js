@@ -1,7 +1,9 @@
 const express = require('express');
 const db = require('../database/db');
 const { authenticateToken, requireCredits } = require('../middleware/auth');
-const SummonAgent = require('../services/summonAgent');
+const { enqueueQueueItem } = require('../services/jobHandlers');
+const { assignQueueSlots } = require('../services/scheduling');
+const { checkQueue, checkQueueItem } = require('../services/cannibalization');
 const XlsxService = require('../services/xlsxService');
 const multer = require('multer');
 const path = require('path');
@@ -9,6 +11,21 @@ const fs = require('fs');
 
 const router = express.Router();
 
+// Give new items publishing slots; scheduling problems shouldn't block adding items
+async function scheduleNewItems(userId) {
+    try {
+        await assignQueueSlots(userId);
+    } catch (err) {
+        console.error('Assign queue slots error:', err);
+    }
+}
+
+// A template_id must be one of the user's own templates
+async function isUserTemplate(userId, templateId) {
+    const template = await db.prepare('SELECT id FROM content_templates WHERE id = ? AND user_id = ?').get(templateId, userId);
+    return !!template;
+}
+
 // Configure multer for file uploads
 const upload = multer({
     dest: 'uploads/',
@@ -418,8 +435,8 @@ router.get('/', requireAuth, async (req, res) => {
 
         // Get items
         let query = `
-            SELECT id, service_url, main_keyword, cluster_keywords, status, 
-                   wp_post_url, feature_image, created_at, updated_at
+            SELECT id, service_url, main_keyword, cluster_keywords, template_id, status, 
+                   wp_post_url, feature_image, last_error, failed_step, scheduled_at, created_at, updated_at
             FROM content_queue 
             WHERE user_id = ?
         `;
@@ -581,6 +598,8 @@ router.get('/', requireAuth, async (req, res) => {
                             ${item.service_url ? `<div class="queue-meta">🔗 ${escapeHtml(item.service_url.substring(0, 50))}${item.service_url.length > 50 ? '...' : ''}</div>` : ''}
                             ${item.cluster_keywords ? `<div class="queue-meta">🏷️ ${escapeHtml(item.cluster_keywords.substring(0, 50))}${item.cluster_keywords.length > 50 ? '...' : ''}</div>` : ''}
                             ${item.wp_post_url ? `<div class="queue-meta"><a href="${escapeHtml(item.wp_post_url)}" target="_blank" style="color: var(--success);">🔗 View Published Post</a></div>` : ''}
+                            ${item.scheduled_at && item.status !== 'done' ? `<div class="queue-meta">📅 ${escapeHtml(new Date(item.scheduled_at).toUTCString())}</div>` : ''}
+                            ${item.status === 'error' && item.last_error ? `<div class="queue-meta" style="color: var(--error);">⚠️ ${item.failed_step ? `Failed at ${escapeHtml(item.failed_step)}: ` : ''}${escapeHtml(item.last_error.substring(0, 100))}</div>` : ''}
                         </td>
                         <td><span class="status-badge status-${item.status}">${item.status}</span></td>
                         <td>${createdDate}</td>
@@ -591,6 +610,11 @@ router.get('/', requireAuth, async (req, res) => {
                                         <button type="submit" class="btn btn-primary btn-sm" onclick="return confirm('Process this item with AI? This will use 1 credit.')">⚡ Process</button>
                                     </form>
                                 ` : ''}
+                                ${item.status === 'error' ? `
+                                    <form action="/content-queue/${item.id}/process" method="POST" style="display: inline;">
+                                        <button type="submit" class="btn btn-primary btn-sm" onclick="return confirm('Retry this item? Completed steps will not be repeated.')">🔄 Retry</button>
+                                    </form>
+                                ` : ''}
                                 <form action="/content-queue/${item.id}/delete" method="POST" style="display: inline;">
                                     <button type="submit" class="btn btn-danger btn-sm" onclick="return confirm('Delete this item?')">🗑️ Delete</button>
                                 </form>
@@ -642,6 +666,8 @@ router.post('/add', requireAuth, async (req, res) => {
             cluster_keywords || null
         );
 
+        await scheduleNewItems(req.user.id);
+
         res.redirect('/content-queue?type=success&message=Item added to queue');
     } catch (err) {
         console.error('Add to queue error:', err);
@@ -677,88 +703,8 @@ router.post('/:id/process', requireAuth, async (req, res) => {
             UPDATE content_queue SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ?
         `).run(itemId);
 
-        // Process in background (don't wait)
-        (async () => {
-            try {
-                const agent = new SummonAgent(req.user.id);
-                await agent.initialize();
-
-                // Start content workflow
-                const result = await agent.startContentWorkflow(item.main_keyword);
-
-                if (!result.success) {
-                    await db.prepare(`
-                        UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                    `).run(itemId);
-                    return;
-                }
-
-                // Generate the article
-                const generateResult = await agent.generateArticle(item.main_keyword);
-
-                if (!generateResult.success || !generateResult.data) {
-                    await db.prepare(`
-                        UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                    `).run(itemId);
-                    return;
-                }
-
-                const article = generateResult.data;
-                let wpPostUrl = null;
-                let featureImage = null;
-
-                // Generate featured image if business profile has image settings
-                try {
-                    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
-                    if (businessProfile && businessProfile.image_count > 0) {
-                        const imageResult = await agent.generateFeaturedImage(item.main_keyword, article.title);
-                        if (imageResult.success && imageResult.data) {
-                            featureImage = imageResult.data.url || null;
-                        }
-                    }
-                } catch (imageErr) {
-                    console.error('Image generation error:', imageErr);
-                }
-
-                // Auto-publish if enabled
-                try {
-                    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
-                    if (businessProfile?.auto_publish) {
-                        const publishResult = await agent.publishToWordPress(article.id);
-                        if (publishResult.success) {
-                            wpPostUrl = publishResult.data?.wpUrl || null;
-                        }
-                    }
-                } catch (publishErr) {
-                    console.error('Auto-publish error:', publishErr);
-                }
-
-                // Update queue item as done
-                await db.prepare(`
-                    UPDATE content_queue 
-                    SET status = 'done', 
-                        wp_post_url = ?, 
-                        feature_image = ?,
-                        updated_at = CURRENT_TIMESTAMP 
-                    WHERE id = ?
-                `).run(wpPostUrl, featureImage, itemId);
-
-                // Deduct credit if not pro
-                if (req.user.tier !== 'pro') {
-                    await db.prepare('UPDATE users SET credits_used = credits_used + 1 WHERE id = ?').run(req.user.id);
-                }
-
-            } catch (err) {
-                console.error('Process queue item error:', err);
-                try {
-                    await db.prepare(`
-                        UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                    `).run(itemId);
-                } catch (updateErr) {
-                    console.error('Failed to update error status:', updateErr);
-                }
-            }
-        })();
+        // Hand off to the background worker
+        await enqueueQueueItem(item, req.user.id);
 
         res.redirect('/content-queue?type=success&message=Processing started. Refresh to see updates.');
     } catch (err) {
@@ -806,80 +752,14 @@ router.post('/process-all', requireAuth, async (req, res) => {
             }
         }
 
-        // Update all to processing
+        // Update all to processing and hand off to the background worker
         for (const item of pendingItems) {
             await db.prepare(`
                 UPDATE content_queue SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ?
             `).run(item.id);
+            await enqueueQueueItem(item, req.user.id);
         }
 
-        // Process in background
-        (async () => {
-            try {
-                const agent = new SummonAgent(req.user.id);
-                await agent.initialize();
-
-                for (const item of pendingItems) {
-                    try {
-                        // Generate article
-                        const result = await agent.generateArticle(item.main_keyword);
-                        
-                        if (result.success && result.data) {
-                            const article = result.data;
-                            let wpPostUrl = null;
-                            let featureImage = null;
-
-                            // Try to generate image
-                            try {
-                                const imageResult = await agent.generateFeaturedImage(item.main_keyword, article.title);
-                                if (imageResult.success && imageResult.data) {
-                                    featureImage = imageResult.data.url || null;
-                                }
-                            } catch (e) { /* ignore */ }
-
-                            // Try to publish if auto-publish enabled
-                            try {
-                                const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
-                                if (businessProfile?.auto_publish) {
-                                    const publishResult = await agent.publishToWordPress(article.id);
-                                    if (publishResult.success) {
-                                        wpPostUrl = publishResult.data?.wpUrl || null;
-                                    }
-                                }
-                            } catch (e) { /* ignore */ }
-
-                            // Mark as done
-                            await db.prepare(`
-                                UPDATE content_queue 
-                                SET status = 'done', wp_post_url = ?, feature_image = ?, updated_at = CURRENT_TIMESTAMP 
-                                WHERE id = ?
-                            `).run(wpPostUrl, featureImage, item.id);
-
-                            // Deduct credit
-                            if (req.user.tier !== 'pro') {
-                                await db.prepare('UPDATE users SET credits_used = credits_used + 1 WHERE id = ?').run(req.user.id);
-                            }
-                        } else {
-                            await db.prepare(`
-                                UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                            `).run(item.id);
-                        }
-
-                        // Delay between items
-                        await new Promise(r => setTimeout(r, 2000));
-
-                    } catch (itemErr) {
-                        console.error(`Error processing item ${item.id}:`, itemErr);
-                        await db.prepare(`
-                            UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                        `).run(item.id);
-                    }
-                }
-            } catch (err) {
-                console.error('Process all error:', err);
-            }
-        })();
-
         res.redirect('/content-queue?type=success&message=Started processing ' + pendingItems.length + ' items. Refresh to see updates.');
     } catch (err) {
         console.error('Process all error:', err);
@@ -934,6 +814,8 @@ router.post('/import', requireAuth, upload.single('file'), async (req, res) => {
             }
         }
 
+        await scheduleNewItems(req.user.id);
+
         res.redirect('/content-queue?type=success&message=Imported ' + importedCount + ' items successfully');
     } catch (err) {
         console.error('Import xlsx error:', err);
@@ -1019,7 +901,7 @@ apiRouter.get('/', authenticateToken, async (req, res) => {
 
         let query = `
             SELECT id, service_url, main_keyword, cluster_keywords, status, 
-                   wp_post_url, feature_image, created_at, updated_at
+                   wp_post_url, feature_image, last_error, failed_step, scheduled_at, created_at, updated_at
             FROM content_queue 
             WHERE user_id = ?
         `;
@@ -1086,13 +968,75 @@ apiRouter.get('/', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Keyword cannibalization report for the whole queue (API)
+ * GET /api/content-queue/cannibalization?wordpress=true&status=pending,error
+ */
+apiRouter.get('/cannibalization', authenticateToken, async (req, res) => {
+    try {
+        const validStatuses = ['pending', 'processing', 'error'];
+        const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : ['pending', 'error'];
+        if (statuses.some(status => !validStatuses.includes(status))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid status. Must be: pending, processing, or error'
+            });
+        }
+
+        const report = await checkQueue(req.user.id, {
+            includeWordPress: req.query.wordpress === 'true',
+            statuses
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (err) {
+        console.error('Cannibalization report error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check the queue for cannibalization'
+        });
+    }
+});
+
+/**
+ * Keyword cannibalization check for one queue item (API)
+ * GET /api/content-queue/:id/cannibalization?wordpress=true
+ */
+apiRouter.get('/:id/cannibalization', authenticateToken, async (req, res) => {
+    try {
+        const report = await checkQueueItem(req.user.id, req.params.id, {
+            includeWordPress: req.query.wordpress === 'true'
+        });
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                error: 'Item not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (err) {
+        console.error('Cannibalization check error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check item for cannibalization'
+        });
+    }
+});
+
 /**
  * Add new item to content queue (API)
  * POST /api/content-queue
  */
 apiRouter.post('/', authenticateToken, async (req, res) => {
     try {
-        const { service_url, main_keyword, cluster_keywords } = req.body;
+        const { service_url, main_keyword, cluster_keywords, template_id } = req.body;
 
         if (!main_keyword || !main_keyword.trim()) {
             return res.status(400).json({
@@ -1101,16 +1045,26 @@ apiRouter.post('/', authenticateToken, async (req, res) => {
             });
         }
 
+        if (template_id && !(await isUserTemplate(req.user.id, template_id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
         const result = await db.prepare(`
-            INSERT INTO content_queue (user_id, service_url, main_keyword, cluster_keywords, status)
-            VALUES (?, ?, ?, ?, 'pending')
+            INSERT INTO content_queue (user_id, service_url, main_keyword, cluster_keywords, template_id, status)
+            VALUES (?, ?, ?, ?, ?, 'pending')
         `).run(
             req.user.id,
             service_url || null,
             main_keyword.trim(),
-            cluster_keywords || null
+            cluster_keywords || null,
+            template_id || null
         );
 
+        await scheduleNewItems(req.user.id);
+
         const item = await db.prepare('SELECT * FROM content_queue WHERE id = ?').get(result.lastInsertRowid);
 
         res.status(201).json({
@@ -1133,7 +1087,7 @@ apiRouter.post('/', authenticateToken, async (req, res) => {
  */
 apiRouter.put('/:id', authenticateToken, async (req, res) => {
     try {
-        const { service_url, main_keyword, cluster_keywords, status, wp_post_url, feature_image } = req.body;
+        const { service_url, main_keyword, cluster_keywords, template_id, status, wp_post_url, feature_image, scheduled_at, allow_cannibalization } = req.body;
         const itemId = req.params.id;
 
         // Check item exists and belongs to user
@@ -1155,11 +1109,26 @@ apiRouter.put('/:id', authenticateToken, async (req, res) => {
         if (main_keyword !== undefined) {
             updates.push('main_keyword = ?');
             values.push(main_keyword.trim());
+
+            // Saved pipeline progress belongs to the old keyword
+            if (main_keyword.trim() !== existing.main_keyword) {
+                updates.push('pipeline_state = NULL', 'last_error = NULL', 'failed_step = NULL', 'cannibalization = NULL');
+            }
         }
         if (cluster_keywords !== undefined) {
             updates.push('cluster_keywords = ?');
             values.push(cluster_keywords);
         }
+        if (template_id !== undefined) {
+            if (template_id && !(await isUserTemplate(req.user.id, template_id))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+            updates.push('template_id = ?');
+            values.push(template_id || null);
+        }
         if (status !== undefined) {
             const validStatuses = ['pending', 'processing', 'done', 'error'];
             if (!validStatuses.includes(status)) {
@@ -1179,6 +1148,23 @@ apiRouter.put('/:id', authenticateToken, async (req, res) => {
             updates.push('feature_image = ?');
             values.push(feature_image);
         }
+        if (scheduled_at !== undefined) {
+            const scheduledDate = scheduled_at ? new Date(scheduled_at) : null;
+            if (scheduledDate && isNaN(scheduledDate.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid scheduled_at date'
+                });
+            }
+            updates.push('scheduled_at = ?');
+            values.push(scheduledDate ? scheduledDate.toISOString() : null);
+        }
+
+        if (allow_cannibalization !== undefined) {
+            // Write the article even though it competes with an existing page
+            updates.push('allow_cannibalization = ?');
+            values.push(allow_cannibalization ? 1 : 0);
+        }
 
         if (updates.length === 0) {
             return res.status(400).json({
@@ -1265,95 +1251,25 @@ apiRouter.post('/:id/process', authenticateToken, requireCredits, async (req, re
             UPDATE content_queue SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ?
         `).run(itemId);
 
-        // Start processing (async)
+        // Hand off to the background worker
+        const job = await enqueueQueueItem(item, req.user.id);
+
         res.status(202).json({
             success: true,
             message: 'Processing started',
             data: {
                 itemId,
+                jobId: job.id,
                 status: 'processing',
                 keyword: item.main_keyword
             }
         });
-
-        // Continue processing in background
-        const agent = new SummonAgent(req.user.id);
-        await agent.initialize();
-
-        // Start content workflow
-        const result = await agent.startContentWorkflow(item.main_keyword);
-
-        if (!result.success) {
-            await db.prepare(`
-                UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-            `).run(itemId);
-            return;
-        }
-
-        // Generate the article
-        const generateResult = await agent.generateArticle(item.main_keyword);
-
-        if (!generateResult.success || !generateResult.data) {
-            await db.prepare(`
-                UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-            `).run(itemId);
-            return;
-        }
-
-        const article = generateResult.data;
-        let wpPostUrl = null;
-        let featureImage = null;
-
-        // Generate featured image if business profile has image settings
-        try {
-            const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
-            if (businessProfile && businessProfile.image_count > 0) {
-                const imageResult = await agent.generateFeaturedImage(item.main_keyword, article.title);
-                if (imageResult.success && imageResult.data) {
-                    featureImage = imageResult.data.url || null;
-                }
-            }
-        } catch (imageErr) {
-            console.error('Image generation error:', imageErr);
-        }
-
-        // Auto-publish if enabled
-        try {
-            const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
-            if (businessProfile?.auto_publish) {
-                const publishResult = await agent.publishToWordPress(article.id);
-                if (publishResult.success) {
-                    wpPostUrl = publishResult.data?.wpUrl || null;
-                }
-            }
-        } catch (publishErr) {
-            console.error('Auto-publish error:', publishErr);
-        }
-
-        // Update queue item as done
-        await db.prepare(`
-            UPDATE content_queue 
-            SET status = 'done', 
-                wp_post_url = ?, 
-                feature_image = ?,
-                updated_at = CURRENT_TIMESTAMP 
-            WHERE id = ?
-        `).run(wpPostUrl, featureImage, itemId);
-
-        // Deduct credit if not pro
-        if (req.user.tier !== 'pro') {
-            await db.prepare('UPDATE users SET credits_used = credits_used + 1 WHERE id = ?').run(req.user.id);
-        }
-
     } catch (err) {
         console.error('Process queue item error:', err);
-        try {
-            await db.prepare(`
-                UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-            `).run(req.params.id);
-        } catch (updateErr) {
-            console.error('Failed to update error status:', updateErr);
-        }
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start processing'
+        });
     }
 });
 
@@ -1393,11 +1309,14 @@ apiRouter.post('/process-all', authenticateToken, requireCredits, async (req, re
             });
         }
 
-        // Update all to processing
+        // Update all to processing and hand off to the background worker
+        const queued = [];
         for (const item of pendingItems) {
             await db.prepare(`
                 UPDATE content_queue SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ?
             `).run(item.id);
+            const job = await enqueueQueueItem(item, req.user.id);
+            queued.push({ id: item.id, keyword: item.main_keyword, jobId: job.id });
         }
 
         res.json({
@@ -1405,71 +1324,9 @@ apiRouter.post('/process-all', authenticateToken, requireCredits, async (req, re
             message: `Started processing ${pendingItems.length} items`,
             data: {
                 total: pendingItems.length,
-                items: pendingItems.map(i => ({ id: i.id, keyword: i.main_keyword }))
+                items: queued
             }
         });
-
-        // Process in background
-        const agent = new SummonAgent(req.user.id);
-        await agent.initialize();
-
-        for (const item of pendingItems) {
-            try {
-                // Generate article
-                const result = await agent.generateArticle(item.main_keyword);
-                
-                if (result.success && result.data) {
-                    const article = result.data;
-                    let wpPostUrl = null;
-                    let featureImage = null;
-
-                    // Try to generate image
-                    try {
-                        const imageResult = await agent.generateFeaturedImage(item.main_keyword, article.title);
-                        if (imageResult.success && imageResult.data) {
-                            featureImage = imageResult.data.url || null;
-                        }
-                    } catch (e) { /* ignore */ }
-
-                    // Try to publish if auto-publish enabled
-                    try {
-                        const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
-                        if (businessProfile?.auto_publish) {
-                            const publishResult = await agent.publishToWordPress(article.id);
-                            if (publishResult.success) {
-                                wpPostUrl = publishResult.data?.wpUrl || null;
-                            }
-                        }
-                    } catch (e) { /* ignore */ }
-
-                    // Mark as done
-                    await db.prepare(`
-                        UPDATE content_queue 
-                        SET status = 'done', wp_post_url = ?, feature_image = ?, updated_at = CURRENT_TIMESTAMP 
-                        WHERE id = ?
-                    `).run(wpPostUrl, featureImage, item.id);
-
-                    // Deduct credit
-                    if (user.tier !== 'pro') {
-                        await db.prepare('UPDATE users SET credits_used = credits_used + 1 WHERE id = ?').run(req.user.id);
-                    }
-                } else {
-                    await db.prepare(`
-                        UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                    `).run(item.id);
-                }
-
-                // Delay between items
-                await new Promise(r => setTimeout(r, 2000));
-
-            } catch (itemErr) {
-                console.error(`Error processing item ${item.id}:`, itemErr);
-                await db.prepare(`
-                    UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-                `).run(item.id);
-            }
-        }
-
     } catch (err) {
         console.error('Process all error:', err);
         res.status(500).json({
@@ -1545,6 +1402,8 @@ apiRouter.post('/import-xlsx', authenticateToken, upload.single('file'), async (
             }
         }
 
+        await scheduleNewItems(req.user.id);
+
         res.json({
             success: true,
             message: `Imported ${insertedItems.length} items successfully`,
@@ -0,0 +1,160 @@
+const express = require('express');
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const jobQueue = require('../services/jobQueue');
+const { JOB_TYPES } = require('../services/jobHandlers');
+
+const router = express.Router();
+
+const VALID_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Parse the JSON columns of a job row for API output
+function formatJob(job) {
+    return {
+        ...job,
+        payload: job.payload ? JSON.parse(job.payload) : null,
+        result: job.result ? JSON.parse(job.result) : null
+    };
+}
+
+// List background jobs for the user
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { status, type, entityType, entityId } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+
+        if (status && !VALID_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`
+            });
+        }
+
+        let where = 'WHERE user_id = ?';
+        const params = [req.user.id];
+
+        if (status) {
+            where += ' AND status = ?';
+            params.push(status);
+        }
+        if (type) {
+            where += ' AND type = ?';
+            params.push(type);
+        }
+        if (entityType && entityId) {
+            where += ' AND entity_type = ? AND entity_id = ?';
+            params.push(entityType, parseInt(entityId));
+        }
+
+        const jobs = await db.prepare(`
+            SELECT * FROM jobs ${where}
+            ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+
+        const { total } = await db.prepare(`SELECT COUNT(*) as total FROM jobs ${where}`).get(...params);
+
+        // Get status counts
+        const statusCounts = await db.prepare(`
+            SELECT status, COUNT(*) as count
+            FROM jobs
+            WHERE user_id = ?
+            GROUP BY status
+        `).all(req.user.id);
+
+        const counts = {
+            queued: 0,
+            running: 0,
+            completed: 0,
+            failed: 0
+        };
+
+        for (const row of statusCounts) {
+            counts[row.status] = parseInt(row.count);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                jobs: jobs.map(formatJob),
+                counts,
+                pagination: {
+                    total: parseInt(total),
+                    limit,
+                    offset,
+                    hasMore: offset + jobs.length < parseInt(total)
+                }
+            }
+        });
+    } catch (err) {
+        console.error('Get jobs error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get jobs'
+        });
+    }
+});
+
+// Get single job
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id, req.user.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { job: formatJob(job) }
+        });
+    } catch (err) {
+        console.error('Get job error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get job'
+        });
+    }
+});
+
+// Retry a failed job
+router.post('/:id/retry', authenticateToken, async (req, res) => {
+    try {
+        const job = await jobQueue.retryJob(req.params.id, req.user.id);
+
+        if (!job) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only failed jobs can be retried'
+            });
+        }
+
+        // Put the entity back into its in-progress state while the job waits
+        if (job.entity_type === 'content_queue') {
+            await db.prepare(`
+                UPDATE content_queue SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?
+            `).run(job.entity_id, req.user.id);
+        } else if (job.type === JOB_TYPES.GENERATE_ARTICLE) {
+            await db.prepare(`
+                UPDATE articles SET status = 'generating', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?
+            `).run(job.entity_id, req.user.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Job queued for retry',
+            data: { job: formatJob(job) }
+        });
+    } catch (err) {
+        console.error('Retry job error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry job'
+        });
+    }
+});
+
+module.exports = router;
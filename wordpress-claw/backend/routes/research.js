@@ -0,0 +1,41 @@
+const express = require('express');
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const { getUsageStatus, getCacheStats } = require('../services/researchCache');
+const { resolveSearchProvider, resolveSearchLocale } = require('../services/searchProviders');
+
+const router = express.Router();
+
+const DEFAULT_STATS_DAYS = 7;
+const MAX_STATS_DAYS = 90;
+
+// Search provider and locale in use, quota left today and cache hit rates
+router.get('/usage', authenticateToken, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || DEFAULT_STATS_DAYS, 1), MAX_STATS_DAYS);
+        const profile = await db.prepare('SELECT location, search_provider FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        const provider = resolveSearchProvider(profile);
+
+        res.json({
+            success: true,
+            data: {
+                provider: {
+                    name: provider.name,
+                    configured: provider.isConfigured(),
+                    // Without a configured provider research runs on mock results
+                    locale: resolveSearchLocale({ businessProfile: profile })
+                },
+                quota: await getUsageStatus(req.user.id),
+                cache: await getCacheStats(req.user.id, { days })
+            }
+        });
+    } catch (err) {
+        console.error('Get research usage error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get research usage'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    getCadence,
+    normalizeCadence,
+    resolveTimezone,
+    getNextSlots,
+    assignQueueSlots,
+    toDateKey
+} = require('../services/scheduling');
+const { parseDbDate } = require('../services/dates');
+
+const router = express.Router();
+
+const DEFAULT_CALENDAR_DAYS = 30;
+const MAX_CALENDAR_DAYS = 366;
+
+// Get publishing cadence with a preview of the next slots
+router.get('/cadence', authenticateToken, async (req, res) => {
+    try {
+        const cadence = await getCadence(req.user.id);
+        const timezone = await resolveTimezone(req.user.id, cadence);
+        const nextSlots = cadence?.enabled ? await getNextSlots(req.user.id, 5, { cadence }) : [];
+
+        res.json({
+            success: true,
+            data: {
+                configured: !!cadence,
+                cadence: cadence ? {
+                    enabled: cadence.enabled,
+                    days: cadence.days,
+                    publishTime: cadence.publish_time,
+                    timezone: cadence.timezone
+                } : null,
+                effectiveTimezone: timezone,
+                nextSlots: nextSlots.map(slot => slot.toISOString())
+            }
+        });
+    } catch (err) {
+        console.error('Get cadence error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get publishing cadence'
+        });
+    }
+});
+
+// Create or update publishing cadence
+router.put('/cadence', authenticateToken, async (req, res) => {
+    try {
+        const { enabled = true, days, publishTime, timezone } = req.body;
+
+        const cadence = normalizeCadence({ days, publishTime, timezone });
+        if (cadence.error) {
+            return res.status(400).json({
+                success: false,
+                error: cadence.error
+            });
+        }
+
+        const existing = await db.prepare('SELECT id FROM publishing_schedules WHERE user_id = ?').get(req.user.id);
+
+        if (existing) {
+            await db.prepare(`
+                UPDATE publishing_schedules
+                SET enabled = ?, days = ?, publish_time = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = ?
+            `).run(enabled ? 1 : 0, cadence.days.join(','), cadence.publishTime, cadence.timezone, req.user.id);
+        } else {
+            await db.prepare(`
+                INSERT INTO publishing_schedules (user_id, enabled, days, publish_time, timezone)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(req.user.id, enabled ? 1 : 0, cadence.days.join(','), cadence.publishTime, cadence.timezone);
+        }
+
+        // Slot any pending queue items that don't have one yet
+        const { assigned } = await assignQueueSlots(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Publishing cadence saved',
+            data: {
+                cadence: {
+                    enabled: !!enabled,
+                    days: cadence.days,
+                    publishTime: cadence.publishTime,
+                    timezone: cadence.timezone
+                },
+                assigned
+            }
+        });
+    } catch (err) {
+        console.error('Update cadence error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save publishing cadence'
+        });
+    }
+});
+
+// Assign slots to pending queue items that don't have one
+router.post('/assign', authenticateToken, async (req, res) => {
+    try {
+        const cadence = await getCadence(req.user.id);
+        if (!cadence || !cadence.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'No active publishing cadence. Set one up first.'
+            });
+        }
+
+        const { assigned } = await assignQueueSlots(req.user.id);
+
+        res.json({
+            success: true,
+            message: `Scheduled ${assigned} queue item(s)`,
+            data: { assigned }
+        });
+    } catch (err) {
+        console.error('Assign slots error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to assign publishing slots'
+        });
+    }
+});
+
+// Publish calendar: scheduled and published items grouped by date
+router.get('/calendar', authenticateToken, async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : startOfToday();
+        const to = req.query.to
+            ? new Date(req.query.to)
+            : new Date(from.getTime() + DEFAULT_CALENDAR_DAYS * 24 * 60 * 60 * 1000);
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date range'
+            });
+        }
+
+        if (to - from > MAX_CALENDAR_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                success: false,
+                error: `Date range cannot exceed ${MAX_CALENDAR_DAYS} days`
+            });
+        }
+
+        const cadence = await getCadence(req.user.id);
+        const timezone = await resolveTimezone(req.user.id, cadence);
+        const now = new Date();
+        const entries = [];
+
+        const articles = await db.prepare(`
+            SELECT id, title, keyword, status, wp_status, wp_url, scheduled_at, published_at
+            FROM articles
+            WHERE user_id = ? AND status != 'failed' AND (scheduled_at IS NOT NULL OR published_at IS NOT NULL)
+        `).all(req.user.id);
+
+        for (const article of articles) {
+            const scheduledAt = parseDbDate(article.scheduled_at);
+            const publishedAt = parseDbDate(article.published_at);
+            let status;
+
+            if (article.status === 'published') {
+                status = article.wp_status === 'future' && scheduledAt > now ? 'scheduled' : 'published';
+            } else {
+                status = 'awaiting_publish';
+            }
+
+            // Posts still waiting for their slot sit at the slot; live posts at when they went
+            // out, since a slot set after publishing doesn't move a live post
+            const at = status === 'published' ? (publishedAt || scheduledAt) : (scheduledAt || publishedAt);
+
+            entries.push({
+                type: 'article',
+                id: article.id,
+                title: article.title,
+                keyword: article.keyword,
+                status,
+                at,
+                wpUrl: article.wp_url
+            });
+        }
+
+        const queueItems = await db.prepare(`
+            SELECT id, main_keyword, status, scheduled_at
+            FROM content_queue
+            WHERE user_id = ? AND status != 'done' AND scheduled_at IS NOT NULL
+        `).all(req.user.id);
+
+        for (const item of queueItems) {
+            entries.push({
+                type: 'queue_item',
+                id: item.id,
+                title: item.main_keyword,
+                keyword: item.main_keyword,
+                status: item.status,
+                at: parseDbDate(item.scheduled_at),
+                wpUrl: null
+            });
+        }
+
+        // Group by day in the schedule timezone
+        const days = {};
+        for (const entry of entries) {
+            if (!entry.at || entry.at < from || entry.at > to) continue;
+
+            const date = toDateKey(entry.at, timezone);
+            if (!days[date]) days[date] = [];
+            days[date].push({ ...entry, at: entry.at.toISOString() });
+        }
+
+        const calendar = Object.keys(days).sort().map(date => ({
+            date,
+            items: days[date].sort((a, b) => a.at.localeCompare(b.at))
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                from: from.toISOString(),
+                to: to.toISOString(),
+                timezone,
+                calendar
+            }
+        });
+    } catch (err) {
+        console.error('Get calendar error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get publish calendar'
+        });
+    }
+});
+
+function startOfToday() {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    return today;
+}
+
+module.exports = router;
@@ -0,0 +1,345 @@
+const express = require('express');
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    TEMPLATE_TYPES,
+    BUILTIN_TEMPLATES,
+    TEMPLATE_VARIABLES,
+    SECTION_VARIABLES,
+    interpolate,
+    extractVariables,
+    buildTemplateVariables
+} = require('../services/templates');
+
+const router = express.Router();
+
+const MAX_TEMPLATE_LENGTH = 20000;
+
+function formatTemplate(template) {
+    let variables = [];
+    try {
+        variables = JSON.parse(template.variables || '[]');
+    } catch {
+        variables = extractVariables(template.content);
+    }
+
+    return {
+        ...template,
+        is_default: !!template.is_default,
+        variables
+    };
+}
+
+// Variables a template uses that generation never sets
+function unknownVariables(content, templateType) {
+    const known = templateType === 'section'
+        ? { ...TEMPLATE_VARIABLES, ...SECTION_VARIABLES }
+        : TEMPLATE_VARIABLES;
+    return extractVariables(content).filter(name => !known[name.split('.')[0]]);
+}
+
+function validateTemplate({ name, templateType, content }) {
+    if (name !== undefined && (!name || !String(name).trim())) {
+        return 'Template name is required';
+    }
+    if (templateType !== undefined && !TEMPLATE_TYPES.includes(templateType)) {
+        return `Invalid template type. Must be one of: ${TEMPLATE_TYPES.join(', ')}`;
+    }
+    if (content !== undefined) {
+        if (!content || !String(content).trim()) {
+            return 'Template content is required';
+        }
+        if (String(content).length > MAX_TEMPLATE_LENGTH) {
+            return `Template content must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+        }
+    }
+    return null;
+}
+
+// Only one default template per type
+async function clearDefault(userId, templateType, exceptId = null) {
+    await db.prepare(`
+        UPDATE content_templates SET is_default = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND template_type = ? AND id != ?
+    `).run(0, userId, templateType, exceptId || 0);
+}
+
+// List the user's templates and the built-in defaults
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { type } = req.query;
+
+        let query = 'SELECT * FROM content_templates WHERE user_id = ?';
+        const params = [req.user.id];
+        if (type) {
+            query += ' AND template_type = ?';
+            params.push(type);
+        }
+        query += ' ORDER BY template_type, name';
+
+        const templates = await db.prepare(query).all(...params);
+
+        res.json({
+            success: true,
+            data: {
+                templates: templates.map(formatTemplate),
+                builtin: TEMPLATE_TYPES.map(templateType => ({
+                    template_type: templateType,
+                    content: BUILTIN_TEMPLATES[templateType],
+                    variables: extractVariables(BUILTIN_TEMPLATES[templateType])
+                }))
+            }
+        });
+    } catch (err) {
+        console.error('Get templates error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get templates'
+        });
+    }
+});
+
+// Variables templates can use
+router.get('/variables', authenticateToken, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            variables: TEMPLATE_VARIABLES,
+            sectionVariables: SECTION_VARIABLES
+        }
+    });
+});
+
+// Render a template (or saved template) with the user's business profile and a sample keyword
+router.post('/preview', authenticateToken, async (req, res) => {
+    try {
+        const { templateId, keyword = 'example keyword', clusterKeywords, serviceUrl } = req.body;
+        let { content, templateType = 'article' } = req.body;
+
+        if (templateId) {
+            const template = await db.prepare('SELECT * FROM content_templates WHERE id = ? AND user_id = ?')
+                .get(templateId, req.user.id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+            content = template.content;
+            templateType = template.template_type;
+        }
+
+        const error = validateTemplate({ templateType, content: content ?? BUILTIN_TEMPLATES[templateType] });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(req.user.id);
+        const variables = buildTemplateVariables({ keyword, businessProfile, clusterKeywords, serviceUrl });
+        const template = content ?? BUILTIN_TEMPLATES[templateType];
+
+        res.json({
+            success: true,
+            data: {
+                rendered: interpolate(template, variables),
+                variables,
+                unknownVariables: unknownVariables(template, templateType)
+            }
+        });
+    } catch (err) {
+        console.error('Preview template error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview template'
+        });
+    }
+});
+
+// Get a single template
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const template = await db.prepare('SELECT * FROM content_templates WHERE id = ? AND user_id = ?')
+            .get(req.params.id, req.user.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { template: formatTemplate(template) }
+        });
+    } catch (err) {
+        console.error('Get template error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get template'
+        });
+    }
+});
+
+// Create a template
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { name, description, templateType = 'article', content, isDefault = false } = req.body;
+
+        const error = validateTemplate({ name: name ?? '', templateType, content: content ?? '' });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const result = await db.prepare(`
+            INSERT INTO content_templates (user_id, name, description, template_type, content, variables, is_default)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            req.user.id,
+            name.trim(),
+            description || null,
+            templateType,
+            content,
+            JSON.stringify(extractVariables(content)),
+            isDefault ? 1 : 0
+        );
+
+        if (isDefault) {
+            await clearDefault(req.user.id, templateType, result.lastInsertRowid);
+        }
+
+        const template = await db.prepare('SELECT * FROM content_templates WHERE id = ?').get(result.lastInsertRowid);
+
+        res.status(201).json({
+            success: true,
+            message: 'Template created',
+            data: {
+                template: formatTemplate(template),
+                unknownVariables: unknownVariables(content, templateType)
+            }
+        });
+    } catch (err) {
+        console.error('Create template error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create template'
+        });
+    }
+});
+
+// Update a template
+router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+        const { name, description, templateType, content, isDefault } = req.body;
+
+        const existing = await db.prepare('SELECT * FROM content_templates WHERE id = ? AND user_id = ?')
+            .get(req.params.id, req.user.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        const error = validateTemplate({ name, templateType, content });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const updates = [];
+        const values = [];
+
+        if (name !== undefined) {
+            updates.push('name = ?');
+            values.push(name.trim());
+        }
+        if (description !== undefined) {
+            updates.push('description = ?');
+            values.push(description || null);
+        }
+        if (templateType !== undefined) {
+            updates.push('template_type = ?');
+            values.push(templateType);
+        }
+        if (content !== undefined) {
+            updates.push('content = ?', 'variables = ?');
+            values.push(content, JSON.stringify(extractVariables(content)));
+        }
+        if (isDefault !== undefined) {
+            updates.push('is_default = ?');
+            values.push(isDefault ? 1 : 0);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No fields to update'
+            });
+        }
+
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(existing.id);
+
+        await db.prepare(`UPDATE content_templates SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+
+        const template = await db.prepare('SELECT * FROM content_templates WHERE id = ?').get(existing.id);
+        if (template.is_default) {
+            await clearDefault(req.user.id, template.template_type, template.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Template updated',
+            data: {
+                template: formatTemplate(template),
+                unknownVariables: unknownVariables(template.content, template.template_type)
+            }
+        });
+    } catch (err) {
+        console.error('Update template error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update template'
+        });
+    }
+});
+
+// Delete a template. Queue items using it fall back to the defaults.
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const template = await db.prepare('SELECT id FROM content_templates WHERE id = ? AND user_id = ?')
+            .get(req.params.id, req.user.id);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        await db.prepare('UPDATE content_queue SET template_id = NULL WHERE template_id = ? AND user_id = ?')
+            .run(template.id, req.user.id);
+        await db.prepare('DELETE FROM content_templates WHERE id = ?').run(template.id);
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (err) {
+        console.error('Delete template error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete template'
+        });
+    }
+});
+
+module.exports = router;
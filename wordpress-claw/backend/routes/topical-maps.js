@@ -0,0 +1,220 @@
+const express = require('express');
+const db = require('../database/db');
+const { authenticateToken } = require('../middleware/auth');
+const { enqueueTopicalMapBuild } = require('../services/jobHandlers');
+const { normalizeOptions, parseKeywordList, queueTopicalMap } = require('../services/keywordClustering');
+
+const router = express.Router();
+
+function formatMap(map) {
+    const parse = (value, fallback) => {
+        try {
+            return value ? JSON.parse(value) : fallback;
+        } catch {
+            return fallback;
+        }
+    };
+
+    return {
+        ...map,
+        keywords: parse(map.keywords, []),
+        options: parse(map.options, {}),
+        data: parse(map.data, null)
+    };
+}
+
+// List the user's topical maps
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const maps = await db.prepare(`
+            SELECT id, name, keywords, status, error, data, queued_at, created_at, updated_at
+            FROM topical_maps WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+        `).all(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                maps: maps.map(formatMap).map(({ keywords, options, data, ...map }) => ({
+                    ...map,
+                    keywordCount: keywords.length,
+                    clusterCount: data ? data.clusters.length : null,
+                    topicCount: data ? data.topics.length : null
+                }))
+            }
+        });
+    } catch (err) {
+        console.error('Get topical maps error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get topical maps'
+        });
+    }
+});
+
+// Cluster a keyword list into a topical map in the background. Poll GET /:id until
+// status is ready. Searches each keyword unless useSerp is false.
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { keywords: input, name, serpOverlap, semanticThreshold, maxClusterSize, useSerp } = req.body;
+
+        const { keywords, error } = parseKeywordList(input);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const { options, error: optionsError } = normalizeOptions({ serpOverlap, semanticThreshold, maxClusterSize, useSerp });
+        if (optionsError) {
+            return res.status(400).json({
+                success: false,
+                error: optionsError
+            });
+        }
+
+        const result = await db.prepare(`
+            INSERT INTO topical_maps (user_id, name, keywords, options, status)
+            VALUES (?, ?, ?, ?, 'building')
+        `).run(
+            req.user.id,
+            name && String(name).trim() ? String(name).trim() : `${keywords[0]} (${keywords.length} keywords)`,
+            JSON.stringify(keywords),
+            JSON.stringify(options)
+        );
+
+        const job = await enqueueTopicalMapBuild({ mapId: result.lastInsertRowid, userId: req.user.id });
+        const map = await db.prepare('SELECT * FROM topical_maps WHERE id = ?').get(result.lastInsertRowid);
+
+        res.status(202).json({
+            success: true,
+            message: `Clustering ${keywords.length} keywords`,
+            data: {
+                map: formatMap(map),
+                jobId: job.id
+            }
+        });
+    } catch (err) {
+        console.error('Create topical map error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create topical map'
+        });
+    }
+});
+
+// Get a topical map: clusters (pillar keyword, cluster keywords, topic and role),
+// topics and the links between their articles
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const map = await db.prepare('SELECT * FROM topical_maps WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!map) {
+            return res.status(404).json({
+                success: false,
+                error: 'Topical map not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { map: formatMap(map) }
+        });
+    } catch (err) {
+        console.error('Get topical map error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get topical map'
+        });
+    }
+});
+
+// Add the map's clusters (all, or clusterIds) to the content queue, pillar pages first
+router.post('/:id/queue', authenticateToken, async (req, res) => {
+    try {
+        const { clusterIds, serviceUrl, templateId } = req.body;
+
+        const map = await db.prepare('SELECT * FROM topical_maps WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+        if (!map) {
+            return res.status(404).json({
+                success: false,
+                error: 'Topical map not found'
+            });
+        }
+
+        if (map.status !== 'ready') {
+            return res.status(400).json({
+                success: false,
+                error: map.status === 'building' ? 'Topical map is still being built' : 'Topical map failed to build'
+            });
+        }
+
+        if (clusterIds !== undefined && (!Array.isArray(clusterIds) || clusterIds.some(id => !Number.isInteger(id)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'clusterIds must be an array of cluster ids'
+            });
+        }
+
+        if (templateId) {
+            const template = await db.prepare('SELECT id FROM content_templates WHERE id = ? AND user_id = ?').get(templateId, req.user.id);
+            if (!template) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+        }
+
+        const data = JSON.parse(map.data);
+        const { queued, skipped } = await queueTopicalMap(req.user.id, data, {
+            clusterIds: clusterIds || null,
+            serviceUrl: serviceUrl || null,
+            templateId: templateId || null
+        });
+
+        if (queued.length > 0) {
+            await db.prepare(`
+                UPDATE topical_maps SET data = ?, queued_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(JSON.stringify(data), map.id);
+        }
+
+        res.status(queued.length > 0 ? 201 : 200).json({
+            success: true,
+            message: `${queued.length} article${queued.length === 1 ? '' : 's'} added to the content queue`,
+            data: { queued, skipped }
+        });
+    } catch (err) {
+        console.error('Queue topical map error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to queue topical map'
+        });
+    }
+});
+
+// Delete a topical map (queued items stay in the content queue)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await db.prepare('DELETE FROM topical_maps WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Topical map not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Topical map deleted'
+        });
+    } catch (err) {
+        console.error('Delete topical map error:', err);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete topical map'
+        });
+    }
+});
+
+module.exports = router;
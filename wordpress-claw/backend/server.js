@@ -19,6 +19,15 @@ const clawbotRoutes = require('./routes/clawbot');
 const contentQueueRoutes = require('./routes/content-queue');
 const googleSheetsMatonRoutes = require('./routes/google-sheets-maton');
 const googleSheetsRoutes = require('./routes/google-sheets');
+const jobsRoutes = require('./routes/jobs');
+const scheduleRoutes = require('./routes/schedule');
+const templatesRoutes = require('./routes/templates');
+const researchRoutes = require('./routes/research');
+const topicalMapsRoutes = require('./routes/topical-maps');
+
+// Background job worker (handlers register themselves on load)
+const jobQueue = require('./services/jobQueue');
+require('./services/jobHandlers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -106,6 +115,11 @@ app.use('/api/business-profile', businessProfileRoutes);
 app.use('/api/connections', connectionsRoutes);
 app.use('/api/articles', articlesRoutes);
 app.use('/api/clawbot', clawbotRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/templates', templatesRoutes);
+app.use('/api/research', researchRoutes);
+app.use('/api/topical-maps', topicalMapsRoutes);
 app.use('/api/sheets', googleSheetsRoutes);  // New working Google Sheets routes
 app.use('/api/sheets-maton', googleSheetsMatonRoutes);  // Keep old Maton routes for now
 // Content queue API routes are mounted below the form routes
@@ -172,6 +186,11 @@ app.listen(PORT, () => {
 ║                                                        ║
 ╚════════════════════════════════════════════════════════╝
     `);
+
+    // Start processing background jobs (set JOB_WORKER_ENABLED=false to run web-only)
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+        jobQueue.start();
+    }
 });
 
 module.exports = app;
\ No newline at end of file
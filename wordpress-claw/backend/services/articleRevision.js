@@ -0,0 +1,279 @@
+const db = require('../database/db');
+const { reviseContent, generateImprovementSuggestions } = require('./contentGeneration');
+const { formatGenerationParams } = require('./llmProviders');
+const { analyzeArticle, getMinSeoScore, getScoringOptions, scoreArticle } = require('./seoAnalyzer');
+const { analyzeCoverage } = require('./keywordCoverage');
+const { recordRevision } = require('./revisionHistory');
+
+/**
+ * Revise-until-passing loop
+ * A draft is reviewed (on-page SEO checks, cluster keyword and service link coverage,
+ * and editor suggestions from the LLM), rewritten with that feedback and reviewed again
+ * until it meets the thresholds or runs out of rounds. Every draft is kept in article_drafts
+ * and the best-scoring one becomes the article.
+ */
+
+// Rewrite rounds after generation (0 turns the automatic pass off)
+const REVISION_MAX_ROUNDS = process.env.REVISION_MAX_ROUNDS !== undefined
+    ? Math.max(0, parseInt(process.env.REVISION_MAX_ROUNDS) || 0)
+    : 2;
+
+// Upper bound for rounds requested through the API
+const MAX_REVISION_ROUNDS = 5;
+
+// SEO score a draft needs to stop revising (the profile's auto-publish minimum if that is higher)
+const REVISION_TARGET_SCORE = parseInt(process.env.REVISION_TARGET_SCORE) || 80;
+
+// Checks that must not fail whatever the score
+const REQUIRED_CHECKS = ['keyword_in_title', 'keyword_in_intro', 'word_count'];
+
+/**
+ * Review a draft against the thresholds. `issues` are the instructions for the next rewrite.
+ */
+function reviewDraft(draft, { keyword, targetWordCount, siteUrl, clusterKeywords, serviceUrl, targetScore }) {
+    const analysis = analyzeArticle({
+        title: draft.title,
+        content: draft.content,
+        keyword,
+        focus_keyword: draft.focusKeyword || keyword,
+        meta_title: draft.metaTitle,
+        meta_description: draft.metaDescription
+    }, { targetWordCount, siteUrl });
+
+    const coverage = clusterKeywords || serviceUrl
+        ? analyzeCoverage({ content: draft.content, clusterKeywords, serviceUrl, keyword })
+        : null;
+
+    // The rewrite can't add images, only alt text to the ones it has
+    const issues = analysis.checks
+        .filter(check => check.status !== 'pass')
+        .filter(check => check.id !== 'image_alt' || analysis.stats.images > 0)
+        .map(check => `${check.label}: ${check.message}`);
+
+    if (coverage?.keywords.missing.length > 0) {
+        issues.push(`Required keywords: use each of these at least once - ${coverage.keywords.missing.join(', ')}`);
+    }
+    if (coverage?.serviceLink && !(coverage.serviceLink.contextual && coverage.serviceLink.inCta)) {
+        issues.push(`Service page: link ${coverage.serviceLink.url} once in the body and again in the closing call-to-action`);
+    }
+
+    const failedRequired = analysis.checks.filter(check => REQUIRED_CHECKS.includes(check.id) && check.status === 'fail');
+    const passed = analysis.score >= targetScore
+        && failedRequired.length === 0
+        && (!coverage || (coverage.keywords.missing.length === 0 && (!coverage.serviceLink || coverage.serviceLink.linked)));
+
+    return { analysis, coverage, issues, passed };
+}
+
+/**
+ * Run the loop on a draft (generated content format). Round 0 is the draft itself.
+ * A failed rewrite ends the loop early; the drafts so far are still returned.
+ */
+async function reviseDraft({
+    draft,
+    keyword,
+    businessProfile,
+    userId,
+    templateId = null,
+    clusterKeywords = null,
+    serviceUrl = null,
+    targetWordCount = null,
+    siteUrl = null,
+    maxRounds = REVISION_MAX_ROUNDS,
+    targetScore = REVISION_TARGET_SCORE,
+    calls = []
+}) {
+    const context = { keyword, targetWordCount, siteUrl, clusterKeywords, serviceUrl, targetScore };
+    const drafts = [];
+    let current = draft;
+    let error = null;
+
+    for (let round = 0; ; round++) {
+        const review = reviewDraft(current, context);
+        const entry = {
+            round,
+            draft: current,
+            score: review.analysis.score,
+            passed: review.passed,
+            issues: review.issues,
+            coverage: review.coverage,
+            suggestions: null
+        };
+        drafts.push(entry);
+
+        if (review.passed || round >= maxRounds) break;
+
+        entry.suggestions = await generateImprovementSuggestions(current.content, keyword, businessProfile, calls);
+
+        try {
+            current = await reviseContent({
+                draft: current,
+                keyword,
+                businessProfile,
+                userId,
+                templateId,
+                clusterKeywords,
+                serviceUrl,
+                wordCount: targetWordCount,
+                feedback: { issues: review.issues, suggestions: entry.suggestions },
+                calls
+            });
+        } catch (err) {
+            console.error(`Revision round ${round + 1} failed:`, err.message);
+            error = err.message;
+            break;
+        }
+    }
+
+    // Later drafts win ties: they were written to fix the earlier ones' issues
+    const best = drafts.reduce((top, entry) => (entry.score >= top.score ? entry : top));
+
+    return { drafts, best, passed: best.passed, rounds: drafts.length - 1, error };
+}
+
+/**
+ * Revise a saved article: run the loop, keep every draft in article_drafts and save the best one.
+ * The article is left alone if it was edited while the loop was running.
+ * Runs at least one round when asked directly, even if the automatic pass is off.
+ */
+async function improveArticle(articleId, { maxRounds = Math.max(REVISION_MAX_ROUNDS, 1), targetScore = null } = {}) {
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    const keyword = article.focus_keyword || article.keyword;
+    if (!keyword || !article.content) {
+        throw new Error('The article needs content and a keyword to be revised');
+    }
+
+    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(article.user_id);
+    const { targetWordCount, siteUrl } = await getScoringOptions(article);
+
+    let generationParams = null;
+    try {
+        generationParams = JSON.parse(article.generation_params || 'null');
+    } catch {
+        generationParams = null;
+    }
+
+    const sources = generationParams?.templates || {};
+    const target = targetScore ?? Math.max(REVISION_TARGET_SCORE, getMinSeoScore(businessProfile));
+    const calls = [];
+
+    const result = await reviseDraft({
+        draft: {
+            title: article.title,
+            content: article.content,
+            excerpt: article.excerpt,
+            metaTitle: article.meta_title,
+            metaDescription: article.meta_description,
+            focusKeyword: keyword
+        },
+        keyword,
+        businessProfile,
+        userId: article.user_id,
+        templateId: [sources.article, sources.prompt].find(id => typeof id === 'number') || null,
+        clusterKeywords: generationParams?.clusterKeywords || null,
+        serviceUrl: generationParams?.serviceUrl || null,
+        targetWordCount,
+        siteUrl,
+        maxRounds: Math.min(maxRounds, MAX_REVISION_ROUNDS),
+        targetScore: target,
+        calls
+    });
+
+    const last = await db.prepare('SELECT MAX(run) AS run FROM article_drafts WHERE article_id = ?').get(articleId);
+    const run = (last?.run || 0) + 1;
+
+    for (const entry of result.drafts) {
+        await db.prepare(`
+            INSERT INTO article_drafts
+            (article_id, user_id, run, round, title, content, excerpt, meta_title, meta_description, seo_score, issues, suggestions)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            articleId,
+            article.user_id,
+            run,
+            entry.round,
+            entry.draft.title,
+            entry.draft.content,
+            entry.draft.excerpt || null,
+            entry.draft.metaTitle || null,
+            entry.draft.metaDescription || null,
+            entry.score,
+            JSON.stringify(entry.issues),
+            entry.suggestions
+        );
+    }
+
+    // Only written over the title and content that were revised, so edits made meanwhile are kept
+    let applied = false;
+    let editedMeanwhile = false;
+    if (result.best.round > 0) {
+        const best = result.best.draft;
+        const update = await db.prepare(`
+            UPDATE articles
+            SET title = ?, content = ?, excerpt = ?, meta_title = ?, meta_description = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND title = ? AND content = ?
+        `).run(
+            best.title,
+            best.content,
+            best.excerpt || article.excerpt,
+            best.metaTitle || article.meta_title,
+            best.metaDescription || article.meta_description,
+            articleId,
+            article.title,
+            article.content
+        );
+        applied = update.changes === 1;
+        editedMeanwhile = !applied;
+    }
+
+    if (applied) {
+        try {
+            await recordRevision(articleId, 'ai_revision', { previous: article });
+        } catch (err) {
+            console.error('Revision history error:', err);
+        }
+    }
+
+    const revision = {
+        run,
+        rounds: result.rounds,
+        passed: result.passed,
+        targetScore: target,
+        startScore: result.drafts[0].score,
+        bestScore: result.best.score,
+        bestRound: result.best.round,
+        applied,
+        error: result.error || undefined
+    };
+
+    // Generated articles keep the revision summary and its token usage with their generation params
+    if (generationParams) {
+        await db.prepare('UPDATE articles SET generation_params = ? WHERE id = ?').run(
+            formatGenerationParams({
+                ...generationParams,
+                revision,
+                calls: [...(generationParams.calls || []), ...calls]
+            }),
+            articleId
+        );
+    }
+
+    const seo = await scoreArticle(articleId);
+
+    return {
+        ...revision,
+        seoScore: seo?.score ?? null,
+        skippedReason: editedMeanwhile ? 'The article was edited during revision' : undefined,
+        drafts: result.drafts.map(entry => ({ round: entry.round, score: entry.score, passed: entry.passed, issues: entry.issues.length }))
+    };
+}
+
+module.exports = {
+    REVISION_MAX_ROUNDS,
+    REVISION_TARGET_SCORE,
+    reviewDraft,
+    reviseDraft,
+    improveArticle
+};
@@ -0,0 +1,355 @@
+/**
+ * JSON output contracts for article generation.
+ * The model is asked for an object matching ARTICLE_OUTPUT_SCHEMA (single call) or
+ * OUTLINE_OUTPUT_SCHEMA + ARTICLE_META_SCHEMA (section-by-section long form), which is
+ * validated here and converted to the same shape the legacy text parser returns.
+ */
+
+const ARTICLE_OUTPUT_SCHEMA = {
+    type: 'object',
+    required: ['title', 'metaTitle', 'metaDescription', 'excerpt', 'tags', 'focusKeyword', 'sections', 'faq'],
+    properties: {
+        title: { type: 'string', maxLength: 70 },
+        metaTitle: { type: 'string', maxLength: 70 },
+        metaDescription: { type: 'string', maxLength: 170 },
+        excerpt: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        focusKeyword: { type: 'string' },
+        secondaryKeywords: { type: 'array', items: { type: 'string' } },
+        sections: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['heading', 'body'],
+                properties: {
+                    heading: { type: 'string', description: 'H2 heading. Leave empty for the introduction.' },
+                    body: { type: 'string', description: 'Markdown. Use ### for sub-headings.' }
+                }
+            }
+        },
+        faq: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['question', 'answer'],
+                properties: {
+                    question: { type: 'string' },
+                    answer: { type: 'string' }
+                }
+            }
+        },
+        imageAltSuggestions: { type: 'array', items: { type: 'string' } },
+        internalLinkSuggestions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['anchorText', 'topic'],
+                properties: {
+                    anchorText: { type: 'string' },
+                    topic: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const OUTLINE_OUTPUT_SCHEMA = {
+    type: 'object',
+    required: ['title', 'sections'],
+    properties: {
+        title: { type: 'string', maxLength: 70 },
+        sections: {
+            type: 'array',
+            minItems: 2,
+            items: {
+                type: 'object',
+                required: ['heading', 'points', 'targetWords'],
+                properties: {
+                    heading: { type: 'string', description: 'H2 heading. Leave empty for the introduction.' },
+                    points: { type: 'array', items: { type: 'string' }, description: 'What the section must cover' },
+                    targetWords: { type: 'number', minimum: 50 },
+                    keywords: { type: 'array', items: { type: 'string' }, description: 'Secondary keywords this section must use' }
+                }
+            }
+        },
+        faqQuestions: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// Everything except the body, generated once the sections are written
+const ARTICLE_META_SCHEMA = {
+    type: 'object',
+    required: ['metaTitle', 'metaDescription', 'excerpt', 'tags', 'focusKeyword', 'faq'],
+    properties: {
+        metaTitle: ARTICLE_OUTPUT_SCHEMA.properties.metaTitle,
+        metaDescription: ARTICLE_OUTPUT_SCHEMA.properties.metaDescription,
+        excerpt: ARTICLE_OUTPUT_SCHEMA.properties.excerpt,
+        tags: ARTICLE_OUTPUT_SCHEMA.properties.tags,
+        focusKeyword: ARTICLE_OUTPUT_SCHEMA.properties.focusKeyword,
+        secondaryKeywords: ARTICLE_OUTPUT_SCHEMA.properties.secondaryKeywords,
+        faq: ARTICLE_OUTPUT_SCHEMA.properties.faq,
+        imageAltSuggestions: ARTICLE_OUTPUT_SCHEMA.properties.imageAltSuggestions,
+        internalLinkSuggestions: ARTICLE_OUTPUT_SCHEMA.properties.internalLinkSuggestions
+    }
+};
+
+// Title and meta fields of a long article revised section by section (see reviseContent)
+const REVISION_META_SCHEMA = {
+    type: 'object',
+    required: ['title', 'metaTitle', 'metaDescription'],
+    properties: {
+        title: ARTICLE_OUTPUT_SCHEMA.properties.title,
+        metaTitle: ARTICLE_OUTPUT_SCHEMA.properties.metaTitle,
+        metaDescription: ARTICLE_OUTPUT_SCHEMA.properties.metaDescription
+    }
+};
+
+// Prompts, alt text and captions for the in-body images of an article (see services/sectionImages.js)
+const SECTION_IMAGES_SCHEMA = {
+    type: 'object',
+    required: ['images'],
+    properties: {
+        images: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['section', 'prompt', 'alt', 'caption'],
+                properties: {
+                    section: { type: 'number', minimum: 1, description: 'Number of the section the image goes under' },
+                    prompt: { type: 'string', description: 'Image generation prompt showing what the section is about' },
+                    alt: { type: 'string', maxLength: 125, description: 'Alt text describing the image' },
+                    caption: { type: 'string', maxLength: 200, description: 'One-sentence caption shown under the image' }
+                }
+            }
+        }
+    }
+};
+
+// Brand voice traits extracted from a company's existing posts (see services/brandVoice.js)
+const BRAND_VOICE_SCHEMA = {
+    type: 'object',
+    required: ['summary', 'traits', 'pointOfView', 'preferredTerms', 'bannedPhrases'],
+    properties: {
+        summary: { type: 'string', maxLength: 600 },
+        traits: { type: 'array', minItems: 1, items: { type: 'string' } },
+        pointOfView: { type: 'string' },
+        preferredTerms: { type: 'array', items: { type: 'string' } },
+        bannedPhrases: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+/**
+ * Pull the JSON object out of a model response (tolerates code fences and surrounding text)
+ */
+function parseJsonOutput(text) {
+    const trimmed = (text || '').trim();
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : trimmed;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+        throw new Error('Response does not contain a JSON object');
+    }
+
+    return JSON.parse(candidate.substring(start, end + 1));
+}
+
+/**
+ * Validate data against a (subset of) JSON schema: type, required, properties, items,
+ * minItems, maxLength and minimum. Returns a list of error messages.
+ */
+function validateAgainstSchema(data, schema = ARTICLE_OUTPUT_SCHEMA, path = '$') {
+    const errors = [];
+
+    if (schema.type === 'object') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return [`${path} must be an object`];
+        }
+        for (const key of schema.required || []) {
+            if (data[key] === undefined || data[key] === null) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            if (data[key] !== undefined && data[key] !== null) {
+                errors.push(...validateAgainstSchema(data[key], propSchema, `${path}.${key}`));
+            }
+        }
+    } else if (schema.type === 'array') {
+        if (!Array.isArray(data)) {
+            return [`${path} must be an array`];
+        }
+        if (schema.minItems && data.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+        }
+        data.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    } else if (schema.type === 'string') {
+        if (typeof data !== 'string') {
+            return [`${path} must be a string`];
+        }
+        if (schema.maxLength && data.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+    } else if (schema.type === 'number') {
+        if (typeof data !== 'number' || !isFinite(data)) {
+            return [`${path} must be a number`];
+        }
+        if (schema.minimum !== undefined && data < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a parsed article object. Empty required strings count as missing.
+ */
+function validateArticleOutput(data) {
+    const errors = validateAgainstSchema(data);
+
+    if (errors.length === 0) {
+        for (const key of ['title', 'metaDescription', 'focusKeyword']) {
+            if (!data[key].trim()) errors.push(`$.${key} must not be empty`);
+        }
+        if (!data.sections.some(section => section.body.trim())) {
+            errors.push('$.sections must contain article content');
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a parsed outline. Only the introduction may have an empty heading.
+ */
+function validateOutline(data) {
+    const errors = validateAgainstSchema(data, OUTLINE_OUTPUT_SCHEMA);
+
+    if (errors.length === 0) {
+        if (!data.title.trim()) errors.push('$.title must not be empty');
+        data.sections.forEach((section, i) => {
+            if (i > 0 && !section.heading.trim()) errors.push(`$.sections[${i}].heading must not be empty`);
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the metadata generated for a section-by-section article
+ */
+function validateArticleMeta(data) {
+    const errors = validateAgainstSchema(data, ARTICLE_META_SCHEMA);
+
+    if (errors.length === 0 && !data.metaDescription.trim()) {
+        errors.push('$.metaDescription must not be empty');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate revised title and meta fields. Empty strings count as missing.
+ */
+function validateRevisionMeta(data) {
+    const errors = validateAgainstSchema(data, REVISION_META_SCHEMA);
+
+    if (errors.length === 0) {
+        for (const key of ['title', 'metaDescription']) {
+            if (!data[key].trim()) errors.push(`$.${key} must not be empty`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate brand voice traits extracted by the model
+ */
+function validateBrandVoice(data) {
+    const errors = validateAgainstSchema(data, BRAND_VOICE_SCHEMA);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate section image briefs. `sectionCount` is the number of sections offered;
+ * each image must go under a different one of them.
+ */
+function validateSectionImages(data, sectionCount) {
+    const errors = validateAgainstSchema(data, SECTION_IMAGES_SCHEMA);
+
+    if (errors.length === 0) {
+        const seen = new Set();
+        data.images.forEach((image, i) => {
+            if (!Number.isInteger(image.section) || image.section > sectionCount) {
+                errors.push(`$.images[${i}].section must be a section number from 1 to ${sectionCount}`);
+            } else if (seen.has(image.section)) {
+                errors.push(`$.images[${i}].section must not repeat another image's section`);
+            }
+            seen.add(image.section);
+            for (const key of ['prompt', 'alt']) {
+                if (!image[key].trim()) errors.push(`$.images[${i}].${key} must not be empty`);
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Convert a validated article object to the generateContent result shape
+ */
+function toGeneratedContent(data, keyword) {
+    const faqItems = data.faq
+        .filter(item => item.question.trim() && item.answer.trim())
+        .map(item => ({ question: item.question.trim(), answer: item.answer.trim() }));
+
+    const faq = faqItems.map(item => `**Q: ${item.question}**\nA: ${item.answer}`).join('\n\n');
+
+    let content = data.sections
+        .map(section => section.heading.trim()
+            ? `## ${section.heading.trim().replace(/^#+\s*/, '')}\n\n${section.body.trim()}`
+            : section.body.trim())
+        .join('\n\n');
+
+    if (faq) {
+        content += '\n\n## Frequently Asked Questions\n\n' + faq;
+    }
+
+    return {
+        title: data.title.trim(),
+        metaTitle: data.metaTitle.trim() || data.title.trim(),
+        metaDescription: data.metaDescription.trim(),
+        excerpt: data.excerpt.trim() || content.substring(0, 200).replace(/[#*_]/g, '') + '...',
+        tags: data.tags.map(tag => tag.trim()).filter(tag => tag).join(', '),
+        focusKeyword: data.focusKeyword.trim() || keyword,
+        secondaryKeywords: (data.secondaryKeywords || []).map(k => k.trim()).filter(k => k).join(', '),
+        content,
+        faq,
+        faqItems,
+        sections: data.sections.map(section => ({ heading: section.heading.trim(), body: section.body.trim() })),
+        imageAltSuggestions: data.imageAltSuggestions || [],
+        internalLinkSuggestions: data.internalLinkSuggestions || []
+    };
+}
+
+module.exports = {
+    ARTICLE_OUTPUT_SCHEMA,
+    OUTLINE_OUTPUT_SCHEMA,
+    ARTICLE_META_SCHEMA,
+    REVISION_META_SCHEMA,
+    BRAND_VOICE_SCHEMA,
+    SECTION_IMAGES_SCHEMA,
+    parseJsonOutput,
+    validateArticleOutput,
+    validateOutline,
+    validateArticleMeta,
+    validateRevisionMeta,
+    validateBrandVoice,
+    validateSectionImages,
+    toGeneratedContent
+};
@@ -0,0 +1,256 @@
+const llm = require('./llmProviders');
+const { validateBrandVoice, BRAND_VOICE_SCHEMA } = require('./articleSchema');
+const { countKeyword } = require('./keywordCoverage');
+const { parseContent, splitSentences } = require('./seoAnalyzer');
+
+/**
+ * Brand voice profile
+ * Built from a company's existing posts (their WordPress site or pasted samples): measured
+ * style (sentence and paragraph length, point of view, contractions, questions), traits,
+ * vocabulary preferences and banned phrases extracted by the LLM, and a few sample excerpts.
+ * It is stored on the business profile (brand_voice), added to the system prompt and used
+ * to score how closely each generated article matches.
+ */
+
+const MAX_SAMPLES = 10;
+
+// Samples shorter than this are skipped; together they must reach MIN_TOTAL_WORDS
+const MIN_SAMPLE_WORDS = 80;
+const MIN_TOTAL_WORDS = 300;
+
+// Characters of each sample shown to the LLM
+const SAMPLE_PROMPT_CHARS = 3000;
+
+const CHECK_CREDIT = { pass: 1, warn: 0.5, fail: 0 };
+
+const STOPWORDS = new Set(('a about above after again all also am an and any are as at be because been before being below between both but by can could did do does doing down during each few for from further had has have having he her here hers him his how i if in into is it its just me more most my no nor not now of off on once only or other our ours out over own same she should so some such than that the their theirs them then there these they this those through to too under until up very was we were what when where which while who whom why will with would you your yours')
+    .split(' '));
+
+/**
+ * Build a brand voice profile from sample posts (HTML or Markdown).
+ * `source` records where the samples came from ('wordpress' or 'samples').
+ */
+async function buildBrandVoice({ samples, businessProfile = null, source = 'samples', calls = [] }) {
+    const texts = samples
+        .slice(0, MAX_SAMPLES)
+        .map(sample => parseContent(decodeEntities(sample)))
+        .filter(parsed => countWords(parsed.paragraphs.join(' ')) >= MIN_SAMPLE_WORDS);
+
+    const totalWords = texts.reduce((sum, parsed) => sum + countWords(parsed.paragraphs.join(' ')), 0);
+    if (totalWords < MIN_TOTAL_WORDS) {
+        throw new Error(`Need at least ${MIN_TOTAL_WORDS} words of sample posts (found ${totalWords} in posts of ${MIN_SAMPLE_WORDS}+ words)`);
+    }
+
+    const metrics = measureStyle(texts.flatMap(parsed => parsed.paragraphs));
+
+    const { data, errors } = await llm.completeJson({
+        businessProfile,
+        purpose: 'brand_voice',
+        system: `You are a brand editor. You describe a company's writing voice precisely enough that another writer can imitate it.
+Respond with a single JSON object only, matching this JSON schema:
+
+${JSON.stringify(BRAND_VOICE_SCHEMA, null, 2)}`,
+        prompt: `Describe the writing voice of these ${texts.length} posts${businessProfile?.company_name ? ` from ${businessProfile.company_name}` : ''}.
+
+- summary: two or three sentences on the overall voice
+- traits: 4-8 specific style traits (e.g. "opens with a customer problem", "uses short punchy sentences")
+- pointOfView: how the company refers to itself and the reader
+- preferredTerms: words and phrases the company favours (product names, house terms, recurring expressions)
+- bannedPhrases: clichés and phrases that would sound off-brand here (e.g. hype words these posts avoid)
+
+${texts.map((parsed, i) => `POST ${i + 1}:\n${parsed.paragraphs.join('\n\n').substring(0, SAMPLE_PROMPT_CHARS)}`).join('\n\n')}`,
+        validate: validateBrandVoice,
+        calls,
+        temperature: 0.3,
+        maxTokens: 1500,
+        timeout: 90000
+    });
+
+    if (!data) {
+        throw new Error(`Could not extract the brand voice: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    return {
+        source,
+        sampleCount: texts.length,
+        builtAt: new Date().toISOString(),
+        summary: data.summary.trim(),
+        traits: cleanList(data.traits),
+        pointOfView: data.pointOfView.trim(),
+        preferredTerms: cleanList(data.preferredTerms),
+        bannedPhrases: cleanList(data.bannedPhrases),
+        sentenceLength: metrics.avgSentenceLength,
+        metrics,
+        excerpts: pickExcerpts(texts)
+    };
+}
+
+/**
+ * Measurable style of a set of paragraphs
+ */
+function measureStyle(paragraphs) {
+    const sentences = paragraphs.flatMap(splitSentences);
+    const text = paragraphs.join(' ');
+    const words = countWords(text);
+    const per100 = pattern => round(words > 0 ? ((text.match(pattern) || []).length / words) * 100 : 0);
+
+    const counts = {};
+    for (const word of text.toLowerCase().match(/[a-z][a-z'’-]{2,}/g) || []) {
+        if (!STOPWORDS.has(word)) counts[word] = (counts[word] || 0) + 1;
+    }
+
+    return {
+        words,
+        avgSentenceLength: round(sentences.length > 0 ? words / sentences.length : 0),
+        avgParagraphSentences: round(paragraphs.length > 0 ? sentences.length / paragraphs.length : 0),
+        questionRate: round(sentences.length > 0 ? sentences.filter(s => s.endsWith('?')).length / sentences.length * 100 : 0),
+        exclamationRate: round(sentences.length > 0 ? sentences.filter(s => s.endsWith('!')).length / sentences.length * 100 : 0),
+        contractionsPer100: per100(/\b[a-z]+['’](s|t|re|ve|ll|d|m)\b/gi),
+        youPer100: per100(/\b(you|your|yours|you're|you’re)\b/gi),
+        wePer100: per100(/\b(we|our|ours|us|we're|we’re)\b/gi),
+        iPer100: per100(/\b(I|me|my|I'm|I’m)\b/g),
+        topTerms: Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 15)
+            .map(([term]) => term)
+    };
+}
+
+/**
+ * How closely content matches a brand voice, 0-100, with the individual checks
+ */
+function scoreVoiceMatch(content, voice) {
+    const parsed = parseContent(content);
+    const metrics = measureStyle(parsed.paragraphs);
+    const expected = voice.metrics || {};
+    const checks = [];
+    const check = (id, label, weight, status, message) => checks.push({ id, label, weight, status, message });
+
+    const sentenceStatus = closeness(metrics.avgSentenceLength, expected.avgSentenceLength, 0.2, 0.4);
+    check('sentence_length', 'Sentence length', 20, sentenceStatus,
+        `Average sentence is ${metrics.avgSentenceLength} words (the brand averages ${expected.avgSentenceLength})`);
+
+    const personStatus = worst([
+        rateStatus(metrics.youPer100, expected.youPer100),
+        rateStatus(metrics.wePer100, expected.wePer100)
+    ]);
+    check('point_of_view', 'Point of view', 15, personStatus,
+        `"You" ${metrics.youPer100} and "we" ${metrics.wePer100} per 100 words (brand: ${expected.youPer100} and ${expected.wePer100})`);
+
+    check('contractions', 'Contractions', 10, rateStatus(metrics.contractionsPer100, expected.contractionsPer100),
+        `${metrics.contractionsPer100} contractions per 100 words (brand: ${expected.contractionsPer100})`);
+
+    check('questions', 'Questions', 5, rateStatus(metrics.questionRate, expected.questionRate, 5),
+        `${metrics.questionRate}% of sentences are questions (brand: ${expected.questionRate}%)`);
+
+    const banned = (voice.bannedPhrases || []).filter(phrase => countKeyword(parsed.text, phrase) > 0);
+    check('banned_phrases', 'Banned phrases', 30, banned.length === 0 ? 'pass' : (banned.length === 1 ? 'warn' : 'fail'),
+        banned.length === 0 ? 'No banned phrases' : `Uses banned phrases: ${banned.join(', ')}`);
+
+    const preferred = voice.preferredTerms || [];
+    const used = preferred.filter(term => countKeyword(parsed.text, term) > 0);
+    if (preferred.length > 0) {
+        const share = used.length / preferred.length;
+        check('preferred_terms', 'Preferred terms', 20, share >= 0.3 ? 'pass' : (used.length > 0 ? 'warn' : 'fail'),
+            `Uses ${used.length} of ${preferred.length} preferred terms`);
+    }
+
+    const total = checks.reduce((sum, item) => sum + item.weight, 0);
+    const earned = checks.reduce((sum, item) => sum + item.weight * CHECK_CREDIT[item.status], 0);
+
+    return {
+        score: Math.round(earned / total * 100),
+        checks,
+        bannedPhrasesFound: banned,
+        metrics
+    };
+}
+
+/**
+ * Brand voice guidance for the system prompt
+ */
+function formatVoiceGuide(voice) {
+    if (!voice) return '';
+
+    const lines = [voice.summary];
+    if (voice.traits?.length) lines.push(`Style: ${voice.traits.join('; ')}`);
+    if (voice.pointOfView) lines.push(`Point of view: ${voice.pointOfView}`);
+    if (voice.sentenceLength) lines.push(`Typical sentence length: about ${Math.round(voice.sentenceLength)} words`);
+    if (voice.preferredTerms?.length) lines.push(`Preferred words and phrases: ${voice.preferredTerms.join(', ')}`);
+    if (voice.bannedPhrases?.length) lines.push(`Never use: ${voice.bannedPhrases.join(', ')}`);
+    if (voice.excerpts?.length) {
+        lines.push(`Excerpts from the company's own posts (match their style, don't copy them):\n${voice.excerpts.map(excerpt => `"${excerpt}"`).join('\n')}`);
+    }
+
+    return lines.filter(line => line).join('\n');
+}
+
+/**
+ * The brand voice stored on a business profile, or null
+ */
+function parseBrandVoice(businessProfile) {
+    if (!businessProfile?.brand_voice) return null;
+    try {
+        return JSON.parse(businessProfile.brand_voice);
+    } catch {
+        return null;
+    }
+}
+
+// Up to three mid-length paragraphs, each from a different post
+function pickExcerpts(texts) {
+    const excerpts = [];
+    for (const parsed of texts) {
+        const paragraph = parsed.paragraphs.find(p => countWords(p) >= 25 && countWords(p) <= 80);
+        if (paragraph) excerpts.push(paragraph);
+        if (excerpts.length === 3) break;
+    }
+    return excerpts;
+}
+
+function closeness(actual, expected, passTolerance, warnTolerance) {
+    if (!expected) return 'pass';
+    const deviation = Math.abs(actual - expected) / expected;
+    return deviation <= passTolerance ? 'pass' : (deviation <= warnTolerance ? 'warn' : 'fail');
+}
+
+// Rates within a small absolute margin, or within half/double of the brand's rate, match
+function rateStatus(actual, expected = 0, margin = 0.5) {
+    if (Math.abs(actual - expected) <= margin) return 'pass';
+    if (expected > 0 && actual >= expected / 2 && actual <= expected * 2) return 'pass';
+    if (expected > 0 && actual >= expected / 4 && actual <= expected * 4) return 'warn';
+    return Math.abs(actual - expected) <= margin * 3 ? 'warn' : 'fail';
+}
+
+function worst(statuses) {
+    return ['fail', 'warn', 'pass'].find(status => statuses.includes(status));
+}
+
+function cleanList(items) {
+    return [...new Set(items.map(item => item.trim()).filter(item => item))];
+}
+
+function decodeEntities(text) {
+    return String(text || '')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&(rsquo|lsquo);/g, '’')
+        .replace(/&(rdquo|ldquo|quot);/g, '"')
+        .replace(/&hellip;/g, '…');
+}
+
+function countWords(text) {
+    return String(text || '').split(/\s+/).filter(word => /\w/.test(word)).length;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+    buildBrandVoice,
+    measureStyle,
+    scoreVoiceMatch,
+    formatVoiceGuide,
+    parseBrandVoice
+};
@@ -0,0 +1,277 @@
+const db = require('../database/db');
+const { getSitePosts } = require('./siteIndex');
+const { keywordTokens, jaccard } = require('./keywordClustering');
+
+/**
+ * Keyword cannibalization
+ * Two pages targeting the same keyword compete with each other in search. A queue item's
+ * main keyword is compared with the user's articles (keyword, focus keyword and title), the
+ * other unprocessed queue items and, optionally, the titles and slugs of the posts on the
+ * connected WordPress site. Word order, plurals and filler words are ignored, so
+ * "best dentist austin" and "austin best dentists" score 100%.
+ */
+
+// CANNIBALIZATION_MODE: block (stop processing conflicting items), warn (record only) or off
+const MODE = ['block', 'warn', 'off'].includes(process.env.CANNIBALIZATION_MODE) ? process.env.CANNIBALIZATION_MODE : 'block';
+
+// Compare with the WordPress site's posts before processing (when a site is connected)
+const CHECK_WORDPRESS = process.env.CANNIBALIZATION_CHECK_WORDPRESS !== 'false';
+
+// Similarity at which a page competes for the same keyword, and at which it overlaps enough to review
+const CONFLICT_THRESHOLD = parseFloat(process.env.CANNIBALIZATION_THRESHOLD) || 0.8;
+const OVERLAP_THRESHOLD = 0.5;
+
+const MAX_MATCHES = 5;
+
+/**
+ * Similarity of a keyword to another keyword (same words, any order) or to a title or slug
+ * (mostly whether the title contains the keyword's words). Between 0 and 1.
+ */
+function keywordSimilarity(keyword, target, { kind = 'keyword' } = {}) {
+    const a = keywordTokens(keyword);
+    const b = keywordTokens(kind === 'slug' ? String(target || '').replace(/-/g, ' ') : target);
+    if (a.length === 0 || b.length === 0) return 0;
+
+    if (kind === 'keyword') return jaccard(a, b);
+
+    const contained = a.filter(token => b.includes(token)).length / a.length;
+    return 0.7 * contained + 0.3 * jaccard(a, b);
+}
+
+/**
+ * Pages a queue item could compete with: the user's articles, unprocessed queue items and
+ * (with includeWordPress) the connected site's posts that aren't one of the articles.
+ * Returns { articles, queueItems, posts, wordpressError }.
+ */
+async function loadCandidates(userId, { includeWordPress = false } = {}) {
+    const articles = await db.prepare(`
+        SELECT id, title, keyword, focus_keyword, status, wp_post_id, wp_url
+        FROM articles WHERE user_id = ? AND status != 'failed'
+    `).all(userId);
+
+    const queueItems = await db.prepare(`
+        SELECT id, main_keyword, cluster_keywords, status, pipeline_state
+        FROM content_queue WHERE user_id = ? AND status != 'done'
+    `).all(userId);
+
+    let posts = [];
+    let wordpressError = null;
+
+    if (includeWordPress) {
+        ({ posts, error: wordpressError } = await getSitePosts(userId, {
+            excludePostIds: articles.map(article => article.wp_post_id)
+        }));
+    }
+
+    return { articles, queueItems, posts, wordpressError };
+}
+
+/**
+ * Check one queue item against the candidates. Returns { queueItemId, keyword, level, score,
+ * matches } where level is 'conflict', 'overlap' or 'none' and each match carries a suggestion.
+ */
+function checkItem(item, candidates) {
+    const keyword = item.main_keyword;
+    const matches = [];
+
+    // The article this item already produced isn't a competitor
+    const ownArticleId = parsePipelineState(item.pipeline_state)?.save?.articleId || null;
+
+    for (const article of candidates.articles) {
+        if (article.id === ownArticleId) continue;
+        const fields = [
+            ['keyword', article.keyword, 'keyword'],
+            ['focus_keyword', article.focus_keyword, 'keyword'],
+            ['title', article.title, 'title']
+        ];
+        const best = bestField(keyword, fields);
+        if (best) {
+            matches.push({
+                source: 'article',
+                id: article.id,
+                title: article.title || '',
+                keyword: article.focus_keyword || article.keyword || '',
+                status: article.status,
+                url: article.wp_url || null,
+                ...best
+            });
+        }
+    }
+
+    // Only items queued earlier: they are written first, so the later duplicate is the one to merge
+    for (const other of candidates.queueItems) {
+        if (other.id >= item.id) continue;
+        const best = bestField(keyword, [['main_keyword', other.main_keyword, 'keyword']]);
+        if (best) {
+            matches.push({
+                source: 'queue',
+                id: other.id,
+                title: other.main_keyword,
+                keyword: other.main_keyword,
+                status: other.status,
+                url: null,
+                ...best
+            });
+        }
+    }
+
+    for (const post of candidates.posts) {
+        const best = bestField(keyword, [['title', post.title, 'title'], ['slug', post.slug, 'slug']]);
+        if (best) {
+            matches.push({
+                source: 'wordpress',
+                id: post.postId,
+                title: post.title,
+                keyword: '',
+                status: 'publish',
+                url: post.url,
+                ...best
+            });
+        }
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    const top = matches.slice(0, MAX_MATCHES).map(match => ({ ...match, suggestion: suggest(keyword, match) }));
+    const score = top[0]?.score || 0;
+
+    return {
+        queueItemId: item.id,
+        keyword,
+        level: levelFor(score),
+        score,
+        matches: top
+    };
+}
+
+/**
+ * Check one of the user's queue items (null if it doesn't exist)
+ */
+async function checkQueueItem(userId, queueItemId, { includeWordPress = false } = {}) {
+    const item = await db.prepare('SELECT id, main_keyword, pipeline_state FROM content_queue WHERE id = ? AND user_id = ?').get(queueItemId, userId);
+    if (!item) return null;
+
+    const candidates = await loadCandidates(userId, { includeWordPress });
+    return { ...checkItem(item, candidates), wordpressError: candidates.wordpressError };
+}
+
+/**
+ * Check every queue item with one of the given statuses. Returns { items, summary,
+ * wordpressError }; items are sorted with the strongest conflicts first.
+ */
+async function checkQueue(userId, { includeWordPress = false, statuses = ['pending', 'error'] } = {}) {
+    const candidates = await loadCandidates(userId, { includeWordPress });
+    const items = candidates.queueItems
+        .filter(item => statuses.includes(item.status))
+        .map(item => ({ ...checkItem(item, candidates), status: item.status }))
+        .sort((a, b) => b.score - a.score || a.queueItemId - b.queueItemId);
+
+    return {
+        items,
+        summary: {
+            checked: items.length,
+            conflicts: items.filter(item => item.level === 'conflict').length,
+            overlaps: items.filter(item => item.level === 'overlap').length
+        },
+        wordpressError: candidates.wordpressError
+    };
+}
+
+/**
+ * Check a queue item before it is processed and save the report on the item. Returns
+ * { blocked, report }: blocked when CANNIBALIZATION_MODE is block, the item competes with
+ * an existing page and the user hasn't allowed it (allow_cannibalization).
+ */
+async function checkBeforeProcessing(item) {
+    if (MODE === 'off') {
+        return { blocked: false, report: null };
+    }
+
+    const candidates = await loadCandidates(item.user_id, { includeWordPress: CHECK_WORDPRESS });
+    const report = {
+        ...checkItem(item, candidates),
+        wordpressError: candidates.wordpressError,
+        checkedAt: new Date().toISOString()
+    };
+
+    await db.prepare('UPDATE content_queue SET cannibalization = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+        .run(JSON.stringify(report), item.id);
+
+    return {
+        blocked: MODE === 'block' && report.level === 'conflict' && !item.allow_cannibalization,
+        report
+    };
+}
+
+/**
+ * One-line explanation of a blocking report, for the queue item's last_error
+ */
+function formatConflict(report) {
+    const match = report.matches[0];
+    return `Competes with ${describe(match)} (${Math.round(match.score * 100)}% similar). ${match.suggestion.message} Set allow_cannibalization to write it anyway.`;
+}
+
+// The strongest of the given [field, value, kind] comparisons that reaches the overlap threshold
+function bestField(keyword, fields) {
+    let best = null;
+    for (const [field, value, kind] of fields) {
+        if (!value) continue;
+        const score = Math.round(keywordSimilarity(keyword, value, { kind }) * 100) / 100;
+        if (score >= OVERLAP_THRESHOLD && (!best || score > best.score)) {
+            best = { field, score, level: levelFor(score) };
+        }
+    }
+    return best;
+}
+
+function suggest(keyword, match) {
+    if (match.level === 'overlap') {
+        return {
+            action: 'differentiate',
+            message: `Give "${keyword}" a distinct angle from ${describe(match)} and link between them.`
+        };
+    }
+    if (match.source === 'queue') {
+        return {
+            action: 'merge_into',
+            queueItemId: match.id,
+            message: `Merge into queue item #${match.id} by adding "${keyword}" to its cluster keywords.`
+        };
+    }
+    return {
+        action: 'update_existing',
+        ...(match.source === 'article' ? { articleId: match.id } : { postId: match.id }),
+        url: match.url,
+        message: `Update ${describe(match)} to cover "${keyword}" instead of writing a competing page.`
+    };
+}
+
+function describe(match) {
+    if (match.source === 'queue') return `queue item #${match.id} "${match.title}"`;
+    if (match.source === 'wordpress') return `the live post "${match.title}"`;
+    return `the article "${match.title || match.keyword}"`;
+}
+
+function levelFor(score) {
+    if (score >= CONFLICT_THRESHOLD) return 'conflict';
+    if (score >= OVERLAP_THRESHOLD) return 'overlap';
+    return 'none';
+}
+
+function parsePipelineState(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    MODE,
+    CONFLICT_THRESHOLD,
+    OVERLAP_THRESHOLD,
+    keywordSimilarity,
+    checkQueueItem,
+    checkQueue,
+    checkBeforeProcessing,
+    formatConflict
+};
@@ -0,0 +1,310 @@
+const axios = require('axios');
+const { pageCacheKey, getCached, setCached } = require('./researchCache');
+
+/**
+ * Competitor page analysis
+ * Fetches the top-ranking pages for a keyword and extracts what they actually contain:
+ * the H1-H3 outline, word count of the main content, repeated named entities, FAQ
+ * questions and schema.org types. Fetching goes through a swappable fetcher so saved
+ * HTML can stand in for the network (see setPageFetcher()).
+ */
+
+const PAGE_LIMIT = parseInt(process.env.RESEARCH_PAGE_LIMIT) || 5;
+const FETCH_TIMEOUT_MS = parseInt(process.env.RESEARCH_FETCH_TIMEOUT_MS) || 15000;
+const FETCH_CONCURRENCY = 3;
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; WordPressClawResearch/1.0)';
+
+// Page chrome that never counts as content
+const CHROME_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'nav', 'footer', 'aside'];
+
+const ENTITY_STOPWORDS = new Set(('a an and are as at be but by for from how if in is it its of on or so that the their there these they this to was we what when where which while who why will with you your yours our i my all any each every here more most no not one some such than then best top new step').split(' '));
+
+async function defaultFetcher(url) {
+    const response = await axios.get(url, {
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_PAGE_BYTES,
+        maxRedirects: 5,
+        responseType: 'text',
+        headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml'
+        }
+    });
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType && !/html/i.test(contentType)) {
+        throw new Error(`Not an HTML page (${contentType.split(';')[0]})`);
+    }
+
+    return String(response.data || '');
+}
+
+// Swap the fetcher with setPageFetcher(), e.g. to serve saved HTML fixtures
+let pageFetcher = defaultFetcher;
+
+/**
+ * Fetch a page's HTML through the current fetcher
+ */
+async function fetchPage(url) {
+    const html = await pageFetcher(url);
+    if (typeof html !== 'string' || !html.trim()) {
+        throw new Error('Empty response');
+    }
+    return html;
+}
+
+/**
+ * Extract the outline, word count, entities, FAQ questions and schema types of a page
+ */
+function analyzePage(html, url = '') {
+    const schemaTypes = new Set();
+    const faq = [];
+
+    for (const block of extractJsonLd(html)) {
+        for (const node of schemaNodes(block)) {
+            for (const type of [].concat(node['@type'] || [])) {
+                if (typeof type === 'string') schemaTypes.add(type.replace(/^https?:\/\/schema\.org\//, ''));
+            }
+            if ([].concat(node['@type']).includes('FAQPage')) {
+                for (const item of [].concat(node.mainEntity || [])) {
+                    if (item?.name) faq.push(cleanText(item.name));
+                }
+            }
+        }
+    }
+    for (const match of html.matchAll(/itemtype\s*=\s*["']https?:\/\/schema\.org\/([\w]+)["']/gi)) {
+        schemaTypes.add(match[1]);
+    }
+
+    const cleaned = stripChrome(html);
+    const main = pickMainContent(cleaned);
+
+    const outline = extractHeadings(main, 3);
+    if (!outline.some(heading => heading.level === 1)) {
+        const h1 = extractHeadings(cleaned, 1)[0];
+        if (h1) outline.unshift(h1);
+    }
+
+    for (const match of main.matchAll(/<summary\b[^>]*>([\s\S]*?)<\/summary>/gi)) {
+        faq.push(cleanText(match[1]));
+    }
+    for (const heading of extractHeadings(main, 4)) {
+        if (heading.level > 1 && heading.text.endsWith('?')) faq.push(heading.text.replace(/^(step\s+)?#?\d+[.):]?\s+/i, ''));
+    }
+
+    const text = htmlToText(main);
+    const title = cleanText((html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '');
+
+    return {
+        url,
+        title,
+        outline,
+        wordCount: countWords(text),
+        entities: extractEntities(text),
+        faq: dedupe(faq.filter(question => question)),
+        schemaTypes: [...schemaTypes]
+    };
+}
+
+/**
+ * Fetch and analyze the top search results, reusing cached analyses. Pages that fail to load
+ * are returned in `errors`; reserved example domains (mock search results) are skipped.
+ */
+async function analyzeCompetitors(results, { limit = PAGE_LIMIT, userId = null } = {}) {
+    const candidates = [];
+    const skipped = [];
+
+    for (const result of results) {
+        if (candidates.length >= limit) break;
+        if (!/^https?:\/\//i.test(result.url || '') || isReservedDomain(result.url)) {
+            skipped.push(result.url);
+            continue;
+        }
+        candidates.push(result);
+    }
+
+    const pages = [];
+    const errors = [];
+    let next = 0;
+
+    const worker = async () => {
+        while (next < candidates.length) {
+            const result = candidates[next++];
+            try {
+                const cacheKey = pageCacheKey(result.url);
+                let page = await getCached(cacheKey, { userId });
+                if (!page) {
+                    page = analyzePage(await fetchPage(result.url), result.url);
+                    await setCached(cacheKey, page, { kind: 'page', query: result.url });
+                }
+                pages.push({ position: result.position, ...page });
+            } catch (err) {
+                errors.push({ url: result.url, error: err.message });
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, candidates.length) }, worker));
+
+    pages.sort((a, b) => (a.position || 0) - (b.position || 0));
+
+    return { pages, errors, skipped };
+}
+
+function setPageFetcher(fetcher) {
+    pageFetcher = fetcher || defaultFetcher;
+}
+
+function extractJsonLd(html) {
+    const blocks = [];
+    for (const match of html.matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+        try {
+            blocks.push(JSON.parse(match[1].trim()));
+        } catch {
+            // Malformed JSON-LD is common; skip it
+        }
+    }
+    return blocks;
+}
+
+// Top-level nodes of a JSON-LD block, including arrays and @graph members
+function schemaNodes(block) {
+    if (Array.isArray(block)) return block.flatMap(schemaNodes);
+    if (!block || typeof block !== 'object') return [];
+    return [block, ...(Array.isArray(block['@graph']) ? block['@graph'].flatMap(schemaNodes) : [])];
+}
+
+function stripChrome(html) {
+    let cleaned = html.replace(/<!--[\s\S]*?-->/g, ' ');
+    for (const tag of CHROME_TAGS) {
+        cleaned = cleaned.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+    }
+    return cleaned;
+}
+
+// The longest <article>, else <main>, else <body>, else the whole document
+function pickMainContent(html) {
+    const articles = [...html.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article>/gi)].map(match => match[1]);
+    if (articles.length > 0) {
+        return articles.reduce((longest, article) => (article.length > longest.length ? article : longest));
+    }
+
+    const main = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i);
+    if (main) return main[1];
+
+    const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    return body ? body[1] : html;
+}
+
+function extractHeadings(html, maxLevel) {
+    const headings = [];
+    for (const match of html.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)) {
+        const level = Number(match[1]);
+        const text = cleanText(match[2]);
+        if (level <= maxLevel && text) headings.push({ level, text });
+    }
+    return headings;
+}
+
+// Capitalized phrases used at least twice that never appear in lowercase (names, brands, places)
+function extractEntities(text, max = 15) {
+    const counts = {};
+    const plain = ` ${text.replace(/[^\w'’&-]+/g, ' ')} `;
+
+    for (const sentence of text.split(/(?<=[.!?:])\s+|\n+/)) {
+        const words = sentence.trim().split(/\s+/);
+        let phrase = [];
+
+        const flush = () => {
+            while (phrase.length && ENTITY_STOPWORDS.has(phrase[0].toLowerCase())) phrase.shift();
+            if (phrase.length) {
+                const entity = phrase.join(' ');
+                counts[entity] = (counts[entity] || 0) + 1;
+            }
+            phrase = [];
+        };
+
+        words.forEach((raw, index) => {
+            const word = raw.replace(/^[^\w]+|[^\w&]+$/g, '');
+            const acronym = /^[A-Z0-9]{2,}$/.test(word) && /[A-Z]/.test(word);
+            // A lone capitalized word at the start of a sentence is just grammar
+            const sentenceStart = index === 0 && !acronym && !/^[A-Z]/.test(words[1] || '');
+            // "of" between capitalized words is part of the name (Department of Energy, Bank of America)
+            const joinsName = raw === 'of' && phrase.length > 0 && /^[A-Z]/.test(words[index + 1] || '');
+
+            if (((acronym || /^[A-Z][\w'’&-]*$/.test(word)) && !sentenceStart) || joinsName) {
+                phrase.push(word);
+            } else {
+                flush();
+            }
+            if (/[,;)]$/.test(raw)) flush();
+        });
+        flush();
+    }
+
+    return Object.entries(counts)
+        .filter(([entity, count]) => count >= 2 && entity.length > 1
+            && (entity.includes(' ') || /^[A-Z0-9]+$/.test(entity) || !plain.includes(` ${entity.toLowerCase()} `)))
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, max)
+        .map(([entity]) => entity);
+}
+
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr|\/blockquote)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*/g, '\n')
+        .trim();
+}
+
+function cleanText(html) {
+    return decodeEntities(String(html).replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(text) {
+    return String(text || '')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&(rsquo|lsquo|apos);/g, '’')
+        .replace(/&(rdquo|ldquo|quot);/g, '"')
+        .replace(/&hellip;/g, '…')
+        .replace(/&(ndash|mdash);/g, '-')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// example.com/.net/.org and their subdomains are reserved (RFC 2606) and only appear in mock results
+function isReservedDomain(url) {
+    try {
+        return /(^|\.)example\.(com|net|org)$/i.test(new URL(url).hostname);
+    } catch {
+        return true;
+    }
+}
+
+function dedupe(items) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = item.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function countWords(text) {
+    return String(text || '').split(/\s+/).filter(word => /\w/.test(word)).length;
+}
+
+module.exports = {
+    fetchPage,
+    analyzePage,
+    analyzeCompetitors,
+    setPageFetcher
+};
@@ -0,0 +1,527 @@
+const db = require('../database/db');
+const { formatGenerationParams } = require('./llmProviders');
+const { isHtmlContent } = require('./markdownToWordPress');
+const { scoreArticle } = require('./seoAnalyzer');
+const { recordRevision } = require('./revisionHistory');
+
+/**
+ * Compliance rules
+ * Per-profile guardrails for regulated industries (health, finance, legal): forbidden terms,
+ * claim patterns (regular expressions such as "guaranteed" or "cure"), disclaimers that must
+ * appear on articles in a category and a required author byline. Articles are checked after
+ * generation and on every edit; violations are stored on the article and block auto-publishing
+ * until they are resolved, by hand or by redacting or rewriting the flagged passages.
+ */
+
+// How violations are fixed: redact swaps matches for the rule's replacement, rewrite asks the LLM to rephrase them
+const FIX_MODES = ['redact', 'rewrite'];
+
+// Fix applied automatically after generation
+const AUTO_FIX_MODES = ['none', ...FIX_MODES];
+
+const DISCLAIMER_POSITIONS = ['top', 'bottom'];
+
+// Article fields checked for forbidden terms and claims (disclaimers and the byline are checked in the content)
+const CHECKED_FIELDS = ['title', 'meta_title', 'meta_description', 'excerpt', 'content'];
+
+const MAX_RULES = 100;
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Validate and normalize a rules set from the API.
+ * Returns { error } or { rules }.
+ */
+function normalizeRules({ forbiddenTerms = [], claimPatterns = [], disclaimers = [], byline = null, autoFix = 'none' } = {}) {
+    if (![forbiddenTerms, claimPatterns, disclaimers].every(Array.isArray)) {
+        return { error: 'forbiddenTerms, claimPatterns and disclaimers must be arrays' };
+    }
+    if (forbiddenTerms.length + claimPatterns.length + disclaimers.length > MAX_RULES) {
+        return { error: `At most ${MAX_RULES} rules` };
+    }
+    if (!AUTO_FIX_MODES.includes(autoFix)) {
+        return { error: `autoFix must be one of: ${AUTO_FIX_MODES.join(', ')}` };
+    }
+    if (byline !== null && typeof byline !== 'string') {
+        return { error: 'byline must be a string' };
+    }
+
+    const terms = [];
+    for (const item of forbiddenTerms) {
+        const rule = typeof item === 'string' ? { term: item } : item;
+        if (!rule || typeof rule.term !== 'string' || !rule.term.trim()) {
+            return { error: 'Each forbidden term needs a term' };
+        }
+        terms.push({ term: rule.term.trim(), replacement: typeof rule.replacement === 'string' ? rule.replacement : null });
+    }
+
+    const claims = [];
+    for (const rule of claimPatterns) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+            return { error: 'Each claim pattern needs a pattern' };
+        }
+        if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+            return { error: `Claim patterns must be at most ${MAX_PATTERN_LENGTH} characters` };
+        }
+        try {
+            new RegExp(rule.pattern, 'giu');
+        } catch (err) {
+            return { error: `Invalid claim pattern "${rule.pattern}": ${err.message}` };
+        }
+        if (canBacktrack(rule.pattern)) {
+            return { error: `Claim pattern "${rule.pattern}" is too slow to check: repeated groups can't contain quantifiers or alternatives, and backreferences aren't supported` };
+        }
+        claims.push({
+            pattern: rule.pattern,
+            label: typeof rule.label === 'string' && rule.label.trim() ? rule.label.trim() : rule.pattern,
+            replacement: typeof rule.replacement === 'string' ? rule.replacement : null
+        });
+    }
+
+    const blocks = [];
+    for (const rule of disclaimers) {
+        if (!rule || typeof rule.text !== 'string' || !rule.text.trim()) {
+            return { error: 'Each disclaimer needs text' };
+        }
+        if (rule.position !== undefined && !DISCLAIMER_POSITIONS.includes(rule.position)) {
+            return { error: `Disclaimer position must be one of: ${DISCLAIMER_POSITIONS.join(', ')}` };
+        }
+        if (rule.categories !== undefined && !(Array.isArray(rule.categories) && rule.categories.every(c => typeof c === 'string'))) {
+            return { error: 'Disclaimer categories must be an array of category names' };
+        }
+        blocks.push({
+            text: rule.text.trim(),
+            categories: (rule.categories || []).map(c => c.trim()).filter(c => c),
+            position: rule.position || 'bottom'
+        });
+    }
+
+    return {
+        rules: {
+            forbiddenTerms: terms,
+            claimPatterns: claims,
+            disclaimers: blocks,
+            byline: byline?.trim() || null,
+            autoFix
+        }
+    };
+}
+
+/**
+ * The compliance rules stored on a business profile, or null
+ */
+function parseComplianceRules(businessProfile) {
+    if (!businessProfile?.compliance_rules) return null;
+    try {
+        return JSON.parse(businessProfile.compliance_rules);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check an article against a rules set.
+ * Forbidden terms and claims are reported once per rule and field with the number of matches.
+ */
+function checkCompliance(article, rules) {
+    const violations = [];
+
+    for (const field of CHECKED_FIELDS) {
+        const text = article[field];
+        if (!text) continue;
+
+        for (const rule of rules.forbiddenTerms || []) {
+            const matches = findMatches(text, termRegex(rule.term));
+            if (matches.length > 0) {
+                violations.push({ type: 'forbidden_term', rule: rule.term, label: `Forbidden term "${rule.term}"`, field, ...summarizeMatches(text, matches) });
+            }
+        }
+
+        for (const rule of rules.claimPatterns || []) {
+            const matches = findMatches(text, new RegExp(rule.pattern, 'giu'));
+            if (matches.length > 0) {
+                violations.push({ type: 'claim', rule: rule.pattern, label: `Claim: ${rule.label}`, field, ...summarizeMatches(text, matches) });
+            }
+        }
+    }
+
+    for (const disclaimer of applicableDisclaimers(article, rules)) {
+        if (!containsText(article.content, disclaimer.text)) {
+            violations.push({ type: 'disclaimer', rule: disclaimer.text, label: 'Missing disclaimer', field: 'content' });
+        }
+    }
+
+    if (rules.byline && !containsText(article.content, rules.byline)) {
+        violations.push({ type: 'byline', rule: rules.byline, label: 'Missing author byline', field: 'content' });
+    }
+
+    return {
+        passed: violations.length === 0,
+        violations,
+        checkedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Redact an article: matches are swapped for the rule's replacement, then missing disclaimers
+ * and the byline are added to the content. Matches of rules without a replacement are left in
+ * place (removing them would leave broken sentences), so they stay flagged until rewritten.
+ * Returns the changed fields.
+ */
+function redactArticle(article, rules) {
+    const changes = {};
+
+    for (const field of CHECKED_FIELDS) {
+        if (!article[field]) continue;
+
+        let text = article[field];
+        for (const rule of (rules.forbiddenTerms || []).filter(hasReplacement)) {
+            text = text.replace(termRegex(rule.term), () => rule.replacement);
+        }
+        for (const rule of (rules.claimPatterns || []).filter(hasReplacement)) {
+            text = text.replace(new RegExp(rule.pattern, 'giu'), () => rule.replacement);
+        }
+
+        if (text !== article[field]) changes[field] = tidyRedaction(text);
+    }
+
+    const content = insertRequiredBlocks({ ...article, ...changes }, rules);
+    if (content !== (changes.content ?? article.content)) changes.content = content;
+
+    return changes;
+}
+
+/**
+ * Instructions for an LLM rewrite of the flagged passages
+ */
+function formatRewriteIssues(violations) {
+    return violations
+        .filter(violation => violation.type === 'forbidden_term' || violation.type === 'claim')
+        .map(violation => `Compliance - ${violation.label} in the ${violation.field.replace('_', ' ')} (e.g. "${violation.match}"): rephrase without it and without making the claim another way`);
+}
+
+/**
+ * Check a saved article against its owner's rules and store the result on it
+ */
+async function checkArticleCompliance(articleId) {
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    const businessProfile = await db.prepare('SELECT compliance_rules FROM business_profiles WHERE user_id = ?').get(article.user_id);
+    const rules = parseComplianceRules(businessProfile);
+    const report = rules ? checkCompliance(article, rules) : null;
+
+    await db.prepare('UPDATE articles SET compliance_violations = ?, compliance_report = ? WHERE id = ?')
+        .run(report ? report.violations.length : null, report ? JSON.stringify(report) : null, articleId);
+
+    return report;
+}
+
+/**
+ * Fix a saved article's violations (see FIX_MODES). A rewrite is followed by redaction of
+ * anything the LLM left in. Matches without a replacement that are left stay in the report
+ * and keep blocking auto-publishing.
+ * The rewrite isn't applied if the article was edited while it was running.
+ */
+async function fixArticleCompliance(articleId, mode = 'redact') {
+    if (!FIX_MODES.includes(mode)) {
+        throw new Error(`Invalid fix mode: ${mode}`);
+    }
+
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(article.user_id);
+    const rules = parseComplianceRules(businessProfile);
+    if (!rules) {
+        throw new Error('No compliance rules are set up');
+    }
+
+    const before = checkCompliance(article, rules);
+    if (before.passed) {
+        return { mode, applied: false, fixed: 0, report: await checkArticleCompliance(articleId) };
+    }
+
+    let draft = article;
+    const calls = [];
+    let rewriteError = null;
+    const issues = formatRewriteIssues(before.violations);
+
+    if (mode === 'rewrite' && issues.length > 0) {
+        try {
+            draft = await rewriteArticle(article, businessProfile, issues, calls);
+        } catch (err) {
+            console.error('Compliance rewrite error:', err.message);
+            rewriteError = err.message;
+        }
+    }
+
+    const fixed = { ...draft, ...redactArticle(draft, rules) };
+
+    // Only written over the title and content that were fixed, so edits made meanwhile are kept
+    const update = await db.prepare(`
+        UPDATE articles
+        SET title = ?, content = ?, excerpt = ?, meta_title = ?, meta_description = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND title = ? AND content = ?
+    `).run(fixed.title, fixed.content, fixed.excerpt, fixed.meta_title, fixed.meta_description, articleId, article.title, article.content);
+    if (update.changes === 0) {
+        throw new Error('The article was edited while it was being fixed');
+    }
+
+    try {
+        await recordRevision(articleId, 'compliance', { previous: article });
+    } catch (err) {
+        console.error('Revision history error:', err);
+    }
+
+    // Rewrites keep their token usage with the generation params
+    if (calls.length > 0 && article.generation_params) {
+        try {
+            const generationParams = JSON.parse(article.generation_params);
+            await db.prepare('UPDATE articles SET generation_params = ? WHERE id = ?').run(
+                formatGenerationParams({ ...generationParams, calls: [...(generationParams.calls || []), ...calls] }),
+                articleId
+            );
+        } catch (err) {
+            console.error('Compliance usage logging error:', err.message);
+        }
+    }
+
+    try {
+        await scoreArticle(articleId);
+    } catch (err) {
+        console.error('SEO scoring error:', err);
+    }
+
+    const report = await checkArticleCompliance(articleId);
+
+    return {
+        mode,
+        applied: true,
+        fixed: before.violations.length - report.violations.length,
+        rewriteError: rewriteError || undefined,
+        report
+    };
+}
+
+/**
+ * Check an article after generation and apply the profile's autoFix mode if it has violations
+ */
+async function enforceCompliance(articleId) {
+    const report = await checkArticleCompliance(articleId);
+    if (!report || report.passed) return report;
+
+    const article = await db.prepare('SELECT user_id FROM articles WHERE id = ?').get(articleId);
+    const businessProfile = await db.prepare('SELECT compliance_rules FROM business_profiles WHERE user_id = ?').get(article.user_id);
+    const autoFix = parseComplianceRules(businessProfile)?.autoFix || 'none';
+    if (autoFix === 'none') return report;
+
+    const result = await fixArticleCompliance(articleId, autoFix);
+    return { ...result.report, autoFixed: { mode: autoFix, fixed: result.fixed } };
+}
+
+/**
+ * Whether a compliance report allows auto-publishing. Articles without rules pass;
+ * a check that couldn't run blocks publishing.
+ */
+function checkComplianceGate(report) {
+    if (report?.error) {
+        return { allowed: false, violations: null, reason: `Compliance check failed: ${report.error}` };
+    }
+
+    const violations = Array.isArray(report?.violations) ? report.violations.length : (report?.violations || 0);
+    return {
+        allowed: violations === 0,
+        violations,
+        reason: violations === 0 ? null : `${violations} compliance violation${violations === 1 ? '' : 's'} to resolve`
+    };
+}
+
+/**
+ * Compliance guidance for the system prompt
+ */
+function formatComplianceGuide(rules) {
+    if (!rules) return '';
+
+    const lines = [];
+    if (rules.forbiddenTerms?.length) {
+        lines.push(`Never use these words or phrases: ${rules.forbiddenTerms.map(rule => rule.term).join(', ')}`);
+    }
+    if (rules.claimPatterns?.length) {
+        lines.push(`Do not make these claims in any wording: ${rules.claimPatterns.map(rule => rule.label).join('; ')}`);
+    }
+    if (rules.disclaimers?.length || rules.byline) {
+        lines.push('Required disclaimers and the author byline are added separately - do not write your own.');
+    }
+    return lines.join('\n');
+}
+
+async function rewriteArticle(article, businessProfile, issues, calls) {
+    // Required here: contentGeneration loads the templates, which use this module's prompt guide
+    const { reviseContent } = require('./contentGeneration');
+
+    let generationParams = null;
+    try {
+        generationParams = JSON.parse(article.generation_params || 'null');
+    } catch {
+        generationParams = null;
+    }
+
+    const keyword = article.focus_keyword || article.keyword || article.title;
+    const sources = generationParams?.templates || {};
+    const revised = await reviseContent({
+        draft: {
+            title: article.title,
+            content: article.content,
+            metaTitle: article.meta_title,
+            metaDescription: article.meta_description
+        },
+        keyword,
+        businessProfile,
+        userId: article.user_id,
+        templateId: [sources.article, sources.prompt].find(id => typeof id === 'number') || null,
+        clusterKeywords: generationParams?.clusterKeywords || null,
+        serviceUrl: generationParams?.serviceUrl || null,
+        wordCount: generationParams?.wordCount?.target || null,
+        feedback: { issues },
+        calls
+    });
+
+    return {
+        ...article,
+        title: revised.title,
+        content: revised.content,
+        excerpt: revised.excerpt || article.excerpt,
+        meta_title: revised.metaTitle || article.meta_title,
+        meta_description: revised.metaDescription || article.meta_description
+    };
+}
+
+// Disclaimers with no categories apply to every article
+function applicableDisclaimers(article, rules) {
+    const category = (article.category || '').trim().toLowerCase();
+    return (rules.disclaimers || []).filter(disclaimer =>
+        disclaimer.categories.length === 0
+        || disclaimer.categories.some(name => name.toLowerCase() === category));
+}
+
+// Byline and top disclaimers go before the content, bottom disclaimers after it
+function insertRequiredBlocks(article, rules) {
+    const html = isHtmlContent(article.content || '');
+    const top = [];
+    const bottom = [];
+
+    if (rules.byline && !containsText(article.content, rules.byline)) {
+        top.push(html ? `<p class="byline"><em>${escapeHtml(rules.byline)}</em></p>` : `*${rules.byline}*`);
+    }
+    for (const disclaimer of applicableDisclaimers(article, rules)) {
+        if (containsText(article.content, disclaimer.text)) continue;
+        const block = html
+            ? `<blockquote class="disclaimer"><p>${escapeHtml(disclaimer.text)}</p></blockquote>`
+            : disclaimer.text.split('\n').map(line => `> ${line}`).join('\n');
+        (disclaimer.position === 'top' ? top : bottom).push(block);
+    }
+
+    return [...top, article.content || '', ...bottom].filter(part => part).join('\n\n');
+}
+
+function hasReplacement(rule) {
+    return typeof rule.replacement === 'string';
+}
+
+// Claim patterns run against every article, so patterns that can backtrack catastrophically are
+// refused: a repeated group containing a quantifier or alternatives ("(a+)+", "(a|ab)*") or a backreference
+function canBacktrack(pattern) {
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            if (!inClass && /[1-9k]/.test(pattern[i + 1])) return true;
+            i++;
+            // \p{...} and \u{...} take their braces with them
+            if (/[pPu]/.test(pattern[i]) && pattern[i + 1] === '{') i = Math.max(i, pattern.indexOf('}', i));
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ variable: false });
+        } else if (char === ')') {
+            const group = groups.pop();
+            if (group?.variable && repeats(pattern, i + 1)) return true;
+            if (group?.variable && groups.length > 0) groups[groups.length - 1].variable = true;
+        } else if (groups.length > 0 && (char === '|' || repeats(pattern, i))) {
+            groups[groups.length - 1].variable = true;
+        }
+    }
+
+    return false;
+}
+
+// Whether the quantifier at `index` can match more than once (*, + or a {n,m} range above 1)
+function repeats(pattern, index) {
+    if (pattern[index] === '*' || pattern[index] === '+') return true;
+    const range = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!range) return false;
+    return range[2] ? range[3] === '' || Number(range[3]) > 1 : Number(range[1]) > 1;
+}
+
+function termRegex(term) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(term)}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function findMatches(text, regex) {
+    return [...String(text).matchAll(regex)].filter(match => match[0].length > 0);
+}
+
+function summarizeMatches(text, matches) {
+    const first = matches[0];
+    const start = Math.max(0, first.index - 40);
+    const end = Math.min(text.length, first.index + first[0].length + 40);
+    return {
+        match: first[0],
+        count: matches.length,
+        context: `${start > 0 ? '…' : ''}${text.substring(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`
+    };
+}
+
+// Whether text appears in content, ignoring markup, punctuation and case
+function containsText(content, text) {
+    const normalize = value => String(value || '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .toLowerCase();
+    const needle = normalize(text);
+    return needle.length > 0 && ` ${normalize(content)} `.includes(` ${needle} `);
+}
+
+// Collapse the gaps removed matches leave behind (indentation and trailing line-break spaces are kept)
+function tidyRedaction(text) {
+    return text
+        .replace(/(\S)[ \t]{2,}(?=\S)/g, '$1 ')
+        .replace(/(\S) +([,.;:!?])/g, '$1$2')
+        .replace(/[,;:]+([.!?])/g, '$1');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    FIX_MODES,
+    normalizeRules,
+    parseComplianceRules,
+    checkCompliance,
+    redactArticle,
+    checkArticleCompliance,
+    fixArticleCompliance,
+    enforceCompliance,
+    checkComplianceGate,
+    formatComplianceGuide
+};
@@ -1,121 +1,620 @@
-const axios = require('axios');
+const { FAQ_HEADING, parseFaq } = require('./markdownToWordPress');
+const llm = require('./llmProviders');
+const {
+    ARTICLE_OUTPUT_SCHEMA,
+    OUTLINE_OUTPUT_SCHEMA,
+    ARTICLE_META_SCHEMA,
+    REVISION_META_SCHEMA,
+    SECTION_IMAGES_SCHEMA,
+    validateArticleOutput,
+    validateOutline,
+    validateArticleMeta,
+    validateRevisionMeta,
+    validateSectionImages,
+    toGeneratedContent
+} = require('./articleSchema');
+const { interpolate, extractVariables, buildTemplateVariables, resolveTemplates } = require('./templates');
+const { parseBrandVoice, scoreVoiceMatch } = require('./brandVoice');
+const { analyzeCoverage } = require('./keywordCoverage');
 
-const KIMI_API_KEY = process.env.KIMI_API_KEY;
-const KIMI_BASE_URL = process.env.KIMI_BASE_URL || 'https://api.kimi.moonshot.cn/v1';
-const KIMI_MODEL = process.env.KIMI_MODEL || 'kimi-k2.5';
+// 'json' asks for a schema-validated JSON object; 'text' uses the labelled text format
+const CONTENT_OUTPUT_MODE = process.env.CONTENT_OUTPUT_MODE === 'text' ? 'text' : 'json';
+
+// Re-asks with the validation errors before falling back to the text format
+const JSON_REPAIR_ATTEMPTS = 1;
+
+// Articles longer than this are generated outline-first, one section per call
+const LONG_FORM_MIN_WORDS = parseInt(process.env.LONG_FORM_MIN_WORDS) || 2500;
+
+// A section outside this share of its target gets one expand/shorten pass
+const SECTION_LENGTH_TOLERANCE = 0.15;
 
 /**
- * Generate article content using Kimi API
+ * Generate article content using the business profile's LLM provider.
+ * Prompts come from the user's content templates (the selected `templateId`, then their
+ * defaults, then the built-in templates); a `customPrompt` replaces the article template.
+ * In JSON mode, output that fails the schema gets a repair pass; if that also fails
+ * the article is generated again in the legacy text format.
+ * Long articles (or any article with an approved `outline`) are generated section by section.
+ * The result carries `generationParams` with the provider, model and per-call token usage.
  */
-async function generateContent({ keyword, businessProfile, customPrompt, userId, articleId, researchData = null }) {
-    if (!KIMI_API_KEY) {
-        throw new Error('Kimi API key not configured');
-    }
+async function generateContent({
+    keyword,
+    businessProfile,
+    customPrompt,
+    userId,
+    articleId,
+    researchData = null,
+    outputMode = CONTENT_OUTPUT_MODE,
+    outline = null,
+    wordCount = null,
+    templateId = null,
+    clusterKeywords = null,
+    serviceUrl = null
+}) {
+    const targetWords = wordCount || businessProfile?.word_count || 1500;
+    const prompts = await loadPromptTemplates({
+        keyword,
+        businessProfile,
+        researchData,
+        userId,
+        templateId,
+        clusterKeywords,
+        serviceUrl,
+        wordCount: targetWords
+    });
+    const { templates, sources, variables } = prompts;
 
-    // Build system prompt based on business profile and research data
-    const systemPrompt = buildSystemPrompt(businessProfile, researchData);
+    if (outline || (!customPrompt && targetWords > LONG_FORM_MIN_WORDS)) {
+        return generateLongFormContent({ keyword, businessProfile, researchData, outline, wordCount: targetWords, prompts });
+    }
 
-    // Build user prompt
-    const userPrompt = customPrompt || buildUserPrompt(keyword, businessProfile, researchData);
+    const userPrompt = interpolate(customPrompt || templates.article, variables);
+    const calls = [];
 
     try {
-        const response = await axios.post(
-            `${KIMI_BASE_URL}/chat/completions`,
-            {
-                model: KIMI_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
+        let result = null;
+        let mode = outputMode;
+        let validationErrors = [];
+
+        if (outputMode === 'json') {
+            ({ result, mode, errors: validationErrors } = await generateJsonContent({
+                keyword,
+                businessProfile,
+                system: buildSystemPrompt(templates, variables, 'json'),
+                userPrompt,
+                calls
+            }));
+        }
+
+        if (!result) {
+            const { content, usage } = await llm.complete({
+                businessProfile,
+                purpose: 'content',
+                system: buildSystemPrompt(templates, variables, 'text'),
+                messages: [{ role: 'user', content: userPrompt }],
                 temperature: 0.7,
-                max_tokens: 8000
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${KIMI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
+                maxTokens: 8000,
                 timeout: 180000 // 3 minute timeout for generation
-            }
-        );
+            });
+            calls.push(usage);
+
+            // Parse the generated content
+            result = parseGeneratedContent(content, keyword);
+            mode = outputMode === 'json' ? 'text_fallback' : 'text';
+        }
 
-        const content = response.data.choices[0].message.content;
-        
-        // Parse the generated content
-        return parseGeneratedContent(content, keyword);
+        const lastCall = calls[calls.length - 1];
+        result.generationParams = {
+            provider: lastCall.provider,
+            model: lastCall.model,
+            keyword,
+            customPrompt: !!customPrompt,
+            templates: sources,
+            ...coverageParams(result.content, keyword, variables),
+            ...voiceParams(result.content, businessProfile),
+            outputMode: mode,
+            validationErrors: validationErrors.length > 0 ? validationErrors : undefined,
+            suggestions: result.imageAltSuggestions ? {
+                imageAlt: result.imageAltSuggestions,
+                internalLinks: result.internalLinkSuggestions
+            } : undefined,
+            calls
+        };
+        return result;
     } catch (err) {
         console.error('Content generation error:', err.message);
-        if (err.response) {
-            console.error('Kimi API error:', err.response.data);
-        }
         throw new Error(`Failed to generate content: ${err.message}`);
     }
 }
 
 /**
- * Build system prompt from business profile and research data
+ * Resolve the prompt templates for a generation and the variables to fill them with
+ */
+async function loadPromptTemplates({ keyword, businessProfile, researchData, userId, templateId, clusterKeywords, serviceUrl, wordCount }) {
+    const { templates, sources } = await resolveTemplates(userId, templateId);
+    const variables = buildTemplateVariables({ keyword, businessProfile, researchData, clusterKeywords, serviceUrl, wordCount });
+    return { templates, sources, variables };
+}
+
+/**
+ * Cluster keywords, service page and the coverage report for generation params
+ * (nothing when the article has neither)
  */
-function buildSystemPrompt(profile, researchData = null) {
-    const tone = profile?.tone || 'professional';
-    const wordCount = profile?.word_count || 1500;
-    const contentType = profile?.content_type || 'blog_post';
-    const location = profile?.location || '';
-
-    const toneGuidelines = {
-        professional: 'Use professional, authoritative language suitable for B2B audiences. Be clear, concise, and data-driven.',
-        casual: 'Use conversational, approachable language that feels friendly and accessible. Write like you\'re talking to a friend.',
-        friendly: 'Be warm and engaging while maintaining expertise. Use inclusive language and positive framing.',
-        formal: 'Use formal academic or business writing style with precise terminology. Maintain objectivity.',
-        witty: 'Incorporate clever wordplay and humor while remaining informative. Be memorable and entertaining.'
+function coverageParams(content, keyword, variables) {
+    if (variables.cluster_keywords.length === 0 && !variables.service_url) {
+        return {};
+    }
+
+    return {
+        clusterKeywords: variables.cluster_keywords,
+        serviceUrl: variables.service_url || null,
+        coverage: analyzeCoverage({
+            content,
+            clusterKeywords: variables.cluster_keywords,
+            serviceUrl: variables.service_url,
+            keyword
+        })
     };
+}
 
-    let prompt = `You are an expert SEO content strategist and writer specializing in creating high-ranking, engaging ${contentType.replace('_', ' ')}s.
-
-WRITING GUIDELINES:
-- Target length: ${wordCount} words (aim for ${Math.round(wordCount * 0.95)}-${Math.round(wordCount * 1.05)} words)
-- Tone: ${toneGuidelines[tone]}
-- Write for humans first, search engines second
-- Use clear, descriptive headings (H2, H3) with keywords
-- Include actionable insights and practical advice
-- Use bullet points and numbered lists where appropriate
-- Include a compelling introduction that hooks the reader
-- End with a strong call-to-action (CTA)
-- Add an FAQ section with 3-5 common questions
-
-${profile?.company_name ? `Company: ${profile.company_name}` : ''}
-${profile?.industry ? `Industry: ${profile.industry}` : ''}
-${profile?.target_audience ? `Target Audience: ${profile.target_audience}` : ''}
-${profile?.description ? `Company Description: ${profile.description}` : ''}
-${location ? `Target Location: ${location} (include local references where relevant)` : ''}
-
-SEO REQUIREMENTS:
-- Include the main keyword in the first 100 words
-- Use LSI keywords naturally throughout
-- Write compelling meta title and description
-- Include internal linking suggestions
-- Add alt text suggestions for images
-- Use schema-friendly formatting`;
-
-    // Add research insights if available
-    if (researchData) {
-        prompt += `\n\nCOMPETITOR RESEARCH INSIGHTS:
-`;
-        if (researchData.avgWordCount) {
-            prompt += `- Top-ranking articles average ${researchData.avgWordCount} words\n`;
+/**
+ * Voice match score against the business profile's brand voice for generation params
+ * (nothing when the profile has no brand voice)
+ */
+function voiceParams(content, businessProfile) {
+    const voice = parseBrandVoice(businessProfile);
+    if (!voice) {
+        return {};
+    }
+
+    const match = scoreVoiceMatch(content, voice);
+    return {
+        voiceMatch: {
+            score: match.score,
+            bannedPhrasesFound: match.bannedPhrasesFound,
+            checks: match.checks.map(check => ({ id: check.id, status: check.status, message: check.message }))
         }
-        if (researchData.commonHeadings && researchData.commonHeadings.length > 0) {
-            prompt += `- Common topics covered: ${researchData.commonHeadings.slice(0, 5).join(', ')}\n`;
+    };
+}
+
+/**
+ * Ask for the article as JSON, re-asking with the validation errors if it doesn't match the schema.
+ * Returns { result: null } when the output can't be repaired.
+ */
+async function generateJsonContent({ keyword, businessProfile, system, userPrompt, calls }) {
+    const { data, errors, repaired } = await llm.completeJson({
+        businessProfile,
+        purpose: 'content',
+        system,
+        prompt: userPrompt,
+        validate: validateArticleOutput,
+        calls,
+        repairAttempts: JSON_REPAIR_ATTEMPTS,
+        temperature: 0.7,
+        maxTokens: 8000,
+        timeout: 180000
+    });
+
+    if (!data) {
+        return { result: null, mode: 'json', errors };
+    }
+
+    return { result: toGeneratedContent(data, keyword), mode: repaired ? 'json_repaired' : 'json', errors };
+}
+
+/**
+ * Generate an article outline from research (common headings and content gaps).
+ * Section word targets are scaled to add up to `wordCount`.
+ */
+async function generateOutline({
+    keyword,
+    businessProfile,
+    researchData = null,
+    wordCount = null,
+    calls = [],
+    userId = null,
+    templateId = null,
+    clusterKeywords = null,
+    serviceUrl = null,
+    prompts = null
+}) {
+    const targetWords = wordCount || businessProfile?.word_count || 1500;
+    const { templates, variables } = prompts || await loadPromptTemplates({
+        keyword,
+        businessProfile,
+        researchData,
+        userId,
+        templateId,
+        clusterKeywords,
+        serviceUrl,
+        wordCount: targetWords
+    });
+
+    let prompt = `Create a detailed outline for an article targeting the keyword "${keyword}".
+The finished article should be about ${targetWords} words.`;
+
+    if (researchData?.commonHeadings?.length > 0) {
+        prompt += `\n\nTopics top-ranking competitors cover: ${researchData.commonHeadings.slice(0, 10).join(', ')}`;
+    }
+    if (researchData?.contentGaps?.length > 0) {
+        prompt += `\nGaps competitors miss (cover these): ${researchData.contentGaps.slice(0, 5).join(', ')}`;
+    }
+    if (researchData?.relatedSearches?.length > 0) {
+        prompt += `\nRelated searches (candidates for H2 sections): ${researchData.relatedSearches.slice(0, 8).join(', ')}`;
+    }
+    if (researchData?.peopleAlsoAsk?.length > 0) {
+        prompt += `\nQuestions searchers also ask (use these first in the FAQ): ${researchData.peopleAlsoAsk.slice(0, 8).map(item => item.question).join(' ')}`;
+    }
+    if (researchData?.faqQuestions?.length > 0) {
+        prompt += `\nQuestions competitors answer (candidates for the FAQ): ${researchData.faqQuestions.slice(0, 8).join(' ')}`;
+    }
+    if (researchData?.avgWordCount) {
+        prompt += `\nTop-ranking pages average ${researchData.avgWordCount} words`;
+    }
+    if (researchData?.userIntent) {
+        prompt += `\nUser intent: ${researchData.userIntent}`;
+    }
+    if (variables.cluster_keywords.length > 0) {
+        prompt += `\n\nRequired secondary keywords (put each one in the keywords of the section where it fits best): ${variables.cluster_keywords.join(', ')}`;
+    }
+    if (variables.service_url) {
+        prompt += `\nThe article promotes this service page: ${variables.service_url}. Plan at least one section where linking to it is natural.`;
+    }
+
+    prompt += `\n\nRespond with a single JSON object only, matching this JSON schema:
+
+${JSON.stringify(OUTLINE_OUTPUT_SCHEMA, null, 2)}
+
+Notes:
+- The first section is the introduction (empty heading); the last section is the conclusion with a call-to-action
+- Each section lists the specific points it must cover and its share of the word count in targetWords
+- faqQuestions holds 3-5 questions for the FAQ. Don't make the FAQ a section.`;
+
+    const { data, errors } = await llm.completeJson({
+        businessProfile,
+        purpose: 'outline',
+        system: renderPrompt(templates, variables),
+        prompt,
+        validate: validateOutline,
+        calls,
+        repairAttempts: JSON_REPAIR_ATTEMPTS,
+        temperature: 0.5,
+        maxTokens: 3000,
+        timeout: 90000
+    });
+
+    if (!data) {
+        throw new Error(`Failed to generate outline: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    return { outline: assignSectionKeywords(normalizeOutline(data, targetWords), variables.cluster_keywords), calls };
+}
+
+/**
+ * Clean up an outline (generated or edited by the user) and scale its word targets to the total
+ */
+function normalizeOutline(outline, wordCount) {
+    const sections = (Array.isArray(outline?.sections) ? outline.sections : []).map(section => ({
+        heading: String(section.heading || '').trim().replace(/^#+\s*/, ''),
+        points: (section.points || []).map(point => String(point).trim()).filter(point => point),
+        keywords: (section.keywords || []).map(k => String(k).trim()).filter(k => k),
+        targetWords: Number(section.targetWords) > 0 ? Number(section.targetWords) : null
+    })).filter((section, i) => i === 0 || section.heading);
+
+    // Sections added without a target (e.g. in a user edit) get an average share
+    const targets = sections.filter(section => section.targetWords).map(section => section.targetWords);
+    const averageTarget = targets.length > 0
+        ? targets.reduce((sum, target) => sum + target, 0) / targets.length
+        : wordCount / Math.max(1, sections.length);
+    sections.forEach(section => {
+        section.targetWords = section.targetWords || averageTarget;
+    });
+
+    const totalTarget = sections.reduce((sum, section) => sum + section.targetWords, 0);
+    const scale = totalTarget > 0 ? wordCount / totalTarget : 1;
+    sections.forEach(section => {
+        section.targetWords = Math.max(50, Math.round(section.targetWords * scale / 10) * 10);
+    });
+
+    return {
+        title: String(outline?.title || '').trim(),
+        sections,
+        faqQuestions: (outline?.faqQuestions || []).map(q => String(q).trim()).filter(q => q),
+        wordCount
+    };
+}
+
+/**
+ * Make sure every cluster keyword is assigned to a section, spreading unassigned ones
+ * over the body sections with the fewest keywords
+ */
+function assignSectionKeywords(outline, clusterKeywords = []) {
+    const assigned = new Set(outline.sections.flatMap(section => section.keywords.map(k => k.toLowerCase())));
+    const bodySections = outline.sections.filter((section, i) => section.heading || i > 0);
+    const targets = bodySections.length > 0 ? bodySections : outline.sections;
+
+    for (const keyword of clusterKeywords) {
+        if (assigned.has(keyword.toLowerCase()) || targets.length === 0) continue;
+        const section = targets.reduce((best, candidate) => candidate.keywords.length < best.keywords.length ? candidate : best);
+        section.keywords.push(keyword);
+        assigned.add(keyword.toLowerCase());
+    }
+
+    return outline;
+}
+
+/**
+ * Generate a long article section by section from an outline (generating one if none was approved),
+ * then generate the meta fields and FAQ answers and stitch everything together.
+ */
+async function generateLongFormContent({ keyword, businessProfile, researchData = null, outline = null, wordCount, prompts }) {
+    const calls = [];
+
+    try {
+        const approved = !!outline;
+        if (outline) {
+            outline = assignSectionKeywords(normalizeOutline(outline, wordCount), prompts.variables.cluster_keywords);
+            const { valid, errors } = validateOutline(outline);
+            if (!valid) {
+                throw new Error(`Invalid outline: ${errors.slice(0, 3).join('; ')}`);
+            }
+        } else {
+            ({ outline } = await generateOutline({ keyword, businessProfile, researchData, wordCount, calls, prompts }));
         }
-        if (researchData.contentGaps && researchData.contentGaps.length > 0) {
-            prompt += `- Content gaps to fill: ${researchData.contentGaps.slice(0, 3).join(', ')}\n`;
+
+        const system = renderPrompt(prompts.templates, prompts.variables);
+        const sections = [];
+
+        // The contextual service page link goes in the first section between the intro and the conclusion
+        const middle = outline.sections.map((section, i) => i).filter(i => i > 0 && i < outline.sections.length - 1);
+        const linkIndex = prompts.variables.service_url ? (middle[0] ?? 0) : -1;
+
+        for (let i = 0; i < outline.sections.length; i++) {
+            const body = await generateSection({
+                keyword,
+                businessProfile,
+                system,
+                sectionTemplate: prompts.templates.section,
+                variables: prompts.variables,
+                outline,
+                index: i,
+                linkServiceUrl: i === linkIndex,
+                previousBody: sections[i - 1]?.body || '',
+                calls
+            });
+            sections.push({ heading: outline.sections[i].heading, body });
         }
-        if (researchData.userIntent) {
-            prompt += `- User intent: ${researchData.userIntent}\n`;
+
+        const meta = await generateArticleMeta({ keyword, businessProfile, system, outline, sections, calls });
+
+        const result = toGeneratedContent({
+            title: outline.title,
+            ...meta,
+            sections
+        }, keyword);
+
+        const lastCall = calls[calls.length - 1];
+        result.generationParams = {
+            provider: lastCall.provider,
+            model: lastCall.model,
+            keyword,
+            customPrompt: false,
+            templates: prompts.sources,
+            ...coverageParams(result.content, keyword, prompts.variables),
+            ...voiceParams(result.content, businessProfile),
+            outputMode: 'sections',
+            outline,
+            outlineApproved: approved,
+            wordCount: {
+                target: wordCount,
+                actual: countWords(sections.map(section => section.body).join('\n\n'))
+            },
+            suggestions: {
+                imageAlt: result.imageAltSuggestions,
+                internalLinks: result.internalLinkSuggestions
+            },
+            calls
+        };
+        return result;
+    } catch (err) {
+        console.error('Long-form generation error:', err.message);
+        throw new Error(`Failed to generate content: ${err.message}`);
+    }
+}
+
+/**
+ * Write one outline section. The full outline and the end of the previous section are shared
+ * as context; a section far off its word target gets one expand/shorten pass.
+ */
+async function generateSection({ keyword, businessProfile, system, sectionTemplate, variables, outline, index, linkServiceUrl = false, previousBody, calls }) {
+    const section = outline.sections[index];
+    const target = section.targetWords;
+    const isIntro = index === 0 && !section.heading;
+
+    const prompt = interpolate(sectionTemplate, {
+        ...variables,
+        article_title: outline.title,
+        outline: formatOutline(outline),
+        section_label: isIntro ? 'the introduction' : `section ${index + 1}: "${section.heading}"`,
+        section_heading: section.heading || 'Introduction',
+        section_points: section.points.map(point => `- ${point}`).join('\n'),
+        section_target_words: target,
+        section_min_words: Math.round(target * 0.9),
+        section_max_words: Math.round(target * 1.1),
+        section_keywords: section.keywords,
+        link_service_url: linkServiceUrl,
+        previous_section_ending: previousBody ? lastWords(previousBody, 80) : '',
+        is_intro: isIntro,
+        is_last: index === outline.sections.length - 1
+    });
+
+    const maxTokens = Math.min(8000, Math.max(1000, target * 3));
+    const messages = [{ role: 'user', content: prompt }];
+    const first = await llm.complete({ businessProfile, purpose: 'section', system, messages, temperature: 0.7, maxTokens, timeout: 120000 });
+    calls.push(first.usage);
+
+    let body = stripSectionHeading(first.content, section.heading);
+    const words = countWords(body);
+
+    if (Math.abs(words - target) > target * SECTION_LENGTH_TOLERANCE) {
+        const direction = words < target ? 'Expand' : 'Shorten';
+        messages.push(
+            { role: 'assistant', content: body },
+            {
+                role: 'user',
+                content: `That section is ${words} words. ${direction} it to about ${target} words${words < target ? ' by adding depth: examples, specifics and practical detail' : ' by cutting repetition and filler'}. Keep the same structure and respond with the full revised section only.`
+            }
+        );
+
+        const adjusted = await llm.complete({ businessProfile, purpose: 'section_length', system, messages, temperature: 0.5, maxTokens, timeout: 120000 });
+        calls.push(adjusted.usage);
+
+        const adjustedBody = stripSectionHeading(adjusted.content, section.heading);
+        // Keep whichever version is closer to the target
+        if (Math.abs(countWords(adjustedBody) - target) < Math.abs(words - target)) {
+            body = adjustedBody;
         }
-        prompt += `- Goal: Create BETTER content than competitors - more comprehensive, better structured, more helpful\n`;
     }
 
-    prompt += `\nOUTPUT FORMAT:
+    return body;
+}
+
+/**
+ * Generate title tag, meta description, excerpt, tags and FAQ answers for a finished article
+ */
+async function generateArticleMeta({ keyword, businessProfile, system, outline, sections, calls }) {
+    const prompt = `The article "${outline.title}" targeting "${keyword}" has been written with these sections:
+${sections.map(section => `- ${section.heading || 'Introduction'}`).join('\n')}
+
+Introduction:
+${sections[0].body.substring(0, 1500)}
+
+Write its metadata and answer these FAQ questions (2-4 sentences each):
+${(outline.faqQuestions.length > 0 ? outline.faqQuestions : [`Common questions about ${keyword}`]).map(q => `- ${q}`).join('\n')}
+
+Respond with a single JSON object only, matching this JSON schema:
+
+${JSON.stringify(ARTICLE_META_SCHEMA, null, 2)}`;
+
+    const { data } = await llm.completeJson({
+        businessProfile,
+        purpose: 'meta',
+        system,
+        prompt,
+        validate: validateArticleMeta,
+        calls,
+        repairAttempts: JSON_REPAIR_ATTEMPTS,
+        temperature: 0.5,
+        maxTokens: 3000,
+        timeout: 90000
+    });
+
+    if (data) {
+        return data;
+    }
+
+    // Meta is recoverable: fall back to the outline title and no FAQ
+    return {
+        metaTitle: outline.title.substring(0, 70),
+        metaDescription: '',
+        excerpt: '',
+        tags: [],
+        focusKeyword: keyword,
+        secondaryKeywords: [],
+        faq: []
+    };
+}
+
+/**
+ * Outline as a numbered list with word targets (used in prompts and ClawBot messages)
+ */
+function formatOutline(outline) {
+    return outline.sections.map((section, i) => {
+        const points = section.points.length > 0 ? `\n   ${section.points.map(point => `• ${point}`).join('\n   ')}` : '';
+        const keywords = section.keywords?.length > 0 ? `\n   Keywords: ${section.keywords.join(', ')}` : '';
+        return `${i + 1}. ${section.heading || 'Introduction'} (~${section.targetWords} words)${points}${keywords}`;
+    }).join('\n');
+}
+
+/**
+ * Count words in Markdown, ignoring syntax
+ */
+function countWords(markdown) {
+    return (markdown || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/[#>*_`|\-\[\]()]/g, ' ')
+        .split(/\s+/)
+        .filter(word => /\w/.test(word))
+        .length;
+}
+
+function lastWords(text, count) {
+    return text.split(/\s+/).slice(-count).join(' ');
+}
+
+// Models sometimes repeat the H2 they were asked to leave out
+function stripSectionHeading(content, heading) {
+    const body = content.trim().replace(/^```(?:markdown|md)?\s*([\s\S]*?)```$/, '$1').trim();
+    const firstLine = body.split('\n')[0];
+    const normalize = text => text.replace(/^#+\s*/, '').replace(/[^\w\s]/g, '').trim().toLowerCase();
+
+    if (/^#{1,2}\s/.test(firstLine) && (!heading || normalize(firstLine) === normalize(heading))) {
+        return body.substring(firstLine.length).trim();
+    }
+    return body;
+}
+
+/**
+ * System prompt from the prompt template, followed by the output format instructions
+ */
+function buildSystemPrompt(templates, variables, outputMode = 'text') {
+    return renderPrompt(templates, variables)
+        + (outputMode === 'json' ? buildJsonOutputInstructions() : buildTextOutputInstructions());
+}
+
+// Profile guidance every system prompt carries, appended to custom prompt templates that don't use it
+const REQUIRED_PROMPT_SECTIONS = {
+    brand_voice: 'BRAND VOICE (match the company\'s existing posts)',
+    compliance_rules: 'COMPLIANCE (mandatory)'
+};
+
+/**
+ * The prompt template filled in, plus any required sections the template leaves out
+ */
+function renderPrompt(templates, variables) {
+    const used = extractVariables(templates.prompt);
+    const missing = Object.entries(REQUIRED_PROMPT_SECTIONS)
+        .filter(([name]) => variables[name] && !used.includes(name))
+        .map(([name, heading]) => `\n\n${heading}:\n${variables[name]}`);
+
+    return interpolate(templates.prompt, variables) + missing.join('');
+}
+
+/**
+ * Output instructions for JSON mode
+ */
+function buildJsonOutputInstructions() {
+    return `\nOUTPUT FORMAT:
+Respond with a single JSON object only - no code fences, no text before or after it.
+It must match this JSON schema:
+
+${JSON.stringify(ARTICLE_OUTPUT_SCHEMA, null, 2)}
+
+Notes:
+- title and metaTitle under 60 characters and include the main keyword
+- metaDescription under 160 characters with the keyword and a call-to-action
+- sections are the article body in order. The first section may have an empty heading for the introduction. Bodies are Markdown.
+- faq holds 3-5 questions. Do not repeat the FAQ inside sections.
+- imageAltSuggestions: alt text for the featured image and any in-article images
+- internalLinkSuggestions: anchor text and the topic of the page it should link to`;
+}
+
+/**
+ * Output instructions for the legacy text format
+ */
+function buildTextOutputInstructions() {
+    return `\nOUTPUT FORMAT:
 Provide your response in this exact format:
 
 TITLE: [Engaging, SEO-optimized title under 60 characters - include main keyword]
@@ -143,46 +642,10 @@ A: Detailed answer 1]
 A: Detailed answer 2]
 
 [Continue for 3-5 FAQs]`;
-
-    return prompt;
 }
 
 /**
- * Build user prompt for article generation
- */
-function buildUserPrompt(keyword, profile, researchData = null) {
-    let prompt = `Write a comprehensive, SEO-optimized article targeting the keyword: "${keyword}"`;
-
-    if (profile?.keywords) {
-        prompt += `\n\nInclude these related keywords naturally throughout the article: ${profile.keywords}`;
-    }
-
-    if (profile?.unique_selling_points) {
-        prompt += `\n\nConsider these unique selling points where relevant: ${profile.unique_selling_points}`;
-    }
-
-    if (profile?.competitors) {
-        prompt += `\n\nBe aware of these competitors (don't mention them directly, but differentiate the content): ${profile.competitors}`;
-    }
-
-    if (profile?.location) {
-        prompt += `\n\nTarget location/region: ${profile.location}. Include local references, landmarks, and location-specific details where appropriate.`;
-    }
-
-    if (researchData) {
-        prompt += `\n\nBased on competitor analysis, make sure to:`;
-        if (researchData.contentGaps && researchData.contentGaps.length > 0) {
-            prompt += `\n- Address these content gaps: ${researchData.contentGaps.slice(0, 3).join(', ')}`;
-        }
-        prompt += `\n- Be more comprehensive and helpful than existing content`;
-        prompt += `\n- Provide unique insights and actionable advice`;
-    }
-
-    return prompt;
-}
-
-/**
- * Parse generated content into structured format
+ * Parse generated content into structured format (legacy text format)
  */
 function parseGeneratedContent(content, keyword) {
     const result = {
@@ -194,7 +657,8 @@ function parseGeneratedContent(content, keyword) {
         focusKeyword: keyword,
         secondaryKeywords: '',
         content: '',
-        faq: ''
+        faq: '',
+        faqItems: []
     };
 
     // Extract TITLE
@@ -241,6 +705,7 @@ function parseGeneratedContent(content, keyword) {
     const faqMatch = content.match(/FAQ:\s*([\s\S]+)$/);
     if (faqMatch) {
         result.faq = faqMatch[1].trim();
+        result.faqItems = parseFaq(result.faq);
         // Append FAQ to content if found
         if (result.faq) {
             result.content += '\n\n## Frequently Asked Questions\n\n' + result.faq;
@@ -257,9 +722,10 @@ function parseGeneratedContent(content, keyword) {
 }
 
 /**
- * Generate image prompt for article featured image
+ * Generate image prompt for article featured image.
+ * Pass the article's generationParams.calls as `usageLog` to record the call's token usage.
  */
-async function generateImagePrompt(articleTitle, keyword, businessProfile = null) {
+async function generateImagePrompt(articleTitle, keyword, businessProfile = null, usageLog = null) {
     const systemPrompt = `You are an expert at creating detailed image generation prompts for AI image generators like Gemini, DALL-E, Midjourney, or Stable Diffusion. Create prompts that result in professional, eye-catching featured images for blog articles.`;
 
     let userPrompt = `Create a detailed image generation prompt for a featured image to accompany an article titled: "${articleTitle}"
@@ -278,27 +744,18 @@ Provide only the image prompt, no explanation.`;
     }
 
     try {
-        const response = await axios.post(
-            `${KIMI_BASE_URL}/chat/completions`,
-            {
-                model: KIMI_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: 0.7,
-                max_tokens: 500
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${KIMI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            }
-        );
+        const { content, usage } = await llm.complete({
+            businessProfile,
+            purpose: 'image_prompt',
+            system: systemPrompt,
+            messages: [{ role: 'user', content: userPrompt }],
+            temperature: 0.7,
+            maxTokens: 500,
+            timeout: 30000
+        });
 
-        return response.data.choices[0].message.content.trim();
+        if (usageLog) usageLog.push(usage);
+        return content.trim();
     } catch (err) {
         console.error('Image prompt generation error:', err.message);
         return `Professional business photography about ${keyword}, modern clean design, high quality, suitable for blog featured image, bright lighting, professional composition`;
@@ -306,13 +763,64 @@ Provide only the image prompt, no explanation.`;
 }
 
 /**
- * Generate content improvement suggestions
+ * Prompts, alt text and captions for `count` in-body images. `sections` are the article's
+ * H2 sections ({ heading, excerpt }); the model picks the ones an image explains best.
+ * Returns [{ section (index into sections), prompt, alt, caption }]. If the model fails,
+ * the images are spread over the sections with prompts built from the headings.
  */
-async function generateImprovementSuggestions(content, keyword) {
-    if (!KIMI_API_KEY) {
-        throw new Error('Kimi API key not configured');
+async function generateSectionImageBriefs({ title, keyword, sections, count, businessProfile = null, calls = [] }) {
+    const prompt = `The article "${title}" targets "${keyword}". Choose the ${count} section(s) below that an image would help most, and write an image for each.
+
+- section: the section's number
+- prompt: a detailed image generation prompt showing what that section explains (no text in the image)
+- alt: alt text describing the image for screen readers (under 125 characters; use the keyword only if it fits naturally)
+- caption: one short sentence shown under the image
+${businessProfile?.industry ? `\nIndustry context: ${businessProfile.industry}\n` : ''}
+${sections.map((section, i) => `SECTION ${i + 1}: ${section.heading}\n${section.excerpt}`).join('\n\n')}`;
+
+    const { data } = await llm.completeJson({
+        businessProfile,
+        purpose: 'section_images',
+        system: `You are an art director for a business blog. You plan in-article images that make each section easier to understand.
+Respond with a single JSON object only, matching this JSON schema:
+
+${JSON.stringify(SECTION_IMAGES_SCHEMA, null, 2)}`,
+        prompt,
+        validate: output => validateSectionImages(output, sections.length),
+        calls,
+        repairAttempts: JSON_REPAIR_ATTEMPTS,
+        temperature: 0.7,
+        maxTokens: 1500,
+        timeout: 60000
+    });
+
+    if (data) {
+        return data.images.slice(0, count).map(image => ({
+            section: image.section - 1,
+            prompt: image.prompt.trim(),
+            alt: image.alt.trim(),
+            caption: image.caption.trim()
+        }));
     }
 
+    // Spread evenly over the sections, away from the top where the featured image is
+    const step = sections.length / (count + 1);
+    return Array.from({ length: Math.min(count, sections.length) }, (_, i) => {
+        const index = Math.min(sections.length - 1, Math.floor(step * (i + 1)));
+        const heading = sections[index].heading;
+        return {
+            section: index,
+            prompt: `Professional image illustrating "${heading}" for an article about ${keyword}, clean composition, no text`,
+            alt: `${heading} - ${keyword}`.substring(0, 125),
+            caption: heading
+        };
+    }).filter((brief, i, briefs) => briefs.findIndex(other => other.section === brief.section) === i);
+}
+
+/**
+ * Generate content improvement suggestions
+ */
+async function generateImprovementSuggestions(content, keyword, businessProfile = null, usageLog = null) {
     const systemPrompt = `You are an expert SEO editor. Analyze content and provide specific, actionable improvement suggestions.`;
 
     const userPrompt = `Analyze this article targeting "${keyword}" and provide 3-5 specific improvement suggestions:
@@ -325,35 +833,211 @@ Provide suggestions in this format:
 etc.`;
 
     try {
-        const response = await axios.post(
-            `${KIMI_BASE_URL}/chat/completions`,
-            {
-                model: KIMI_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: 0.7,
-                max_tokens: 1000
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${KIMI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 60000
-            }
-        );
+        const { content: suggestions, usage } = await llm.complete({
+            businessProfile,
+            purpose: 'suggestions',
+            system: systemPrompt,
+            messages: [{ role: 'user', content: userPrompt }],
+            temperature: 0.7,
+            maxTokens: 1000,
+            timeout: 60000
+        });
 
-        return response.data.choices[0].message.content.trim();
+        if (usageLog) usageLog.push(usage);
+        return suggestions.trim();
     } catch (err) {
         console.error('Improvement suggestions error:', err.message);
         return null;
     }
 }
 
+/**
+ * Rewrite an article to fix the given review feedback (failed checks, missing keywords,
+ * editor suggestions). Uses the same prompt templates as generation so the voice is kept.
+ * Drafts longer than LONG_FORM_MIN_WORDS are revised section by section, like they were written.
+ * Returns the revised article in the generated content format; throws if the output can't be validated.
+ */
+async function reviseContent({
+    draft,
+    keyword,
+    businessProfile,
+    userId,
+    templateId = null,
+    clusterKeywords = null,
+    serviceUrl = null,
+    wordCount = null,
+    feedback,
+    calls
+}) {
+    const { templates, variables } = await loadPromptTemplates({
+        keyword,
+        businessProfile,
+        userId,
+        templateId,
+        clusterKeywords,
+        serviceUrl,
+        wordCount: wordCount || businessProfile?.word_count || 1500
+    });
+
+    if (countWords(draft.content) > LONG_FORM_MIN_WORDS) {
+        return reviseLongFormContent({ draft, keyword, businessProfile, templates, variables, feedback, calls });
+    }
+
+    const prompt = `Revise this article targeting "${keyword}". Keep what already works and fix every issue below.
+
+ISSUES TO FIX:
+${feedback.issues.map(issue => `- ${issue}`).join('\n')}
+${feedback.suggestions ? `\nEDITOR SUGGESTIONS:\n${feedback.suggestions}\n` : ''}
+CURRENT TITLE: ${draft.title}
+CURRENT META TITLE: ${draft.metaTitle || ''}
+CURRENT META DESCRIPTION: ${draft.metaDescription || ''}
+
+CURRENT ARTICLE (Markdown):
+${draft.content}
+
+Return the complete revised article, not just the changed parts.${/^!\[[^\]]*\]\(/m.test(draft.content) ? ' Keep every image line (![alt](url "caption")) as it is, in the same section.' : ''}`;
+
+    const { data, errors } = await llm.completeJson({
+        businessProfile,
+        purpose: 'revision',
+        system: buildSystemPrompt(templates, variables, 'json'),
+        prompt,
+        validate: validateArticleOutput,
+        calls,
+        repairAttempts: JSON_REPAIR_ATTEMPTS,
+        temperature: 0.5,
+        maxTokens: 8000,
+        timeout: 180000
+    });
+
+    if (!data) {
+        throw new Error(`Revision failed validation: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    return toGeneratedContent(data, keyword);
+}
+
+/**
+ * Revise a long draft one H2 section per call (the whole article doesn't fit in one response),
+ * then revise the title and meta fields. The FAQ is kept as it is, and so is any section whose
+ * rewrite comes back empty or cut short.
+ */
+async function reviseLongFormContent({ draft, keyword, businessProfile, templates, variables, feedback, calls }) {
+    const system = renderPrompt(templates, variables);
+    const sections = splitSections(draft.content);
+    const outline = sections.map(section => `- ${section.heading || 'Introduction'}`).join('\n');
+    const issues = feedback.issues.map(issue => `- ${issue}`).join('\n');
+
+    for (let i = 0; i < sections.length; i++) {
+        const section = sections[i];
+        if (FAQ_HEADING.test(section.heading)) continue;
+
+        const words = countWords(section.body);
+        const prompt = `You are revising ${section.heading ? `the section "${section.heading}"` : 'the introduction'} of the article "${draft.title}" targeting "${keyword}".
+Fix the issues below that apply to this section and keep what already works. The other sections are revised separately, so keep this one to about ${words} words unless an issue asks for a longer article.
+
+ARTICLE SECTIONS:
+${outline}
+
+ISSUES TO FIX:
+${issues}
+${feedback.suggestions ? `\nEDITOR SUGGESTIONS:\n${feedback.suggestions}\n` : ''}
+CURRENT SECTION (Markdown):
+${section.body}
+
+Respond with the full revised section only, without its H2 heading.${/^!\[[^\]]*\]\(/m.test(section.body) ? ' Keep every image line (![alt](url "caption")) as it is.' : ''}`;
+
+        const { content, usage } = await llm.complete({
+            businessProfile,
+            purpose: 'revision_section',
+            system,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.5,
+            maxTokens: Math.min(8000, Math.max(1000, words * 3)),
+            timeout: 120000
+        });
+        calls.push(usage);
+
+        const body = stripSectionHeading(content, section.heading);
+        if (countWords(body) >= words / 2) {
+            section.body = body;
+        } else {
+            console.error(`Revision of "${section.heading || 'Introduction'}" came back ${countWords(body)} of ${words} words, keeping the section`);
+        }
+    }
+
+    const metaPrompt = `The article "${draft.title}" targeting "${keyword}" has been revised to fix these issues:
+${issues}
+
+CURRENT TITLE: ${draft.title}
+CURRENT META TITLE: ${draft.metaTitle || ''}
+CURRENT META DESCRIPTION: ${draft.metaDescription || ''}
+
+Introduction:
+${sections[0].body.substring(0, 1500)}
+
+Revise the title, meta title and meta description where the issues apply to them and keep them otherwise.
+Respond with a single JSON object only, matching this JSON schema:
+
+${JSON.stringify(REVISION_META_SCHEMA, null, 2)}`;
+
+    const { data: meta } = await llm.completeJson({
+        businessProfile,
+        purpose: 'revision_meta',
+        system,
+        prompt: metaPrompt,
+        validate: validateRevisionMeta,
+        calls,
+        repairAttempts: JSON_REPAIR_ATTEMPTS,
+        temperature: 0.5,
+        maxTokens: 1000,
+        timeout: 60000
+    });
+
+    const content = sections
+        .map(section => section.heading ? `## ${section.heading}\n\n${section.body}` : section.body)
+        .join('\n\n');
+
+    return {
+        title: meta?.title.trim() || draft.title,
+        metaTitle: meta?.metaTitle.trim() || draft.metaTitle,
+        metaDescription: meta?.metaDescription.trim() || draft.metaDescription,
+        excerpt: draft.excerpt,
+        focusKeyword: draft.focusKeyword || keyword,
+        content,
+        sections
+    };
+}
+
+// Split Markdown into its introduction and H2 sections ({ heading, body }), ignoring headings in code blocks
+function splitSections(markdown) {
+    const sections = [{ heading: '', lines: [] }];
+    let inCode = false;
+
+    for (const line of markdown.replace(/\r\n/g, '\n').split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) inCode = !inCode;
+        const heading = !inCode && line.match(/^##\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            sections.push({ heading: heading[1].trim(), lines: [] });
+        } else {
+            sections[sections.length - 1].lines.push(line);
+        }
+    }
+
+    return sections
+        .map(section => ({ heading: section.heading, body: section.lines.join('\n').trim() }))
+        .filter((section, i) => i > 0 || section.body);
+}
+
 module.exports = {
+    LONG_FORM_MIN_WORDS,
     generateContent,
+    generateOutline,
+    normalizeOutline,
+    formatOutline,
+    countWords,
     generateImagePrompt,
-    generateImprovementSuggestions
+    generateSectionImageBriefs,
+    generateImprovementSuggestions,
+    reviseContent
 };
\ No newline at end of file
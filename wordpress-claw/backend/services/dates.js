@@ -0,0 +1,22 @@
+/**
+ * Date helpers shared by the scheduling and publishing code
+ */
+
+/**
+ * Parse a timestamp from the database. SQLite's CURRENT_TIMESTAMP
+ * format ('YYYY-MM-DD HH:MM:SS') is UTC without a zone marker.
+ */
+function parseDbDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+
+    const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+        ? value.replace(' ', 'T') + 'Z'
+        : value;
+    const date = new Date(normalized);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+    parseDbDate
+};
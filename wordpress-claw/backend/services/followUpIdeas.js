@@ -0,0 +1,119 @@
+const db = require('../database/db');
+const { assignQueueSlots } = require('./scheduling');
+
+/**
+ * Follow-up content ideas
+ * Related searches and "People Also Ask" questions captured during research are topics for
+ * further articles. Questions the article already answers are left out, and ideas the user
+ * already has an article or queue item for are marked so they aren't queued twice.
+ */
+
+const MAX_IDEAS = 15;
+
+/**
+ * Ideas from research data: [{ keyword, type: 'related_search' | 'question', snippet }].
+ * With the article's content, questions it already answers are skipped.
+ */
+function extractFollowUpIdeas(research, { content = '' } = {}) {
+    const analysis = research?.analysis || {};
+    const answered = normalize(content);
+    const seen = new Set([normalize(research?.keyword || '')]);
+    const ideas = [];
+
+    const add = (keyword, type, snippet = '') => {
+        const key = normalize(keyword);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+        ideas.push({ keyword, type, snippet });
+    };
+
+    for (const search of analysis.relatedSearches || []) {
+        add(search, 'related_search');
+    }
+    for (const item of analysis.peopleAlsoAsk || []) {
+        if (answered && answered.includes(normalize(item.question))) continue;
+        add(item.question.replace(/\?+$/, '').trim(), 'question', item.snippet);
+    }
+
+    return ideas.slice(0, MAX_IDEAS);
+}
+
+/**
+ * Follow-up ideas for one of the user's articles, each with `exists` when the keyword is
+ * already an article or content queue item
+ */
+async function getArticleFollowUpIdeas(userId, article) {
+    const research = parseResearch(article.research_data);
+    if (!research) return [];
+
+    const ideas = extractFollowUpIdeas(research, { content: article.content });
+    const existing = await existingKeywords(userId);
+
+    return ideas.map(idea => ({ ...idea, exists: existing.has(normalize(idea.keyword)) }));
+}
+
+/**
+ * Add ideas to the content queue as pending items. Keywords the user already has an article
+ * or queue item for are skipped. Returns { queued: [items], skipped: [keywords] }.
+ */
+async function queueFollowUpIdeas(userId, keywords, { serviceUrl = null, templateId = null } = {}) {
+    const existing = await existingKeywords(userId);
+    const queued = [];
+    const skipped = [];
+
+    for (const keyword of keywords.map(k => String(k || '').trim()).filter(k => k)) {
+        const key = normalize(keyword);
+        if (existing.has(key)) {
+            skipped.push(keyword);
+            continue;
+        }
+        existing.add(key);
+
+        const result = await db.prepare(`
+            INSERT INTO content_queue (user_id, service_url, main_keyword, template_id, status)
+            VALUES (?, ?, ?, ?, 'pending')
+        `).run(userId, serviceUrl, keyword, templateId);
+
+        queued.push(await db.prepare('SELECT * FROM content_queue WHERE id = ?').get(result.lastInsertRowid));
+    }
+
+    if (queued.length > 0) {
+        // Scheduling problems shouldn't undo the queued items
+        try {
+            await assignQueueSlots(userId);
+        } catch (err) {
+            console.error('Assign queue slots error:', err);
+        }
+    }
+
+    return { queued, skipped };
+}
+
+async function existingKeywords(userId) {
+    const rows = await db.prepare(`
+        SELECT main_keyword AS keyword FROM content_queue WHERE user_id = ?
+        UNION
+        SELECT keyword FROM articles WHERE user_id = ? AND keyword IS NOT NULL
+    `).all(userId, userId);
+
+    return new Set(rows.map(row => normalize(row.keyword)));
+}
+
+function parseResearch(researchData) {
+    if (!researchData) return null;
+    try {
+        return typeof researchData === 'string' ? JSON.parse(researchData) : researchData;
+    } catch {
+        return null;
+    }
+}
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    extractFollowUpIdeas,
+    getArticleFollowUpIdeas,
+    queueFollowUpIdeas
+};
@@ -0,0 +1,545 @@
+const db = require('../database/db');
+const { isHtmlContent } = require('./markdownToWordPress');
+const { parseClusterKeywords, normalizeUrl, extractLinks } = require('./keywordCoverage');
+const { keywordTokens, jaccard } = require('./keywordClustering');
+const { getWordPressConnection, getSitePosts } = require('./siteIndex');
+const { fetchPostContent, updatePostContent } = require('./wordpress');
+const { scoreArticle } = require('./seoAnalyzer');
+const { recordRevision } = require('./revisionHistory');
+
+/**
+ * Internal linking
+ * Articles get contextual links to the user's published articles and the other posts on their
+ * WordPress site: where the text already mentions another page's keyword (or its secondary
+ * keywords, title or slug), the mention becomes the link. Pages that share the most words with
+ * the article's keywords, title and research entities are linked first. The back-link pass
+ * does the reverse, linking older pages that mention a newly published article to it.
+ *
+ * Anchor rules: one link per paragraph, per page and per anchor text; no anchor that is the
+ * linking page's own keyword; at most half the links anchored on a page's exact keyword; and an
+ * anchor already used MAX_ANCHOR_REUSE times for a page isn't used for it again.
+ */
+
+// Most links added to one article (0 turns automatic linking off)
+const INTERNAL_LINKS_MAX = process.env.INTERNAL_LINKS_MAX !== undefined
+    ? Math.max(0, parseInt(process.env.INTERNAL_LINKS_MAX) || 0)
+    : 5;
+
+// Run the back-link pass when an article is first published, and how many older pages it updates
+const BACKLINKS_AUTO = process.env.INTERNAL_BACKLINKS_AUTO === 'true';
+const BACKLINKS_MAX = Math.max(1, parseInt(process.env.INTERNAL_BACKLINKS_MAX) || 3);
+
+const MAX_ANCHOR_REUSE = 3;
+
+// Site posts fetched to look for a mention, per back-link wanted
+const BACKLINK_CANDIDATES_PER_LINK = 4;
+
+// Anchors this similar to the linking page's own keyword would compete for it
+const OWN_KEYWORD_SIMILARITY = 0.8;
+
+// Longer titles almost never appear word for word in text
+const MAX_PHRASE_WORDS = 8;
+
+// Elements whose text is never linked, and elements that start a new paragraph
+const UNLINKABLE_TAGS = new Set(['a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'code', 'pre', 'script', 'style', 'button', 'figcaption']);
+const BLOCK_TAGS = new Set(['p', 'li', 'div', 'td', 'th', 'blockquote', 'ul', 'ol', 'table', 'figure', 'section', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/**
+ * The pages an article can link to: the user's published articles and (with includeWordPress)
+ * the site's other posts. Returns { targets, wordpressError }.
+ */
+async function buildLinkIndex(userId, { includeWordPress = true } = {}) {
+    const articles = await db.prepare(`
+        SELECT id, title, keyword, focus_keyword, secondary_keywords, wp_url, wp_post_id
+        FROM articles WHERE user_id = ? AND status = 'published' AND wp_url IS NOT NULL
+    `).all(userId);
+
+    const targets = articles.map(articleTarget);
+    let wordpressError = null;
+
+    if (includeWordPress) {
+        const { posts, error } = await getSitePosts(userId, { excludePostIds: articles.map(article => article.wp_post_id) });
+        targets.push(...posts.map(postTarget));
+        wordpressError = error;
+    }
+
+    return { targets: targets.filter(target => target.url && target.phrases.length > 0), wordpressError };
+}
+
+/**
+ * Choose where to link in content (Markdown or HTML). Targets are tried in order (most
+ * relevant first); each gets at most one link, at its first mention that passes the anchor
+ * rules, preferring anchors not used for it before. Returns [{ target, anchor, start, end, exact }].
+ */
+function planLinks(content, targets, { maxLinks = INTERNAL_LINKS_MAX, ownKeywords = [], anchorUses = new Map(), html = isHtmlContent(content) } = {}) {
+    const segments = html ? htmlSegments(content) : markdownSegments(content);
+    const linked = new Set(extractLinks(content).map(link => normalizeUrl(link.url)));
+    const own = ownKeywords.filter(keyword => keyword && keywordTokens(keyword).length > 0);
+    const ownTokens = own.map(keywordTokens);
+    // Mentions of the page's own keyword aren't split by a link (an anchor may contain one)
+    const ownMentions = own.flatMap(keyword => [...content.matchAll(phraseRegex(keyword))]
+        .map(match => [match.index, match.index + match[0].length]));
+    const exactCap = Math.ceil(maxLinks / 2);
+
+    const chosen = [];
+    const usedBlocks = new Set();
+    const usedAnchors = new Set();
+    let exactCount = 0;
+
+    for (const target of targets) {
+        if (chosen.length >= maxLinks) break;
+
+        const url = normalizeUrl(target.url);
+        if (linked.has(url)) continue;
+
+        const mentions = [];
+        for (const phrase of target.phrases) {
+            if (phrase.exact && exactCount >= exactCap) continue;
+            const pattern = phraseRegex(phrase.text);
+
+            for (const segment of segments) {
+                if (usedBlocks.has(segment.block)) continue;
+
+                for (const match of content.slice(segment.start, segment.end).matchAll(pattern)) {
+                    const anchor = match[0];
+                    const key = anchorKey(target.url, anchor);
+                    const reused = anchorUses.get(key) || 0;
+                    if (usedAnchors.has(anchorKey('', anchor)) || reused >= MAX_ANCHOR_REUSE) continue;
+
+                    const tokens = keywordTokens(anchor);
+                    if (ownTokens.some(own => jaccard(own, tokens) >= OWN_KEYWORD_SIMILARITY)) continue;
+
+                    const start = segment.start + match.index;
+                    const end = start + anchor.length;
+                    if (ownMentions.some(([from, to]) => start < to && end > from && (start > from || end < to))) continue;
+
+                    mentions.push({ target, anchor, start, end, exact: phrase.exact, block: segment.block, reused });
+                }
+            }
+        }
+
+        if (mentions.length === 0) continue;
+
+        mentions.sort((a, b) => a.reused - b.reused || a.start - b.start);
+        const { block, reused, ...link } = mentions[0];
+        chosen.push(link);
+        usedBlocks.add(block);
+        usedAnchors.add(anchorKey('', link.anchor));
+        linked.add(url);
+        if (link.exact) exactCount++;
+    }
+
+    return chosen.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Turn the planned mentions into links
+ */
+function insertLinks(content, links, { html = isHtmlContent(content) } = {}) {
+    let result = content;
+    for (const link of [...links].sort((a, b) => b.start - a.start)) {
+        const tag = html
+            ? `<a href="${escapeAttr(link.target.url)}">${link.anchor}</a>`
+            : `[${link.anchor}](${link.target.url})`;
+        result = result.slice(0, link.start) + tag + result.slice(link.end);
+    }
+    return result;
+}
+
+/**
+ * Add links from an article to the user's other pages (apply: false only plans them).
+ * Returns { links, applied, candidates, wordpressError, seoScore }, or null if the article
+ * doesn't exist. Published articles keep the links locally until they are published again.
+ */
+async function linkArticle(articleId, { apply = true, includeWordPress = true, maxLinks = INTERNAL_LINKS_MAX } = {}) {
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    const { targets, wordpressError } = await buildLinkIndex(article.user_id, { includeWordPress });
+    const ownUrl = article.wp_url ? normalizeUrl(article.wp_url) : null;
+    const topic = topicTokens(article);
+
+    const candidates = targets
+        .filter(target => !(target.type === 'article' && target.id === article.id) && normalizeUrl(target.url) !== ownUrl)
+        .map(target => ({ ...target, relevance: relevance(topic, target) }))
+        .sort((a, b) => b.relevance - a.relevance);
+
+    const links = maxLinks > 0 && article.content
+        ? planLinks(article.content, candidates, {
+            maxLinks,
+            ownKeywords: [article.focus_keyword, article.keyword],
+            anchorUses: await loadAnchorUses(article.user_id)
+        })
+        : [];
+
+    const result = { links: links.map(formatLink), applied: false, candidates: candidates.length, wordpressError };
+    if (!apply || links.length === 0) return result;
+
+    // Only written over the content the links were planned in, so edits made meanwhile are kept
+    const update = await db.prepare('UPDATE articles SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND content = ?')
+        .run(insertLinks(article.content, links), articleId, article.content);
+    if (update.changes === 0) {
+        throw new Error('The article was edited while links were being added');
+    }
+
+    try {
+        await recordRevision(articleId, 'internal_links', { previous: article });
+    } catch (err) {
+        console.error('Revision history error:', err);
+    }
+
+    for (const link of links) {
+        await recordLink(article, 'outbound', { type: 'article', id: article.id }, link.target, link.anchor);
+    }
+
+    let seoScore = null;
+    try {
+        seoScore = (await scoreArticle(articleId)).score;
+    } catch (err) {
+        console.error('SEO scoring error:', err);
+    }
+
+    return { ...result, applied: true, seoScore };
+}
+
+/**
+ * Back-link pass: link to a published article from up to `max` of the user's older pages that
+ * mention it, most related first. The live posts are edited in place, so unpublished local edits
+ * and edits made on the site stay as they are; our articles also get the link in their local copy. Only posts that share words with the article are fetched,
+ * and at most BACKLINK_CANDIDATES_PER_LINK per link wanted.
+ * Returns { added, checked, errors, wordpressError }.
+ */
+async function addBacklinks(articleId, { max = BACKLINKS_MAX } = {}) {
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    if (article.status !== 'published' || !article.wp_url) {
+        throw new Error('The article has to be published before other pages can link to it');
+    }
+
+    const connection = await getWordPressConnection(article.user_id);
+    if (!connection) {
+        throw new Error('No active WordPress connection');
+    }
+
+    const target = articleTarget(article);
+    const result = { added: [], checked: 0, errors: [], wordpressError: null };
+    if (target.phrases.length === 0) return result;
+
+    const articles = await db.prepare(`
+        SELECT * FROM articles WHERE user_id = ? AND id != ? AND status = 'published' AND wp_post_id IS NOT NULL
+    `).all(article.user_id, articleId);
+    const { posts, error } = await getSitePosts(article.user_id, {
+        excludePostIds: [article.wp_post_id, ...articles.map(row => row.wp_post_id)]
+    });
+    result.wordpressError = error;
+
+    const topic = topicTokens(article);
+    const ownUrl = normalizeUrl(article.wp_url);
+    const sources = [
+        ...articles.map(row => ({ ...articleTarget(row), row })),
+        ...posts.map(postTarget)
+    ]
+        .filter(source => normalizeUrl(source.url) !== ownUrl)
+        .map(source => ({ ...source, relevance: relevance(topic, source) }))
+        .filter(source => source.row || source.relevance > 0)
+        .sort((a, b) => b.relevance - a.relevance);
+    let fetches = max * BACKLINK_CANDIDATES_PER_LINK;
+
+    const context = {
+        credentials: JSON.parse(connection.credentials),
+        anchorUses: await loadAnchorUses(article.user_id)
+    };
+
+    for (const source of sources) {
+        if (result.added.length >= max) break;
+        if (!source.row && fetches-- <= 0) continue;
+        result.checked++;
+
+        try {
+            const link = source.row
+                ? await linkFromArticle(source.row, target, context)
+                : await linkFromPost(source, target, context);
+            if (!link) continue;
+
+            await recordLink(article, 'backlink', source, target, link.anchor);
+            const key = anchorKey(target.url, link.anchor);
+            context.anchorUses.set(key, (context.anchorUses.get(key) || 0) + 1);
+            result.added.push({ type: source.type, id: source.id, title: source.title, url: source.url, anchor: link.anchor });
+        } catch (err) {
+            console.error(`Back-link error (${source.type} ${source.id}):`, err.message);
+            result.errors.push({ type: source.type, id: source.id, error: err.message });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Links recorded for an article: the ones added to it and the back-links added to older pages
+ */
+async function getRecordedLinks(articleId) {
+    const rows = await db.prepare(`
+        SELECT kind, source_type, source_id, target_type, target_id, target_url, anchor, created_at
+        FROM internal_links WHERE article_id = ? ORDER BY id
+    `).all(articleId);
+
+    return {
+        outbound: rows.filter(row => row.kind === 'outbound'),
+        backlinks: rows.filter(row => row.kind === 'backlink')
+    };
+}
+
+// Link to the new article from one of ours: the live post is edited like any other post, then
+// the link is added to our copy unless that was edited meanwhile
+async function linkFromArticle(row, target, { credentials, anchorUses }) {
+    const ownKeywords = [row.focus_keyword, row.keyword];
+    const post = await fetchPostContent({ postId: row.wp_post_id, credentials });
+    if (!post || !post.content) return null;
+
+    const [link] = planLinks(post.content, [target], { maxLinks: 1, ownKeywords, anchorUses, html: true });
+    if (!link) return null;
+
+    await updatePostContent({ postId: row.wp_post_id, content: insertLinks(post.content, [link], { html: true }), credentials });
+
+    const [localLink] = row.content
+        ? planLinks(row.content, [target], { maxLinks: 1, ownKeywords, anchorUses })
+        : [];
+    if (!localLink) return link;
+
+    const update = await db.prepare('UPDATE articles SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND content = ?')
+        .run(insertLinks(row.content, [localLink]), row.id, row.content);
+    if (update.changes === 0) return link;
+
+    try {
+        await recordRevision(row.id, 'internal_links', { previous: row });
+    } catch (err) {
+        console.error('Revision history error:', err);
+    }
+
+    try {
+        await scoreArticle(row.id);
+    } catch (err) {
+        console.error('SEO scoring error:', err);
+    }
+
+    return link;
+}
+
+// Link to the new article from a post we didn't write, editing its content on the site
+async function linkFromPost(source, target, { credentials, anchorUses }) {
+    const post = await fetchPostContent({ postId: source.id, credentials });
+    if (!post || !post.content) return null;
+
+    const ownKeywords = source.phrases.filter(phrase => phrase.exact).map(phrase => phrase.text);
+    const [link] = planLinks(post.content, [target], { maxLinks: 1, ownKeywords, anchorUses, html: true });
+    if (!link) return null;
+
+    await updatePostContent({ postId: source.id, content: insertLinks(post.content, [link], { html: true }), credentials });
+    return link;
+}
+
+function articleTarget(article) {
+    return {
+        type: 'article',
+        id: article.id,
+        url: article.wp_url,
+        title: article.title || '',
+        phrases: linkPhrases([
+            [article.focus_keyword, true],
+            [article.keyword, true],
+            ...parseClusterKeywords(article.secondary_keywords).map(keyword => [keyword, false]),
+            [article.title, false]
+        ])
+    };
+}
+
+function postTarget(post) {
+    return {
+        type: 'wordpress',
+        id: post.postId,
+        url: post.url,
+        title: post.title,
+        phrases: linkPhrases([
+            [post.slug.replace(/-/g, ' '), true],
+            [post.title, false]
+        ])
+    };
+}
+
+// Unique phrases of two or more meaningful words: [{ text, exact }]
+function linkPhrases(list) {
+    const seen = new Set();
+    const phrases = [];
+
+    for (const [value, exact] of list) {
+        const text = String(value || '').trim().replace(/\s+/g, ' ');
+        const key = text.toLowerCase();
+        if (!text || seen.has(key) || keywordTokens(text).length < 2 || text.split(' ').length > MAX_PHRASE_WORDS) continue;
+        seen.add(key);
+        phrases.push({ text, exact });
+    }
+
+    return phrases;
+}
+
+// The words an article is about: its keywords, title and the entities its research found
+function topicTokens(article) {
+    let entities = [];
+    try {
+        const research = article.research_data ? JSON.parse(article.research_data) : null;
+        entities = research?.analysis?.entities || research?.insights?.entities || [];
+    } catch {
+        entities = [];
+    }
+
+    return new Set(keywordTokens([
+        article.focus_keyword,
+        article.keyword,
+        article.title,
+        article.secondary_keywords,
+        ...entities.map(entity => (typeof entity === 'string' ? entity : entity?.name))
+    ].filter(Boolean).join(' ')));
+}
+
+// Share of a page's words (title and phrases) that the article is about
+function relevance(topic, target) {
+    const tokens = keywordTokens([target.title, ...target.phrases.map(phrase => phrase.text)].join(' '));
+    if (tokens.length === 0) return 0;
+    return Math.round(tokens.filter(token => topic.has(token)).length / tokens.length * 100) / 100;
+}
+
+// A phrase in any case, with or without a plural on the last word, hyphens or spaces between words
+function phraseRegex(phrase) {
+    const words = phrase.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word);
+    const last = words.length - 1;
+    const parts = words.map((word, i) => {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (i !== last) return escaped;
+        const singular = word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? escaped.slice(0, -1) : escaped;
+        return `${singular}(?:e?s)?`;
+    });
+    return new RegExp(`(?<![\\p{L}\\p{N}])${parts.join('[\\s-]+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Linkable text in Markdown: paragraphs and list items outside links, images, code, inline HTML
+// and bare URLs. Headings, tables, code blocks and question lines (FAQ) are skipped.
+function markdownSegments(content) {
+    const segments = [];
+    const excluded = /!?\[[^\]]*\]\([^)]*\)|`[^`]*`|<[^>]+>|https?:\/\/\S+/g;
+    let block = 0;
+    let inCode = false;
+    let offset = 0;
+
+    for (const line of content.split('\n')) {
+        const start = offset;
+        offset += line.length + 1;
+        const trimmed = line.trim();
+
+        if (/^(```|~~~)/.test(trimmed)) {
+            inCode = !inCode;
+            block++;
+            continue;
+        }
+        if (inCode || !trimmed || /^(#{1,6}\s|\||<|!\[|-{3,}$|\*{3,}$)/.test(trimmed) || /\?[*_]*$/.test(trimmed)) {
+            block++;
+            continue;
+        }
+        if (/^([-*+]|\d+[.)])\s/.test(trimmed)) block++;
+
+        let cursor = 0;
+        for (const match of line.matchAll(excluded)) {
+            if (match.index > cursor) segments.push({ start: start + cursor, end: start + match.index, block });
+            cursor = match.index + match[0].length;
+        }
+        if (cursor < line.length) segments.push({ start: start + cursor, end: start + line.length, block });
+    }
+
+    return segments;
+}
+
+// Linkable text in HTML (block markup or classic editor content): text outside tags, comments
+// and UNLINKABLE_TAGS elements. Block tags and blank lines start a new paragraph.
+function htmlSegments(content) {
+    const segments = [];
+    const tagPattern = /<!--[\s\S]*?-->|<\/?([a-zA-Z][a-zA-Z0-9]*)\b[^>]*>/g;
+    let block = 0;
+    let unlinkable = 0;
+    let cursor = 0;
+
+    const addText = (from, to) => {
+        if (unlinkable > 0 || to <= from) return;
+        let last = 0;
+        const text = content.slice(from, to);
+        for (const gap of text.matchAll(/\n\s*\n/g)) {
+            segments.push({ start: from + last, end: from + gap.index, block });
+            block++;
+            last = gap.index + gap[0].length;
+        }
+        segments.push({ start: from + last, end: to, block });
+    };
+
+    for (const match of content.matchAll(tagPattern)) {
+        addText(cursor, match.index);
+        cursor = match.index + match[0].length;
+
+        const name = (match[1] || '').toLowerCase();
+        if (!name) continue;
+        if (BLOCK_TAGS.has(name)) block++;
+        if (UNLINKABLE_TAGS.has(name) && !match[0].endsWith('/>')) {
+            unlinkable = Math.max(0, unlinkable + (match[0][1] === '/' ? -1 : 1));
+        }
+    }
+    addText(cursor, content.length);
+
+    return segments.filter(segment => content.slice(segment.start, segment.end).trim());
+}
+
+async function loadAnchorUses(userId) {
+    const rows = await db.prepare('SELECT target_url, anchor FROM internal_links WHERE user_id = ?').all(userId);
+    const uses = new Map();
+    for (const row of rows) {
+        const key = anchorKey(row.target_url, row.anchor);
+        uses.set(key, (uses.get(key) || 0) + 1);
+    }
+    return uses;
+}
+
+async function recordLink(article, kind, source, target, anchor) {
+    await db.prepare(`
+        INSERT INTO internal_links (user_id, article_id, kind, source_type, source_id, target_type, target_id, target_url, anchor)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(article.user_id, article.id, kind, source.type, source.id, target.type, target.id, target.url, anchor);
+}
+
+function anchorKey(url, anchor) {
+    return `${normalizeUrl(url)}|${anchor.toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+function formatLink(link) {
+    return {
+        type: link.target.type,
+        id: link.target.id,
+        title: link.target.title,
+        url: link.target.url,
+        anchor: link.anchor,
+        exact: link.exact,
+        relevance: link.target.relevance
+    };
+}
+
+function escapeAttr(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+module.exports = {
+    INTERNAL_LINKS_MAX,
+    BACKLINKS_AUTO,
+    BACKLINKS_MAX,
+    buildLinkIndex,
+    planLinks,
+    insertLinks,
+    linkArticle,
+    addBacklinks,
+    getRecordedLinks
+};
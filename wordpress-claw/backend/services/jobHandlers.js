@@ -0,0 +1,658 @@
+const db = require('../database/db');
+const jobQueue = require('./jobQueue');
+const SummonAgent = require('./summonAgent');
+const { generateContent, generateImagePrompt } = require('./contentGeneration');
+const { formatGenerationParams } = require('./llmProviders');
+const { generateFeaturedImage } = require('./imageGeneration');
+const { uploadImage } = require('./github');
+const { publishArticle } = require('./publishing');
+const { checkBeforeProcessing, formatConflict } = require('./cannibalization');
+const { scoreArticle, checkPublishGate } = require('./seoAnalyzer');
+const { REVISION_MAX_ROUNDS, improveArticle } = require('./articleRevision');
+const { recordRevision } = require('./revisionHistory');
+const { enforceCompliance, checkComplianceGate, fixArticleCompliance } = require('./compliance');
+const { buildTopicalMap } = require('./keywordClustering');
+const { INTERNAL_LINKS_MAX, BACKLINKS_AUTO, linkArticle, addBacklinks } = require('./internalLinking');
+const { sectionImageCount, addSectionImages } = require('./sectionImages');
+
+/**
+ * Job types handled by the background worker
+ */
+const JOB_TYPES = {
+    PROCESS_QUEUE_ITEM: 'content_queue.process',
+    GENERATE_ARTICLE: 'article.generate',
+    REVISE_ARTICLE: 'article.revise',
+    FIX_COMPLIANCE: 'article.compliance_fix',
+    BUILD_TOPICAL_MAP: 'topical_map.build',
+    ADD_BACKLINKS: 'article.backlinks',
+    ADD_SECTION_IMAGES: 'article.section_images'
+};
+
+/**
+ * Process a content queue item: research, generate, image, save and (optionally) publish.
+ * Progress is checkpointed to content_queue.pipeline_state, so a retried item
+ * resumes from the last completed step instead of starting over.
+ */
+async function processQueueItem({ queueItemId, userId }) {
+    const item = await db.prepare('SELECT * FROM content_queue WHERE id = ? AND user_id = ?').get(queueItemId, userId);
+
+    if (!item) {
+        return { skipped: true, reason: 'Queue item no longer exists' };
+    }
+
+    if (item.status === 'done') {
+        return { skipped: true, reason: 'Queue item already processed' };
+    }
+
+    await db.prepare(`
+        UPDATE content_queue SET status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(queueItemId);
+
+    const agent = new SummonAgent(userId);
+    await agent.initialize();
+
+    const businessProfile = agent.context.businessProfile;
+    let checkpoint = {};
+    if (item.pipeline_state) {
+        try {
+            checkpoint = JSON.parse(item.pipeline_state);
+        } catch {
+            checkpoint = {};
+        }
+    }
+
+    // Check for competing pages before writing. Items resuming after their article was saved
+    // were already checked.
+    if (!checkpoint.save) {
+        const { blocked, report } = await checkBeforeProcessing(item);
+        if (blocked) {
+            await db.prepare(`
+                UPDATE content_queue SET status = 'error', last_error = ?, failed_step = 'cannibalization', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(formatConflict(report), queueItemId);
+            return { skipped: true, reason: 'Keyword cannibalization', cannibalization: report };
+        }
+    }
+
+    let state;
+    try {
+        state = await agent.runContentPipeline(item.main_keyword, {
+            checkpoint,
+            generateImage: !!(businessProfile && businessProfile.image_count > 0),
+            autoPublish: !!businessProfile?.auto_publish,
+            scheduledAt: item.scheduled_at ? new Date(item.scheduled_at).toISOString() : null,
+            generation: {
+                templateId: item.template_id || null,
+                clusterKeywords: item.cluster_keywords || null,
+                serviceUrl: item.service_url || null
+            },
+            onCheckpoint: async (pipelineState) => {
+                await db.prepare(`
+                    UPDATE content_queue SET pipeline_state = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+                `).run(JSON.stringify(pipelineState), queueItemId);
+            }
+        });
+    } catch (err) {
+        // Record where the pipeline stopped; the job queue decides whether to retry
+        await db.prepare(`
+            UPDATE content_queue SET last_error = ?, failed_step = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(err.message, err.step || null, queueItemId);
+        throw err;
+    }
+
+    const featureImage = state.upload?.url || null;
+    const wpPostUrl = state.publish?.wpUrl || null;
+
+    await db.prepare(`
+        UPDATE content_queue
+        SET status = 'done',
+            wp_post_url = ?,
+            feature_image = ?,
+            last_error = ?,
+            failed_step = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(wpPostUrl, featureImage, state.publish?.failed ? state.publish.error : null, queueItemId);
+
+    return {
+        articleId: state.save.articleId,
+        title: state.generate.title,
+        wpPostUrl,
+        featureImage,
+        coverage: state.generate.generationParams?.coverage || null,
+        revision: state.revise && !state.revise.skipped ? state.revise : undefined,
+        internalLinks: state.link && !state.link.skipped ? state.link.links : undefined,
+        sectionImages: state.sectionImages && !state.sectionImages.skipped ? state.sectionImages.images : undefined,
+        seoScore: state.sectionImages?.seoScore ?? state.link?.seoScore ?? state.revise?.seoScore ?? state.save.seoScore ?? null,
+        compliance: state.compliance,
+        publishBlocked: state.publish?.skipped ? state.publish.reason : undefined,
+        publishError: state.publish?.failed ? state.publish.error : undefined
+    };
+}
+
+/**
+ * Keep a failed publish on the article (it stays in review) so the failure isn't lost with the job
+ */
+async function recordPublishFailure({ articleId, userId, error }) {
+    await db.prepare('UPDATE articles SET publish_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(error, articleId);
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, 'publish_failed', 'article', ?, ?)
+    `).run(userId, articleId, JSON.stringify({ error }));
+}
+
+/**
+ * Mark a queue item as errored once its job has run out of attempts
+ */
+async function failQueueItem({ queueItemId }) {
+    await db.prepare(`
+        UPDATE content_queue SET status = 'error', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(queueItemId);
+}
+
+/**
+ * Generate content for an article created by POST /api/articles/generate
+ */
+async function generateArticle({ articleId, userId, keyword, customPrompt }) {
+    const existing = await db.prepare('SELECT status FROM articles WHERE id = ? AND user_id = ?').get(articleId, userId);
+
+    if (!existing) {
+        return { skipped: true, reason: 'Article no longer exists' };
+    }
+
+    if (existing.status !== 'generating') {
+        return { skipped: true, reason: `Article is already ${existing.status}` };
+    }
+
+    const user = await db.prepare('SELECT name, tier FROM users WHERE id = ?').get(userId);
+    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(userId);
+    const wpConnection = await db.prepare(`
+        SELECT * FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
+    `).get(userId);
+    const githubConnection = await db.prepare(`
+        SELECT * FROM connections WHERE user_id = ? AND type = 'github' AND status = 'active' LIMIT 1
+    `).get(userId);
+
+    const generated = await generateContent({
+        keyword,
+        businessProfile,
+        customPrompt,
+        userId,
+        articleId
+    });
+
+    let featuredImageUrl = null;
+    let githubImageUrl = null;
+    let githubImagePath = null;
+    let imageGenerationFailed = false;
+
+    // Generate images if business profile has image settings
+    if (businessProfile && businessProfile.image_count > 0) {
+        try {
+            const imageStyle = businessProfile.image_style || 'photorealistic';
+
+            // Generate image prompt
+            const imagePrompt = await generateImagePrompt(generated.title, keyword, businessProfile, generated.generationParams.calls);
+
+            // Apply style to prompt
+            const styledPrompt = `${imagePrompt}, ${imageStyle} style, high quality`;
+
+            // Generate the featured image
+            const imageResult = await generateFeaturedImage({
+                prompt: styledPrompt,
+                articleTitle: generated.title,
+                keyword
+            });
+
+            // Upload to GitHub if connected
+            if (githubConnection && imageResult.success) {
+                try {
+                    const credentials = JSON.parse(githubConnection.credentials);
+                    const uploadResult = await uploadImage({
+                        imageBuffer: imageResult.buffer,
+                        filename: imageResult.filename,
+                        mimeType: imageResult.mimeType,
+                        credentials
+                    });
+
+                    githubImageUrl = uploadResult.url;
+                    githubImagePath = uploadResult.path;
+                    featuredImageUrl = uploadResult.url;
+                } catch (uploadErr) {
+                    console.error('GitHub upload error:', uploadErr);
+                    imageGenerationFailed = true;
+                }
+            }
+
+            // Log image generation
+            await db.prepare(`
+                INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+                VALUES (?, 'generated_image', 'article', ?, ?)
+            `).run(userId, articleId, JSON.stringify({
+                style: imageStyle,
+                uploaded: !!githubImageUrl,
+                failed: imageGenerationFailed
+            }));
+
+        } catch (imageErr) {
+            console.error('Image generation error:', imageErr);
+            imageGenerationFailed = true;
+        }
+    }
+
+    // Update article with generated content
+    await db.prepare(`
+        UPDATE articles
+        SET title = ?, content = ?, excerpt = ?, meta_title = ?, meta_description = ?,
+            focus_keyword = ?, secondary_keywords = ?,
+            tags = ?, status = ?, featured_image_url = ?, github_image_url = ?,
+            github_image_path = ?, generation_params = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(
+        generated.title,
+        generated.content,
+        generated.excerpt,
+        generated.metaTitle,
+        generated.metaDescription,
+        generated.focusKeyword || null,
+        generated.secondaryKeywords || null,
+        generated.tags,
+        'review',
+        featuredImageUrl,
+        githubImageUrl,
+        githubImagePath,
+        formatGenerationParams(generated.generationParams),
+        articleId
+    );
+
+    try {
+        await recordRevision(articleId, 'generation');
+    } catch (err) {
+        console.error('Revision history error:', err);
+    }
+
+    // Revise until the article passes the SEO thresholds; if revising fails the generated draft stays
+    let revision = null;
+    if (REVISION_MAX_ROUNDS > 0) {
+        try {
+            revision = await improveArticle(articleId);
+        } catch (err) {
+            console.error('Article revision error:', err);
+        }
+    }
+
+    // Link to the user's other articles and posts; if linking fails the article stays as it is
+    let internalLinks = null;
+    if (INTERNAL_LINKS_MAX > 0) {
+        try {
+            internalLinks = await linkArticle(articleId);
+        } catch (err) {
+            console.error('Internal linking error:', err);
+        }
+    }
+
+    // Images under the article's sections for the rest of image_count; if they fail the featured image is enough
+    let sectionImages = null;
+    if (sectionImageCount(businessProfile) > 0) {
+        try {
+            sectionImages = await addSectionImages(articleId);
+        } catch (err) {
+            console.error('Section image error:', err);
+        }
+    }
+
+    // Check the compliance rules, fixing violations if the profile's autoFix is set
+    let compliance = null;
+    try {
+        compliance = await enforceCompliance(articleId);
+    } catch (err) {
+        console.error('Compliance check error:', err);
+        compliance = { error: err.message };
+    }
+
+    let seo = null;
+    try {
+        seo = await scoreArticle(articleId);
+    } catch (err) {
+        console.error('SEO scoring error:', err);
+    }
+
+    // Deduct credit
+    if (user?.tier !== 'pro') {
+        await db.prepare('UPDATE users SET credits_used = credits_used + 1 WHERE id = ?').run(userId);
+    }
+
+    // Auto-publish if enabled, the SEO score clears the profile's minimum and no compliance violations are left
+    let autoPublished = false;
+    const publishGate = checkPublishGate(seo, businessProfile);
+    const complianceGate = checkComplianceGate(compliance);
+    const blockedReason = publishGate.reason || complianceGate.reason;
+    if (businessProfile?.auto_publish && wpConnection && blockedReason) {
+        await db.prepare(`
+            INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+            VALUES (?, 'auto_publish_blocked', 'article', ?, ?)
+        `).run(userId, articleId, JSON.stringify({ reason: blockedReason }));
+    } else if (businessProfile?.auto_publish && wpConnection) {
+        try {
+            const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+
+            const publishResult = await publishArticle({ article, connection: wpConnection, businessProfile, authorName: user?.name });
+
+            // Log activity
+            await db.prepare(`
+                INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+                VALUES (?, 'auto_published', 'article', ?, ?)
+            `).run(userId, articleId, JSON.stringify({ wpUrl: publishResult.url }));
+
+            autoPublished = true;
+            await enqueueBacklinksAfterPublish({ articleId, userId, publishResult });
+        } catch (publishErr) {
+            // Article stays in review if auto-publish failed
+            console.error('Auto-publish error:', publishErr);
+            await recordPublishFailure({ articleId, userId, error: publishErr.message });
+        }
+    }
+
+    // Log activity
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, 'generated', 'article', ?, ?)
+    `).run(userId, articleId, JSON.stringify({
+        title: generated.title,
+        hasImage: !!featuredImageUrl,
+        autoPublished,
+        seoScore: seo?.score ?? null
+    }));
+
+    return {
+        articleId,
+        title: generated.title,
+        hasImage: !!featuredImageUrl,
+        autoPublished,
+        revision: revision ? { rounds: revision.rounds, passed: revision.passed, applied: revision.applied } : undefined,
+        internalLinks: internalLinks ? internalLinks.links.length : undefined,
+        sectionImages: sectionImages ? sectionImages.images.length : undefined,
+        seoScore: seo?.score ?? null,
+        complianceViolations: complianceGate.violations,
+        publishBlocked: businessProfile?.auto_publish && blockedReason ? blockedReason : undefined
+    };
+}
+
+/**
+ * Mark an article as failed once its generation job has run out of attempts
+ */
+async function failArticle({ articleId, userId }, err) {
+    await db.prepare(`
+        UPDATE articles SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(articleId);
+
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, 'generation_failed', 'article', ?, ?)
+    `).run(userId, articleId, JSON.stringify({ error: err.message }));
+}
+
+/**
+ * Revise an article on demand (POST /api/articles/:id/improve)
+ */
+async function reviseArticle({ articleId, userId, maxRounds, targetScore }) {
+    const article = await db.prepare('SELECT status FROM articles WHERE id = ? AND user_id = ?').get(articleId, userId);
+
+    if (!article) {
+        return { skipped: true, reason: 'Article no longer exists' };
+    }
+
+    if (article.status === 'generating') {
+        return { skipped: true, reason: 'Article is still generating' };
+    }
+
+    const result = await improveArticle(articleId, {
+        maxRounds: maxRounds ?? undefined,
+        targetScore: targetScore ?? null
+    });
+
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, 'revised', 'article', ?, ?)
+    `).run(userId, articleId, JSON.stringify({
+        run: result.run,
+        rounds: result.rounds,
+        passed: result.passed,
+        applied: result.applied,
+        seoScore: result.seoScore
+    }));
+
+    return result;
+}
+
+/**
+ * Rewrite an article's compliance violations (POST /api/articles/:id/compliance/fix with mode rewrite)
+ */
+async function fixCompliance({ articleId, userId }) {
+    const article = await db.prepare('SELECT status FROM articles WHERE id = ? AND user_id = ?').get(articleId, userId);
+
+    if (!article) {
+        return { skipped: true, reason: 'Article no longer exists' };
+    }
+
+    if (article.status === 'generating') {
+        return { skipped: true, reason: 'Article is still generating' };
+    }
+
+    const result = await fixArticleCompliance(articleId, 'rewrite');
+
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, 'compliance_fixed', 'article', ?, ?)
+    `).run(userId, articleId, JSON.stringify({
+        mode: result.mode,
+        fixed: result.fixed,
+        remaining: result.report?.violations.length ?? 0
+    }));
+
+    return { ...result, report: undefined, violations: result.report?.violations.length ?? 0 };
+}
+
+/**
+ * Link older pages to a published article (POST /api/articles/:id/backlinks, or after
+ * publishing with INTERNAL_BACKLINKS_AUTO). Pages that already link to it are skipped, so a
+ * retry doesn't add the same link twice.
+ */
+async function addArticleBacklinks({ articleId, userId }) {
+    const article = await db.prepare('SELECT status, wp_url FROM articles WHERE id = ? AND user_id = ?').get(articleId, userId);
+
+    if (!article) {
+        return { skipped: true, reason: 'Article no longer exists' };
+    }
+
+    if (article.status !== 'published' || !article.wp_url) {
+        return { skipped: true, reason: 'Article is not published' };
+    }
+
+    const result = await addBacklinks(articleId);
+
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, 'backlinks_added', 'article', ?, ?)
+    `).run(userId, articleId, JSON.stringify({
+        added: result.added.length,
+        checked: result.checked,
+        errors: result.errors.length
+    }));
+
+    return result;
+}
+
+/**
+ * Add an article's missing in-body images (POST /api/articles/:id/section-images)
+ */
+async function addArticleSectionImages({ articleId, userId, count }) {
+    const article = await db.prepare('SELECT id FROM articles WHERE id = ? AND user_id = ?').get(articleId, userId);
+
+    if (!article) {
+        return { skipped: true, reason: 'Article no longer exists' };
+    }
+
+    const result = await addSectionImages(articleId, { count: count ?? null });
+    if (result.skippedReason) {
+        return { skipped: true, reason: result.skippedReason };
+    }
+
+    return result;
+}
+
+/**
+ * Cluster a topical map's keywords (POST /api/topical-maps). SERP lookups are cached, so a
+ * retry only pays for the searches that hadn't finished.
+ */
+async function buildMap({ mapId, userId }) {
+    const map = await db.prepare('SELECT keywords, options, status FROM topical_maps WHERE id = ? AND user_id = ?').get(mapId, userId);
+
+    if (!map) {
+        return { skipped: true, reason: 'Topical map no longer exists' };
+    }
+
+    if (map.status !== 'building') {
+        return { skipped: true, reason: `Topical map is already ${map.status}` };
+    }
+
+    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(userId);
+    const data = await buildTopicalMap(JSON.parse(map.keywords), {
+        userId,
+        businessProfile,
+        options: JSON.parse(map.options || '{}')
+    });
+
+    await db.prepare(`
+        UPDATE topical_maps SET status = 'ready', data = ?, error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(JSON.stringify(data), mapId);
+
+    return {
+        clusters: data.clusters.length,
+        topics: data.topics.length,
+        serp: data.serp
+    };
+}
+
+/**
+ * Mark a topical map as failed once its build job has run out of attempts
+ */
+async function failMap({ mapId }, err) {
+    await db.prepare(`
+        UPDATE topical_maps SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(err.message, mapId);
+}
+
+jobQueue.registerHandler(JOB_TYPES.PROCESS_QUEUE_ITEM, processQueueItem, { onFailed: failQueueItem });
+jobQueue.registerHandler(JOB_TYPES.GENERATE_ARTICLE, generateArticle, { onFailed: failArticle });
+jobQueue.registerHandler(JOB_TYPES.REVISE_ARTICLE, reviseArticle);
+jobQueue.registerHandler(JOB_TYPES.FIX_COMPLIANCE, fixCompliance);
+jobQueue.registerHandler(JOB_TYPES.BUILD_TOPICAL_MAP, buildMap, { onFailed: failMap });
+jobQueue.registerHandler(JOB_TYPES.ADD_BACKLINKS, addArticleBacklinks);
+jobQueue.registerHandler(JOB_TYPES.ADD_SECTION_IMAGES, addArticleSectionImages);
+
+/**
+ * Enqueue processing of a content queue item
+ */
+async function enqueueQueueItem(item, userId) {
+    return await jobQueue.enqueue(
+        JOB_TYPES.PROCESS_QUEUE_ITEM,
+        { queueItemId: item.id, userId },
+        { userId, entityType: 'content_queue', entityId: item.id }
+    );
+}
+
+/**
+ * Enqueue AI generation of an article
+ */
+async function enqueueArticleGeneration({ articleId, userId, keyword, customPrompt }) {
+    return await jobQueue.enqueue(
+        JOB_TYPES.GENERATE_ARTICLE,
+        { articleId, userId, keyword, customPrompt: customPrompt || null },
+        { userId, entityType: 'article', entityId: articleId }
+    );
+}
+
+/**
+ * Enqueue an on-demand revision of an article. Not retried: each attempt would add another run of drafts.
+ */
+async function enqueueArticleRevision({ articleId, userId, maxRounds, targetScore }) {
+    return await jobQueue.enqueue(
+        JOB_TYPES.REVISE_ARTICLE,
+        { articleId, userId, maxRounds: maxRounds ?? null, targetScore: targetScore ?? null },
+        { userId, entityType: 'article', entityId: articleId, maxAttempts: 1 }
+    );
+}
+
+/**
+ * Enqueue an LLM rewrite of an article's compliance violations
+ */
+async function enqueueComplianceRewrite({ articleId, userId }) {
+    return await jobQueue.enqueue(
+        JOB_TYPES.FIX_COMPLIANCE,
+        { articleId, userId },
+        { userId, entityType: 'article', entityId: articleId, maxAttempts: 1 }
+    );
+}
+
+/**
+ * Enqueue clustering of a topical map's keywords
+ */
+async function enqueueTopicalMapBuild({ mapId, userId }) {
+    return await jobQueue.enqueue(
+        JOB_TYPES.BUILD_TOPICAL_MAP,
+        { mapId, userId },
+        { userId, entityType: 'topical_map', entityId: mapId }
+    );
+}
+
+/**
+ * Enqueue the back-link pass for a published article
+ */
+async function enqueueBacklinks({ articleId, userId }) {
+    return await jobQueue.enqueue(
+        JOB_TYPES.ADD_BACKLINKS,
+        { articleId, userId },
+        { userId, entityType: 'article', entityId: articleId }
+    );
+}
+
+/**
+ * Enqueue in-body image generation for an article. Not retried: each attempt pays for its images again.
+ */
+async function enqueueSectionImages({ articleId, userId, count }) {
+    return await jobQueue.enqueue(
+        JOB_TYPES.ADD_SECTION_IMAGES,
+        { articleId, userId, count: count ?? null },
+        { userId, entityType: 'article', entityId: articleId, maxAttempts: 1 }
+    );
+}
+
+/**
+ * Start the back-link pass when INTERNAL_BACKLINKS_AUTO is set and an article has just gone
+ * live for the first time (not for updates or scheduled posts)
+ */
+async function enqueueBacklinksAfterPublish({ articleId, userId, publishResult }) {
+    if (!BACKLINKS_AUTO || publishResult.updated || publishResult.status !== 'publish') {
+        return null;
+    }
+
+    try {
+        return await enqueueBacklinks({ articleId, userId });
+    } catch (err) {
+        console.error('Enqueue back-links error:', err);
+        return null;
+    }
+}
+
+module.exports = {
+    JOB_TYPES,
+    enqueueQueueItem,
+    enqueueArticleGeneration,
+    enqueueArticleRevision,
+    enqueueComplianceRewrite,
+    enqueueTopicalMapBuild,
+    enqueueBacklinks,
+    enqueueBacklinksAfterPublish,
+    enqueueSectionImages,
+    recordPublishFailure
+};
@@ -0,0 +1,350 @@
+const os = require('os');
+const db = require('../database/db');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000; // 5 minutes
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30000;
+
+// Identifies this process as the lease holder of the jobs it claims
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+
+let pollTimer = null;
+let recoveryTimer = null;
+let polling = false;
+let started = false;
+let activeJobs = 0;
+
+/**
+ * Register the function that processes jobs of a given type.
+ * `onFailed` runs once a job has used up all of its attempts.
+ */
+function registerHandler(type, handle, options = {}) {
+    handlers[type] = {
+        handle,
+        onFailed: options.onFailed || null
+    };
+}
+
+/**
+ * Add a job to the queue.
+ * When entityType/entityId are given and an unfinished job of the same type
+ * already exists for that entity, the existing job is returned instead.
+ */
+async function enqueue(type, payload = {}, options = {}) {
+    const {
+        userId = null,
+        entityType = null,
+        entityId = null,
+        maxAttempts = DEFAULT_MAX_ATTEMPTS,
+        runAt = new Date()
+    } = options;
+
+    if (entityType && entityId) {
+        const existing = await db.prepare(`
+            SELECT * FROM jobs
+            WHERE type = ? AND entity_type = ? AND entity_id = ? AND status IN ('queued', 'running')
+            ORDER BY id DESC LIMIT 1
+        `).get(type, entityType, entityId);
+
+        if (existing) {
+            return existing;
+        }
+    }
+
+    const result = await db.prepare(`
+        INSERT INTO jobs (user_id, type, payload, status, entity_type, entity_id, max_attempts, run_at)
+        VALUES (?, ?, ?, 'queued', ?, ?, ?, ?)
+    `).run(
+        userId,
+        type,
+        JSON.stringify(payload),
+        entityType,
+        entityId,
+        maxAttempts,
+        toTimestamp(runAt)
+    );
+
+    const job = await getJob(result.lastInsertRowid);
+
+    // Wake the worker up so the job doesn't wait for the next poll
+    if (started) {
+        schedulePoll(0);
+    }
+
+    return job;
+}
+
+/**
+ * Get a job by ID, optionally scoped to a user
+ */
+async function getJob(jobId, userId = null) {
+    if (userId) {
+        return await db.prepare('SELECT * FROM jobs WHERE id = ? AND user_id = ?').get(jobId, userId);
+    }
+    return await db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+}
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts
+ */
+async function retryJob(jobId, userId) {
+    const result = await db.prepare(`
+        UPDATE jobs
+        SET status = 'queued', attempts = 0, run_at = ?, last_error = NULL,
+            locked_by = NULL, lease_expires_at = NULL, completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ? AND status = 'failed'
+    `).run(toTimestamp(new Date()), jobId, userId);
+
+    if (result.changes === 0) {
+        return null;
+    }
+
+    if (started) {
+        schedulePoll(0);
+    }
+
+    return await getJob(jobId);
+}
+
+/**
+ * Claim the next due job by taking a lease on it.
+ * The conditional UPDATE makes the claim safe when several workers poll the same table.
+ */
+async function claimNextJob() {
+    const now = new Date();
+
+    const candidates = await db.prepare(`
+        SELECT id FROM jobs
+        WHERE status = 'queued' AND run_at <= ?
+        ORDER BY run_at ASC, id ASC
+        LIMIT 5
+    `).all(toTimestamp(now));
+
+    for (const candidate of candidates) {
+        const result = await db.prepare(`
+            UPDATE jobs
+            SET status = 'running', locked_by = ?, lease_expires_at = ?, heartbeat_at = ?,
+                attempts = attempts + 1, started_at = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'queued'
+        `).run(
+            WORKER_ID,
+            toTimestamp(new Date(now.getTime() + LEASE_MS)),
+            toTimestamp(now),
+            toTimestamp(now),
+            candidate.id
+        );
+
+        if (result.changes === 1) {
+            return await getJob(candidate.id);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extend the lease on a running job so it isn't treated as abandoned
+ */
+async function heartbeat(jobId) {
+    const now = new Date();
+    await db.prepare(`
+        UPDATE jobs
+        SET lease_expires_at = ?, heartbeat_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND locked_by = ? AND status = 'running'
+    `).run(toTimestamp(new Date(now.getTime() + LEASE_MS)), toTimestamp(now), jobId, WORKER_ID);
+}
+
+/**
+ * Run a claimed job and record the outcome
+ */
+async function runJob(job) {
+    const handler = handlers[job.type];
+    const payload = parsePayload(job.payload);
+
+    const heartbeatTimer = setInterval(() => {
+        heartbeat(job.id).catch(err => console.error(`Job ${job.id} heartbeat error:`, err.message));
+    }, Math.max(1000, Math.floor(LEASE_MS / 3)));
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+
+        const result = await handler.handle(payload, job);
+
+        await db.prepare(`
+            UPDATE jobs
+            SET status = 'completed', result = ?, last_error = NULL, locked_by = NULL,
+                lease_expires_at = NULL, completed_at = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND locked_by = ?
+        `).run(JSON.stringify(result === undefined ? null : result), toTimestamp(new Date()), job.id, WORKER_ID);
+    } catch (err) {
+        console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, err.message);
+        await recordFailure(job, payload, err.message, WORKER_ID);
+    } finally {
+        clearInterval(heartbeatTimer);
+    }
+}
+
+/**
+ * Schedule a retry with exponential backoff, or fail the job for good.
+ * Only applies while `lockedBy` still holds the job: a worker whose lease ran out and whose
+ * job was claimed again leaves it to the new owner. With `expiredBefore` (lease recovery) it
+ * also requires the job to still be running on a lease that ran out before then, so a job
+ * whose heartbeat has since extended the lease is left alone.
+ * @returns {Promise<boolean>} Whether the failure was recorded
+ */
+async function recordFailure(job, payload, errorMessage, lockedBy, { expiredBefore = null } = {}) {
+    const condition = expiredBefore
+        ? "id = ? AND locked_by = ? AND status = 'running' AND lease_expires_at < ?"
+        : 'id = ? AND locked_by = ?';
+    const conditionParams = expiredBefore ? [job.id, lockedBy, expiredBefore] : [job.id, lockedBy];
+
+    if (job.attempts < job.max_attempts) {
+        const delay = RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, job.attempts - 1));
+        const result = await db.prepare(`
+            UPDATE jobs
+            SET status = 'queued', run_at = ?, last_error = ?, locked_by = NULL,
+                lease_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE ${condition}
+        `).run(toTimestamp(new Date(Date.now() + delay)), errorMessage, ...conditionParams);
+        return result.changes === 1;
+    }
+
+    const result = await db.prepare(`
+        UPDATE jobs
+        SET status = 'failed', last_error = ?, locked_by = NULL, lease_expires_at = NULL,
+            completed_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE ${condition}
+    `).run(errorMessage, toTimestamp(new Date()), ...conditionParams);
+    if (result.changes !== 1) return false;
+
+    const handler = handlers[job.type];
+    if (handler?.onFailed) {
+        try {
+            await handler.onFailed(payload, new Error(errorMessage), job);
+        } catch (err) {
+            console.error(`Job ${job.id} onFailed hook error:`, err.message);
+        }
+    }
+    return true;
+}
+
+/**
+ * Requeue jobs whose lease ran out, e.g. because the server restarted mid-run
+ */
+async function recoverExpiredLeases() {
+    const now = toTimestamp(new Date());
+    const expired = await db.prepare(`
+        SELECT * FROM jobs WHERE status = 'running' AND lease_expires_at < ?
+    `).all(now);
+
+    let recovered = 0;
+    for (const job of expired) {
+        const errorMessage = job.last_error || 'Job lease expired before completion';
+        if (await recordFailure(job, parsePayload(job.payload), errorMessage, job.locked_by, { expiredBefore: now })) {
+            console.log(`Recovered job ${job.id} (${job.type}) abandoned by ${job.locked_by}`);
+            recovered++;
+        }
+    }
+
+    return recovered;
+}
+
+/**
+ * Claim and start as many jobs as the concurrency limit allows
+ */
+async function poll() {
+    if (polling || !started) return;
+    polling = true;
+
+    try {
+        while (activeJobs < CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            activeJobs++;
+            runJob(job).finally(() => {
+                activeJobs--;
+                schedulePoll(0);
+            });
+        }
+    } catch (err) {
+        console.error('Job poll error:', err.message);
+    } finally {
+        polling = false;
+    }
+
+    schedulePoll(POLL_INTERVAL_MS);
+}
+
+function schedulePoll(delay) {
+    if (!started) return;
+    if (pollTimer) clearTimeout(pollTimer);
+    pollTimer = setTimeout(poll, delay);
+    pollTimer.unref();
+}
+
+/**
+ * Start the worker loop. Expired leases are recovered first so work
+ * interrupted by a restart is picked up again.
+ */
+async function start() {
+    if (started) return;
+    started = true;
+
+    try {
+        const recovered = await recoverExpiredLeases();
+        if (recovered > 0) {
+            console.log(`Requeued ${recovered} interrupted job(s)`);
+        }
+    } catch (err) {
+        console.error('Job recovery error:', err.message);
+    }
+
+    recoveryTimer = setInterval(() => {
+        recoverExpiredLeases().catch(err => console.error('Job recovery error:', err.message));
+    }, LEASE_MS);
+    recoveryTimer.unref();
+
+    console.log(`Job worker ${WORKER_ID} started (concurrency ${CONCURRENCY})`);
+    schedulePoll(0);
+}
+
+/**
+ * Stop claiming new jobs. Running jobs keep their lease until they finish.
+ */
+function stop() {
+    started = false;
+    if (pollTimer) clearTimeout(pollTimer);
+    if (recoveryTimer) clearInterval(recoveryTimer);
+    pollTimer = null;
+    recoveryTimer = null;
+}
+
+function parsePayload(payload) {
+    if (!payload) return {};
+    try {
+        return typeof payload === 'string' ? JSON.parse(payload) : payload;
+    } catch {
+        return {};
+    }
+}
+
+function toTimestamp(date) {
+    return new Date(date).toISOString();
+}
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    getJob,
+    retryJob,
+    recoverExpiredLeases,
+    start,
+    stop
+};
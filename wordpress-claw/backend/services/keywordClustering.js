@@ -0,0 +1,355 @@
+const db = require('../database/db');
+const { web_search } = require('../tools/webSearch');
+const { parseClusterKeywords, normalizeUrl } = require('./keywordCoverage');
+const { assignQueueSlots } = require('./scheduling');
+
+/**
+ * Keyword clustering and topical maps
+ * Keywords whose top 10 results share enough URLs rank for the same page, so they belong in
+ * one article: the cluster's pillar keyword is its main keyword and the rest are its cluster
+ * keywords. Word overlap stands in for SERP overlap when search results aren't available, and
+ * backs up a weak SERP overlap. Clusters about the same subject form a topic around the
+ * broadest one (the pillar page), which the others link up to.
+ */
+
+const MAX_KEYWORDS = parseInt(process.env.CLUSTER_MAX_KEYWORDS) || 200;
+
+const DEFAULT_OPTIONS = {
+    // Shared top-10 URLs that put two keywords on the same page
+    serpOverlap: 3,
+    // Word overlap (Jaccard) that puts two keywords on the same page
+    semanticThreshold: 0.5,
+    // Most keywords one article targets
+    maxClusterSize: 10,
+    // Look up each keyword's search results (false clusters on words alone)
+    useSerp: true
+};
+
+// Share of the same-page threshold at which two clusters belong to one topic
+const TOPIC_THRESHOLD = 0.5;
+
+const STOPWORDS = new Set(('a an and are as at be by can do does for from how i in is it of on or the to what when where which who why with you your vs near me').split(' '));
+
+/**
+ * Parse and check clustering options, filling in defaults. Returns { options } or { error }.
+ */
+function normalizeOptions(input = {}) {
+    const options = { ...DEFAULT_OPTIONS };
+
+    if (input.serpOverlap !== undefined) {
+        const value = parseInt(input.serpOverlap);
+        if (!(value >= 1 && value <= 10)) return { error: 'serpOverlap must be between 1 and 10' };
+        options.serpOverlap = value;
+    }
+    if (input.semanticThreshold !== undefined) {
+        const value = parseFloat(input.semanticThreshold);
+        if (!(value > 0 && value <= 1)) return { error: 'semanticThreshold must be greater than 0 and at most 1' };
+        options.semanticThreshold = value;
+    }
+    if (input.maxClusterSize !== undefined) {
+        const value = parseInt(input.maxClusterSize);
+        if (!(value >= 1 && value <= 50)) return { error: 'maxClusterSize must be between 1 and 50' };
+        options.maxClusterSize = value;
+    }
+    if (input.useSerp !== undefined) {
+        options.useSerp = input.useSerp !== false && input.useSerp !== 'false';
+    }
+
+    return { options };
+}
+
+/**
+ * Unique keywords from a list or pasted text (comma, semicolon or one per line).
+ * Returns { keywords } or { error }.
+ */
+function parseKeywordList(input) {
+    const keywords = parseClusterKeywords(input);
+    if (keywords.length < 2) {
+        return { error: 'Provide at least two keywords' };
+    }
+    if (keywords.length > MAX_KEYWORDS) {
+        return { error: `At most ${MAX_KEYWORDS} keywords can be clustered at once` };
+    }
+    return { keywords };
+}
+
+/**
+ * Top result URLs of each keyword, through the cached, quota-counted research search.
+ * Keywords without live results (mock data, limit reached, search failed) map to null.
+ */
+async function fetchSerpUrls(keywords, { userId = null, businessProfile = null } = {}) {
+    const serps = new Map();
+    const stats = { searched: 0, cached: 0, unavailable: 0, reason: null };
+
+    for (const keyword of keywords) {
+        try {
+            const search = await web_search({ query: keyword, count: 10, userId, businessProfile });
+            if (search.mock) {
+                serps.set(keyword, null);
+                stats.unavailable++;
+                stats.reason = stats.reason || search.mockReason;
+                continue;
+            }
+            serps.set(keyword, [...new Set(search.results.map(result => normalizeUrl(result.url)))]);
+            stats[search.cached ? 'cached' : 'searched']++;
+        } catch (err) {
+            serps.set(keyword, null);
+            stats.unavailable++;
+            stats.reason = stats.reason || err.message;
+        }
+    }
+
+    return { serps, stats };
+}
+
+/**
+ * How strongly two keywords belong on the same page; 1 or more means they do.
+ * With results for both, word overlap only counts when the results overlap at all.
+ */
+function pairScore(a, b, options) {
+    const semantic = jaccard(a.tokens, b.tokens) / options.semanticThreshold;
+    if (!a.urls || !b.urls) return semantic;
+
+    const shared = a.urls.filter(url => b.urls.includes(url)).length;
+    return Math.max(shared / options.serpOverlap, shared > 0 ? semantic : 0);
+}
+
+/**
+ * Group keywords into clusters by average linkage: keep merging the two clusters whose
+ * keywords score highest on average, while that average is 1 or more and the merged
+ * cluster stays within maxClusterSize. Each cluster's pillar is its most central keyword.
+ */
+function clusterKeywords(keywords, serps = new Map(), input = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...input };
+    const items = keywords.map(keyword => ({ keyword, tokens: keywordTokens(keyword), urls: serps.get(keyword) || null }));
+    const n = items.length;
+
+    // Each pair counts at most twice the threshold so one near-duplicate can't carry a merge
+    const scores = items.map(a => items.map(b => (a === b ? 0 : Math.min(pairScore(a, b, options), 2))));
+
+    let groups = items.map((_, index) => [index]);
+    // Summed pair scores between groups, updated as groups merge
+    let links = scores.map(row => [...row]);
+
+    for (;;) {
+        let best = null;
+        for (let i = 0; i < groups.length; i++) {
+            for (let j = i + 1; j < groups.length; j++) {
+                if (groups[i].length + groups[j].length > options.maxClusterSize) continue;
+                const average = links[i][j] / (groups[i].length * groups[j].length);
+                if (average >= 1 && (!best || average > best.average)) best = { i, j, average };
+            }
+        }
+        if (!best) break;
+
+        const { i, j } = best;
+        groups[i] = [...groups[i], ...groups[j]];
+        for (let k = 0; k < groups.length; k++) {
+            links[i][k] += links[j][k];
+            links[k][i] = links[i][k];
+        }
+        links[i][i] = 0;
+        groups.splice(j, 1);
+        links.splice(j, 1);
+        links = links.map(row => row.filter((_, k) => k !== j));
+    }
+
+    const clusters = groups.map(group => {
+        const ranked = [...group].sort((a, b) => centrality(b, group, scores) - centrality(a, group, scores)
+            || items[a].tokens.length - items[b].tokens.length
+            || items[a].keyword.length - items[b].keyword.length);
+
+        return {
+            pillar: items[ranked[0]].keyword,
+            keywords: ranked.slice(1).map(index => items[index].keyword),
+            serpData: group.every(index => items[index].urls)
+        };
+    });
+
+    // Biggest clusters first, then alphabetically
+    clusters.sort((a, b) => b.keywords.length - a.keywords.length || a.pillar.localeCompare(b.pillar));
+    clusters.forEach((cluster, index) => { cluster.id = index + 1; });
+
+    return { clusters, keywordCount: n };
+}
+
+/**
+ * Arrange clusters into topics. The broadest cluster (most related to the others, then the
+ * shortest pillar keyword) leads a topic as its pillar page and takes every unassigned
+ * cluster related to it. Returns { topics, links }: links go from each cluster page up to
+ * its pillar page, from the pillar page down to each, and between related cluster pages.
+ */
+function buildTopics(clusters, serps = new Map(), input = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...input };
+    // A cluster's pillar keyword words and the results of all its keywords
+    const profiles = clusters.map(cluster => {
+        const members = [cluster.pillar, ...cluster.keywords];
+        return {
+            tokens: keywordTokens(cluster.pillar),
+            urls: members.every(keyword => serps.get(keyword)) ? [...new Set(members.flatMap(keyword => serps.get(keyword)))] : null
+        };
+    });
+
+    const related = (a, b) => topicScore(profiles[a], profiles[b], options) >= TOPIC_THRESHOLD;
+    const breadth = clusters.map((_, a) => clusters.filter((__, b) => a !== b && related(a, b)).length);
+
+    const order = clusters.map((_, index) => index).sort((a, b) => breadth[b] - breadth[a]
+        || keywordTokens(clusters[a].pillar).length - keywordTokens(clusters[b].pillar).length
+        || clusters[b].keywords.length - clusters[a].keywords.length
+        || clusters[a].pillar.localeCompare(clusters[b].pillar));
+
+    const assigned = new Set();
+    const topics = [];
+    const links = [];
+
+    for (const hub of order) {
+        if (assigned.has(hub)) continue;
+        assigned.add(hub);
+
+        const members = order.filter(index => !assigned.has(index) && related(hub, index));
+        members.forEach(index => assigned.add(index));
+
+        topics.push({
+            id: topics.length + 1,
+            name: clusters[hub].pillar,
+            pillarClusterId: clusters[hub].id,
+            clusterIds: members.map(index => clusters[index].id)
+        });
+
+        for (const index of members) {
+            links.push({ from: clusters[index].id, to: clusters[hub].id, type: 'cluster_to_pillar', anchor: clusters[hub].pillar });
+            links.push({ from: clusters[hub].id, to: clusters[index].id, type: 'pillar_to_cluster', anchor: clusters[index].pillar });
+        }
+        members.forEach((a, position) => {
+            for (const b of members.slice(position + 1)) {
+                if (!related(a, b)) continue;
+                links.push({ from: clusters[a].id, to: clusters[b].id, type: 'cluster_to_cluster', anchor: clusters[b].pillar });
+                links.push({ from: clusters[b].id, to: clusters[a].id, type: 'cluster_to_cluster', anchor: clusters[a].pillar });
+            }
+        });
+    }
+
+    return { topics, links };
+}
+
+/**
+ * Cluster a keyword list and arrange the clusters into a topical map:
+ * { clusters, topics, links, serp: { searched, cached, unavailable, reason }, options }
+ */
+async function buildTopicalMap(keywords, { userId = null, businessProfile = null, options: input = {} } = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...input };
+
+    let serps = new Map();
+    let serp = { searched: 0, cached: 0, unavailable: keywords.length, reason: 'SERP lookups turned off' };
+    if (options.useSerp) {
+        ({ serps, stats: serp } = await fetchSerpUrls(keywords, { userId, businessProfile }));
+    }
+
+    const { clusters } = clusterKeywords(keywords, serps, options);
+    const { topics, links } = buildTopics(clusters, serps, options);
+
+    // Each cluster records its topic and role
+    for (const topic of topics) {
+        for (const cluster of clusters) {
+            if (cluster.id === topic.pillarClusterId) {
+                Object.assign(cluster, { topicId: topic.id, role: 'pillar' });
+            } else if (topic.clusterIds.includes(cluster.id)) {
+                Object.assign(cluster, { topicId: topic.id, role: 'cluster' });
+            }
+        }
+    }
+
+    return { clusters, topics, links, serp, options };
+}
+
+/**
+ * Add a map's clusters to the content queue as pending items, pillar pages first: the pillar
+ * keyword as main_keyword and the rest as cluster_keywords. Clusters whose pillar keyword the
+ * user already has an article or queue item for are skipped. Returns { queued, skipped }
+ * and records each queued cluster's queueItemId in the map data.
+ */
+async function queueTopicalMap(userId, map, { clusterIds = null, serviceUrl = null, templateId = null } = {}) {
+    const existing = await db.prepare(`
+        SELECT main_keyword AS keyword FROM content_queue WHERE user_id = ?
+        UNION
+        SELECT keyword FROM articles WHERE user_id = ? AND keyword IS NOT NULL
+    `).all(userId, userId);
+    const taken = new Set(existing.map(row => String(row.keyword).toLowerCase().trim()));
+
+    const selected = map.clusters
+        .filter(cluster => !clusterIds || clusterIds.includes(cluster.id))
+        .sort((a, b) => (a.role === 'pillar' ? 0 : 1) - (b.role === 'pillar' ? 0 : 1) || a.id - b.id);
+
+    const queued = [];
+    const skipped = [];
+
+    for (const cluster of selected) {
+        const key = cluster.pillar.toLowerCase().trim();
+        if (cluster.queueItemId || taken.has(key)) {
+            skipped.push({ clusterId: cluster.id, keyword: cluster.pillar, reason: cluster.queueItemId ? 'Already queued from this map' : 'Already written or queued' });
+            continue;
+        }
+        taken.add(key);
+
+        const result = await db.prepare(`
+            INSERT INTO content_queue (user_id, service_url, main_keyword, cluster_keywords, template_id, status)
+            VALUES (?, ?, ?, ?, ?, 'pending')
+        `).run(userId, serviceUrl, cluster.pillar, cluster.keywords.join(', ') || null, templateId);
+
+        cluster.queueItemId = result.lastInsertRowid;
+        queued.push({ clusterId: cluster.id, queueItemId: result.lastInsertRowid, keyword: cluster.pillar });
+    }
+
+    if (queued.length > 0) {
+        // Scheduling problems shouldn't undo the queued items
+        try {
+            await assignQueueSlots(userId);
+        } catch (err) {
+            console.error('Assign queue slots error:', err);
+        }
+    }
+
+    return { queued, skipped };
+}
+
+// Like pairScore for two clusters, but sibling subjects ("keto snacks", "keto recipes")
+// rank for different pages, so shared words count without shared results
+function topicScore(a, b, options) {
+    const semantic = jaccard(a.tokens, b.tokens) / options.semanticThreshold;
+    if (!a.urls || !b.urls) return semantic;
+
+    const shared = a.urls.filter(url => b.urls.includes(url)).length;
+    return Math.max(shared / options.serpOverlap, semantic);
+}
+
+function centrality(index, group, scores) {
+    return group.reduce((sum, other) => sum + scores[index][other], 0);
+}
+
+// Significant words, lowercased, with plurals folded
+function keywordTokens(keyword) {
+    return [...new Set(String(keyword || '').toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)))];
+}
+
+function jaccard(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const shared = a.filter(token => b.includes(token)).length;
+    return shared / (a.length + b.length - shared);
+}
+
+module.exports = {
+    MAX_KEYWORDS,
+    DEFAULT_OPTIONS,
+    normalizeOptions,
+    parseKeywordList,
+    fetchSerpUrls,
+    clusterKeywords,
+    buildTopics,
+    buildTopicalMap,
+    queueTopicalMap,
+    keywordTokens,
+    jaccard
+};
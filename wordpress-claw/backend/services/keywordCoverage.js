@@ -0,0 +1,159 @@
+/**
+ * Cluster keyword and service page coverage
+ * Content queue items carry cluster keywords (secondary terms the article must use) and a
+ * service_url (the money page the article should link to). These helpers parse them and
+ * report which keywords and links actually made it into the generated article.
+ */
+
+const FAQ_HEADING = /^#{1,3}\s*(frequently asked questions|faqs?)\b/im;
+
+/**
+ * Split a cluster keyword cell ("a, b; c" or one per line) into unique keywords, minus the main keyword
+ */
+function parseClusterKeywords(value, mainKeyword = '') {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,;|\n]/);
+    const seen = new Set([normalizeText(mainKeyword)]);
+    const keywords = [];
+
+    for (const raw of list) {
+        const keyword = String(raw).trim().replace(/\s+/g, ' ');
+        const key = normalizeText(keyword);
+        if (key && !seen.has(key)) {
+            seen.add(key);
+            keywords.push(keyword);
+        }
+    }
+
+    return keywords;
+}
+
+/**
+ * Normalize a URL for comparison: no protocol, www, trailing slash, query or fragment
+ */
+function normalizeUrl(url) {
+    return String(url || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Times a keyword appears in text, ignoring case and allowing a plural on the last word
+ */
+function countKeyword(text, keyword) {
+    const words = normalizeText(keyword).split(' ').filter(word => word);
+    if (words.length === 0) return 0;
+
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(^|[^a-z0-9])${escaped.join('\\s+')}(e?s)?(?=$|[^a-z0-9])`, 'g');
+    return (normalizeText(text).match(pattern) || []).length;
+}
+
+/**
+ * Links in Markdown or HTML content, in order
+ */
+function extractLinks(content) {
+    const links = [];
+    const pattern = /\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)|<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    let match;
+
+    while ((match = pattern.exec(content || ''))) {
+        links.push({
+            anchor: stripMarkup(match[1] || match[4] || ''),
+            url: match[2] || match[3],
+            index: match.index
+        });
+    }
+
+    return links;
+}
+
+/**
+ * Report which cluster keywords and service page links landed in an article.
+ * The CTA is the last body section before the FAQ.
+ */
+function analyzeCoverage({ content, clusterKeywords = null, serviceUrl = null, keyword = '' }) {
+    const keywords = parseClusterKeywords(clusterKeywords, keyword);
+    const text = stripMarkup(content);
+
+    const items = keywords.map(clusterKeyword => {
+        const count = countKeyword(text, clusterKeyword);
+        return { keyword: clusterKeyword, count, covered: count > 0 };
+    });
+    const missing = items.filter(item => !item.covered).map(item => item.keyword);
+
+    let serviceLink = null;
+    if (serviceUrl) {
+        const body = content || '';
+        const faqStart = body.search(FAQ_HEADING);
+        const bodyEnd = faqStart === -1 ? body.length : faqStart;
+        const headings = [...body.substring(0, bodyEnd).matchAll(/^#{2}\s.*$|<h2[\s>]/gim)];
+        const ctaStart = headings.length > 0 ? headings[headings.length - 1].index : 0;
+
+        const target = normalizeUrl(serviceUrl);
+        const matches = extractLinks(body).filter(link => normalizeUrl(link.url) === target);
+
+        serviceLink = {
+            url: serviceUrl,
+            linked: matches.length > 0,
+            count: matches.length,
+            anchors: matches.map(link => link.anchor),
+            inCta: matches.some(link => link.index >= ctaStart && link.index < bodyEnd),
+            contextual: matches.some(link => link.index < ctaStart)
+        };
+    }
+
+    return {
+        keywords: {
+            total: items.length,
+            covered: items.length - missing.length,
+            missing,
+            items
+        },
+        serviceLink,
+        complete: missing.length === 0 && (!serviceLink || (serviceLink.inCta && serviceLink.contextual))
+    };
+}
+
+/**
+ * One-line summary of a coverage report for chat messages and logs
+ */
+function summarizeCoverage(report) {
+    const parts = [];
+
+    if (report.keywords.total > 0) {
+        parts.push(`${report.keywords.covered}/${report.keywords.total} cluster keywords used`
+            + (report.keywords.missing.length > 0 ? ` (missing: ${report.keywords.missing.join(', ')})` : ''));
+    }
+    if (report.serviceLink) {
+        const placements = [report.serviceLink.contextual && 'in context', report.serviceLink.inCta && 'in the CTA'].filter(p => p);
+        parts.push(report.serviceLink.linked
+            ? `service page linked ${placements.join(' and ') || 'once'}`
+            : 'service page not linked');
+    }
+
+    return parts.join('; ');
+}
+
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[’']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function stripMarkup(content) {
+    return String(content || '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`#>]/g, ' ');
+}
+
+module.exports = {
+    parseClusterKeywords,
+    normalizeUrl,
+    countKeyword,
+    extractLinks,
+    analyzeCoverage,
+    summarizeCoverage
+};
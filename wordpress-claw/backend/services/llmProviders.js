@@ -0,0 +1,342 @@
+const axios = require('axios');
+const { parseJsonOutput } = require('./articleSchema');
+
+/**
+ * LLM provider layer
+ * Each provider turns a system prompt + messages into text and normalized token usage.
+ * The provider and model come from the business profile, falling back to the
+ * LLM_PROVIDER / LLM_MODEL environment defaults, with an optional fallback provider.
+ */
+
+const LLM_PROVIDERS = ['kimi', 'openai', 'anthropic', 'local'];
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'kimi';
+const DEFAULT_MODEL = process.env.LLM_MODEL || null;
+const FALLBACK_PROVIDER = process.env.LLM_FALLBACK_PROVIDER || null;
+const FALLBACK_MODEL = process.env.LLM_FALLBACK_MODEL || null;
+
+// Chat completions in the OpenAI format (Kimi and any OpenAI-compatible API)
+function openAiCompatible({ name, apiKey, baseUrl, defaultModel }) {
+    return {
+        name,
+        defaultModel,
+        isConfigured: () => !!apiKey,
+        async complete({ model, system, messages, temperature, maxTokens, timeout }) {
+            const response = await axios.post(
+                `${baseUrl}/chat/completions`,
+                {
+                    model,
+                    messages: [{ role: 'system', content: system }, ...messages],
+                    temperature,
+                    max_tokens: maxTokens
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout
+                }
+            );
+
+            const usage = response.data.usage || {};
+            return {
+                content: response.data.choices[0].message.content,
+                model: response.data.model || model,
+                usage: {
+                    promptTokens: usage.prompt_tokens || 0,
+                    completionTokens: usage.completion_tokens || 0,
+                    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+                }
+            };
+        }
+    };
+}
+
+// Offline provider for tests and local development. Swap the responder with setLocalResponder().
+let localResponder = ({ system, messages }) => {
+    const prompt = messages[0]?.content || '';
+    const topic = (prompt.match(/"([^"]+)"/) || [])[1] || 'your topic';
+
+    if (/JSON schema/.test(system)) {
+        return JSON.stringify({
+            title: `A Practical Guide to ${topic}`.substring(0, 70),
+            metaTitle: `A Practical Guide to ${topic}`.substring(0, 70),
+            metaDescription: `Everything you need to know about ${topic}.`.substring(0, 170),
+            excerpt: `An overview of ${topic}.`,
+            tags: [topic],
+            focusKeyword: topic,
+            secondaryKeywords: [],
+            sections: [{ heading: `What is ${topic}?`, body: 'This is placeholder content from the local LLM provider.' }],
+            faq: [{ question: 'Is this real content?', answer: 'No, it was generated offline by the local provider.' }],
+            imageAltSuggestions: [topic],
+            internalLinkSuggestions: []
+        });
+    }
+
+    return `TITLE: A Practical Guide to ${topic}
+
+META_TITLE: A Practical Guide to ${topic}
+
+META_DESCRIPTION: Everything you need to know about ${topic}.
+
+EXCERPT: An overview of ${topic}.
+
+TAGS: ${topic}
+
+CONTENT:
+## What is ${topic}?
+
+This is placeholder content from the local LLM provider.
+
+FAQ:
+**Q: Is this real content?**
+A: No, it was generated offline by the local provider.`;
+};
+
+const providers = {
+    kimi: openAiCompatible({
+        name: 'kimi',
+        apiKey: process.env.KIMI_API_KEY,
+        baseUrl: process.env.KIMI_BASE_URL || 'https://api.kimi.moonshot.cn/v1',
+        defaultModel: process.env.KIMI_MODEL || 'kimi-k2.5'
+    }),
+
+    openai: openAiCompatible({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    }),
+
+    // Anthropic Messages API: system prompt is a top-level field and usage is input/output tokens
+    anthropic: {
+        name: 'anthropic',
+        defaultModel: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+        isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+        async complete({ model, system, messages, temperature, maxTokens, timeout }) {
+            const baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+            const response = await axios.post(
+                `${baseUrl}/v1/messages`,
+                {
+                    model,
+                    system,
+                    messages,
+                    temperature,
+                    max_tokens: maxTokens
+                },
+                {
+                    headers: {
+                        'x-api-key': process.env.ANTHROPIC_API_KEY,
+                        'anthropic-version': '2023-06-01',
+                        'Content-Type': 'application/json'
+                    },
+                    timeout
+                }
+            );
+
+            const usage = response.data.usage || {};
+            return {
+                content: (response.data.content || [])
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join(''),
+                model: response.data.model || model,
+                usage: {
+                    promptTokens: usage.input_tokens || 0,
+                    completionTokens: usage.output_tokens || 0,
+                    totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+                }
+            };
+        }
+    },
+
+    local: {
+        name: 'local',
+        defaultModel: 'local-stub',
+        isConfigured: () => true,
+        async complete({ model, system, messages }) {
+            const content = await localResponder({ model, system, messages });
+            const promptTokens = estimateTokens(system + messages.map(m => m.content).join(''));
+            const completionTokens = estimateTokens(content);
+            return {
+                content,
+                model,
+                usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+            };
+        }
+    }
+};
+
+/**
+ * Primary and fallback provider/model for a business profile
+ */
+function resolveLlmSelection(businessProfile = null) {
+    const primaryName = LLM_PROVIDERS.includes(businessProfile?.llm_provider) ? businessProfile.llm_provider : DEFAULT_PROVIDER;
+    const primary = {
+        provider: primaryName,
+        model: businessProfile?.llm_model || (primaryName === DEFAULT_PROVIDER ? DEFAULT_MODEL : null) || providers[primaryName]?.defaultModel
+    };
+
+    const fallbackName = LLM_PROVIDERS.includes(businessProfile?.llm_fallback_provider)
+        ? businessProfile.llm_fallback_provider
+        : FALLBACK_PROVIDER;
+    const fallback = fallbackName && fallbackName !== primaryName && providers[fallbackName]
+        ? { provider: fallbackName, model: (fallbackName === FALLBACK_PROVIDER && FALLBACK_MODEL) || providers[fallbackName].defaultModel }
+        : null;
+
+    return { primary, fallback };
+}
+
+/**
+ * Run a completion against the selected provider, trying the fallback if it fails.
+ * Returns the text plus a usage record describing the call that succeeded.
+ */
+async function complete({
+    businessProfile = null,
+    purpose = 'completion',
+    system,
+    messages,
+    temperature = 0.7,
+    maxTokens = 1000,
+    timeout = 60000
+}) {
+    const { primary, fallback } = resolveLlmSelection(businessProfile);
+    const candidates = [primary, fallback].filter(c => c && providers[c.provider]?.isConfigured());
+
+    if (candidates.length === 0) {
+        throw new Error(`LLM provider "${primary.provider}" is not configured`);
+    }
+
+    const errors = [];
+    for (const candidate of candidates) {
+        const provider = providers[candidate.provider];
+        const startedAt = Date.now();
+
+        try {
+            const result = await provider.complete({
+                model: candidate.model,
+                system,
+                messages,
+                temperature,
+                maxTokens,
+                timeout
+            });
+
+            return {
+                content: result.content,
+                usage: {
+                    purpose,
+                    provider: provider.name,
+                    model: result.model,
+                    fallback: candidate !== primary,
+                    ...result.usage,
+                    durationMs: Date.now() - startedAt
+                }
+            };
+        } catch (err) {
+            console.error(`LLM ${provider.name} error:`, err.response?.data || err.message);
+            errors.push(`${provider.name}: ${err.response?.data?.error?.message || err.message}`);
+        }
+    }
+
+    throw new Error(errors.join('; '));
+}
+
+/**
+ * Ask for a JSON object and validate it, re-asking with the validation errors
+ * up to `repairAttempts` times. Usage of every call is pushed to `calls`.
+ * Returns { data: null, errors } when the output can't be repaired.
+ */
+async function completeJson({
+    businessProfile = null,
+    purpose,
+    system,
+    prompt,
+    validate,
+    calls,
+    repairAttempts = 1,
+    temperature = 0.7,
+    maxTokens = 1000,
+    timeout = 60000
+}) {
+    const messages = [{ role: 'user', content: prompt }];
+    let errors = [];
+
+    for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+        const { content, usage } = await complete({
+            businessProfile,
+            purpose: attempt === 0 ? purpose : `${purpose}_repair`,
+            system,
+            messages,
+            temperature: attempt === 0 ? temperature : 0.2,
+            maxTokens,
+            timeout
+        });
+        calls.push(usage);
+
+        let data = null;
+        try {
+            data = parseJsonOutput(content);
+            errors = validate(data).errors;
+        } catch (err) {
+            errors = [`Invalid JSON: ${err.message}`];
+        }
+
+        if (errors.length === 0) {
+            return { data, errors, repaired: attempt > 0 };
+        }
+
+        console.error(`${purpose} JSON failed validation (attempt ${attempt + 1}):`, errors.slice(0, 5));
+        messages.push(
+            { role: 'assistant', content },
+            { role: 'user', content: buildRepairPrompt(errors) }
+        );
+    }
+
+    return { data: null, errors, repaired: false };
+}
+
+/**
+ * Re-ask prompt listing what was wrong with the previous JSON
+ */
+function buildRepairPrompt(errors) {
+    return `Your previous response did not match the required JSON schema:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Return the complete, corrected response as a single JSON object. Do not include any text outside the JSON.`;
+}
+
+/**
+ * Serialize generation params for articles.generation_params, with token totals across all calls
+ */
+function formatGenerationParams(params) {
+    if (!params) return null;
+
+    const calls = params.calls || [];
+    const usage = calls.reduce((totals, call) => ({
+        promptTokens: totals.promptTokens + (call.promptTokens || 0),
+        completionTokens: totals.completionTokens + (call.completionTokens || 0),
+        totalTokens: totals.totalTokens + (call.totalTokens || 0)
+    }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+    return JSON.stringify({ ...params, usage });
+}
+
+function setLocalResponder(responder) {
+    localResponder = responder;
+}
+
+// Rough estimate for providers that don't report usage
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+module.exports = {
+    LLM_PROVIDERS,
+    resolveLlmSelection,
+    complete,
+    completeJson,
+    formatGenerationParams,
+    setLocalResponder
+};
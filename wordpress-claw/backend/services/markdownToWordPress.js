@@ -0,0 +1,434 @@
+/**
+ * Markdown → WordPress HTML conversion
+ * Emits Gutenberg block markup ('blocks') or plain HTML for the classic editor ('classic')
+ */
+
+const CONTENT_FORMATS = ['blocks', 'classic'];
+const DEFAULT_CONTENT_FORMAT = 'blocks';
+
+const FAQ_HEADING = /^(frequently asked questions|faqs?)\b/i;
+
+/**
+ * Convert article Markdown to WordPress post content.
+ * Content that is already HTML (manual articles, posts synced back from WordPress) is returned unchanged.
+ * `media` maps image URLs to the site's media library copies ({ id, url }), which the image blocks use instead.
+ */
+function markdownToHtml(markdown, { format = DEFAULT_CONTENT_FORMAT, media = {} } = {}) {
+    if (!markdown) return '';
+    if (isHtmlContent(markdown)) return markdown;
+
+    const blocks = parseBlocks(markdown.replace(/\r\n/g, '\n'));
+    const render = format === 'classic' ? renderClassic : renderBlock;
+
+    return blocks
+        .map(block => block.type === 'image' && media[block.src]
+            ? { ...block, src: media[block.src].url, mediaId: media[block.src].id }
+            : block)
+        .map(render)
+        .join('\n\n');
+}
+
+/**
+ * Standalone images in Markdown content ([{ alt, src, caption }])
+ */
+function extractImages(markdown) {
+    if (!markdown || isHtmlContent(markdown)) return [];
+    return parseBlocks(markdown.replace(/\r\n/g, '\n'))
+        .filter(block => block.type === 'image')
+        .map(({ alt, src, caption }) => ({ alt, src, caption }));
+}
+
+/**
+ * Whether content is already HTML rather than Markdown
+ */
+function isHtmlContent(content) {
+    const trimmed = (content || '').trim();
+    return trimmed.startsWith('<!-- wp:') || /^<(p|h[1-6]|div|ul|ol|table|figure|section|article|blockquote)[\s>]/i.test(trimmed);
+}
+
+/**
+ * Pull the question/answer pairs out of the article's FAQ section
+ */
+function extractFaq(markdown) {
+    if (!markdown || isHtmlContent(markdown)) return [];
+
+    const faq = parseBlocks(markdown.replace(/\r\n/g, '\n')).find(block => block.type === 'faq');
+    return faq ? faq.items : [];
+}
+
+/**
+ * Parse a standalone FAQ block (e.g. the FAQ: section of a generation) into question/answer pairs
+ */
+function parseFaq(text) {
+    if (!text) return [];
+    return parseFaqItems(text.replace(/\r\n/g, '\n').split('\n'));
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+function parseBlocks(markdown) {
+    const lines = markdown.split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        // Headings (the FAQ heading swallows the question/answer pairs below it)
+        const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            const text = heading[2].trim();
+            blocks.push({ type: 'heading', level, text });
+            i++;
+
+            if (FAQ_HEADING.test(stripInline(text))) {
+                const end = findSectionEnd(lines, i, level);
+                const items = parseFaqItems(lines.slice(i, end));
+                if (items.length > 0) {
+                    blocks.push({ type: 'faq', items, level: Math.min(level + 1, 6) });
+                    i = end;
+                }
+            }
+            continue;
+        }
+
+        // Horizontal rule
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push({ type: 'separator' });
+            i++;
+            continue;
+        }
+
+        // Table (header row followed by a separator row)
+        if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            blocks.push({ type: 'table', header, rows });
+            continue;
+        }
+
+        // Blockquote
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            blocks.push({ type: 'quote', text: quote.join(' ').trim() });
+            continue;
+        }
+
+        // Lists
+        if (isListItem(line)) {
+            const listLines = [];
+            while (i < lines.length && (isListItem(lines[i]) || (/^\s{2,}\S/.test(lines[i]) && listLines.length > 0))) {
+                listLines.push(lines[i]);
+                i++;
+            }
+            blocks.push(parseList(listLines));
+            continue;
+        }
+
+        // Standalone image (the optional title is its caption)
+        const image = line.trim().match(/^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)$/);
+        if (image) {
+            blocks.push({ type: 'image', alt: image[1], src: image[2], caption: image[3] || '' });
+            i++;
+            continue;
+        }
+
+        // Paragraph: consecutive plain lines
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    }
+
+    return blocks;
+}
+
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return /^(#{1,6})\s/.test(line)
+        || /^\s*(```|~~~)/.test(line)
+        || /^\s*>/.test(line)
+        || isListItem(line)
+        || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)
+        || (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(lines[i + 1]));
+}
+
+function isListItem(line) {
+    return /^\s*([-*+]|\d+[.)])\s+/.test(line);
+}
+
+/**
+ * Build a (possibly nested) list from indented list lines
+ */
+function parseList(listLines) {
+    const root = { type: 'list', ordered: /^\s*\d+[.)]/.test(listLines[0]), items: [], indent: indentOf(listLines[0]) };
+    const stack = [root];
+
+    for (const line of listLines) {
+        const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+
+        if (!match) {
+            // Continuation of the previous item
+            const list = stack[stack.length - 1];
+            const last = list.items[list.items.length - 1];
+            if (last) last.text += ' ' + line.trim();
+            continue;
+        }
+
+        const indent = match[1].length;
+        while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+            stack.pop();
+        }
+
+        let list = stack[stack.length - 1];
+        const parentItem = list.items[list.items.length - 1];
+
+        if (indent > list.indent + 1 && parentItem) {
+            const child = { type: 'list', ordered: /\d/.test(match[2]), items: [], indent };
+            parentItem.children = child;
+            stack.push(child);
+            list = child;
+        }
+
+        list.items.push({ text: match[3].trim(), children: null });
+    }
+
+    return root;
+}
+
+function indentOf(line) {
+    return line.match(/^\s*/)[0].length;
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Index of the first line after a section (next heading at the same or higher level)
+ */
+function findSectionEnd(lines, start, level) {
+    for (let i = start; i < lines.length; i++) {
+        const heading = lines[i].match(/^(#{1,6})\s/);
+        if (heading && heading[1].length <= level && !looksLikeQuestion(lines[i])) {
+            return i;
+        }
+    }
+    return lines.length;
+}
+
+function looksLikeQuestion(line) {
+    return /\?\s*\**\s*$/.test(line.replace(/^#{1,6}\s+/, ''));
+}
+
+/**
+ * Parse FAQ lines in any of the shapes the model produces:
+ * "Q: ... / A: ...", "**Q: ...**" pairs, "[Q: ...]" wrapped pairs, or "### Question?" followed by paragraphs
+ */
+function parseFaqItems(lines) {
+    const items = [];
+    let current = null;
+
+    const push = () => {
+        if (current && current.question && current.answer.length > 0) {
+            items.push({ question: current.question, answer: current.answer.join(' ').trim() });
+        }
+        current = null;
+    };
+
+    for (const raw of lines) {
+        const line = raw.trim().replace(/^\[/, '').replace(/\]$/, '').trim();
+        if (!line) continue;
+
+        const plain = line.replace(/^#{1,6}\s+/, '').replace(/^\*\*|\*\*$/g, '').replace(/^\d+[.)]\s+/, '').trim();
+        const question = plain.match(/^(?:Q(?:uestion)?\s*\d*\s*[:.]|\*\*Q(?:uestion)?\s*\d*\s*[:.]\*\*)\s*(.+)$/i);
+        const answer = plain.match(/^(?:A(?:nswer)?\s*\d*\s*[:.]|\*\*A(?:nswer)?\s*\d*\s*[:.]\*\*)\s*(.*)$/i);
+
+        if (question) {
+            push();
+            current = { question: stripInline(question[1]).replace(/\*+$/, '').trim(), answer: [] };
+        } else if (/^#{1,6}\s+/.test(line) && looksLikeQuestion(line)) {
+            push();
+            current = { question: stripInline(plain), answer: [] };
+        } else if (answer && current) {
+            if (answer[1]) current.answer.push(answer[1]);
+        } else if (current) {
+            current.answer.push(line);
+        }
+    }
+    push();
+
+    return items;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'heading': {
+            const attrs = block.level === 2 ? '' : ` {"level":${block.level}}`;
+            return `<!-- wp:heading${attrs} -->\n<h${block.level} class="wp-block-heading">${renderInline(block.text)}</h${block.level}>\n<!-- /wp:heading -->`;
+        }
+        case 'paragraph':
+            return `<!-- wp:paragraph -->\n<p>${renderInline(block.text)}</p>\n<!-- /wp:paragraph -->`;
+        case 'list':
+            return renderBlockList(block);
+        case 'table':
+            return `<!-- wp:table -->\n<figure class="wp-block-table">${renderTable(block)}</figure>\n<!-- /wp:table -->`;
+        case 'quote':
+            return `<!-- wp:quote -->\n<blockquote class="wp-block-quote"><!-- wp:paragraph -->\n<p>${renderInline(block.text)}</p>\n<!-- /wp:paragraph --></blockquote>\n<!-- /wp:quote -->`;
+        case 'code':
+            return `<!-- wp:code -->\n<pre class="wp-block-code"><code>${escapeHtml(block.text)}</code></pre>\n<!-- /wp:code -->`;
+        case 'separator':
+            return '<!-- wp:separator -->\n<hr class="wp-block-separator has-alpha-channel-opacity"/>\n<!-- /wp:separator -->';
+        case 'image': {
+            const attrs = block.mediaId ? ` {"id":${block.mediaId}}` : '';
+            const className = block.mediaId ? ` class="wp-image-${block.mediaId}"` : '';
+            const caption = block.caption ? `<figcaption class="wp-element-caption">${escapeHtml(block.caption)}</figcaption>` : '';
+            return `<!-- wp:image${attrs} -->\n<figure class="wp-block-image"><img src="${escapeAttr(block.src)}" alt="${escapeAttr(block.alt)}"${className}/>${caption}</figure>\n<!-- /wp:image -->`;
+        }
+        case 'faq':
+            return block.items.map(item =>
+                `<!-- wp:details -->\n<details class="wp-block-details"><summary>${renderInline(item.question)}</summary><!-- wp:paragraph -->\n<p>${renderInline(item.answer)}</p>\n<!-- /wp:paragraph --></details>\n<!-- /wp:details -->`
+            ).join('\n\n');
+        default:
+            return '';
+    }
+}
+
+function renderBlockList(list) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const attrs = list.ordered ? ' {"ordered":true}' : '';
+    const items = list.items.map(item => {
+        const children = item.children ? renderBlockList(item.children) : '';
+        return `<!-- wp:list-item -->\n<li>${renderInline(item.text)}${children}</li>\n<!-- /wp:list-item -->`;
+    }).join('\n\n');
+
+    return `<!-- wp:list${attrs} -->\n<${tag} class="wp-block-list">${items}</${tag}>\n<!-- /wp:list -->`;
+}
+
+function renderClassic(block) {
+    switch (block.type) {
+        case 'heading':
+            return `<h${block.level}>${renderInline(block.text)}</h${block.level}>`;
+        case 'paragraph':
+            return `<p>${renderInline(block.text)}</p>`;
+        case 'list':
+            return renderClassicList(block);
+        case 'table':
+            return renderTable(block);
+        case 'quote':
+            return `<blockquote><p>${renderInline(block.text)}</p></blockquote>`;
+        case 'code':
+            return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+        case 'separator':
+            return '<hr />';
+        case 'image': {
+            const img = `<img src="${escapeAttr(block.src)}" alt="${escapeAttr(block.alt)}"${block.mediaId ? ` class="wp-image-${block.mediaId}"` : ''} />`;
+            return block.caption ? `<figure>${img}<figcaption>${escapeHtml(block.caption)}</figcaption></figure>` : img;
+        }
+        case 'faq':
+            return `<div class="faq">\n${block.items.map(item =>
+                `<div class="faq-item">\n<h${block.level} class="faq-question">${renderInline(item.question)}</h${block.level}>\n<p class="faq-answer">${renderInline(item.answer)}</p>\n</div>`
+            ).join('\n')}\n</div>`;
+        default:
+            return '';
+    }
+}
+
+function renderClassicList(list) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const items = list.items.map(item => {
+        const children = item.children ? renderClassicList(item.children) : '';
+        return `<li>${renderInline(item.text)}${children}</li>`;
+    }).join('\n');
+
+    return `<${tag}>\n${items}\n</${tag}>`;
+}
+
+function renderTable({ header, rows }) {
+    const head = `<thead><tr>${header.map(cell => `<th>${renderInline(cell)}</th>`).join('')}</tr></thead>`;
+    const body = `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`;
+    return `<table>${head}${body}</table>`;
+}
+
+/**
+ * Inline Markdown: code, images, links, bold, italic
+ */
+function renderInline(text) {
+    const codeSpans = [];
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (m, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, src) => `<img src="${src.replace(/"/g, '&quot;')}" alt="${alt}" />`)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => `<a href="${href.replace(/"/g, '&quot;')}">${label}</a>`)
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)/g, (m, pre, inner) => `${pre}<em>${inner}</em>`)
+        .replace(/(^|[^_\w])_(?!\s)(.+?)_(?!\w)/g, (m, pre, inner) => `${pre}<em>${inner}</em>`);
+
+    return html.replace(/\u0000(\d+)\u0000/g, (m, index) => codeSpans[index]);
+}
+
+function stripInline(text) {
+    return text.replace(/[*_`]/g, '').replace(/\[([^\]]+)\]\([^)]+\)/g, '$1').trim();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    CONTENT_FORMATS,
+    DEFAULT_CONTENT_FORMAT,
+    FAQ_HEADING,
+    markdownToHtml,
+    isHtmlContent,
+    extractFaq,
+    extractImages,
+    parseFaq
+};
@@ -0,0 +1,40 @@
+const db = require('../database/db');
+const { publishToWordPress, getPublishOptions } = require('./wordpress');
+
+/**
+ * Publishing
+ * Pushes an article to WordPress and stores the resulting post state on it,
+ * so every publish path (manual, chat agent, auto-publish) leaves the same record.
+ */
+
+/**
+ * Publish the article (or update its existing post) and record the WordPress state.
+ * published_at keeps the first publish time; any earlier drift is cleared.
+ * @param {Object} article - Article row
+ * @param {Object} connection - Active WordPress connection row
+ * @param {Object} [businessProfile] - Profile used for the structured data
+ * @param {string} [authorName] - Author shown in the structured data
+ * @returns {Promise<Object>} Publish result from publishToWordPress
+ */
+async function publishArticle({ article, connection, businessProfile, authorName }) {
+    const publishResult = await publishToWordPress({
+        article,
+        credentials: JSON.parse(connection.credentials),
+        ...getPublishOptions(connection),
+        structuredData: { businessProfile, authorName }
+    });
+
+    await db.prepare(`
+        UPDATE articles
+        SET status = 'published', wp_post_id = ?, wp_url = ?, wp_status = ?, wp_modified_at = ?,
+            wp_synced_at = CURRENT_TIMESTAMP, wp_drift = NULL, publish_error = NULL, seo_verification = ?,
+            published_at = COALESCE(published_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(publishResult.postId, publishResult.url, publishResult.status, publishResult.modified, JSON.stringify(publishResult.seo), article.id);
+
+    return publishResult;
+}
+
+module.exports = {
+    publishArticle
+};
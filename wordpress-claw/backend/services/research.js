@@ -1,18 +1,25 @@
-const axios = require('axios');
 const { web_search } = require('../tools/webSearch');
+const { analyzeCompetitors } = require('./competitorPages');
+const { resolveSearchLocale } = require('./searchProviders');
 
-const SERPAPI_KEY = process.env.SERPAPI_KEY;
+const HEADING_STOPWORDS = new Set(('a an and are as at be best by can do does for from how i in is it of on or should the to top ultimate what when where which who why with you your').split(' '));
 
 /**
  * Research competitor content for a given keyword
- * Analyzes top 10 Google results and extracts insights
+ * Analyzes top 10 search results and extracts insights. The search provider and locale
+ * come from the business profile; `location` ("Austin, TX" or a country code) and
+ * `language` override it. Searches and page fetches are cached and counted against the
+ * quota of `userId` (see services/researchCache.js). "People Also Ask" questions and related
+ * searches from the results page are kept in the analysis to seed the FAQ, subtopics and
+ * follow-up content ideas.
  */
-async function researchKeyword(keyword, location = 'us', language = 'en') {
+async function researchKeyword(keyword, location = null, language = null, { userId = null, businessProfile = null } = {}) {
     console.log(`🔍 Researching keyword: "${keyword}"`);
     
     try {
         // Perform web search
-        const searchResults = await performSearch(keyword, location, language);
+        const search = await performSearch(keyword, resolveSearchLocale({ location, language, businessProfile }), userId, businessProfile);
+        const searchResults = search.results;
         
         if (!searchResults || searchResults.length === 0) {
             return {
@@ -22,8 +29,34 @@ async function researchKeyword(keyword, location = 'us', language = 'en') {
             };
         }
 
+        // Where the results came from; mock is set when they are placeholder data
+        const source = {
+            provider: search.provider,
+            locale: search.locale,
+            cached: search.cached,
+            mock: search.mock,
+            mockReason: search.mockReason
+        };
+
+        // Placeholder results say nothing about the competition, so there is nothing to analyze
+        if (search.mock) {
+            return {
+                success: true,
+                data: {
+                    keyword,
+                    search: source,
+                    searchResults: searchResults.slice(0, 10),
+                    analysis: null,
+                    insights: null,
+                    recommendations: []
+                }
+            };
+        }
+
         // Analyze top results
-        const analysis = await analyzeResults(searchResults, keyword);
+        const analysis = await analyzeResults(searchResults, keyword, userId);
+        analysis.peopleAlsoAsk = (search.relatedQuestions || []).slice(0, 10);
+        analysis.relatedSearches = (search.relatedSearches || []).slice(0, 10);
         
         // Extract insights
         const insights = extractInsights(analysis, keyword);
@@ -32,6 +65,7 @@ async function researchKeyword(keyword, location = 'us', language = 'en') {
             success: true,
             data: {
                 keyword,
+                search: source,
                 searchResults: searchResults.slice(0, 10),
                 analysis,
                 insights,
@@ -49,42 +83,42 @@ async function researchKeyword(keyword, location = 'us', language = 'en') {
 }
 
 /**
- * Perform web search using available search capability
+ * Perform web search with the business profile's search provider
  */
-async function performSearch(keyword, location = 'us', language = 'en') {
-    try {
-        // Use web_search tool if available
-        const searchResults = await web_search({
-            query: keyword,
-            count: 10
-        });
-
-        return searchResults.map((result, index) => ({
-            position: index + 1,
-            title: result.title,
-            url: result.url,
-            snippet: result.snippet,
-            domain: extractDomain(result.url)
-        }));
-    } catch (err) {
-        console.error('Search error:', err.message);
-        // Return mock data for development/testing
-        return getMockSearchResults(keyword);
-    }
+async function performSearch(keyword, locale, userId = null, businessProfile = null) {
+    return web_search({
+        query: keyword,
+        count: 10,
+        locale,
+        userId,
+        businessProfile
+    });
 }
 
 /**
- * Analyze search results to extract content patterns
+ * Analyze search results to extract content patterns.
+ * Word counts, headings, entities, FAQ questions and schema types come from the fetched
+ * competitor pages; when none could be fetched, headings and gaps fall back to SERP titles
+ * and snippets and avgWordCount stays null.
  */
-async function analyzeResults(results, keyword) {
+async function analyzeResults(results, keyword, userId = null) {
     const analysis = {
         totalResults: results.length,
-        avgWordCount: 0,
+        avgWordCount: null,
         wordCounts: [],
         commonHeadings: [],
+        underservedTopics: [],
         contentTypes: [],
         domains: [],
         contentGaps: [],
+        entities: [],
+        faqQuestions: [],
+        schemaTypes: [],
+        peopleAlsoAsk: [],
+        relatedSearches: [],
+        pages: [],
+        pagesAnalyzed: 0,
+        fetchErrors: [],
         userIntent: '',
         difficulty: 'medium'
     };
@@ -101,17 +135,45 @@ async function analyzeResults(results, keyword) {
     // Determine content difficulty
     analysis.difficulty = determineDifficulty(results, keyword);
 
-    // Extract common heading patterns from titles
-    analysis.commonHeadings = extractHeadingPatterns(results.map(r => r.title));
+    // Fetch and analyze the top-ranking pages
+    const { pages, errors } = await analyzeCompetitors(results, { userId });
+    analysis.pagesAnalyzed = pages.length;
+    analysis.fetchErrors = errors;
+
+    if (pages.length === 0) {
+        analysis.commonHeadings = extractHeadingPatterns(results.map(r => r.title));
+        analysis.contentGaps = identifyContentGaps(results.map(r => `${r.title} ${r.snippet}`));
+        return analysis;
+    }
 
-    // Estimate word counts based on content type
-    analysis.wordCounts = results.map(r => estimateWordCount(r));
+    analysis.pages = pages.map(page => ({
+        position: page.position,
+        url: page.url,
+        title: page.title,
+        wordCount: page.wordCount,
+        outline: page.outline,
+        faqCount: page.faq.length,
+        schemaTypes: page.schemaTypes
+    }));
+
+    analysis.wordCounts = pages.map(page => page.wordCount);
     analysis.avgWordCount = Math.round(
         analysis.wordCounts.reduce((a, b) => a + b, 0) / analysis.wordCounts.length
     );
 
-    // Identify content gaps
-    analysis.contentGaps = identifyContentGaps(results, keyword);
+    // Section topics shared by several competitors vs covered by just one
+    const topics = groupHeadingTopics(pages);
+    analysis.commonHeadings = topics.filter(topic => topic.pages >= 2).map(topic => topic.label).slice(0, 10);
+    analysis.underservedTopics = topics.filter(topic => topic.pages === 1).map(topic => topic.label).slice(0, 10);
+
+    // Checklist topics no competitor gives a section or FAQ to
+    analysis.contentGaps = identifyContentGaps(pages.map(page =>
+        [...page.outline.map(heading => heading.text), ...page.faq].join(' ')
+    ));
+
+    analysis.entities = rankByPages(pages.map(page => page.entities)).slice(0, 15);
+    analysis.faqQuestions = rankByPages(pages.map(page => page.faq)).slice(0, 10);
+    analysis.schemaTypes = rankByPages(pages.map(page => page.schemaTypes));
 
     return analysis;
 }
@@ -121,10 +183,15 @@ async function analyzeResults(results, keyword) {
  */
 function extractInsights(analysis, keyword) {
     return {
-        targetWordCount: calculateTargetWordCount(analysis.avgWordCount),
+        targetWordCount: analysis.avgWordCount ? calculateTargetWordCount(analysis.avgWordCount) : null,
         contentStructure: suggestContentStructure(analysis.commonHeadings),
         keyTopics: analysis.commonHeadings.slice(0, 5),
         missingTopics: analysis.contentGaps,
+        entities: analysis.entities,
+        faqQuestions: analysis.faqQuestions,
+        schemaTypes: analysis.schemaTypes,
+        peopleAlsoAsk: analysis.peopleAlsoAsk.map(item => item.question),
+        relatedSearches: analysis.relatedSearches,
         userIntent: analysis.userIntent,
         difficulty: analysis.difficulty,
         competitorCount: analysis.domains.length,
@@ -138,10 +205,10 @@ function extractInsights(analysis, keyword) {
 function generateRecommendations(insights, keyword) {
     const recommendations = [];
 
-    // Word count recommendation
+    // Word count recommendation (only when competitor pages were measured)
     if (insights.targetWordCount > 2000) {
         recommendations.push(`Create a comprehensive guide of ${insights.targetWordCount}+ words to compete with top-ranking content.`);
-    } else {
+    } else if (insights.targetWordCount) {
         recommendations.push(`Aim for ${insights.targetWordCount} words to match competitor depth.`);
     }
 
@@ -153,6 +220,23 @@ function generateRecommendations(insights, keyword) {
         recommendations.push(`Fill content gaps by covering: ${insights.missingTopics.slice(0, 3).join(', ')}`);
     }
 
+    // Entities and questions the top pages share
+    if (insights.entities.length > 0) {
+        recommendations.push(`Mention the entities top pages cover: ${insights.entities.slice(0, 5).join(', ')}`);
+    }
+    if (insights.faqQuestions.length > 0) {
+        recommendations.push(`Answer the questions competitors answer: ${insights.faqQuestions.slice(0, 3).join(' ')}`);
+    }
+    if (insights.peopleAlsoAsk.length > 0) {
+        recommendations.push(`Answer what searchers also ask in the FAQ: ${insights.peopleAlsoAsk.slice(0, 3).join(' ')}`);
+    }
+    if (insights.relatedSearches.length > 0) {
+        recommendations.push(`Cover related searches as subtopics: ${insights.relatedSearches.slice(0, 3).join(', ')}`);
+    }
+    if (insights.schemaTypes.length > 0) {
+        recommendations.push(`Top pages use ${insights.schemaTypes.slice(0, 3).join(', ')} structured data.`);
+    }
+
     // User intent
     recommendations.push(`Focus on ${insights.userIntent} content to match search intent.`);
 
@@ -281,31 +365,6 @@ function extractHeadingPatterns(titles) {
     return patterns.slice(0, 8);
 }
 
-/**
- * Estimate word count based on result type
- */
-function estimateWordCount(result) {
-    // This is a rough estimation based on domain and snippet
-    const domain = result.domain || '';
-    const snippet = result.snippet || '';
-
-    // High-content sites typically have longer articles
-    const longFormSites = ['medium.com', 'hubspot.com', 'shopify.com', 'wordpress.com', 'blog'];
-    const isLongForm = longFormSites.some(site => domain.includes(site));
-
-    if (isLongForm) {
-        return Math.floor(Math.random() * 1000) + 1500; // 1500-2500 words
-    }
-
-    // Estimate based on snippet length
-    const snippetLength = snippet.length;
-    if (snippetLength > 200) {
-        return Math.floor(Math.random() * 800) + 1200; // 1200-2000 words
-    }
-
-    return Math.floor(Math.random() * 500) + 800; // 800-1300 words
-}
-
 /**
  * Calculate target word count based on competitors
  */
@@ -317,11 +376,11 @@ function calculateTargetWordCount(avgWordCount) {
 }
 
 /**
- * Identify content gaps in search results
+ * Checklist topics none of the given texts (competitor headings, or SERP titles and snippets) mention
  */
-function identifyContentGaps(results, keyword) {
+function identifyContentGaps(texts) {
     const gaps = [];
-    const allContent = results.map(r => `${r.title} ${r.snippet}`).join(' ').toLowerCase();
+    const allContent = texts.join(' ').toLowerCase();
 
     // Common gap topics to check
     const potentialGaps = [
@@ -341,6 +400,66 @@ function identifyContentGaps(results, keyword) {
     return gaps.slice(0, 5);
 }
 
+/**
+ * Group the H2/H3 headings of competitor pages into topics, with how many pages cover each.
+ * Headings match when they share the same significant words ("10 Best Tools" ~ "The best tools").
+ */
+function groupHeadingTopics(pages) {
+    const groups = new Map();
+
+    pages.forEach((page, pageIndex) => {
+        for (const heading of page.outline) {
+            if (heading.level === 1) continue;
+            const label = heading.text.replace(/^(step\s+)?#?\d+[.):]?\s+/i, '').trim();
+            const key = headingTopicKey(label);
+            if (!key) continue;
+
+            const group = groups.get(key) || { labels: {}, pages: new Set() };
+            group.labels[label] = (group.labels[label] || 0) + 1;
+            group.pages.add(pageIndex);
+            groups.set(key, group);
+        }
+    });
+
+    return [...groups.values()]
+        .map(group => ({
+            // The most used wording, shortest first on ties
+            label: Object.entries(group.labels)
+                .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length || a[0].localeCompare(b[0]))[0][0],
+            pages: group.pages.size
+        }))
+        .sort((a, b) => b.pages - a.pages || a.label.localeCompare(b.label));
+}
+
+function headingTopicKey(text) {
+    const words = text.toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !HEADING_STOPWORDS.has(word) && !/^\d+$/.test(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+    return [...new Set(words)].sort().join(' ');
+}
+
+// Items in the order of how many pages list them (then first appearance)
+function rankByPages(lists) {
+    const counts = new Map();
+    for (const list of lists) {
+        for (const item of new Set(list.map(entry => entry.toLowerCase()))) {
+            counts.set(item, (counts.get(item) || 0) + 1);
+        }
+    }
+
+    const labels = new Map();
+    lists.flat().forEach(item => {
+        if (!labels.has(item.toLowerCase())) labels.set(item.toLowerCase(), item);
+    });
+
+    return [...labels.keys()]
+        .sort((a, b) => counts.get(b) - counts.get(a))
+        .map(key => labels.get(key));
+}
+
 /**
  * Suggest content structure based on common headings
  */
@@ -382,61 +501,6 @@ function suggestContentType(userIntent) {
     return types[userIntent] || 'blog post';
 }
 
-/**
- * Extract domain from URL
- */
-function extractDomain(url) {
-    try {
-        const urlObj = new URL(url);
-        return urlObj.hostname.replace('www.', '');
-    } catch {
-        return '';
-    }
-}
-
-/**
- * Get mock search results for development/testing
- */
-function getMockSearchResults(keyword) {
-    return [
-        {
-            position: 1,
-            title: `Complete Guide to ${keyword} - Best Practices & Tips`,
-            url: `https://example.com/guide-to-${keyword.replace(/\s+/g, '-')}`,
-            snippet: `Learn everything about ${keyword}. This comprehensive guide covers best practices, tips, and strategies for success.`,
-            domain: 'example.com'
-        },
-        {
-            position: 2,
-            title: `Top 10 ${keyword} Strategies for 2024`,
-            url: `https://blog.example.com/top-${keyword.replace(/\s+/g, '-')}-strategies`,
-            snippet: `Discover the top strategies for ${keyword}. Expert advice and proven techniques to help you succeed.`,
-            domain: 'blog.example.com'
-        },
-        {
-            position: 3,
-            title: `What is ${keyword}? A Beginner's Guide`,
-            url: `https://guide.example.com/what-is-${keyword.replace(/\s+/g, '-')}`,
-            snippet: `New to ${keyword}? This beginner's guide explains everything you need to know to get started.`,
-            domain: 'guide.example.com'
-        },
-        {
-            position: 4,
-            title: `${keyword} vs Alternatives: Which is Best?`,
-            url: `https://compare.example.com/${keyword.replace(/\s+/g, '-')}-comparison`,
-            snippet: `Compare ${keyword} with alternatives. Find out which option is best for your needs.`,
-            domain: 'compare.example.com'
-        },
-        {
-            position: 5,
-            title: `How to Master ${keyword} in 30 Days`,
-            url: `https://mastery.example.com/learn-${keyword.replace(/\s+/g, '-')}`,
-            snippet: `Master ${keyword} with our 30-day program. Step-by-step lessons and practical exercises.`,
-            domain: 'mastery.example.com'
-        }
-    ];
-}
-
 /**
  * Quick keyword difficulty check
  */
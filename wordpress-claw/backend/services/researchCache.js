@@ -0,0 +1,224 @@
+const db = require('../database/db');
+
+/**
+ * Research cache and quota ledger
+ * SERP results (keyed by provider, query and locale) and competitor page analyses (keyed
+ * by URL) are cached in research_cache and shared by all users. research_ledger counts
+ * paid searches and cache hits/misses per UTC day, for the whole installation and per
+ * user. Searches are claimed with a conditional UPDATE, so the daily limits survive
+ * restarts and hold across workers.
+ */
+
+const CACHE_TTL_HOURS = process.env.RESEARCH_CACHE_TTL_HOURS !== undefined
+    ? Math.max(0, parseFloat(process.env.RESEARCH_CACHE_TTL_HOURS) || 0)
+    : 24;
+
+// Searches of every metered provider count; the SERPAPI_* names are still read
+const DAILY_LIMIT = parseInt(process.env.SEARCH_DAILY_LIMIT || process.env.SERPAPI_DAILY_LIMIT) || 250;
+
+// Each user's share of the daily limit
+const USER_DAILY_LIMIT = Math.min(parseInt(process.env.SEARCH_USER_DAILY_LIMIT || process.env.SERPAPI_USER_DAILY_LIMIT) || 50, DAILY_LIMIT);
+
+const GLOBAL_SCOPE = 'global';
+const LEDGER_COLUMNS = ['searches', 'cache_hits', 'cache_misses'];
+
+/**
+ * Cache key of a search: the provider and normalized query with the locale's country,
+ * language and city
+ */
+function searchCacheKey(provider, query, locale) {
+    const normalized = String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return `serp:${provider}:${normalized}|${locale.country}|${locale.language}|${(locale.city || '').toLowerCase()}`;
+}
+
+function pageCacheKey(url) {
+    return `page:${url}`;
+}
+
+/**
+ * Cached data for a key, or null when missing or expired. Records the hit or miss.
+ */
+async function getCached(cacheKey, { userId = null } = {}) {
+    if (CACHE_TTL_HOURS === 0) return null;
+
+    const row = await db.prepare('SELECT id, data FROM research_cache WHERE cache_key = ? AND expires_at > ?')
+        .get(cacheKey, new Date().toISOString());
+
+    await recordCacheLookup(!!row, userId);
+    if (!row) return null;
+
+    await db.prepare('UPDATE research_cache SET hits = hits + 1 WHERE id = ?').run(row.id);
+    return JSON.parse(row.data);
+}
+
+/**
+ * Store data under a key for CACHE_TTL_HOURS, replacing an expired entry
+ */
+async function setCached(cacheKey, data, { kind, query = null, location = null, language = null }) {
+    if (CACHE_TTL_HOURS === 0) return;
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + CACHE_TTL_HOURS * 3600 * 1000).toISOString();
+
+    await db.prepare(`
+        INSERT INTO research_cache (cache_key, kind, query, location, language, data, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (cache_key) DO UPDATE SET
+            data = excluded.data, hits = 0, expires_at = excluded.expires_at, updated_at = CURRENT_TIMESTAMP
+    `).run(cacheKey, kind, query, location, language, JSON.stringify(data), expiresAt);
+
+    // Expired entries are only kept until the next write
+    await db.prepare('DELETE FROM research_cache WHERE expires_at <= ?').run(now.toISOString());
+}
+
+/**
+ * Claim one search from the user's allocation and the daily limit.
+ * Returns { canSearch, reason }; release the claim with releaseSearch() if the search fails.
+ */
+async function reserveSearch(userId = null) {
+    if (userId && !(await incrementLedger(userScope(userId), userId, 'searches', USER_DAILY_LIMIT))) {
+        return { canSearch: false, reason: `Daily research allocation used up (${USER_DAILY_LIMIT} searches per user)` };
+    }
+
+    if (!(await incrementLedger(GLOBAL_SCOPE, null, 'searches', DAILY_LIMIT))) {
+        if (userId) await decrementLedger(userScope(userId), 'searches');
+        return { canSearch: false, reason: `Daily search limit reached (${DAILY_LIMIT}/${DAILY_LIMIT})` };
+    }
+
+    return { canSearch: true, reason: null };
+}
+
+async function releaseSearch(userId = null) {
+    await decrementLedger(GLOBAL_SCOPE, 'searches');
+    if (userId) await decrementLedger(userScope(userId), 'searches');
+}
+
+/**
+ * Today's search usage against the daily limit, and the user's allocation
+ */
+async function getUsageStatus(userId = null) {
+    const day = today();
+    const rows = await db.prepare('SELECT scope, searches FROM research_ledger WHERE day = ? AND scope IN (?, ?)')
+        .all(day, GLOBAL_SCOPE, userScope(userId));
+    const used = scope => Number(rows.find(row => row.scope === scope)?.searches || 0);
+
+    const status = {
+        day,
+        limit: DAILY_LIMIT,
+        used: used(GLOBAL_SCOPE),
+        remaining: Math.max(0, DAILY_LIMIT - used(GLOBAL_SCOPE)),
+        user: null
+    };
+
+    if (userId) {
+        const userUsed = used(userScope(userId));
+        status.user = {
+            limit: USER_DAILY_LIMIT,
+            used: userUsed,
+            // The user's allocation can't exceed what is left of the daily limit
+            remaining: Math.min(Math.max(0, USER_DAILY_LIMIT - userUsed), status.remaining)
+        };
+    }
+
+    return status;
+}
+
+/**
+ * Cache hit rates and daily history for the last `days` days (the user's own lookups and
+ * all lookups), plus the number of live cache entries
+ */
+async function getCacheStats(userId, { days = 7 } = {}) {
+    const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+
+    const rows = await db.prepare(`
+        SELECT day, scope, searches, cache_hits, cache_misses FROM research_ledger
+        WHERE day >= ? AND scope IN (?, ?)
+        ORDER BY day DESC
+    `).all(since, GLOBAL_SCOPE, userScope(userId));
+
+    const entries = await db.prepare(`
+        SELECT kind, COUNT(*) as count, SUM(hits) as hits FROM research_cache
+        WHERE expires_at > ?
+        GROUP BY kind
+    `).all(new Date().toISOString());
+
+    const summarize = scope => {
+        const scoped = rows.filter(row => row.scope === scope);
+        const hits = scoped.reduce((sum, row) => sum + Number(row.cache_hits), 0);
+        const misses = scoped.reduce((sum, row) => sum + Number(row.cache_misses), 0);
+        return {
+            searches: scoped.reduce((sum, row) => sum + Number(row.searches), 0),
+            hits,
+            misses,
+            hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 10 : null
+        };
+    };
+
+    return {
+        days,
+        ttlHours: CACHE_TTL_HOURS,
+        user: summarize(userScope(userId)),
+        global: summarize(GLOBAL_SCOPE),
+        entries: Object.fromEntries(entries.map(row => [row.kind, { count: Number(row.count), hits: Number(row.hits || 0) }])),
+        history: rows
+            .filter(row => row.scope === userScope(userId))
+            .map(row => ({
+                day: row.day,
+                searches: Number(row.searches),
+                cacheHits: Number(row.cache_hits),
+                cacheMisses: Number(row.cache_misses)
+            }))
+    };
+}
+
+async function recordCacheLookup(hit, userId) {
+    const column = hit ? 'cache_hits' : 'cache_misses';
+    await incrementLedger(GLOBAL_SCOPE, null, column);
+    if (userId) await incrementLedger(userScope(userId), userId, column);
+}
+
+// Add one to a ledger column for today; with a limit, only while it stays within it
+async function incrementLedger(scope, userId, column, limit = null) {
+    if (!LEDGER_COLUMNS.includes(column)) throw new Error(`Unknown ledger column: ${column}`);
+    const day = today();
+
+    await db.prepare('INSERT INTO research_ledger (day, scope, user_id) VALUES (?, ?, ?) ON CONFLICT (day, scope) DO NOTHING')
+        .run(day, scope, userId);
+
+    const params = [day, scope];
+    let sql = `UPDATE research_ledger SET ${column} = ${column} + 1, updated_at = CURRENT_TIMESTAMP WHERE day = ? AND scope = ?`;
+    if (limit !== null) {
+        sql += ` AND ${column} < ?`;
+        params.push(limit);
+    }
+
+    const result = await db.prepare(sql).run(...params);
+    return result.changes > 0;
+}
+
+async function decrementLedger(scope, column) {
+    if (!LEDGER_COLUMNS.includes(column)) throw new Error(`Unknown ledger column: ${column}`);
+    await db.prepare(`UPDATE research_ledger SET ${column} = ${column} - 1, updated_at = CURRENT_TIMESTAMP WHERE day = ? AND scope = ? AND ${column} > 0`)
+        .run(today(), scope);
+}
+
+function userScope(userId) {
+    return `user:${userId}`;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = {
+    DAILY_LIMIT,
+    USER_DAILY_LIMIT,
+    searchCacheKey,
+    pageCacheKey,
+    getCached,
+    setCached,
+    reserveSearch,
+    releaseSearch,
+    getUsageStatus,
+    getCacheStats
+};
@@ -0,0 +1,214 @@
+const db = require('../database/db');
+
+/**
+ * Article revision history
+ * Every change to an article's content is kept as a snapshot in article_revisions,
+ * tagged with where it came from, so versions can be compared and restored.
+ */
+
+const REVISION_SOURCES = ['generation', 'ai_revision', 'manual', 'wordpress_sync', 'restore', 'compliance', 'internal_links', 'images'];
+
+// Article columns captured by a revision
+const REVISION_FIELDS = ['title', 'content', 'excerpt', 'meta_title', 'meta_description', 'focus_keyword', 'tags'];
+
+const DIFF_MODES = ['line', 'word'];
+
+// Replaced blocks larger than this (rows × columns of the LCS table) are shown as one removal and one addition
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Snapshot an article after a change. Nothing is recorded when the snapshot matches the latest revision.
+ * Pass the row from before the change as `previous`: articles that predate revision history
+ * get it recorded first, so the change can be undone.
+ */
+async function recordRevision(articleId, source, { previous = null, restoredFrom = null } = {}) {
+    if (!REVISION_SOURCES.includes(source)) {
+        throw new Error(`Invalid revision source: ${source}`);
+    }
+
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    let latest = await db.prepare('SELECT * FROM article_revisions WHERE article_id = ? ORDER BY id DESC LIMIT 1').get(articleId);
+
+    if (!latest && previous?.content) {
+        const baseline = await insertRevision(previous, previous.generation_params ? 'generation' : 'manual');
+        latest = await db.prepare('SELECT * FROM article_revisions WHERE id = ?').get(baseline);
+    }
+
+    if (latest && REVISION_FIELDS.every(field => (latest[field] ?? null) === (article[field] ?? null))) {
+        return null;
+    }
+
+    return await insertRevision(article, source, restoredFrom);
+}
+
+async function insertRevision(article, source, restoredFrom = null) {
+    const result = await db.prepare(`
+        INSERT INTO article_revisions
+        (article_id, user_id, source, title, content, excerpt, meta_title, meta_description, focus_keyword, tags, restored_from)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        article.id,
+        article.user_id,
+        source,
+        ...REVISION_FIELDS.map(field => article[field] ?? null),
+        restoredFrom
+    );
+    return result.lastInsertRowid;
+}
+
+/**
+ * Put an article back to a revision and record the restore
+ */
+async function restoreRevision(article, revision) {
+    await db.prepare(`
+        UPDATE articles
+        SET ${REVISION_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(...REVISION_FIELDS.map(field => revision[field] ?? null), article.id);
+
+    return await recordRevision(article.id, 'restore', { previous: article, restoredFrom: revision.id });
+}
+
+/**
+ * Compare two revisions (or a revision and the current article).
+ * Content is diffed by line, or by word within changed lines; other fields are listed when they differ.
+ */
+function diffRevisions(from, to, mode = 'line') {
+    const fields = {};
+    for (const field of REVISION_FIELDS.filter(name => name !== 'content')) {
+        if ((from[field] ?? null) !== (to[field] ?? null)) {
+            fields[field] = { from: from[field] ?? null, to: to[field] ?? null };
+        }
+    }
+
+    return {
+        mode,
+        fields,
+        content: mode === 'word' ? diffWords(from.content, to.content) : diffLines(from.content, to.content)
+    };
+}
+
+/**
+ * Line diff. Each change's value keeps its line breaks, so joining the values rebuilds either side.
+ */
+function diffLines(from, to) {
+    return formatChanges(diffSequences(splitLines(from), splitLines(to)), () => true);
+}
+
+/**
+ * Word diff: a line diff first, then each replaced block diffed word by word
+ */
+function diffWords(from, to) {
+    const lines = diffSequences(splitLines(from), splitLines(to));
+    const chunks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const next = lines[i + 1];
+        if (lines[i].type === 'removed' && next?.type === 'added') {
+            const words = diffSequences(splitWords(lines[i].tokens.join('')), splitWords(next.tokens.join('')));
+            words.forEach(chunk => appendChunk(chunks, chunk.type, chunk.tokens));
+            i++;
+        } else {
+            appendChunk(chunks, lines[i].type, lines[i].tokens);
+        }
+    }
+
+    return formatChanges(chunks, token => /\S/.test(token));
+}
+
+/**
+ * Longest-common-subsequence diff of two token lists, as runs of equal/removed/added tokens
+ */
+function diffSequences(from, to) {
+    let start = 0;
+    while (start < from.length && start < to.length && from[start] === to[start]) start++;
+
+    let endFrom = from.length;
+    let endTo = to.length;
+    while (endFrom > start && endTo > start && from[endFrom - 1] === to[endTo - 1]) {
+        endFrom--;
+        endTo--;
+    }
+
+    const chunks = [];
+    appendChunk(chunks, 'equal', from.slice(0, start));
+
+    const a = from.slice(start, endFrom);
+    const b = to.slice(start, endTo);
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        appendChunk(chunks, 'removed', a);
+        appendChunk(chunks, 'added', b);
+    } else {
+        const cols = b.length + 1;
+        const table = new Uint32Array((a.length + 1) * cols);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * cols + j] = a[i] === b[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                appendChunk(chunks, 'equal', [a[i++]]);
+                j++;
+            } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                appendChunk(chunks, 'removed', [a[i++]]);
+            } else {
+                appendChunk(chunks, 'added', [b[j++]]);
+            }
+        }
+        appendChunk(chunks, 'removed', a.slice(i));
+        appendChunk(chunks, 'added', b.slice(j));
+    }
+
+    appendChunk(chunks, 'equal', from.slice(endFrom));
+    return chunks;
+}
+
+function appendChunk(chunks, type, tokens) {
+    if (tokens.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+        last.tokens.push(...tokens);
+    } else {
+        chunks.push({ type, tokens: [...tokens] });
+    }
+}
+
+// Changes as { type, value } plus how many lines/words were added and removed
+function formatChanges(chunks, counts) {
+    const stats = { added: 0, removed: 0 };
+    for (const chunk of chunks) {
+        if (chunk.type !== 'equal') {
+            stats[chunk.type] += chunk.tokens.filter(counts).length;
+        }
+    }
+
+    return {
+        changes: chunks.map(chunk => ({ type: chunk.type, value: chunk.tokens.join('') })),
+        stats
+    };
+}
+
+function splitLines(text) {
+    return String(text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function splitWords(text) {
+    return String(text || '').match(/\s+|\S+/g) || [];
+}
+
+module.exports = {
+    REVISION_SOURCES,
+    DIFF_MODES,
+    recordRevision,
+    restoreRevision,
+    diffRevisions
+};
@@ -0,0 +1,242 @@
+const db = require('../database/db');
+const { getSiteTimezone } = require('./wordpress');
+const { parseDbDate } = require('./dates');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead to look for free slots before giving up
+const MAX_SLOT_SEARCH_DAYS = 366;
+
+/**
+ * Get the user's publishing cadence, or null if none is configured
+ */
+async function getCadence(userId) {
+    const schedule = await db.prepare('SELECT * FROM publishing_schedules WHERE user_id = ?').get(userId);
+
+    if (!schedule) {
+        return null;
+    }
+
+    return {
+        ...schedule,
+        enabled: !!schedule.enabled,
+        days: parseDays(schedule.days)
+    };
+}
+
+/**
+ * Validate and normalize cadence input.
+ * Returns { error } or { days, publishTime, timezone }.
+ */
+function normalizeCadence({ days, publishTime, timezone }) {
+    const normalizedDays = parseDays(Array.isArray(days) ? days.join(',') : days);
+
+    if (normalizedDays.length === 0) {
+        return { error: `Days must include at least one of: ${WEEKDAYS.join(', ')}` };
+    }
+
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(publishTime || '')) {
+        return { error: 'Publish time must be in HH:MM (24-hour) format' };
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+        return { error: `Unknown timezone: ${timezone}` };
+    }
+
+    return {
+        days: normalizedDays,
+        publishTime,
+        timezone: timezone || null
+    };
+}
+
+/**
+ * Resolve the timezone a cadence runs in: its own setting, then the WordPress site's, then UTC
+ */
+async function resolveTimezone(userId, cadence) {
+    if (cadence?.timezone) {
+        return cadence.timezone;
+    }
+
+    const wpConnection = await db.prepare(`
+        SELECT * FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
+    `).get(userId);
+
+    if (wpConnection) {
+        try {
+            const siteTimezone = await getSiteTimezone(JSON.parse(wpConnection.credentials));
+            if (siteTimezone && isValidTimezone(siteTimezone)) {
+                return siteTimezone;
+            }
+        } catch (err) {
+            console.error('Site timezone lookup failed:', err.message);
+        }
+    }
+
+    return 'UTC';
+}
+
+/**
+ * Get the next `count` free publishing slots (as Dates) after `after`.
+ * Slots already used by scheduled articles or queue items are skipped.
+ */
+async function getNextSlots(userId, count, { cadence = null, after = new Date() } = {}) {
+    cadence = cadence || await getCadence(userId);
+
+    if (!cadence || cadence.days.length === 0 || count <= 0) {
+        return [];
+    }
+
+    const timezone = await resolveTimezone(userId, cadence);
+    const taken = await getTakenSlots(userId);
+    const [hour, minute] = cadence.publish_time.split(':').map(Number);
+
+    const slots = [];
+    const { year, month, day } = getZonedParts(after, timezone);
+
+    for (let offset = 0; offset < MAX_SLOT_SEARCH_DAYS && slots.length < count; offset++) {
+        // Walk calendar days in the schedule timezone
+        const calendarDay = new Date(Date.UTC(year, month - 1, day + offset));
+        if (!cadence.days.includes(WEEKDAYS[calendarDay.getUTCDay()])) continue;
+
+        const slot = zonedTimeToUtc(
+            calendarDay.getUTCFullYear(),
+            calendarDay.getUTCMonth() + 1,
+            calendarDay.getUTCDate(),
+            hour,
+            minute,
+            timezone
+        );
+
+        if (slot <= after || taken.has(slot.toISOString())) continue;
+        slots.push(slot);
+    }
+
+    return slots;
+}
+
+/**
+ * Give every pending queue item without a slot the next free slot in the user's cadence
+ */
+async function assignQueueSlots(userId) {
+    const cadence = await getCadence(userId);
+
+    if (!cadence || !cadence.enabled) {
+        return { assigned: 0 };
+    }
+
+    const items = await db.prepare(`
+        SELECT id FROM content_queue
+        WHERE user_id = ? AND status = 'pending' AND scheduled_at IS NULL
+        ORDER BY created_at ASC, id ASC
+    `).all(userId);
+
+    if (items.length === 0) {
+        return { assigned: 0 };
+    }
+
+    const slots = await getNextSlots(userId, items.length, { cadence });
+
+    for (let i = 0; i < slots.length; i++) {
+        await db.prepare(`
+            UPDATE content_queue SET scheduled_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(slots[i].toISOString(), items[i].id);
+    }
+
+    return { assigned: slots.length };
+}
+
+/**
+ * Slots already in use, as ISO strings
+ */
+async function getTakenSlots(userId) {
+    const articleSlots = await db.prepare(`
+        SELECT scheduled_at FROM articles
+        WHERE user_id = ? AND scheduled_at IS NOT NULL AND status != 'failed'
+    `).all(userId);
+
+    const queueSlots = await db.prepare(`
+        SELECT scheduled_at FROM content_queue
+        WHERE user_id = ? AND scheduled_at IS NOT NULL AND status != 'done'
+    `).all(userId);
+
+    const taken = new Set();
+    for (const row of [...articleSlots, ...queueSlots]) {
+        const date = parseDbDate(row.scheduled_at);
+        if (date) taken.add(date.toISOString());
+    }
+    return taken;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in the given timezone
+ */
+function toDateKey(date, timezone) {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function parseDays(days) {
+    if (!days) return [];
+    const requested = String(days).toLowerCase().split(',').map(d => d.trim().slice(0, 3));
+    return WEEKDAYS.filter(d => requested.includes(d));
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Calendar parts of an instant as seen in a timezone
+ */
+function getZonedParts(date, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+
+    for (const part of formatter.formatToParts(date)) {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+    }
+
+    return parts;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = wallClock;
+
+    // Two passes settle the offset, including across DST changes
+    for (let i = 0; i < 2; i++) {
+        const p = getZonedParts(new Date(guess), timezone);
+        const seen = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+        guess += wallClock - seen;
+    }
+
+    return new Date(guess);
+}
+
+module.exports = {
+    WEEKDAYS,
+    getCadence,
+    normalizeCadence,
+    resolveTimezone,
+    getNextSlots,
+    assignQueueSlots,
+    toDateKey
+};
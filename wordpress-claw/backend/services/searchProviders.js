@@ -0,0 +1,386 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Search provider layer
+ * Each provider turns a query and a locale (country, language, optional city) into organic
+ * results ({ title, url, snippet }), plus the "People Also Ask" questions and related searches
+ * where the provider returns them. The provider comes from the business profile, falling
+ * back to the SEARCH_PROVIDER environment default. The locale is parsed from the business
+ * profile's free-text location ("Austin, TX", "London, UK", "Germany").
+ */
+
+const SEARCH_PROVIDERS = ['serpapi', 'brave', 'bing', 'dataforseo', 'fixture'];
+
+const DEFAULT_PROVIDER = process.env.SEARCH_PROVIDER || 'serpapi';
+const DEFAULT_COUNTRY = (process.env.SEARCH_DEFAULT_COUNTRY || 'us').toLowerCase();
+
+const SERPAPI_KEY = process.env.SERPAPI_KEY;
+const BRAVE_API_KEY = process.env.BRAVE_SEARCH_API_KEY;
+const BING_API_KEY = process.env.BING_SEARCH_API_KEY;
+const BING_ENDPOINT = process.env.BING_SEARCH_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search';
+const DATAFORSEO_LOGIN = process.env.DATAFORSEO_LOGIN;
+const DATAFORSEO_PASSWORD = process.env.DATAFORSEO_PASSWORD;
+const FIXTURE_DIR = process.env.SEARCH_FIXTURE_DIR || null;
+
+const SEARCH_TIMEOUT_MS = 30000;
+
+// Country code, name, search language and other names people write in a location
+const COUNTRIES = [
+    ['us', 'United States', 'en', ['usa', 'u.s.', 'u.s.a.', 'america', 'united states of america']],
+    ['gb', 'United Kingdom', 'en', ['uk', 'u.k.', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland']],
+    ['ca', 'Canada', 'en', []],
+    ['au', 'Australia', 'en', []],
+    ['nz', 'New Zealand', 'en', []],
+    ['ie', 'Ireland', 'en', []],
+    ['in', 'India', 'en', []],
+    ['za', 'South Africa', 'en', []],
+    ['sg', 'Singapore', 'en', []],
+    ['ph', 'Philippines', 'en', []],
+    ['ae', 'United Arab Emirates', 'en', ['uae']],
+    ['de', 'Germany', 'de', ['deutschland']],
+    ['at', 'Austria', 'de', ['österreich']],
+    ['ch', 'Switzerland', 'de', ['schweiz', 'suisse']],
+    ['fr', 'France', 'fr', []],
+    ['be', 'Belgium', 'nl', ['belgië', 'belgique']],
+    ['nl', 'Netherlands', 'nl', ['the netherlands', 'holland', 'nederland']],
+    ['es', 'Spain', 'es', ['españa']],
+    ['mx', 'Mexico', 'es', ['méxico']],
+    ['ar', 'Argentina', 'es', []],
+    ['co', 'Colombia', 'es', []],
+    ['cl', 'Chile', 'es', []],
+    ['pt', 'Portugal', 'pt', []],
+    ['br', 'Brazil', 'pt', ['brasil']],
+    ['it', 'Italy', 'it', ['italia']],
+    ['se', 'Sweden', 'sv', ['sverige']],
+    ['no', 'Norway', 'no', ['norge']],
+    ['dk', 'Denmark', 'da', ['danmark']],
+    ['fi', 'Finland', 'fi', ['suomi']],
+    ['pl', 'Poland', 'pl', ['polska']],
+    ['jp', 'Japan', 'ja', []],
+    ['kr', 'South Korea', 'ko', ['korea']]
+].map(([code, name, language, aliases]) => ({ code, name, language, aliases }));
+
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const providers = {
+    serpapi: {
+        name: 'serpapi',
+        metered: true,
+        isConfigured: () => !!SERPAPI_KEY,
+        async search({ query, count, locale }) {
+            const response = await axios.get('https://serpapi.com/search', {
+                params: {
+                    q: query,
+                    api_key: SERPAPI_KEY,
+                    engine: 'google',
+                    num: Math.min(count, 10), // Max 10 results
+                    gl: locale.country,
+                    hl: locale.language,
+                    ...(locale.city ? { location: locale.location } : {})
+                },
+                timeout: SEARCH_TIMEOUT_MS
+            });
+
+            if (response.data.error) throw new Error(response.data.error);
+
+            return {
+                results: (response.data.organic_results || []).map(result => ({
+                    title: result.title,
+                    url: result.link,
+                    snippet: result.snippet || result.description || ''
+                })),
+                relatedQuestions: (response.data.related_questions || []).map(item => ({
+                    question: item.question,
+                    snippet: item.snippet || '',
+                    source: item.link || null
+                })),
+                relatedSearches: (response.data.related_searches || []).map(item => item.query)
+            };
+        }
+    },
+
+    brave: {
+        name: 'brave',
+        metered: true,
+        isConfigured: () => !!BRAVE_API_KEY,
+        async search({ query, count, locale }) {
+            const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
+                params: {
+                    q: query,
+                    count: Math.min(count, 20),
+                    country: locale.country.toUpperCase(),
+                    search_lang: locale.language
+                },
+                headers: {
+                    'Accept': 'application/json',
+                    'X-Subscription-Token': BRAVE_API_KEY,
+                    ...(locale.city ? { 'X-Loc-City': locale.city, 'X-Loc-Country': locale.country.toUpperCase() } : {}),
+                    ...(locale.region ? { 'X-Loc-State-Name': locale.region } : {})
+                },
+                timeout: SEARCH_TIMEOUT_MS
+            });
+
+            return {
+                results: (response.data.web?.results || []).map(result => ({
+                    title: stripTags(result.title),
+                    url: result.url,
+                    snippet: stripTags(result.description)
+                })),
+                relatedQuestions: (response.data.faq?.results || []).map(item => ({
+                    question: stripTags(item.question),
+                    snippet: stripTags(item.answer),
+                    source: item.url || null
+                })),
+                relatedSearches: []
+            };
+        }
+    },
+
+    bing: {
+        name: 'bing',
+        metered: true,
+        isConfigured: () => !!BING_API_KEY,
+        async search({ query, count, locale }) {
+            const response = await axios.get(BING_ENDPOINT, {
+                params: {
+                    q: query,
+                    count: Math.min(count, 50),
+                    mkt: `${locale.language}-${locale.country.toUpperCase()}`,
+                    responseFilter: 'Webpages,RelatedSearches'
+                },
+                headers: { 'Ocp-Apim-Subscription-Key': BING_API_KEY },
+                timeout: SEARCH_TIMEOUT_MS
+            });
+
+            return {
+                results: (response.data.webPages?.value || []).map(result => ({
+                    title: result.name,
+                    url: result.url,
+                    snippet: result.snippet || ''
+                })),
+                relatedQuestions: [],
+                relatedSearches: (response.data.relatedSearches?.value || []).map(item => item.text)
+            };
+        }
+    },
+
+    dataforseo: {
+        name: 'dataforseo',
+        metered: true,
+        isConfigured: () => !!(DATAFORSEO_LOGIN && DATAFORSEO_PASSWORD),
+        async search({ query, count, locale }) {
+            const response = await axios.post(
+                'https://api.dataforseo.com/v3/serp/google/organic/live/advanced',
+                [{
+                    keyword: query,
+                    // DataForSEO names locations "City,Region,Country"
+                    location_name: [locale.city, locale.region, locale.countryName].filter(part => part).join(','),
+                    language_code: locale.language,
+                    depth: Math.min(count, 100)
+                }],
+                {
+                    auth: { username: DATAFORSEO_LOGIN, password: DATAFORSEO_PASSWORD },
+                    timeout: SEARCH_TIMEOUT_MS
+                }
+            );
+
+            const task = response.data.tasks?.[0];
+            if (!task || task.status_code !== 20000) {
+                throw new Error(task?.status_message || response.data.status_message || 'DataForSEO task failed');
+            }
+
+            const items = task.result?.[0]?.items || [];
+            const ofType = type => items.filter(item => item.type === type);
+
+            return {
+                results: ofType('organic').map(item => ({
+                    title: item.title,
+                    url: item.url,
+                    snippet: item.description || ''
+                })),
+                relatedQuestions: ofType('people_also_ask').flatMap(item => item.items || []).map(item => ({
+                    question: item.title,
+                    snippet: item.expanded_element?.[0]?.description || '',
+                    source: item.expanded_element?.[0]?.url || null
+                })),
+                relatedSearches: ofType('related_searches').flatMap(item => item.items || [])
+            };
+        }
+    },
+
+    // Saved results from SEARCH_FIXTURE_DIR: <query-slug>.json, else default.json
+    fixture: {
+        name: 'fixture',
+        metered: false,
+        isConfigured: () => !!FIXTURE_DIR && fs.existsSync(FIXTURE_DIR),
+        async search({ query }) {
+            const candidates = [`${slugify(query)}.json`, 'default.json'].map(file => path.join(FIXTURE_DIR, file));
+            const file = candidates.find(candidate => fs.existsSync(candidate));
+            if (!file) {
+                throw new Error(`No search fixture for "${query}" in ${FIXTURE_DIR}`);
+            }
+
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return {
+                results: (Array.isArray(data) ? data : data.results || []).map(result => ({
+                    title: result.title,
+                    url: result.url || result.link,
+                    snippet: result.snippet || result.description || ''
+                })),
+                relatedQuestions: (data.relatedQuestions || []).map(item => (typeof item === 'string' ? { question: item } : item)),
+                relatedSearches: data.relatedSearches || []
+            };
+        }
+    }
+};
+
+/**
+ * Search provider for a business profile (its search_provider, else SEARCH_PROVIDER)
+ */
+function resolveSearchProvider(businessProfile = null) {
+    const name = SEARCH_PROVIDERS.includes(businessProfile?.search_provider) ? businessProfile.search_provider : DEFAULT_PROVIDER;
+    return providers[name] || providers.serpapi;
+}
+
+/**
+ * Country, language and city to search from. `location` and `language` override the
+ * business profile; a two-letter location is taken as a country code.
+ */
+function resolveSearchLocale({ location = null, language = null, businessProfile = null } = {}) {
+    const parsed = parseLocation(location || businessProfile?.location || '');
+    const country = COUNTRIES.find(c => c.code === parsed.country) || null;
+    const countryName = country?.name || parsed.country.toUpperCase();
+
+    return {
+        country: parsed.country,
+        countryName,
+        language: (language || country?.language || 'en').toLowerCase(),
+        city: parsed.city,
+        region: parsed.region,
+        // Canonical "City, Region, Country" name (SerpAPI's location parameter)
+        location: [parsed.city, parsed.region, countryName].filter(part => part).join(', ')
+    };
+}
+
+/**
+ * Run a search against a provider. Returns { results, relatedQuestions, relatedSearches }:
+ * results with positions and domains, and de-duplicated PAA questions and related searches.
+ */
+async function searchWithProvider(provider, { query, count = 10, locale }) {
+    const { results = [], relatedQuestions = [], relatedSearches = [] } = await provider.search({ query, count, locale });
+
+    return {
+        results: results
+            .filter(result => result.url)
+            .slice(0, count)
+            .map((result, index) => ({
+                position: index + 1,
+                title: result.title || '',
+                url: result.url,
+                snippet: result.snippet || '',
+                domain: extractDomain(result.url)
+            })),
+        relatedQuestions: dedupeBy(
+            relatedQuestions
+                .filter(item => item?.question && String(item.question).trim())
+                .map(item => ({
+                    question: String(item.question).trim(),
+                    snippet: item.snippet || '',
+                    source: item.source || null
+                })),
+            item => item.question
+        ),
+        // The query itself often comes back as a related search
+        relatedSearches: dedupeBy(
+            relatedSearches.map(text => String(text || '').trim()).filter(text => text && text.toLowerCase() !== query.toLowerCase().trim()),
+            text => text
+        )
+    };
+}
+
+// "Austin, TX" → us/Texas/Austin, "London, UK" → gb/London, "de" → de
+function parseLocation(text) {
+    const parts = String(text || '').split(',').map(part => part.trim()).filter(part => part);
+    const result = { country: DEFAULT_COUNTRY, region: null, city: null };
+    if (parts.length === 0) return result;
+
+    const last = parts[parts.length - 1];
+    const country = findCountry(last);
+
+    if (country) {
+        result.country = country.code;
+        parts.pop();
+    } else if (findUsState(last)) {
+        result.country = 'us';
+    } else if (parts.length === 1 && /^[a-z]{2}$/.test(last)) {
+        // A country code we have no name for
+        result.country = last;
+        parts.pop();
+    }
+
+    if (result.country === 'us' && parts.length > 0 && findUsState(parts[parts.length - 1])) {
+        result.region = findUsState(parts.pop());
+    }
+
+    result.city = parts[0] || null;
+    return result;
+}
+
+function findCountry(text) {
+    // Upper-case codes that are also US states ("CA", "IN") are read as states
+    if (text.length === 2 && US_STATES[text]) return null;
+
+    const lower = text.toLowerCase();
+    return COUNTRIES.find(c => c.code === lower || c.name.toLowerCase() === lower || c.aliases.includes(lower)) || null;
+}
+
+function findUsState(text) {
+    if (text.length === 2) return US_STATES[text.toUpperCase()] || null;
+    return Object.values(US_STATES).find(name => name.toLowerCase() === text.toLowerCase()) || null;
+}
+
+function extractDomain(url) {
+    try {
+        const urlObj = new URL(url);
+        return urlObj.hostname.replace('www.', '');
+    } catch {
+        return '';
+    }
+}
+
+function dedupeBy(items, key) {
+    const seen = new Set();
+    return items.filter(item => {
+        const value = key(item).toLowerCase();
+        if (seen.has(value)) return false;
+        seen.add(value);
+        return true;
+    });
+}
+
+function stripTags(text) {
+    return String(text || '').replace(/<[^>]+>/g, '').replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, '\'');
+}
+
+function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+    SEARCH_PROVIDERS,
+    resolveSearchProvider,
+    resolveSearchLocale,
+    searchWithProvider
+};
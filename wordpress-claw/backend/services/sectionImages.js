@@ -0,0 +1,224 @@
+const db = require('../database/db');
+const { generateSectionImageBriefs } = require('./contentGeneration');
+const { generateFeaturedImage, validateConfig } = require('./imageGeneration');
+const { uploadImage } = require('./github');
+const { FAQ_HEADING, isHtmlContent, extractImages } = require('./markdownToWordPress');
+const { formatGenerationParams } = require('./llmProviders');
+const { scoreArticle } = require('./seoAnalyzer');
+const { recordRevision } = require('./revisionHistory');
+
+/**
+ * In-body section images
+ * A business profile's image_count (1-3) is the number of images per article: the featured
+ * image plus image_count - 1 images under the H2 sections they explain best. Each image gets
+ * its own prompt, alt text and caption, is hosted on the user's GitHub repo like the featured
+ * image and is embedded as ![alt](url "caption"), which publishing turns into an image block
+ * with the image copied to the WordPress media library.
+ */
+
+const MAX_IMAGE_COUNT = 3;
+
+// Characters of each section shown to the model
+const SECTION_EXCERPT_CHARS = 400;
+
+/**
+ * How many in-body images a profile asks for (image_count less the featured image)
+ */
+function sectionImageCount(businessProfile) {
+    const imageCount = Math.min(MAX_IMAGE_COUNT, parseInt(businessProfile?.image_count) || 1);
+    return Math.max(0, imageCount - 1);
+}
+
+/**
+ * The H2 sections of Markdown content that could take an image: not the FAQ and not
+ * already illustrated. Returns [{ heading, line, excerpt }] where line is the heading's line.
+ */
+function listSections(content) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    const sections = [];
+    let inCode = false;
+
+    lines.forEach((line, i) => {
+        if (/^\s*(```|~~~)/.test(line)) inCode = !inCode;
+        const heading = !inCode && line.match(/^##\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            sections.push({ heading: heading[1].replace(/[*_`]/g, '').trim(), line: i, end: lines.length });
+            if (sections.length > 1) sections[sections.length - 2].end = i;
+        }
+    });
+
+    return sections
+        .filter(section => !FAQ_HEADING.test(section.heading))
+        .map(section => ({ ...section, body: lines.slice(section.line + 1, section.end) }))
+        .filter(section => !section.body.some(line => /^\s*!\[[^\]]*\]\([^)]*\)\s*$/.test(line)))
+        .map(({ heading, line, body }) => ({
+            heading,
+            line,
+            excerpt: body.filter(text => text.trim() && !/^#{3,6}\s/.test(text)).join(' ').substring(0, SECTION_EXCERPT_CHARS)
+        }));
+}
+
+/**
+ * Place images ({ line, alt, url, caption }) under their section headings, after the
+ * section's first paragraph (or straight under the heading if it opens with a list or table)
+ */
+function insertSectionImages(content, images) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+
+    for (const image of [...images].sort((a, b) => b.line - a.line)) {
+        let at = image.line + 1;
+        while (at < lines.length && !lines[at].trim()) at++;
+
+        const opensWithParagraph = at < lines.length && !/^\s*([#|>]|[-*+]\s|\d+[.)]\s|```|~~~|!\[)/.test(lines[at]);
+        if (opensWithParagraph) {
+            while (at < lines.length && lines[at].trim() && !/^#{1,6}\s/.test(lines[at])) at++;
+        } else {
+            at = image.line + 1;
+        }
+
+        const markdown = `![${cleanAlt(image.alt)}](${image.url}${image.caption ? ` "${cleanCaption(image.caption)}"` : ''})`;
+        const after = at < lines.length && lines[at].trim() ? [''] : [];
+        lines.splice(at, 0, '', markdown, ...after);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Generate the article's missing in-body images, host them on GitHub and add them to the
+ * content. `count` defaults to the profile's image_count less the featured image and images
+ * already in the content. Images that fail are listed in `errors`; the others are still added.
+ * Returns { images, errors, skippedReason, seoScore }, or null if the article doesn't exist.
+ */
+async function addSectionImages(articleId, { count = null } = {}) {
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    const businessProfile = await db.prepare('SELECT * FROM business_profiles WHERE user_id = ?').get(article.user_id);
+    const wanted = count ?? sectionImageCount(businessProfile) - extractImages(article.content).length;
+    const skip = reason => ({ images: [], errors: [], skippedReason: reason, seoScore: null });
+
+    if (wanted <= 0) return skip('The article already has the images its profile asks for');
+    if (!article.content || isHtmlContent(article.content)) return skip('Section images are only added to Markdown content');
+
+    const sections = listSections(article.content);
+    if (sections.length === 0) return skip('No H2 sections without an image');
+
+    const githubConnection = await db.prepare(`
+        SELECT * FROM connections WHERE user_id = ? AND type = 'github' AND status = 'active' LIMIT 1
+    `).get(article.user_id);
+    if (!githubConnection) return skip('No GitHub connection to host the images');
+    if (!validateConfig().valid) return skip('Image generation is not configured');
+
+    let generationParams = null;
+    try {
+        generationParams = JSON.parse(article.generation_params || 'null');
+    } catch {
+        generationParams = null;
+    }
+
+    const keyword = article.focus_keyword || article.keyword || article.title;
+    const imageStyle = businessProfile?.image_style || 'photorealistic';
+    const credentials = JSON.parse(githubConnection.credentials);
+    const calls = [];
+
+    const briefs = await generateSectionImageBriefs({
+        title: article.title,
+        keyword,
+        sections,
+        count: Math.min(wanted, sections.length),
+        businessProfile,
+        calls
+    });
+
+    const images = [];
+    const errors = [];
+    for (const brief of briefs) {
+        const section = sections[brief.section];
+        try {
+            const imageResult = await generateFeaturedImage({
+                prompt: `${brief.prompt}, ${imageStyle} style, high quality, in-article blog image`,
+                articleTitle: article.title,
+                keyword
+            });
+            const uploadResult = await uploadImage({
+                imageBuffer: imageResult.buffer,
+                filename: `section-${section.heading.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase().substring(0, 60)}.png`,
+                mimeType: imageResult.mimeType,
+                credentials
+            });
+            images.push({
+                section: section.heading,
+                line: section.line,
+                url: uploadResult.url,
+                alt: cleanAlt(brief.alt),
+                caption: cleanCaption(brief.caption),
+                prompt: brief.prompt
+            });
+        } catch (err) {
+            console.error('Section image error:', err.message);
+            errors.push(`${section.heading}: ${err.message}`);
+        }
+    }
+
+    const result = { images: images.map(({ line, ...image }) => image), errors, seoScore: null };
+
+    // Only written over the content the images were placed in, so edits made meanwhile are kept
+    if (images.length > 0) {
+        const update = await db.prepare('UPDATE articles SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND content = ?')
+            .run(insertSectionImages(article.content, images), articleId, article.content);
+        if (update.changes === 0) {
+            throw new Error('The article was edited while images were being added');
+        }
+    }
+
+    // The briefs' token usage is kept with the generation params
+    if (generationParams && calls.length > 0) {
+        await db.prepare('UPDATE articles SET generation_params = ? WHERE id = ?').run(
+            formatGenerationParams({
+                ...generationParams,
+                sectionImages: [...(generationParams.sectionImages || []), ...result.images.map(({ section, url, prompt }) => ({ section, url, prompt }))],
+                calls: [...(generationParams.calls || []), ...calls]
+            }),
+            articleId
+        );
+    }
+
+    if (images.length === 0) return result;
+
+    try {
+        await recordRevision(articleId, 'images', { previous: article });
+    } catch (err) {
+        console.error('Revision history error:', err);
+    }
+
+    await db.prepare(`
+        INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+        VALUES (?, 'generated_section_images', 'article', ?, ?)
+    `).run(article.user_id, articleId, JSON.stringify({ images: images.length, failed: errors.length }));
+
+    try {
+        result.seoScore = (await scoreArticle(articleId)).score;
+    } catch (err) {
+        console.error('SEO scoring error:', err);
+    }
+
+    return result;
+}
+
+// Alt text and captions go inside Markdown image syntax (![alt](url "caption")), so they can't
+// contain the characters that would end it
+function cleanAlt(text) {
+    return String(text || '').replace(/\s+/g, ' ').replace(/[[\]]/g, '').trim();
+}
+
+function cleanCaption(text) {
+    return String(text || '').replace(/\s+/g, ' ').replace(/"/g, "'").replace(/[()]/g, '').trim();
+}
+
+module.exports = {
+    sectionImageCount,
+    listSections,
+    insertSectionImages,
+    addSectionImages
+};
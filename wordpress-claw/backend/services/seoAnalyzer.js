@@ -0,0 +1,413 @@
+const db = require('../database/db');
+const { isHtmlContent } = require('./markdownToWordPress');
+const { countKeyword, extractLinks } = require('./keywordCoverage');
+
+/**
+ * On-page SEO and readability analysis
+ * Scores an article (Markdown or HTML) on keyword placement and density, headings,
+ * length, readability, meta lengths, image alt text and links. Each check passes,
+ * warns (half credit) or fails; the score is the weighted share of credit out of 100.
+ */
+
+const MIN_SEO_SCORE = parseInt(process.env.MIN_SEO_SCORE) || 0;
+
+const CHECK_CREDIT = { pass: 1, warn: 0.5, fail: 0 };
+
+// A sentence longer than this counts as long
+const LONG_SENTENCE_WORDS = 25;
+
+/**
+ * Analyze an article. `targetWordCount` enables the length check; `siteUrl` decides
+ * which absolute links are internal.
+ */
+function analyzeArticle(article, { targetWordCount = null, siteUrl = null } = {}) {
+    const keyword = (article.focus_keyword || article.focusKeyword || article.keyword || '').trim();
+    const title = article.title || '';
+    const metaTitle = article.meta_title || article.metaTitle || '';
+    const metaDescription = article.meta_description || article.metaDescription || '';
+    const parsed = parseContent(article.content);
+
+    const words = toWords(parsed.text);
+    const sentences = parsed.blocks.flatMap(splitSentences);
+    const sentenceWords = sentences.map(sentence => toWords(sentence).length);
+    const paragraphWords = parsed.paragraphs.map(paragraph => toWords(paragraph).length);
+    const syllables = parsed.blocks.flatMap(block => toWords(block)).reduce((sum, word) => sum + countSyllables(word), 0);
+    const readingWords = sentenceWords.reduce((sum, count) => sum + count, 0);
+
+    const keywordCount = keyword ? countKeyword(parsed.text, keyword) : 0;
+    const keywordWords = keyword ? keyword.split(/\s+/).length : 0;
+    const links = classifyLinks(parsed.links, siteUrl);
+
+    const stats = {
+        wordCount: words.length,
+        targetWordCount: targetWordCount || null,
+        sentences: sentences.length,
+        paragraphs: parsed.paragraphs.length,
+        avgSentenceLength: round(average(sentenceWords)),
+        longSentencePercent: round(percent(sentenceWords.filter(count => count > LONG_SENTENCE_WORDS).length, sentences.length)),
+        avgParagraphLength: round(average(paragraphWords)),
+        longestParagraph: Math.max(0, ...paragraphWords),
+        fleschReadingEase: readingWords > 0 && sentences.length > 0
+            ? round(206.835 - 1.015 * (readingWords / sentences.length) - 84.6 * (syllables / readingWords))
+            : null,
+        keywordCount,
+        keywordDensity: round(percent(keywordCount * keywordWords, words.length), 2),
+        headings: {
+            h1: parsed.headings.filter(h => h.level === 1).length,
+            h2: parsed.headings.filter(h => h.level === 2).length,
+            h3: parsed.headings.filter(h => h.level === 3).length
+        },
+        images: parsed.images.length,
+        imagesMissingAlt: parsed.images.filter(image => !image.alt.trim()).length,
+        internalLinks: links.internal,
+        externalLinks: links.external,
+        metaTitleLength: (metaTitle || title).length,
+        metaDescriptionLength: metaDescription.length
+    };
+
+    const has = text => keyword && countKeyword(text, keyword) > 0;
+    const checks = [];
+    const check = (id, label, weight, status, message) => checks.push({ id, label, weight, status, message });
+
+    // Keyword placement
+    if (keyword) {
+        check('keyword_in_title', 'Keyword in title', 10,
+            has(title) ? 'pass' : 'fail',
+            has(title) ? 'The title contains the focus keyword' : `Add "${keyword}" to the title`);
+
+        const inMetaTitle = has(metaTitle || title);
+        const inMetaDescription = has(metaDescription);
+        check('keyword_in_meta', 'Keyword in meta title and description', 6,
+            inMetaTitle && inMetaDescription ? 'pass' : (inMetaTitle || inMetaDescription ? 'warn' : 'fail'),
+            inMetaTitle && inMetaDescription
+                ? 'Meta title and description contain the focus keyword'
+                : `Add "${keyword}" to the ${[!inMetaTitle && 'meta title', !inMetaDescription && 'meta description'].filter(x => x).join(' and ')}`);
+
+        const intro = words.slice(0, 100).join(' ');
+        check('keyword_in_intro', 'Keyword in the first 100 words', 10,
+            has(intro) ? 'pass' : 'fail',
+            has(intro) ? 'The focus keyword appears in the first 100 words' : `Use "${keyword}" in the first 100 words`);
+
+        const inHeadings = parsed.headings.filter(h => h.level === 2 || h.level === 3).some(h => has(h.text));
+        check('keyword_in_headings', 'Keyword in a subheading', 8,
+            inHeadings ? 'pass' : 'fail',
+            inHeadings ? 'At least one H2/H3 contains the focus keyword' : `Use "${keyword}" in at least one H2 or H3`);
+
+        const density = stats.keywordDensity;
+        check('keyword_density', 'Keyword density', 8,
+            density >= 0.5 && density <= 2.5 ? 'pass' : (density >= 0.25 && density <= 3.5 ? 'warn' : 'fail'),
+            `Keyword density is ${density}% (${keywordCount} uses); aim for 0.5-2.5%`);
+    } else {
+        check('focus_keyword', 'Focus keyword', 10, 'fail', 'Set a focus keyword so keyword placement can be checked');
+    }
+
+    // Structure
+    const hierarchyIssues = [];
+    if (stats.headings.h2 === 0) hierarchyIssues.push('no H2 subheadings');
+    if (stats.headings.h1 > 0) hierarchyIssues.push('H1 headings in the body (the title is the H1)');
+    parsed.headings.forEach((heading, i) => {
+        const previous = i > 0 ? parsed.headings[i - 1].level : 2;
+        if (heading.level > previous + 1) hierarchyIssues.push(`"${heading.text}" skips from H${previous} to H${heading.level}`);
+    });
+    check('heading_hierarchy', 'Heading hierarchy', 8,
+        hierarchyIssues.length === 0 ? 'pass' : (stats.headings.h2 === 0 ? 'fail' : 'warn'),
+        hierarchyIssues.length === 0 ? 'Headings are nested correctly' : `Fix: ${hierarchyIssues.slice(0, 3).join('; ')}`);
+
+    if (targetWordCount) {
+        const deviation = Math.abs(stats.wordCount - targetWordCount) / targetWordCount;
+        check('word_count', 'Length', 8,
+            deviation <= 0.1 ? 'pass' : (deviation <= 0.25 ? 'warn' : 'fail'),
+            `${stats.wordCount} words against a target of ${targetWordCount}`);
+    } else {
+        check('word_count', 'Length', 8,
+            stats.wordCount >= 600 ? 'pass' : (stats.wordCount >= 300 ? 'warn' : 'fail'),
+            `${stats.wordCount} words`);
+    }
+
+    // Readability
+    const flesch = stats.fleschReadingEase;
+    check('readability', 'Flesch reading ease', 10,
+        flesch === null ? 'fail' : (flesch >= 60 ? 'pass' : (flesch >= 40 ? 'warn' : 'fail')),
+        flesch === null ? 'No readable text found' : `Flesch reading ease is ${flesch} (60+ is easy to read)`);
+
+    check('sentence_length', 'Sentence length', 6,
+        stats.avgSentenceLength <= 20 && stats.longSentencePercent <= 25
+            ? 'pass'
+            : (stats.avgSentenceLength <= 25 && stats.longSentencePercent <= 40 ? 'warn' : 'fail'),
+        `Sentences average ${stats.avgSentenceLength} words; ${stats.longSentencePercent}% are over ${LONG_SENTENCE_WORDS} words`);
+
+    check('paragraph_length', 'Paragraph length', 5,
+        stats.longestParagraph <= 150 && stats.avgParagraphLength <= 100
+            ? 'pass'
+            : (stats.longestParagraph <= 250 ? 'warn' : 'fail'),
+        `Paragraphs average ${stats.avgParagraphLength} words; the longest is ${stats.longestParagraph}`);
+
+    // Meta
+    check('meta_title_length', 'Meta title length', 6,
+        lengthStatus(stats.metaTitleLength, [30, 60], [1, 70]),
+        `Meta title is ${stats.metaTitleLength} characters (30-60 recommended)`);
+
+    check('meta_description_length', 'Meta description length', 6,
+        lengthStatus(stats.metaDescriptionLength, [120, 160], [70, 170]),
+        metaDescription ? `Meta description is ${stats.metaDescriptionLength} characters (120-160 recommended)` : 'Add a meta description');
+
+    // Media and links
+    if (stats.images > 0) {
+        check('image_alt', 'Image alt text', 5,
+            stats.imagesMissingAlt === 0 ? 'pass' : 'fail',
+            stats.imagesMissingAlt === 0 ? 'Every image has alt text' : `${stats.imagesMissingAlt} of ${stats.images} images have no alt text`);
+    } else {
+        const featured = article.featured_image_url || article.featuredImageUrl;
+        check('image_alt', 'Image alt text', 5,
+            featured ? 'pass' : 'warn',
+            featured ? 'No in-body images; the featured image is set' : 'No images; add a featured image or in-body images with alt text');
+    }
+
+    check('internal_links', 'Internal links', 6,
+        links.internal > 0 ? 'pass' : 'warn',
+        `${links.internal} internal link(s)`);
+
+    check('external_links', 'External links', 4,
+        links.external > 0 ? 'pass' : 'warn',
+        `${links.external} external link(s)`);
+
+    const totalWeight = checks.reduce((sum, c) => sum + c.weight, 0);
+    const earned = checks.reduce((sum, c) => sum + c.weight * CHECK_CREDIT[c.status], 0);
+
+    return {
+        score: Math.round(earned / totalWeight * 100),
+        passed: checks.filter(c => c.status === 'pass').length,
+        warnings: checks.filter(c => c.status === 'warn').length,
+        failed: checks.filter(c => c.status === 'fail').length,
+        checks,
+        stats,
+        analyzedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Minimum score for auto-publishing (0 disables the gate)
+ */
+function getMinSeoScore(businessProfile = null) {
+    const configured = businessProfile?.min_seo_score;
+    return configured !== null && configured !== undefined ? Number(configured) : MIN_SEO_SCORE;
+}
+
+/**
+ * Whether an analysis clears the business profile's auto-publish minimum
+ */
+function checkPublishGate(analysis, businessProfile = null) {
+    const minScore = getMinSeoScore(businessProfile);
+    const score = analysis?.score ?? null;
+    const allowed = minScore <= 0 || (score !== null && score >= minScore);
+
+    return {
+        allowed,
+        score,
+        minScore,
+        reason: allowed ? null : `SEO score ${score ?? 'unknown'} is below the minimum of ${minScore}`
+    };
+}
+
+/**
+ * Analysis options for a saved article: its site URL and, for generated articles,
+ * the target word count they were generated for
+ */
+async function getScoringOptions(article) {
+    const businessProfile = await db.prepare('SELECT word_count FROM business_profiles WHERE user_id = ?').get(article.user_id);
+    const wpConnection = await db.prepare(`
+        SELECT credentials FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
+    `).get(article.user_id);
+
+    let generationParams = null;
+    try {
+        generationParams = JSON.parse(article.generation_params || 'null');
+    } catch {
+        generationParams = null;
+    }
+
+    let siteUrl = null;
+    try {
+        siteUrl = wpConnection ? JSON.parse(wpConnection.credentials).url : null;
+    } catch {
+        siteUrl = null;
+    }
+
+    const targetWordCount = generationParams
+        ? generationParams.wordCount?.target || businessProfile?.word_count || null
+        : null;
+
+    return { targetWordCount, siteUrl };
+}
+
+/**
+ * Analyze a saved article and store the result on it
+ */
+async function scoreArticle(articleId) {
+    const article = await db.prepare('SELECT * FROM articles WHERE id = ?').get(articleId);
+    if (!article) return null;
+
+    const analysis = analyzeArticle(article, await getScoringOptions(article));
+
+    await db.prepare('UPDATE articles SET seo_score = ?, seo_analysis = ? WHERE id = ?')
+        .run(analysis.score, JSON.stringify(analysis), articleId);
+
+    return analysis;
+}
+
+/**
+ * Headings, text blocks (paragraphs and list items), images and links of Markdown or HTML content
+ */
+function parseContent(content) {
+    const source = String(content || '').replace(/\r\n/g, '\n');
+    const headings = [];
+    const paragraphs = [];
+    const blocks = [];
+    const images = [];
+
+    if (isHtmlContent(source)) {
+        for (const match of source.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi)) {
+            headings.push({ level: Number(match[1]), text: stripHtml(match[2]) });
+        }
+        for (const match of source.matchAll(/<(p|li)[^>]*>([\s\S]*?)<\/\1>/gi)) {
+            const text = stripHtml(match[2]);
+            if (!text) continue;
+            blocks.push(text);
+            if (match[1].toLowerCase() === 'p') paragraphs.push(text);
+        }
+        for (const match of source.matchAll(/<img\b[^>]*>/gi)) {
+            images.push({ alt: (match[0].match(/\balt=["']([^"']*)["']/i) || [])[1] || '' });
+        }
+    } else {
+        const markdown = source.replace(/```[\s\S]*?```/g, '');
+
+        for (const match of markdown.matchAll(/!\[([^\]]*)\]\([^)]*\)/g)) {
+            images.push({ alt: match[1] });
+        }
+
+        for (const chunk of markdown.split(/\n\s*\n/)) {
+            const lines = chunk.split('\n').map(line => line.trim()).filter(line => line);
+            const textLines = [];
+
+            for (const line of lines) {
+                const heading = line.match(/^(#{1,6})\s+(.*)$/);
+                if (heading) {
+                    headings.push({ level: heading[1].length, text: stripMarkdown(heading[2]) });
+                } else if (/^([-*+]|\d+[.)])\s+/.test(line)) {
+                    blocks.push(stripMarkdown(line.replace(/^([-*+]|\d+[.)])\s+/, '')));
+                } else if (!/^\|/.test(line) && !/^!\[[^\]]*\]\([^)]*\)$/.test(line)) {
+                    textLines.push(stripMarkdown(line));
+                }
+            }
+
+            const paragraph = textLines.join(' ').trim();
+            if (paragraph) {
+                paragraphs.push(paragraph);
+                blocks.push(paragraph);
+            }
+        }
+    }
+
+    const links = extractLinks(source).filter(link => source[link.index - 1] !== '!');
+    const text = [...headings.map(h => h.text), ...blocks].join('\n');
+
+    // Keep body text in document order for "first 100 words"
+    const ordered = isHtmlContent(source)
+        ? stripHtml(source)
+        : stripMarkdown(source.replace(/```[\s\S]*?```/g, '').replace(/!\[[^\]]*\]\([^)]*\)/g, ''));
+
+    return { headings, paragraphs, blocks, images, links, text: ordered || text };
+}
+
+function classifyLinks(links, siteUrl) {
+    const siteHost = hostOf(siteUrl);
+    let internal = 0;
+    let external = 0;
+
+    for (const link of links) {
+        const url = link.url.trim();
+        if (/^(mailto|tel):/i.test(url)) continue;
+        if (!/^https?:\/\//i.test(url) || (siteHost && hostOf(url) === siteHost)) {
+            internal++;
+        } else {
+            external++;
+        }
+    }
+
+    return { internal, external };
+}
+
+function hostOf(url) {
+    const match = String(url || '').toLowerCase().match(/^https?:\/\/(?:www\.)?([^/:?#]+)/);
+    return match ? match[1] : null;
+}
+
+function splitSentences(text) {
+    return text
+        .split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => /\w/.test(sentence));
+}
+
+function toWords(text) {
+    return String(text || '').split(/\s+/).filter(word => /\w/.test(word));
+}
+
+// Vowel-group estimate, good enough for Flesch scores
+function countSyllables(word) {
+    let letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!letters) return 0;
+    if (letters.length <= 3) return 1;
+    letters = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    return Math.max(1, (letters.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+function lengthStatus(length, [passMin, passMax], [warnMin, warnMax]) {
+    if (length >= passMin && length <= passMax) return 'pass';
+    if (length >= warnMin && length <= warnMax) return 'warn';
+    return 'fail';
+}
+
+function stripMarkdown(text) {
+    return String(text || '')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^#{1,6}\s+/gm, '')
+        .replace(/^\s*([-*+]|\d+[.)])\s+/gm, '')
+        .replace(/[*_`>|]/g, '')
+        .trim();
+}
+
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function percent(part, whole) {
+    return whole > 0 ? part / whole * 100 : 0;
+}
+
+function round(value, digits = 1) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    MIN_SEO_SCORE,
+    analyzeArticle,
+    getMinSeoScore,
+    checkPublishGate,
+    getScoringOptions,
+    scoreArticle,
+    parseContent,
+    splitSentences
+};
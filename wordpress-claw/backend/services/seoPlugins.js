@@ -0,0 +1,207 @@
+const axios = require('axios');
+
+/**
+ * SEO plugin adapters
+ * Each adapter knows how to write an article's SEO fields to WordPress and how
+ * to read them back from a post fetched in edit context.
+ */
+
+const SEO_PLUGINS = ['auto', 'yoast', 'rankmath', 'aioseo', 'none'];
+
+function splitKeywords(value) {
+    return (value || '').split(',').map(k => k.trim()).filter(k => k);
+}
+
+/**
+ * SEO fields we want on the live site
+ */
+function getSeoFields(article) {
+    return {
+        metaTitle: article.meta_title || article.metaTitle || '',
+        metaDescription: article.meta_description || article.metaDescription || '',
+        focusKeyword: article.focus_keyword || article.focusKeyword || article.keyword || '',
+        secondaryKeywords: splitKeywords(article.secondary_keywords || article.secondaryKeywords)
+    };
+}
+
+const adapters = {
+    // Yoast stores SEO data in post meta. The keys must be exposed to the REST API
+    // (register_post_meta with show_in_rest) for writes and read-back to work.
+    yoast: {
+        postFields(fields) {
+            return {
+                meta: {
+                    _yoast_wpseo_title: fields.metaTitle,
+                    _yoast_wpseo_metadesc: fields.metaDescription,
+                    _yoast_wpseo_focuskw: fields.focusKeyword
+                }
+            };
+        },
+        async afterPublish() {},
+        read(post) {
+            return {
+                metaTitle: post.meta?._yoast_wpseo_title ?? null,
+                metaDescription: post.meta?._yoast_wpseo_metadesc ?? post.yoast_head_json?.description ?? null,
+                focusKeyword: post.meta?._yoast_wpseo_focuskw ?? null
+            };
+        }
+    },
+
+    // Rank Math writes through its own updateMeta endpoint; focus keywords are one comma-separated list
+    rankmath: {
+        postFields() {
+            return {};
+        },
+        async afterPublish({ baseUrl, auth, postId, fields }) {
+            await axios.post(`${baseUrl}/wp-json/rankmath/v1/updateMeta`, {
+                objectType: 'post',
+                objectID: postId,
+                meta: {
+                    rank_math_title: fields.metaTitle,
+                    rank_math_description: fields.metaDescription,
+                    rank_math_focus_keyword: [fields.focusKeyword, ...fields.secondaryKeywords].filter(k => k).join(',')
+                }
+            }, { auth, timeout: 15000 });
+        },
+        // Custom schema entries, shown in Rank Math's schema tab
+        async writeSchema({ baseUrl, auth, postId, schemas }) {
+            const entries = {};
+            schemas.forEach((schema, i) => {
+                const { '@context': context, ...graph } = schema;
+                entries[`new-${i + 1}`] = {
+                    ...graph,
+                    metadata: { type: 'custom', title: schema['@type'], isPrimary: i === 0 }
+                };
+            });
+
+            await axios.post(`${baseUrl}/wp-json/rankmath/v1/updateSchemas`, {
+                objectType: 'post',
+                objectID: postId,
+                schemas: entries
+            }, { auth, timeout: 15000 });
+        },
+        read(post) {
+            const focusKeywords = post.meta?.rank_math_focus_keyword;
+            return {
+                metaTitle: post.meta?.rank_math_title ?? null,
+                metaDescription: post.meta?.rank_math_description ?? null,
+                focusKeyword: typeof focusKeywords === 'string' ? splitKeywords(focusKeywords)[0] || '' : null
+            };
+        }
+    },
+
+    // All in One SEO accepts its data as an aioseo_meta_data field on the post
+    aioseo: {
+        postFields(fields) {
+            return {
+                aioseo_meta_data: {
+                    title: fields.metaTitle,
+                    description: fields.metaDescription,
+                    keyphrases: {
+                        focus: { keyphrase: fields.focusKeyword },
+                        additional: fields.secondaryKeywords.map(keyphrase => ({ keyphrase }))
+                    }
+                }
+            };
+        },
+        async afterPublish() {},
+        read(post) {
+            const data = post.aioseo_meta_data;
+            if (!data) {
+                return { metaTitle: null, metaDescription: null, focusKeyword: null };
+            }
+
+            let keyphrases = data.keyphrases;
+            if (typeof keyphrases === 'string') {
+                try {
+                    keyphrases = JSON.parse(keyphrases);
+                } catch {
+                    keyphrases = null;
+                }
+            }
+
+            return {
+                metaTitle: data.title ?? null,
+                metaDescription: data.description ?? null,
+                focusKeyword: keyphrases?.focus?.keyphrase ?? null
+            };
+        }
+    },
+
+    none: {
+        postFields() {
+            return {};
+        },
+        async afterPublish() {},
+        read() {
+            return { metaTitle: null, metaDescription: null, focusKeyword: null };
+        }
+    }
+};
+
+/**
+ * Detect the active SEO plugin from the REST namespaces the site exposes
+ */
+async function detectSeoPlugin(baseUrl, auth) {
+    try {
+        const response = await axios.get(`${baseUrl}/wp-json/`, { auth, timeout: 10000 });
+        const namespaces = response.data?.namespaces || [];
+
+        if (namespaces.includes('yoast/v1')) return 'yoast';
+        if (namespaces.includes('rankmath/v1')) return 'rankmath';
+        if (namespaces.includes('aioseo/v1')) return 'aioseo';
+    } catch (err) {
+        console.error('SEO plugin detection failed:', err.message);
+    }
+
+    return 'none';
+}
+
+/**
+ * Resolve the configured plugin ('auto' detects it) to an adapter
+ */
+async function resolveSeoAdapter(baseUrl, auth, seoPlugin = 'auto') {
+    const plugin = seoPlugin === 'auto' || !adapters[seoPlugin]
+        ? await detectSeoPlugin(baseUrl, auth)
+        : seoPlugin;
+
+    return { plugin, adapter: adapters[plugin] };
+}
+
+/**
+ * Compare the SEO fields read back from WordPress with what we sent.
+ * Fields the plugin doesn't expose over REST are reported as 'unavailable'.
+ */
+function verifySeoFields(plugin, fields, post) {
+    if (plugin === 'none') {
+        return { plugin, verified: false, fields: {} };
+    }
+
+    const live = adapters[plugin].read(post || {});
+    const result = {};
+
+    for (const key of ['metaTitle', 'metaDescription', 'focusKeyword']) {
+        if (!fields[key]) {
+            result[key] = 'skipped';
+        } else if (live[key] === null || live[key] === undefined) {
+            result[key] = 'unavailable';
+        } else {
+            result[key] = String(live[key]).trim() === fields[key].trim() ? 'ok' : 'mismatch';
+        }
+    }
+
+    const statuses = Object.values(result);
+    return {
+        plugin,
+        verified: statuses.includes('ok') && !statuses.includes('mismatch') && !statuses.includes('unavailable'),
+        fields: result
+    };
+}
+
+module.exports = {
+    SEO_PLUGINS,
+    getSeoFields,
+    detectSeoPlugin,
+    resolveSeoAdapter,
+    verifySeoFields
+};
@@ -0,0 +1,65 @@
+const db = require('../database/db');
+const { fetchPostIndex } = require('./wordpress');
+
+/**
+ * Posts on the user's WordPress site
+ * Cannibalization checks and internal linking compare new articles with the titles and slugs
+ * of the posts already on the site. The index is cached per connection for a few minutes,
+ * so a queue run doesn't page through the REST API for every item.
+ */
+
+const MAX_POSTS = 500;
+const CACHE_MS = 10 * 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * The user's active WordPress connection, or undefined
+ */
+async function getWordPressConnection(userId) {
+    return await db.prepare(`
+        SELECT * FROM connections WHERE user_id = ? AND type = 'wordpress' AND status = 'active' LIMIT 1
+    `).get(userId);
+}
+
+/**
+ * Published posts on the user's site ([{ postId, url, slug, title }]), leaving out the posts
+ * in excludePostIds (usually the ones our articles were published as). Returns { posts, error }:
+ * a missing connection or a failed fetch is reported, not thrown.
+ */
+async function getSitePosts(userId, { excludePostIds = [] } = {}) {
+    const connection = await getWordPressConnection(userId);
+    if (!connection) {
+        return { posts: [], error: 'No active WordPress connection' };
+    }
+
+    try {
+        const excluded = new Set(excludePostIds.filter(id => id !== null && id !== undefined).map(String));
+        const posts = await getPostIndex(connection);
+        return { posts: posts.filter(post => !excluded.has(String(post.postId))), error: null };
+    } catch (err) {
+        return { posts: [], error: err.message };
+    }
+}
+
+/**
+ * Drop the cached index after the site's posts change
+ */
+function clearSitePosts(connectionId) {
+    cache.delete(connectionId);
+}
+
+async function getPostIndex(connection) {
+    const cached = cache.get(connection.id);
+    if (cached && cached.expiresAt > Date.now()) return cached.posts;
+
+    const posts = await fetchPostIndex({ credentials: JSON.parse(connection.credentials), maxPosts: MAX_POSTS });
+    cache.set(connection.id, { posts, expiresAt: Date.now() + CACHE_MS });
+    return posts;
+}
+
+module.exports = {
+    getWordPressConnection,
+    getSitePosts,
+    clearSitePosts
+};
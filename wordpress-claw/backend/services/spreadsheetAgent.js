@@ -6,6 +6,7 @@
 
 const googleSheetsService = require('./googleSheetsService');
 const SummonAgent = require('./summonAgent');
+const { summarizeCoverage } = require('./keywordCoverage');
 const db = require('../database/db');
 
 class SpreadsheetAgent {
@@ -194,7 +195,11 @@ class SpreadsheetAgent {
             }
 
             // Generate the article
-            const generateResult = await this.summonAgent.generateArticle(topic, options);
+            const generateResult = await this.summonAgent.generateArticle(topic, {
+                ...options,
+                clusterKeywords: options.clusterKeywords || row.cluster_keywords || null,
+                serviceUrl: options.serviceUrl || row.service_url || null
+            });
 
             if (!generateResult.success) {
                 await googleSheetsService.updateRowColumns(
@@ -235,6 +240,7 @@ class SpreadsheetAgent {
                     status: 'DONE',
                     wp_post_url: articleUrl,
                     notes: `Article created: ${articleData.title}`
+                        + (articleData.generationParams?.coverage ? ` (${summarizeCoverage(articleData.generationParams.coverage)})` : '')
                 }
             );
 
@@ -0,0 +1,176 @@
+const { extractFaq } = require('./markdownToWordPress');
+const { parseDbDate } = require('./dates');
+
+/**
+ * JSON-LD structured data for published posts: Article/BlogPosting and FAQPage
+ */
+
+const SCHEMA_PLACEMENTS = ['body', 'plugin', 'none'];
+
+// Marks the script we inject so it can be found again (drift checks, re-publishing)
+const SCHEMA_SCRIPT_CLASS = 'wpclaw-schema';
+
+// Article type per business profile content type
+const ARTICLE_TYPES = {
+    blog_post: 'BlogPosting',
+    news: 'NewsArticle',
+    article: 'Article',
+    tutorial: 'Article',
+    review: 'Article'
+};
+
+/**
+ * Build the Article (or BlogPosting/NewsArticle) schema for an article
+ */
+function buildArticleSchema({ article, businessProfile = null, authorName = null, url = null, datePublished = null, dateModified = null }) {
+    const publisherName = businessProfile?.company_name || null;
+    const schema = {
+        '@context': 'https://schema.org',
+        '@type': ARTICLE_TYPES[businessProfile?.content_type] || 'BlogPosting',
+        headline: (article.title || '').substring(0, 110),
+        description: article.meta_description || article.excerpt || undefined,
+        image: article.featured_image_url ? [article.featured_image_url] : undefined,
+        datePublished: toIsoDate(datePublished),
+        dateModified: toIsoDate(dateModified || datePublished),
+        author: authorName
+            ? { '@type': 'Person', name: authorName }
+            : (publisherName ? { '@type': 'Organization', name: publisherName } : undefined),
+        publisher: publisherName ? { '@type': 'Organization', name: publisherName } : undefined,
+        keywords: [article.focus_keyword || article.keyword, article.secondary_keywords]
+            .filter(k => k)
+            .join(', ') || undefined,
+        mainEntityOfPage: url ? { '@type': 'WebPage', '@id': url } : undefined
+    };
+
+    return JSON.parse(JSON.stringify(schema));
+}
+
+/**
+ * Build the FAQPage schema from question/answer pairs (null if there are none)
+ */
+function buildFaqSchema(faqItems) {
+    if (!faqItems || faqItems.length === 0) {
+        return null;
+    }
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: faqItems.map(item => ({
+            '@type': 'Question',
+            name: stripMarkdown(item.question),
+            acceptedAnswer: {
+                '@type': 'Answer',
+                text: stripMarkdown(item.answer)
+            }
+        }))
+    };
+}
+
+/**
+ * Check a schema for the properties search engines require (errors) or recommend (warnings)
+ */
+function validateSchema(schema) {
+    const errors = [];
+    const warnings = [];
+
+    if (!schema || typeof schema !== 'object') {
+        return { valid: false, errors: ['Schema is empty'], warnings };
+    }
+
+    if (schema['@context'] !== 'https://schema.org') errors.push('@context must be https://schema.org');
+
+    if (schema['@type'] === 'FAQPage') {
+        if (!Array.isArray(schema.mainEntity) || schema.mainEntity.length === 0) {
+            errors.push('FAQPage needs at least one Question in mainEntity');
+        } else {
+            schema.mainEntity.forEach((question, i) => {
+                if (question['@type'] !== 'Question') errors.push(`mainEntity[${i}] must be a Question`);
+                if (!question.name) errors.push(`mainEntity[${i}] is missing name`);
+                if (!question.acceptedAnswer?.text) errors.push(`mainEntity[${i}] is missing acceptedAnswer.text`);
+            });
+        }
+    } else if (['Article', 'BlogPosting', 'NewsArticle'].includes(schema['@type'])) {
+        if (!schema.headline) errors.push('headline is required');
+        if (schema.headline && schema.headline.length > 110) errors.push('headline must be 110 characters or fewer');
+        if (!schema.author?.name) errors.push('author.name is required');
+        if (!schema.publisher?.name) warnings.push('publisher is recommended (set a company name on the business profile)');
+        if (!schema.datePublished) errors.push('datePublished is required');
+        if (!schema.image) warnings.push('image is recommended');
+        if (!schema.dateModified) warnings.push('dateModified is recommended');
+        if (!schema.description) warnings.push('description is recommended');
+    } else {
+        errors.push(`Unsupported schema type: ${schema['@type']}`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Build and validate all structured data for an article.
+ * Only schemas that pass validation are returned in `schemas`.
+ */
+function buildStructuredData(options) {
+    const { article } = options;
+    const candidates = [
+        buildArticleSchema(options),
+        buildFaqSchema(options.faqItems || extractFaq(article.content))
+    ].filter(schema => schema);
+
+    const schemas = [];
+    const validation = {};
+
+    for (const schema of candidates) {
+        const result = validateSchema(schema);
+        validation[schema['@type']] = result;
+        if (result.valid) {
+            schemas.push(schema);
+        }
+    }
+
+    return { schemas, validation };
+}
+
+/**
+ * Render schemas as a JSON-LD script tag for the post body
+ */
+function renderJsonLd(schemas, { format = 'blocks' } = {}) {
+    if (!schemas || schemas.length === 0) return '';
+
+    // Escape "</" so answer text can't close the script tag
+    const json = JSON.stringify(schemas.length === 1 ? schemas[0] : schemas).replace(/<\//g, '<\\/');
+    const script = `<script type="application/ld+json" class="${SCHEMA_SCRIPT_CLASS}">${json}</script>`;
+
+    return format === 'blocks' ? `<!-- wp:html -->\n${script}\n<!-- /wp:html -->` : script;
+}
+
+/**
+ * Remove a previously injected JSON-LD block from post content
+ */
+function stripJsonLd(content) {
+    if (!content) return content;
+    const pattern = new RegExp(`\\s*(<!-- wp:html -->\\s*)?<script type="application/ld\\+json" class="${SCHEMA_SCRIPT_CLASS}">[\\s\\S]*?</script>(\\s*<!-- /wp:html -->)?`, 'g');
+    return content.replace(pattern, '');
+}
+
+function toIsoDate(value) {
+    const date = parseDbDate(value);
+    return date ? date.toISOString() : undefined;
+}
+
+function stripMarkdown(text) {
+    return (text || '')
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/[*_`]/g, '')
+        .trim();
+}
+
+module.exports = {
+    SCHEMA_PLACEMENTS,
+    buildArticleSchema,
+    buildFaqSchema,
+    validateSchema,
+    buildStructuredData,
+    renderJsonLd,
+    stripJsonLd
+};
@@ -1,10 +1,50 @@
-const { generateContent, generateImagePrompt } = require('./contentGeneration');
+const { generateContent, generateImagePrompt, countWords } = require('./contentGeneration');
 const { generateFeaturedImage } = require('./imageGeneration');
 const { researchKeyword, getContentIdeas } = require('./research');
 const { uploadImage } = require('./github');
-const { publishToWordPress } = require('./wordpress');
+const { publishArticle } = require('./publishing');
+const { formatGenerationParams } = require('./llmProviders');
+const { summarizeCoverage } = require('./keywordCoverage');
+const { scoreArticle, checkPublishGate } = require('./seoAnalyzer');
+const { REVISION_MAX_ROUNDS, improveArticle } = require('./articleRevision');
+const { recordRevision } = require('./revisionHistory');
+const { checkArticleCompliance, enforceCompliance, checkComplianceGate } = require('./compliance');
+const { extractFollowUpIdeas, getArticleFollowUpIdeas, queueFollowUpIdeas } = require('./followUpIdeas');
+const { INTERNAL_LINKS_MAX, linkArticle } = require('./internalLinking');
+const { sectionImageCount, addSectionImages } = require('./sectionImages');
 const db = require('../database/db');
 
+/**
+ * Retry policy for each content pipeline step.
+ * Override with PIPELINE_STEP_RETRIES, e.g. '{"generate":{"retries":4,"baseDelayMs":10000}}'
+ */
+const DEFAULT_STEP_RETRIES = {
+    research: { retries: 2, baseDelayMs: 2000 },
+    generate: { retries: 2, baseDelayMs: 5000 },
+    image: { retries: 1, baseDelayMs: 3000 },
+    upload: { retries: 2, baseDelayMs: 2000 },
+    save: { retries: 0, baseDelayMs: 0 },
+    revise: { retries: 0, baseDelayMs: 0 },
+    link: { retries: 0, baseDelayMs: 0 },
+    sectionImages: { retries: 0, baseDelayMs: 0 },
+    compliance: { retries: 0, baseDelayMs: 0 },
+    publish: { retries: 2, baseDelayMs: 5000 }
+};
+
+const STEP_RETRIES = (() => {
+    try {
+        const overrides = JSON.parse(process.env.PIPELINE_STEP_RETRIES || '{}');
+        const merged = {};
+        for (const step of Object.keys(DEFAULT_STEP_RETRIES)) {
+            merged[step] = { ...DEFAULT_STEP_RETRIES[step], ...(overrides[step] || {}) };
+        }
+        return merged;
+    } catch (err) {
+        console.error('Invalid PIPELINE_STEP_RETRIES, using defaults:', err.message);
+        return DEFAULT_STEP_RETRIES;
+    }
+})();
+
 /**
  * SummonAgent - The main AI orchestrator for ClawBot
  * Handles content creation workflow from research to publication
@@ -235,7 +275,7 @@ class SummonAgent {
                 {
                     type: 'approve_strategy',
                     label: 'Yes, Create This Article',
-                    params: { keyword, wordCount: researchResult.data.insights.targetWordCount }
+                    params: { keyword, wordCount: researchResult.data.insights?.targetWordCount || null }
                 },
                 {
                     type: 'modify_strategy',
@@ -257,7 +297,10 @@ class SummonAgent {
      */
     async researchContent(keyword) {
         const { researchKeyword } = require('./research');
-        return await researchKeyword(keyword);
+        return await researchKeyword(keyword, null, null, {
+            userId: this.userId,
+            businessProfile: this.context?.businessProfile || null
+        });
     }
 
     /**
@@ -267,14 +310,32 @@ class SummonAgent {
         const { analysis, insights, recommendations } = data;
         
         let summary = `📊 **Research Complete for "${data.keyword}"**\n\n`;
+
+        if (data.search?.mock) {
+            summary += `⚠️ **No live search results** (${data.search.mockReason}), so there are no competitors to analyze.\n\n`;
+        }
+        if (!analysis) {
+            return summary + `I'll write the article from your business profile instead. Ready to proceed?`;
+        }
         
         summary += `**Competitor Analysis:**\n`;
-        summary += `• Average word count: ${analysis.avgWordCount} words\n`;
+        if (analysis.pagesAnalyzed > 0) {
+            summary += `• Pages analyzed: ${analysis.pagesAnalyzed} of the top ${analysis.totalResults}\n`;
+            summary += `• Average word count: ${analysis.avgWordCount} words\n`;
+        } else {
+            summary += `• Average word count: unknown (competitor pages could not be fetched)\n`;
+        }
         summary += `• Content difficulty: ${analysis.difficulty.toUpperCase()}\n`;
-        summary += `• User intent: ${analysis.userIntent}\n\n`;
+        summary += `• User intent: ${analysis.userIntent}\n`;
+        if (analysis.schemaTypes?.length > 0) {
+            summary += `• Structured data used: ${analysis.schemaTypes.slice(0, 4).join(', ')}\n`;
+        }
+        summary += `\n`;
         
         summary += `**Strategy Recommendation:**\n`;
-        summary += `• Target length: ${insights.targetWordCount}+ words\n`;
+        if (insights.targetWordCount) {
+            summary += `• Target length: ${insights.targetWordCount}+ words\n`;
+        }
         summary += `• Content type: ${insights.contentType}\n`;
         summary += `• Key topics: ${insights.keyTopics.slice(0, 3).join(', ')}\n\n`;
         
@@ -282,6 +343,21 @@ class SummonAgent {
             summary += `**Content Gaps to Fill:**\n`;
             summary += `• ${insights.missingTopics.slice(0, 3).join('\n• ')}\n\n`;
         }
+
+        if (insights.faqQuestions?.length > 0) {
+            summary += `**Questions Competitors Answer:**\n`;
+            summary += `• ${insights.faqQuestions.slice(0, 3).join('\n• ')}\n\n`;
+        }
+
+        if (insights.peopleAlsoAsk?.length > 0) {
+            summary += `**People Also Ask (for the FAQ):**\n`;
+            summary += `• ${insights.peopleAlsoAsk.slice(0, 4).join('\n• ')}\n\n`;
+        }
+
+        if (insights.relatedSearches?.length > 0) {
+            summary += `**Related Searches (subtopics and follow-up ideas):**\n`;
+            summary += `• ${insights.relatedSearches.slice(0, 4).join('\n• ')}\n\n`;
+        }
         
         summary += `I'll create a comprehensive, SEO-optimized article that outperforms the competition. Ready to proceed?`;
         
@@ -289,14 +365,139 @@ class SummonAgent {
     }
 
     /**
-     * Generate article content
+     * Template, cluster keywords and service URL for generation, from the call's options
+     * or the ones the workflow was started with
+     */
+    getGenerationOptions(options = {}) {
+        const started = this.workflowState?.options || {};
+        return {
+            templateId: options.templateId || started.templateId || null,
+            clusterKeywords: options.clusterKeywords || started.clusterKeywords || null,
+            serviceUrl: options.serviceUrl || started.serviceUrl || null
+        };
+    }
+
+    /**
+     * Generate an outline for the user to review before the article is written
+     */
+    async createOutline(keyword, options = {}) {
+        if (!this.workflowState) {
+            this.workflowState = { step: 'outline', keyword, options, data: {} };
+        }
+        this.workflowState.step = 'outline';
+
+        const { generateOutline } = require('./contentGeneration');
+        const businessProfile = this.context.businessProfile;
+        const researchData = this.workflowState.data?.research?.analysis || null;
+        const wordCount = options.wordCount || businessProfile?.word_count || 1500;
+
+        try {
+            const { outline, calls } = await generateOutline({
+                keyword,
+                businessProfile,
+                researchData,
+                wordCount,
+                userId: this.userId,
+                ...this.getGenerationOptions(options)
+            });
+
+            this.workflowState.data.outline = outline;
+            this.workflowState.data.outlineCalls = calls;
+
+            return this.formatOutlineReview(keyword, outline);
+        } catch (err) {
+            return {
+                success: false,
+                step: 'outline_failed',
+                error: err.message,
+                message: `I couldn't build an outline: ${err.message}. Would you like me to try again?`,
+                actions: [
+                    {
+                        type: 'regenerate_outline',
+                        label: 'Try Again',
+                        params: { keyword, wordCount }
+                    }
+                ]
+            };
+        }
+    }
+
+    /**
+     * Replace the outline with the user's edited version
+     */
+    async updateOutline(keyword, outline) {
+        const { normalizeOutline } = require('./contentGeneration');
+        const { validateOutline } = require('./articleSchema');
+        const wordCount = outline?.wordCount || this.workflowState?.data?.outline?.wordCount
+            || this.context.businessProfile?.word_count || 1500;
+
+        const normalized = normalizeOutline(outline, wordCount);
+        const { valid, errors } = validateOutline(normalized);
+        if (!valid) {
+            return {
+                success: false,
+                step: 'outline_invalid',
+                error: errors.join('; '),
+                message: `That outline isn't quite right: ${errors.slice(0, 3).join('; ')}`
+            };
+        }
+
+        if (!this.workflowState) {
+            this.workflowState = { step: 'outline', keyword, options: {}, data: {} };
+        }
+        this.workflowState.data.outline = normalized;
+
+        return this.formatOutlineReview(keyword, normalized);
+    }
+
+    /**
+     * Outline review message with approve/edit actions
+     */
+    formatOutlineReview(keyword, outline) {
+        const { formatOutline } = require('./contentGeneration');
+        const faq = outline.faqQuestions.length > 0
+            ? `\n\n**FAQ:**\n• ${outline.faqQuestions.join('\n• ')}`
+            : '';
+
+        return {
+            success: true,
+            step: 'outline_review',
+            message: `📝 **Outline for "${outline.title}"** (~${outline.wordCount} words)\n\n${formatOutline(outline)}${faq}\n\nShall I write the article from this outline? You can also edit the sections first.`,
+            data: { outline },
+            actions: [
+                {
+                    type: 'approve_outline',
+                    label: 'Write This Article',
+                    params: { keyword }
+                },
+                {
+                    type: 'update_outline',
+                    label: 'Edit Outline',
+                    params: { keyword, outline }
+                },
+                {
+                    type: 'regenerate_outline',
+                    label: 'New Outline',
+                    params: { keyword, wordCount: outline.wordCount }
+                }
+            ],
+            suggestions: ['Add a section', 'Make it longer', 'Remove a section']
+        };
+    }
+
+    /**
+     * Generate article content.
+     * `options.outline` writes the article section by section from an approved outline.
      */
     async generateArticle(keyword, options = {}) {
+        if (!this.workflowState) {
+            this.workflowState = { step: 'create', keyword, options, data: {} };
+        }
         this.workflowState.step = 'create';
 
         const { generateContent } = require('./contentGeneration');
         const businessProfile = this.context.businessProfile;
-        const researchData = this.workflowState.data?.research?.data || null;
+        const researchData = this.workflowState.data?.research?.analysis || null;
 
         try {
             const generated = await generateContent({
@@ -305,15 +506,24 @@ class SummonAgent {
                 customPrompt: options.customPrompt,
                 userId: this.userId,
                 articleId: options.articleId,
-                researchData
+                researchData,
+                outline: options.outline || null,
+                wordCount: options.wordCount || options.outline?.wordCount || null,
+                ...this.getGenerationOptions(options)
             });
 
+            // Count the outline calls as part of this article's usage
+            if (options.outline && this.workflowState.data.outlineCalls) {
+                generated.generationParams.calls.unshift(...this.workflowState.data.outlineCalls);
+                delete this.workflowState.data.outlineCalls;
+            }
+
             this.workflowState.data.generated = generated;
 
             return {
                 success: true,
                 step: 'create_complete',
-                message: `✅ Article generated successfully!\n\n**"${generated.title}"**\n\nMeta Title: ${generated.metaTitle}\nMeta Description: ${generated.metaDescription}\n\nThe article is ${generated.content.split(/\s+/).length} words and includes SEO optimization, FAQ section, and call-to-action.`,
+                message: `✅ Article generated successfully!\n\n**"${generated.title}"**\n\nMeta Title: ${generated.metaTitle}\nMeta Description: ${generated.metaDescription}\n\nThe article is ${countWords(generated.content)} words and includes SEO optimization, FAQ section, and call-to-action.${generated.generationParams.coverage ? `\n\nCoverage: ${summarizeCoverage(generated.generationParams.coverage)}` : ''}${generated.generationParams.voiceMatch ? `\n\nBrand voice match: ${generated.generationParams.voiceMatch.score}/100` : ''}`,
                 data: generated,
                 actions: [
                     {
@@ -351,7 +561,8 @@ class SummonAgent {
         try {
             // First generate image prompt
             const { generateImagePrompt } = require('./contentGeneration');
-            const imagePrompt = await generateImagePrompt(title, keyword, this.context.businessProfile);
+            const usageLog = this.workflowState.data.generated?.generationParams?.calls || null;
+            const imagePrompt = await generateImagePrompt(title, keyword, this.context.businessProfile, usageLog);
 
             // Apply image style from business profile
             const imageStyle = this.context.businessProfile?.image_style || 'photorealistic';
@@ -407,6 +618,7 @@ class SummonAgent {
             if (!githubConnection) {
                 return {
                     success: false,
+                    retryable: false,
                     error: 'No GitHub connection found',
                     message: 'Please connect your GitHub account first to host images.'
                 };
@@ -449,29 +661,54 @@ class SummonAgent {
     /**
      * Save article to database
      */
-    async saveArticle(contentData, imageUrl = null) {
+    async saveArticle(contentData, imageUrl = null, scheduledAt = null) {
         try {
             const result = await db.prepare(`
                 INSERT INTO articles 
-                (user_id, title, content, excerpt, keyword, status, meta_title, meta_description, 
-                 tags, featured_image_url, credits_used, created_at, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                (user_id, title, content, excerpt, keyword, focus_keyword, secondary_keywords, status, meta_title, meta_description, 
+                 tags, featured_image_url, scheduled_at, generation_params, research_data, credits_used, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
             `).run(
                 this.userId,
                 contentData.title,
                 contentData.content,
                 contentData.excerpt,
                 contentData.focusKeyword,
+                contentData.focusKeyword || null,
+                contentData.secondaryKeywords || null,
                 'review',
                 contentData.metaTitle,
                 contentData.metaDescription,
                 contentData.tags,
                 imageUrl,
+                scheduledAt,
+                formatGenerationParams(contentData.generationParams),
+                // Includes search.mock when the research ran on placeholder results
+                this.workflowState?.data?.research ? JSON.stringify(this.workflowState.data.research) : null,
                 1
             );
 
             const articleId = result.lastInsertRowid;
 
+            // Score on-page SEO and start the revision history; problems here shouldn't lose the article
+            let seo = null;
+            try {
+                seo = await scoreArticle(articleId);
+            } catch (err) {
+                console.error('SEO scoring error:', err);
+            }
+            try {
+                await recordRevision(articleId, 'generation');
+            } catch (err) {
+                console.error('Revision history error:', err);
+            }
+            let compliance = null;
+            try {
+                compliance = await checkArticleCompliance(articleId);
+            } catch (err) {
+                console.error('Compliance check error:', err);
+            }
+
             // Deduct credit if not pro
             if (this.context.user.tier !== 'pro') {
                 await db.prepare('UPDATE users SET credits_used = credits_used + 1 WHERE id = ?').run(this.userId);
@@ -488,22 +725,35 @@ class SummonAgent {
 
             this.workflowState.data.articleId = articleId;
 
+            const followUpIdeas = extractFollowUpIdeas(this.workflowState?.data?.research, { content: contentData.content });
+
             return {
                 success: true,
                 step: 'saved',
                 articleId,
-                message: `💾 Article saved successfully!`,
+                seoScore: seo?.score ?? null,
+                message: `💾 Article saved successfully!${seo ? ` SEO score: ${seo.score}/100.` : ''}${compliance && !compliance.passed ? ` ⚠️ ${compliance.violations.length} compliance violation${compliance.violations.length === 1 ? '' : 's'} to resolve before publishing.` : ''}`,
                 actions: [
                     {
                         type: 'publish_article',
                         label: 'Publish to WordPress',
                         params: { articleId }
                     },
+                    {
+                        type: 'improve_article',
+                        label: 'Improve SEO',
+                        params: { articleId }
+                    },
                     {
                         type: 'view_article',
                         label: 'View Article',
                         params: { articleId }
-                    }
+                    },
+                    ...(followUpIdeas.length > 0 ? [{
+                        type: 'queue_content_ideas',
+                        label: `Queue ${followUpIdeas.length} Follow-up Idea${followUpIdeas.length === 1 ? '' : 's'}`,
+                        params: { articleId }
+                    }] : [])
                 ]
             };
         } catch (err) {
@@ -515,6 +765,122 @@ class SummonAgent {
         }
     }
 
+    /**
+     * Revise a saved article until it passes the SEO thresholds, keeping every draft
+     */
+    async reviseArticle(articleId, options = {}) {
+        try {
+            const result = await improveArticle(articleId, options);
+            if (!result) {
+                return { success: false, retryable: false, step: 'revise_failed', error: 'Article not found' };
+            }
+
+            const outcome = result.passed
+                ? 'it now meets the targets'
+                : `it is still below the targets${result.error ? ` (${result.error})` : ''}`;
+
+            return {
+                success: true,
+                step: 'revised',
+                data: result,
+                message: result.rounds === 0
+                    ? `✅ The article already meets the SEO targets (score ${result.startScore}/100).`
+                    : `✏️ Revised the article in ${result.rounds} round${result.rounds === 1 ? '' : 's'}: SEO score ${result.startScore} → ${result.seoScore}/100, ${outcome}.`
+            };
+        } catch (err) {
+            return {
+                success: false,
+                step: 'revise_failed',
+                error: err.message
+            };
+        }
+    }
+
+    /**
+     * Link a saved article to the user's other published articles and WordPress posts
+     */
+    async addInternalLinks(articleId) {
+        try {
+            const result = await linkArticle(articleId);
+            if (!result) {
+                return { success: false, retryable: false, step: 'link_failed', error: 'Article not found' };
+            }
+
+            return {
+                success: true,
+                step: 'linked',
+                data: result,
+                message: result.links.length === 0
+                    ? 'No related pages are mentioned in the article, so no internal links were added.'
+                    : `🔗 Added ${result.links.length} internal link${result.links.length === 1 ? '' : 's'}: ${result.links.map(link => `"${link.anchor}" → ${link.title || link.url}`).join(', ')}.`
+            };
+        } catch (err) {
+            return {
+                success: false,
+                step: 'link_failed',
+                error: err.message
+            };
+        }
+    }
+
+    /**
+     * Add the in-body images the business profile's image_count asks for beyond the featured image
+     */
+    async generateSectionImages(articleId) {
+        try {
+            const result = await addSectionImages(articleId);
+            if (!result) {
+                return { success: false, retryable: false, step: 'section_images_failed', error: 'Article not found' };
+            }
+
+            return {
+                success: true,
+                step: 'section_images_added',
+                data: result,
+                message: result.skippedReason
+                    ? `No section images were added: ${result.skippedReason}.`
+                    : `🖼️ Added ${result.images.length} section image${result.images.length === 1 ? '' : 's'}${result.images.length > 0 ? ` under ${result.images.map(image => `"${image.section}"`).join(', ')}` : ''}.${result.errors.length > 0 ? ` ${result.errors.length} failed: ${result.errors.join('; ')}` : ''}`
+            };
+        } catch (err) {
+            return {
+                success: false,
+                step: 'section_images_failed',
+                error: err.message
+            };
+        }
+    }
+
+    /**
+     * Check a saved article against the compliance rules and apply the profile's autoFix
+     */
+    async checkCompliance(articleId) {
+        try {
+            const report = await enforceCompliance(articleId);
+            const violations = report?.violations.length ?? 0;
+
+            return {
+                success: true,
+                step: 'compliance_checked',
+                data: {
+                    passed: !report || report.passed,
+                    violations,
+                    autoFixed: report?.autoFixed
+                },
+                message: !report
+                    ? 'No compliance rules are set up.'
+                    : (violations === 0
+                        ? `✅ The article meets the compliance rules${report.autoFixed ? ` (${report.autoFixed.fixed} fixed by ${report.autoFixed.mode})` : ''}.`
+                        : `⚠️ ${violations} compliance violation${violations === 1 ? '' : 's'} to resolve before publishing.`)
+            };
+        } catch (err) {
+            return {
+                success: false,
+                step: 'compliance_failed',
+                error: err.message
+            };
+        }
+    }
+
     /**
      * Publish article to WordPress
      */
@@ -527,6 +893,7 @@ class SummonAgent {
             if (!article) {
                 return {
                     success: false,
+                    retryable: false,
                     error: 'Article not found'
                 };
             }
@@ -539,38 +906,37 @@ class SummonAgent {
             if (!wpConnection) {
                 return {
                     success: false,
+                    retryable: false,
                     error: 'No WordPress connection',
                     message: 'Please connect your WordPress site first.'
                 };
             }
 
-            const credentials = JSON.parse(wpConnection.credentials);
-            const { publishToWordPress: publishWP } = require('./wordpress');
-
-            const publishResult = await publishWP({
+            const context = this.context || await this.initialize();
+            const publishResult = await publishArticle({
                 article,
-                credentials
+                connection: wpConnection,
+                businessProfile: context.businessProfile,
+                authorName: context.user.name
             });
 
-            // Update article status
-            await db.prepare(`
-                UPDATE articles 
-                SET status = ?, wp_post_id = ?, wp_url = ?, published_at = CURRENT_TIMESTAMP 
-                WHERE id = ?
-            `).run('published', publishResult.postId, publishResult.url, articleId);
-
             // Log activity
             await db.prepare(`
                 INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
                 VALUES (?, ?, ?, ?, ?)
-            `).run(this.userId, 'published', 'article', articleId, JSON.stringify({
+            `).run(this.userId, publishResult.updated ? 'updated_wordpress' : 'published', 'article', articleId, JSON.stringify({
                 wpUrl: publishResult.url
             }));
 
+            const { enqueueBacklinksAfterPublish } = require('./jobHandlers');
+            await enqueueBacklinksAfterPublish({ articleId, userId: this.userId, publishResult });
+
             return {
                 success: true,
                 step: 'published',
-                message: `🎉 Article published successfully!\n\n**Live URL:** ${publishResult.url}`,
+                message: publishResult.status === 'future'
+                    ? `📅 Article scheduled for ${new Date(article.scheduled_at).toUTCString()}\n\n**URL:** ${publishResult.url}`
+                    : `🎉 Article published successfully!\n\n**Live URL:** ${publishResult.url}`,
                 data: {
                     articleId,
                     wpUrl: publishResult.url,
@@ -599,6 +965,208 @@ class SummonAgent {
         }
     }
 
+    /**
+     * Run one pipeline step, retrying with exponential backoff.
+     * `fn` returns an agent result ({ success, error }) or throws.
+     * Results flagged `retryable: false` fail immediately.
+     */
+    async runStepWithRetry(step, fn, overrides = {}) {
+        const { retries, baseDelayMs } = { ...STEP_RETRIES[step], ...overrides };
+        let lastError = `${step} failed`;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                const delay = baseDelayMs * Math.pow(2, attempt - 1);
+                console.log(`Retrying ${step} in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`);
+                await new Promise(r => setTimeout(r, delay));
+            }
+
+            try {
+                const result = await fn();
+                if (result && result.success !== false) {
+                    return result;
+                }
+                lastError = result?.error || lastError;
+                if (result?.retryable === false) break;
+            } catch (err) {
+                lastError = err.message;
+            }
+
+            console.error(`Pipeline step "${step}" failed: ${lastError}`);
+        }
+
+        const error = new Error(lastError);
+        error.step = step;
+        throw error;
+    }
+
+    /**
+     * Run the full content pipeline (research → generate → image → upload → save → revise → link → section images → compliance → publish).
+     * Each completed step is recorded in the checkpoint and handed to `onCheckpoint`,
+     * so a failed run can be resumed from the last completed step.
+     * Image generation, upload, revision, internal linking, section images and publishing are best-effort;
+     * other steps throw with `err.step` set. A failed publish is recorded on the article (publish_error).
+     * A compliance check that fails keeps the article from being auto-published.
+     * `options.generation` is passed to generateArticle (template, cluster keywords, service URL).
+     */
+    async runContentPipeline(keyword, options = {}) {
+        const {
+            checkpoint = {},
+            onCheckpoint = async () => {},
+            generateImage = true,
+            autoPublish = false,
+            revise = REVISION_MAX_ROUNDS > 0,
+            scheduledAt = null,
+            generation = {},
+            retry = {}
+        } = options;
+
+        const state = { ...checkpoint, completed: [...(checkpoint.completed || [])] };
+        const isDone = step => state.completed.includes(step);
+        const complete = async (step, data) => {
+            state[step] = data;
+            if (!isDone(step)) state.completed.push(step);
+            await onCheckpoint(state);
+        };
+
+        this.workflowState = {
+            step: 'research',
+            keyword,
+            options: {},
+            data: {}
+        };
+
+        // Step 1: Research
+        if (!isDone('research')) {
+            const result = await this.runStepWithRetry('research', () => this.researchContent(keyword), retry.research);
+            await complete('research', result.data);
+        }
+        this.workflowState.data.research = state.research;
+
+        // Step 2: Generate content
+        if (!isDone('generate')) {
+            const result = await this.runStepWithRetry('generate', () => this.generateArticle(keyword, generation), retry.generate);
+            await complete('generate', result.data);
+        }
+        this.workflowState.data.generated = state.generate;
+        const article = state.generate;
+
+        // Step 3: Featured image. The bytes stay in memory (only the hosted URL is checkpointed),
+        // so a run that stops before the upload generates the image again.
+        let imageBuffer = null;
+        if (generateImage && !isDone('upload') && !state.image?.skipped) {
+            try {
+                const result = await this.runStepWithRetry('image', () => this.generateFeaturedImage(keyword, article.title), retry.image);
+                imageBuffer = Buffer.from(result.data.buffer);
+                await complete('image', { filename: result.data.filename, mimeType: result.data.mimeType });
+            } catch (err) {
+                await complete('image', { skipped: true, error: err.message });
+            }
+        }
+
+        // Step 4: Host the image
+        if (imageBuffer && !isDone('upload')) {
+            let uploadResult;
+            try {
+                const result = await this.runStepWithRetry('upload', () => this.uploadImageToGitHub(imageBuffer, state.image.filename), retry.upload);
+                uploadResult = { url: result.data.url };
+            } catch (err) {
+                uploadResult = { skipped: true, error: err.message };
+            }
+            await complete('upload', uploadResult);
+        }
+
+        // Step 5: Save the article (deducts the credit)
+        if (!isDone('save')) {
+            const imageUrl = state.upload?.url || null;
+            const result = await this.runStepWithRetry('save', () => this.saveArticle(article, imageUrl, scheduledAt), retry.save);
+            await complete('save', { articleId: result.articleId, seoScore: result.seoScore });
+        }
+
+        // Step 6: Revise until the article passes the SEO thresholds
+        if (revise && !isDone('revise')) {
+            try {
+                const result = await this.runStepWithRetry('revise', () => this.reviseArticle(state.save.articleId), retry.revise);
+                await complete('revise', {
+                    run: result.data.run,
+                    rounds: result.data.rounds,
+                    passed: result.data.passed,
+                    applied: result.data.applied,
+                    seoScore: result.data.seoScore
+                });
+            } catch (err) {
+                await complete('revise', { skipped: true, error: err.message });
+            }
+        }
+
+        // Step 7: Link to the user's other articles and posts where the text mentions them
+        if (INTERNAL_LINKS_MAX > 0 && !isDone('link')) {
+            try {
+                const result = await this.runStepWithRetry('link', () => this.addInternalLinks(state.save.articleId), retry.link);
+                await complete('link', {
+                    links: result.data.links.map(link => ({ url: link.url, anchor: link.anchor })),
+                    seoScore: result.data.applied ? result.data.seoScore : undefined,
+                    wordpressError: result.data.wordpressError || undefined
+                });
+            } catch (err) {
+                await complete('link', { skipped: true, error: err.message });
+            }
+        }
+
+        // Step 8: In-body images under the article's sections (image_count beyond the featured image)
+        if (generateImage && sectionImageCount(this.context.businessProfile) > 0 && !isDone('sectionImages')) {
+            try {
+                const result = await this.runStepWithRetry('sectionImages', () => this.generateSectionImages(state.save.articleId), retry.sectionImages);
+                await complete('sectionImages', {
+                    images: result.data.images.map(image => ({ section: image.section, url: image.url })),
+                    errors: result.data.errors.length > 0 ? result.data.errors : undefined,
+                    skippedReason: result.data.skippedReason,
+                    seoScore: result.data.seoScore ?? undefined
+                });
+            } catch (err) {
+                await complete('sectionImages', { skipped: true, error: err.message });
+            }
+        }
+
+        // Step 9: Check the compliance rules, fixing violations if the profile's autoFix is set
+        if (!isDone('compliance')) {
+            try {
+                const report = await this.runStepWithRetry('compliance', () => this.checkCompliance(state.save.articleId), retry.compliance);
+                await complete('compliance', report.data);
+            } catch (err) {
+                await complete('compliance', { error: err.message });
+            }
+        }
+
+        // Step 10: Publish, unless the SEO score is below the profile's minimum or compliance violations
+        // are left (the article stays in review)
+        if (autoPublish && !isDone('publish')) {
+            const seoScore = [state.sectionImages?.seoScore, state.link?.seoScore, state.revise?.seoScore, state.save.seoScore].find(score => score !== undefined);
+            const saved = seoScore === undefined || state.compliance?.autoFixed
+                ? await db.prepare('SELECT seo_score FROM articles WHERE id = ?').get(state.save.articleId)
+                : { seo_score: seoScore };
+            const gate = checkPublishGate({ score: saved?.seo_score ?? null }, this.context.businessProfile);
+            const complianceGate = checkComplianceGate(state.compliance);
+            if (!gate.allowed) {
+                await complete('publish', { skipped: true, reason: gate.reason, seoScore: gate.score, minSeoScore: gate.minScore });
+            } else if (!complianceGate.allowed) {
+                await complete('publish', { skipped: true, reason: complianceGate.reason, complianceViolations: complianceGate.violations });
+            } else {
+                // The article is already saved, so a failed publish leaves it in review instead of failing the run
+                try {
+                    const result = await this.runStepWithRetry('publish', () => this.publishToWordPress(state.save.articleId), retry.publish);
+                    await complete('publish', { wpUrl: result.data.wpUrl, wpPostId: result.data.wpPostId });
+                } catch (err) {
+                    const { recordPublishFailure } = require('./jobHandlers');
+                    await recordPublishFailure({ articleId: state.save.articleId, userId: this.userId, error: err.message });
+                    await complete('publish', { failed: true, error: err.message });
+                }
+            }
+        }
+
+        return state;
+    }
+
     /**
      * Get content ideas for user
      */
@@ -634,6 +1202,38 @@ class SummonAgent {
         };
     }
 
+    /**
+     * Add an article's follow-up ideas (related searches and unanswered "People Also Ask"
+     * questions) to the content queue: the given keywords, or every idea not yet written or queued
+     */
+    async queueContentIdeas(articleId, keywords = null) {
+        const article = await db.prepare('SELECT id, content, research_data FROM articles WHERE id = ? AND user_id = ?').get(articleId, this.userId);
+        if (!article) {
+            return { success: false, error: 'Article not found' };
+        }
+
+        const selected = keywords || (await getArticleFollowUpIdeas(this.userId, article))
+            .filter(idea => !idea.exists)
+            .map(idea => idea.keyword);
+
+        if (selected.length === 0) {
+            return { success: false, message: 'There are no new follow-up ideas for this article.' };
+        }
+
+        const { queued, skipped } = await queueFollowUpIdeas(this.userId, selected);
+
+        return {
+            success: true,
+            message: `📋 Added ${queued.length} follow-up idea${queued.length === 1 ? '' : 's'} to your content queue:\n\n${queued.map(item => `• ${item.main_keyword}`).join('\n')}${skipped.length > 0 ? `\n\nSkipped (already written or queued): ${skipped.join(', ')}` : ''}`,
+            data: { queued, skipped },
+            actions: [{
+                type: 'navigate',
+                label: 'View Content Queue',
+                params: { path: '/dashboard/content-queue.html' }
+            }]
+        };
+    }
+
     /**
      * Process user message and determine intent
      */
@@ -1103,7 +1703,10 @@ class SummonAgent {
             }
 
             // Generate the article
-            const generateResult = await this.generateArticle(row.main_keyword);
+            const generateResult = await this.generateArticle(row.main_keyword, {
+                clusterKeywords: row.cluster_keywords,
+                serviceUrl: row.service_url
+            });
             
             if (!generateResult.success) {
                 await this.updateSpreadsheetRow(rowId, { status: 'ERROR' });
@@ -1187,7 +1790,21 @@ class SummonAgent {
                 };
 
             case 'approve_strategy':
-                return await this.generateArticle(params.keyword, params);
+            case 'regenerate_outline':
+                return await this.createOutline(params.keyword || this.workflowState?.keyword, params);
+
+            case 'update_outline':
+                if (params.outline) {
+                    return await this.updateOutline(params.keyword || this.workflowState?.keyword, params.outline);
+                }
+                return { success: false, error: 'Outline required' };
+
+            case 'approve_outline':
+                const outline = params.outline || this.workflowState?.data?.outline;
+                if (outline) {
+                    return await this.generateArticle(params.keyword || this.workflowState?.keyword, { ...params, outline });
+                }
+                return { success: false, error: 'No outline to approve' };
 
             case 'generate_image':
                 return await this.generateFeaturedImage(params.keyword, params.title);
@@ -1214,6 +1831,13 @@ class SummonAgent {
                 }
                 return { success: false, error: 'No article to publish' };
 
+            case 'improve_article':
+                const improveId = params.articleId || this.workflowState?.data?.articleId;
+                if (improveId) {
+                    return await this.reviseArticle(improveId, { maxRounds: params.maxRounds });
+                }
+                return { success: false, error: 'No article to improve' };
+
             case 'publish_now':
                 // Save then publish
                 const content = this.workflowState?.data?.generated;
@@ -1236,6 +1860,13 @@ class SummonAgent {
             case 'get_content_ideas':
                 return await this.getContentIdeas(params.seedKeyword);
 
+            case 'queue_content_ideas':
+                const ideasArticleId = params.articleId || this.workflowState?.data?.articleId;
+                if (ideasArticleId) {
+                    return await this.queueContentIdeas(ideasArticleId, params.keywords);
+                }
+                return { success: false, error: 'No article to take ideas from' };
+
             // Spreadsheet actions
             case 'spreadsheet_check':
                 const checkAgent = new SpreadsheetAgent(this.userId);
@@ -0,0 +1,286 @@
+const db = require('../database/db');
+const { parseClusterKeywords } = require('./keywordCoverage');
+const { parseBrandVoice, formatVoiceGuide } = require('./brandVoice');
+const { parseComplianceRules, formatComplianceGuide } = require('./compliance');
+
+/**
+ * Content templates
+ * Generation prompts are templates with {{variable}} placeholders:
+ *   prompt  - system prompt (voice, company context, SEO rules)
+ *   article - instructions for writing a whole article
+ *   section - instructions for one section of a long-form article
+ * Users can save their own templates (content_templates) and mark one default per type;
+ * the built-in templates are used for any type without one.
+ */
+
+const TEMPLATE_TYPES = ['article', 'section', 'prompt'];
+
+const TONE_GUIDELINES = {
+    professional: 'Use professional, authoritative language suitable for B2B audiences. Be clear, concise, and data-driven.',
+    casual: 'Use conversational, approachable language that feels friendly and accessible. Write like you\'re talking to a friend.',
+    friendly: 'Be warm and engaging while maintaining expertise. Use inclusive language and positive framing.',
+    formal: 'Use formal academic or business writing style with precise terminology. Maintain objectivity.',
+    witty: 'Incorporate clever wordplay and humor while remaining informative. Be memorable and entertaining.'
+};
+
+const BUILTIN_TEMPLATES = {
+    prompt: `You are an expert SEO content strategist and writer specializing in creating high-ranking, engaging {{content_type}}s.
+
+WRITING GUIDELINES:
+- Tone: {{tone_guidelines}}
+- Write for humans first, search engines second
+- Use clear, descriptive headings (H2, H3) with keywords
+- Include actionable insights and practical advice
+- Use bullet points and numbered lists where appropriate
+{{#if company_name}}
+Company: {{company_name}}{{/if}}{{#if industry}}
+Industry: {{industry}}{{/if}}{{#if target_audience}}
+Target Audience: {{target_audience}}{{/if}}{{#if description}}
+Company Description: {{description}}{{/if}}{{#if location}}
+Target Location: {{location}} (include local references where relevant){{/if}}{{#if brand_voice}}
+
+BRAND VOICE (match the company's existing posts):
+{{brand_voice}}{{/if}}{{#if compliance_rules}}
+
+COMPLIANCE (mandatory):
+{{compliance_rules}}{{/if}}
+
+SEO REQUIREMENTS:
+- Include the main keyword in the first 100 words
+- Use LSI keywords naturally throughout
+- Write compelling meta title and description
+- Don't add links to other posts on our site (internal links are added after writing)
+- Add alt text suggestions for images
+- Use schema-friendly formatting{{#if has_research}}
+
+COMPETITOR RESEARCH INSIGHTS:{{#if research_avg_word_count}}
+- Top-ranking articles average {{research_avg_word_count}} words{{/if}}{{#if research_common_headings}}
+- Common topics covered: {{research_common_headings}}{{/if}}{{#if research_content_gaps}}
+- Content gaps to fill: {{research_content_gaps}}{{/if}}{{#if research_entities}}
+- Entities top-ranking articles mention: {{research_entities}}{{/if}}{{#if research_faq_questions}}
+- Questions top-ranking articles answer: {{research_faq_questions}}{{/if}}{{#if research_paa_questions}}
+- Questions searchers also ask: {{research_paa_questions}}{{/if}}{{#if research_related_searches}}
+- Related searches: {{research_related_searches}}{{/if}}{{#if research_user_intent}}
+- User intent: {{research_user_intent}}{{/if}}
+- Goal: Create BETTER content than competitors - more comprehensive, better structured, more helpful{{/if}}`,
+
+    article: `Write a comprehensive, SEO-optimized article targeting the keyword: "{{keyword}}"
+
+- Target length: {{word_count}} words (aim for {{word_count_min}}-{{word_count_max}} words)
+- Include a compelling introduction that hooks the reader
+- End with a strong call-to-action (CTA)
+- Add an FAQ section with 3-5 common questions{{#if research_paa_questions}}, starting with these questions people also ask: {{research_paa_questions}}{{/if}}{{#if keywords}}
+
+Include these related keywords naturally throughout the article: {{keywords}}{{/if}}{{#if unique_selling_points}}
+
+Consider these unique selling points where relevant: {{unique_selling_points}}{{/if}}{{#if competitors}}
+
+Be aware of these competitors (don't mention them directly, but differentiate the content): {{competitors}}{{/if}}{{#if location}}
+
+Target location/region: {{location}}. Include local references, landmarks, and location-specific details where appropriate.{{/if}}{{#if cluster_keywords}}
+
+REQUIRED SECONDARY KEYWORDS - use every one of these at least once, word for word, in the article body: {{cluster_keywords}}{{/if}}{{#if service_url}}
+
+SERVICE PAGE: {{service_url}}
+- Link to it once in the body where the service is relevant, using descriptive anchor text as a Markdown link
+- Link to it again in the closing call-to-action{{/if}}{{#if has_research}}
+
+Based on competitor analysis, make sure to:{{#if research_content_gaps}}
+- Address these content gaps: {{research_content_gaps}}{{/if}}{{#if research_related_searches}}
+- Cover these related searches as H2 subtopics where they fit: {{research_related_searches}}{{/if}}
+- Be more comprehensive and helpful than existing content
+- Provide unique insights and actionable advice{{/if}}`,
+
+    section: `You are writing part of the article "{{article_title}}" targeting the keyword "{{keyword}}".
+
+FULL OUTLINE:
+{{outline}}
+
+Write {{section_label}}.{{#if section_points}}
+It must cover:
+{{section_points}}{{/if}}
+
+Length: about {{section_target_words}} words (between {{section_min_words}} and {{section_max_words}}).{{#if section_keywords}}
+
+Use each of these secondary keywords at least once, word for word: {{section_keywords}}{{/if}}{{#if link_service_url}}
+
+Include a Markdown link to {{service_url}} with descriptive anchor text where the service is relevant.{{/if}}{{#if previous_section_ending}}
+
+The previous section ended with:
+"...{{previous_section_ending}}"
+Continue naturally from it without repeating its points.{{/if}}
+
+Respond with the section body in Markdown only. Do not include the "## {{section_heading}}" heading itself; use ### for sub-headings.{{#if is_intro}} Mention "{{keyword}}" in the first 100 words.{{else}}{{#if is_last}} End with a strong call-to-action{{#if service_url}} that links to {{service_url}}{{/if}}.{{else}} Do not write an introduction or conclusion for the whole article.{{/if}}{{/if}}`
+};
+
+// Variables available to every template, with descriptions for the template editor
+const TEMPLATE_VARIABLES = {
+    keyword: 'Main target keyword',
+    company_name: 'Business profile company name',
+    industry: 'Business profile industry',
+    description: 'Company description',
+    target_audience: 'Target audience',
+    location: 'Target location',
+    tone: 'Tone name (professional, casual, ...)',
+    tone_guidelines: 'Writing guidance for the tone',
+    brand_voice: 'Brand voice guide learned from the company\'s posts',
+    compliance_rules: 'Forbidden terms and claims from the compliance rules',
+    content_type: 'Content type (blog post, article, ...)',
+    word_count: 'Target word count',
+    word_count_min: 'Target word count minus 5%',
+    word_count_max: 'Target word count plus 5%',
+    keywords: 'Business profile keywords',
+    competitors: 'Competitors',
+    unique_selling_points: 'Unique selling points',
+    cluster_keywords: 'Cluster keywords of the queue item (required secondary keywords)',
+    service_url: 'Service page URL of the queue item (linked in the body and CTA)',
+    has_research: 'Set when competitor research is available',
+    research_avg_word_count: 'Average word count of top-ranking articles',
+    research_common_headings: 'Topics top-ranking articles cover',
+    research_content_gaps: 'Topics competitors miss',
+    research_entities: 'Named entities (brands, people, places) top-ranking articles mention',
+    research_faq_questions: 'FAQ questions top-ranking articles answer',
+    research_paa_questions: '"People Also Ask" questions from the search results',
+    research_related_searches: 'Related searches from the search results',
+    research_user_intent: 'Search intent (informational, commercial, ...)'
+};
+
+// Extra variables only set when rendering section templates
+const SECTION_VARIABLES = {
+    article_title: 'Title from the outline',
+    outline: 'The full outline as a numbered list',
+    section_label: '"the introduction" or "section N: Heading"',
+    section_heading: 'Heading of the section being written',
+    section_points: 'Points the section must cover, one per line',
+    section_target_words: 'Word target for the section',
+    section_min_words: 'Section target minus 10%',
+    section_max_words: 'Section target plus 10%',
+    section_keywords: 'Cluster keywords assigned to the section',
+    link_service_url: 'Set for the section that carries the contextual service page link',
+    previous_section_ending: 'Last words of the previous section',
+    is_intro: 'Set for the introduction',
+    is_last: 'Set for the last section'
+};
+
+/**
+ * Render a template. Supports {{name}}, {{#if name}}...{{else}}...{{/if}} (nestable)
+ * and dotted names for nested values. Arrays are joined with commas; missing values render empty.
+ */
+function interpolate(template, variables = {}) {
+    const lookup = name => name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+    const isSet = value => Array.isArray(value) ? value.length > 0 : !!value;
+
+    // Resolve innermost conditionals first so blocks can nest
+    const conditional = /\{\{#if\s+([\w.]+)\s*\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\}\}/;
+    let output = template || '';
+    let match;
+    while ((match = output.match(conditional))) {
+        const [block, name, body] = match;
+        const [whenSet, whenUnset = ''] = body.split('{{else}}');
+        output = output.replace(block, isSet(lookup(name)) ? whenSet : whenUnset);
+    }
+
+    return output.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+        const value = lookup(name);
+        if (value == null) return '';
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+}
+
+/**
+ * Names of the variables a template uses
+ */
+function extractVariables(template) {
+    const names = new Set();
+    for (const match of (template || '').matchAll(/\{\{\s*(?:#if\s+)?([\w.]+)\s*\}\}/g)) {
+        if (match[1] !== 'else') names.add(match[1]);
+    }
+    return [...names];
+}
+
+/**
+ * Variables for an article from the business profile, research and queue item
+ */
+function buildTemplateVariables({ keyword, businessProfile = null, researchData = null, clusterKeywords = null, serviceUrl = null, wordCount = null }) {
+    const profile = businessProfile || {};
+    const tone = profile.tone || 'professional';
+    const words = wordCount || profile.word_count || 1500;
+
+    return {
+        keyword,
+        company_name: profile.company_name || '',
+        industry: profile.industry || '',
+        description: profile.description || '',
+        target_audience: profile.target_audience || '',
+        location: profile.location || '',
+        tone,
+        tone_guidelines: TONE_GUIDELINES[tone] || TONE_GUIDELINES.professional,
+        brand_voice: formatVoiceGuide(parseBrandVoice(profile)),
+        compliance_rules: formatComplianceGuide(parseComplianceRules(profile)),
+        content_type: (profile.content_type || 'blog_post').replace('_', ' '),
+        word_count: words,
+        word_count_min: Math.round(words * 0.95),
+        word_count_max: Math.round(words * 1.05),
+        keywords: profile.keywords || '',
+        competitors: profile.competitors || '',
+        unique_selling_points: profile.unique_selling_points || '',
+        cluster_keywords: parseClusterKeywords(clusterKeywords, keyword),
+        service_url: serviceUrl || '',
+        has_research: !!researchData,
+        research_avg_word_count: researchData?.avgWordCount || '',
+        research_common_headings: (researchData?.commonHeadings || []).slice(0, 5),
+        research_content_gaps: (researchData?.contentGaps || []).slice(0, 3),
+        research_entities: (researchData?.entities || []).slice(0, 10),
+        research_faq_questions: (researchData?.faqQuestions || []).slice(0, 5),
+        research_paa_questions: (researchData?.peopleAlsoAsk || []).map(item => item.question).slice(0, 5),
+        research_related_searches: (researchData?.relatedSearches || []).slice(0, 5),
+        research_user_intent: researchData?.userIntent || ''
+    };
+}
+
+/**
+ * Templates to generate with: the selected template for its type, then the user's default
+ * for each type, then the built-in template.
+ */
+async function resolveTemplates(userId, templateId = null) {
+    const resolved = { ...BUILTIN_TEMPLATES };
+    const sources = { prompt: 'builtin', article: 'builtin', section: 'builtin' };
+
+    if (!userId) {
+        return { templates: resolved, sources };
+    }
+
+    const defaults = await db.prepare(`
+        SELECT id, template_type, content FROM content_templates
+        WHERE user_id = ? AND is_default
+        ORDER BY updated_at DESC
+    `).all(userId);
+
+    for (const template of defaults.reverse()) {
+        resolved[template.template_type] = template.content;
+        sources[template.template_type] = template.id;
+    }
+
+    if (templateId) {
+        const selected = await db.prepare('SELECT id, template_type, content FROM content_templates WHERE id = ? AND user_id = ?')
+            .get(templateId, userId);
+        if (selected) {
+            resolved[selected.template_type] = selected.content;
+            sources[selected.template_type] = selected.id;
+        }
+    }
+
+    return { templates: resolved, sources };
+}
+
+module.exports = {
+    TEMPLATE_TYPES,
+    TONE_GUIDELINES,
+    BUILTIN_TEMPLATES,
+    TEMPLATE_VARIABLES,
+    SECTION_VARIABLES,
+    interpolate,
+    extractVariables,
+    buildTemplateVariables,
+    resolveTemplates
+};
@@ -1,9 +1,25 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { markdownToHtml, extractImages, CONTENT_FORMATS, DEFAULT_CONTENT_FORMAT } = require('./markdownToWordPress');
+const { SEO_PLUGINS, getSeoFields, resolveSeoAdapter, verifySeoFields } = require('./seoPlugins');
+const { SCHEMA_PLACEMENTS, buildStructuredData, renderJsonLd, stripJsonLd } = require('./structuredData');
 
 /**
- * Publish article to WordPress via REST API
+ * Publish article to WordPress via REST API.
+ * Articles that already have a wp_post_id update that post instead of creating a new one.
+ * Markdown content is converted to block or classic HTML according to `contentFormat`,
+ * and SEO fields are written through the connection's SEO plugin adapter, then read back.
+ * Article and FAQPage JSON-LD is injected into the post body, or handed to the SEO plugin
+ * when `schemaPlacement` is 'plugin' and the plugin supports custom schema.
  */
-async function publishToWordPress({ article, credentials }) {
+async function publishToWordPress({
+    article,
+    credentials,
+    contentFormat = DEFAULT_CONTENT_FORMAT,
+    seoPlugin = 'auto',
+    schemaPlacement = 'body',
+    structuredData = {}
+}) {
     const { url, username, password } = credentials;
 
     if (!url || !username || !password) {
@@ -12,17 +28,41 @@ async function publishToWordPress({ article, credentials }) {
 
     // Clean up URL
     const baseUrl = url.replace(/\/+$/, '');
-    const apiUrl = `${baseUrl}/wp-json/wp/v2/posts`;
+    let apiUrl = `${baseUrl}/wp-json/wp/v2/posts`;
+    let existingPost = null;
+
+    if (article.wp_post_id) {
+        existingPost = await getPost(baseUrl, username, password, article.wp_post_id);
+        if (existingPost) {
+            apiUrl = `${apiUrl}/${article.wp_post_id}`;
+        } else {
+            // Post was deleted on the site, so publish it again as a new post
+            console.log(`WordPress post ${article.wp_post_id} not found, creating a new post`);
+        }
+    }
+
+    // In-body images are copied to the media library so the image blocks point at the site
+    const media = await uploadContentImages(baseUrl, username, password, article.content);
 
     // Prepare post data
     const postData = {
         title: article.title,
-        content: article.content,
+        content: markdownToHtml(article.content, { format: contentFormat, media }),
         excerpt: article.excerpt || '',
         status: 'publish',
         format: 'standard'
     };
 
+    // Schedule as a future post if the publish slot hasn't arrived yet. A post that is already
+    // live stays published with its original date.
+    const scheduledAt = article.scheduled_at ? new Date(article.scheduled_at) : null;
+    const isLive = existingPost?.status === 'publish';
+    const isScheduled = !isLive && scheduledAt && !isNaN(scheduledAt.getTime()) && scheduledAt > new Date();
+    if (isScheduled) {
+        postData.status = 'future';
+        postData.date_gmt = scheduledAt.toISOString().slice(0, 19);
+    }
+
     // Add tags if provided
     if (article.tags) {
         const tagNames = article.tags.split(',').map(t => t.trim()).filter(t => t);
@@ -43,8 +83,8 @@ async function publishToWordPress({ article, credentials }) {
         }
     }
 
-    // Add featured image if URL provided
-    if (article.featured_image_url) {
+    // Add featured image if URL provided (updates keep the image already on the post)
+    if (article.featured_image_url && !existingPost?.featured_media) {
         try {
             const mediaId = await uploadFeaturedImage(baseUrl, username, password, article.featured_image_url);
             if (mediaId) {
@@ -56,18 +96,63 @@ async function publishToWordPress({ article, credentials }) {
         }
     }
 
+    // SEO meta for the site's SEO plugin
+    const auth = { username, password };
+    const seoFields = getSeoFields(article);
+    const { plugin, adapter } = await resolveSeoAdapter(baseUrl, auth, seoPlugin);
+    Object.assign(postData, adapter.postFields(seoFields));
+
+    // JSON-LD structured data. Plugins without a custom schema field get it in the body.
+    let schema = { placement: 'none', types: [], validation: {} };
+    if (schemaPlacement !== 'none') {
+        const now = new Date();
+        const { schemas, validation } = buildStructuredData({
+            article,
+            businessProfile: structuredData.businessProfile,
+            authorName: structuredData.authorName,
+            faqItems: structuredData.faqItems,
+            url: existingPost ? existingPost.link : article.wp_url,
+            datePublished: isScheduled ? scheduledAt : (article.published_at || now),
+            dateModified: isScheduled ? scheduledAt : now
+        });
+        const placement = schemaPlacement === 'plugin' && adapter.writeSchema ? 'plugin' : 'body';
+
+        if (placement === 'body' && schemas.length > 0) {
+            postData.content = `${stripJsonLd(postData.content)}\n\n${renderJsonLd(schemas, { format: contentFormat })}`;
+        }
+
+        schema = { placement, schemas, types: schemas.map(s => s['@type']), validation };
+    }
+
     try {
         const response = await axios.post(apiUrl, postData, {
-            auth: { username, password },
+            auth,
             headers: { 'Content-Type': 'application/json' },
             timeout: 30000
         });
 
+        const seo = await syncSeoMeta({ baseUrl, auth, postId: response.data.id, plugin, adapter, fields: seoFields });
+
+        if (schema.placement === 'plugin' && schema.schemas.length > 0) {
+            try {
+                await adapter.writeSchema({ baseUrl, auth, postId: response.data.id, schemas: schema.schemas });
+            } catch (err) {
+                console.error('Schema write error:', err.response?.data || err.message);
+                schema.error = err.message;
+            }
+        }
+        delete schema.schemas;
+
         return {
             success: true,
             postId: response.data.id,
             url: response.data.link,
-            title: response.data.title.rendered
+            title: response.data.title.rendered,
+            status: response.data.status,
+            modified: response.data.modified_gmt,
+            updated: !!existingPost,
+            seo,
+            schema
         };
     } catch (err) {
         console.error('WordPress publish error:', err.response?.data || err.message);
@@ -75,6 +160,311 @@ async function publishToWordPress({ article, credentials }) {
     }
 }
 
+/**
+ * Run the adapter's post-publish write and verify the SEO fields by reading the post back.
+ * SEO problems are reported in the result rather than failing the publish.
+ */
+async function syncSeoMeta({ baseUrl, auth, postId, plugin, adapter, fields }) {
+    try {
+        await adapter.afterPublish({ baseUrl, auth, postId, fields });
+        const post = plugin === 'none' ? null : await getPost(baseUrl, auth.username, auth.password, postId);
+        const verification = verifySeoFields(plugin, fields, post);
+
+        if (Object.values(verification.fields).includes('mismatch')) {
+            console.error(`SEO meta mismatch on post ${postId} (${plugin}):`, verification.fields);
+        }
+
+        return verification;
+    } catch (err) {
+        console.error('SEO meta sync error:', err.response?.data || err.message);
+        return { plugin, verified: false, fields: {}, error: err.message };
+    }
+}
+
+/**
+ * Fetch the live version of a post from WordPress.
+ * Returns null if the post no longer exists.
+ */
+async function fetchWordPressPost({ postId, credentials }) {
+    const { url, username, password } = credentials;
+
+    if (!url || !username || !password) {
+        throw new Error('Missing WordPress credentials');
+    }
+
+    const baseUrl = url.replace(/\/+$/, '');
+    const post = await getPost(baseUrl, username, password, postId);
+
+    if (!post) {
+        return null;
+    }
+
+    return {
+        postId: post.id,
+        url: post.link,
+        status: post.status,
+        title: post.title?.raw ?? post.title?.rendered ?? '',
+        // Our own JSON-LD block isn't part of the article content
+        content: stripJsonLd(post.content?.raw ?? post.content?.rendered ?? ''),
+        excerpt: post.excerpt?.raw ?? post.excerpt?.rendered ?? '',
+        modified: post.modified_gmt
+    };
+}
+
+/**
+ * Fetch the site's most recent published posts (rendered HTML, our JSON-LD removed)
+ */
+async function fetchRecentPosts({ credentials, count = 10 }) {
+    const { url, username, password } = credentials;
+
+    if (!url || !username || !password) {
+        throw new Error('Missing WordPress credentials');
+    }
+
+    const baseUrl = url.replace(/\/+$/, '');
+
+    try {
+        const response = await axios.get(`${baseUrl}/wp-json/wp/v2/posts`, {
+            params: { per_page: count, status: 'publish', orderby: 'date', _fields: 'id,link,title,content' },
+            auth: { username, password },
+            timeout: 30000
+        });
+
+        return response.data.map(post => ({
+            postId: post.id,
+            url: post.link,
+            title: post.title?.rendered ?? '',
+            content: stripJsonLd(post.content?.rendered ?? '')
+        }));
+    } catch (err) {
+        console.error('WordPress fetch posts error:', err.response?.data || err.message);
+        throw new Error(`Failed to fetch WordPress posts: ${err.response?.data?.message || err.message}`);
+    }
+}
+
+/**
+ * Fetch the titles and slugs of the site's published posts, newest first, up to maxPosts
+ */
+async function fetchPostIndex({ credentials, maxPosts = 500 }) {
+    const { url, username, password } = credentials;
+
+    if (!url || !username || !password) {
+        throw new Error('Missing WordPress credentials');
+    }
+
+    const baseUrl = url.replace(/\/+$/, '');
+    const posts = [];
+
+    try {
+        for (let page = 1; posts.length < maxPosts; page++) {
+            const response = await axios.get(`${baseUrl}/wp-json/wp/v2/posts`, {
+                params: { per_page: 100, page, status: 'publish', orderby: 'date', _fields: 'id,link,slug,title' },
+                auth: { username, password },
+                timeout: 30000
+            });
+
+            posts.push(...response.data.map(post => ({
+                postId: post.id,
+                url: post.link,
+                slug: post.slug || '',
+                title: decodeTitle(post.title?.rendered ?? '')
+            })));
+
+            const totalPages = parseInt(response.headers?.['x-wp-totalpages']) || 1;
+            if (page >= totalPages || response.data.length === 0) break;
+        }
+
+        return posts.slice(0, maxPosts);
+    } catch (err) {
+        console.error('WordPress fetch post index error:', err.response?.data || err.message);
+        throw new Error(`Failed to fetch WordPress posts: ${err.response?.data?.message || err.message}`);
+    }
+}
+
+/**
+ * Fetch a post's raw content for editing, or null if the post no longer exists
+ */
+async function fetchPostContent({ postId, credentials }) {
+    const { url, username, password } = credentials;
+
+    if (!url || !username || !password) {
+        throw new Error('Missing WordPress credentials');
+    }
+
+    const post = await getPost(url.replace(/\/+$/, ''), username, password, postId);
+    if (!post) return null;
+
+    return {
+        postId: post.id,
+        url: post.link,
+        status: post.status,
+        title: post.title?.raw ?? post.title?.rendered ?? '',
+        content: post.content?.raw ?? post.content?.rendered ?? '',
+        modified: post.modified_gmt
+    };
+}
+
+/**
+ * Replace a post's content (raw HTML or block markup), leaving everything else as it is
+ */
+async function updatePostContent({ postId, content, credentials }) {
+    const { url, username, password } = credentials;
+
+    if (!url || !username || !password) {
+        throw new Error('Missing WordPress credentials');
+    }
+
+    const baseUrl = url.replace(/\/+$/, '');
+
+    try {
+        const response = await axios.post(`${baseUrl}/wp-json/wp/v2/posts/${postId}`, { content }, {
+            auth: { username, password },
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 30000
+        });
+
+        return {
+            postId: response.data.id,
+            url: response.data.link,
+            modified: response.data.modified_gmt
+        };
+    } catch (err) {
+        console.error('WordPress update post error:', err.response?.data || err.message);
+        throw new Error(`Failed to update WordPress post: ${err.response?.data?.message || err.message}`);
+    }
+}
+
+/**
+ * Compare our copy of an article with the live WordPress post.
+ * Local content is rendered the same way it would be published before comparing. Images are
+ * compared by alt text, as the published ones point at the media library copies.
+ * Returns the list of fields that differ.
+ */
+function detectDrift(article, livePost, { contentFormat = DEFAULT_CONTENT_FORMAT } = {}) {
+    const normalize = value => (value || '')
+        .replace(/\r\n/g, '\n')
+        .replace(/<!-- wp:image \{[^}]*\} -->/g, '<!-- wp:image -->')
+        .replace(/<img\b[^>]*?\balt="([^"]*)"[^>]*?\/?>/g, '<img alt="$1"/>')
+        .replace(/\s+$/gm, '')
+        .trim();
+    const local = {
+        title: article.title,
+        content: markdownToHtml(article.content, { format: contentFormat }),
+        excerpt: article.excerpt
+    };
+    const drift = [];
+
+    for (const field of ['title', 'content', 'excerpt']) {
+        if (normalize(local[field]) !== normalize(livePost[field])) {
+            drift.push({
+                field,
+                local: local[field] || '',
+                remote: livePost[field] || ''
+            });
+        }
+    }
+
+    const expectedStatuses = article.scheduled_at ? ['publish', 'future'] : ['publish'];
+    if (article.status === 'published' && !expectedStatuses.includes(livePost.status)) {
+        drift.push({
+            field: 'status',
+            local: article.status,
+            remote: livePost.status
+        });
+    }
+
+    return drift;
+}
+
+/**
+ * Content format ('blocks' or 'classic') configured on a WordPress connection row
+ */
+function getContentFormat(connection) {
+    const config = parseConnectionConfig(connection);
+    return CONTENT_FORMATS.includes(config.contentFormat) ? config.contentFormat : DEFAULT_CONTENT_FORMAT;
+}
+
+/**
+ * Publish options configured on a WordPress connection row
+ */
+function getPublishOptions(connection) {
+    const config = parseConnectionConfig(connection);
+    return {
+        contentFormat: getContentFormat(connection),
+        seoPlugin: SEO_PLUGINS.includes(config.seoPlugin) ? config.seoPlugin : 'auto',
+        schemaPlacement: SCHEMA_PLACEMENTS.includes(config.schemaPlacement) ? config.schemaPlacement : 'body'
+    };
+}
+
+// Rendered post titles are HTML-escaped ("Tips &#8211; Tricks")
+function decodeTitle(title) {
+    return String(title)
+        .replace(/<[^>]+>/g, '')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function parseConnectionConfig(connection) {
+    try {
+        return (connection?.config ? JSON.parse(connection.config) : null) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Get the site's timezone as an IANA name (null if the site uses a manual UTC offset we can't map)
+ */
+async function getSiteTimezone(credentials) {
+    const { url, username, password } = credentials;
+    const baseUrl = url.replace(/\/+$/, '');
+
+    const response = await axios.get(`${baseUrl}/wp-json/`, {
+        auth: { username, password },
+        timeout: 10000
+    });
+
+    const { timezone_string: timezoneString, gmt_offset: gmtOffset } = response.data || {};
+
+    if (timezoneString) {
+        return timezoneString;
+    }
+
+    // Etc/GMT zones use inverted signs and only cover whole hours
+    const offset = parseFloat(gmtOffset);
+    if (Number.isInteger(offset)) {
+        return offset === 0 ? 'UTC' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+    }
+
+    return null;
+}
+
+/**
+ * Get a post in edit context (raw fields), or null if it doesn't exist
+ */
+async function getPost(baseUrl, username, password, postId) {
+    try {
+        const response = await axios.get(`${baseUrl}/wp-json/wp/v2/posts/${postId}`, {
+            params: { context: 'edit' },
+            auth: { username, password },
+            timeout: 15000
+        });
+
+        return response.data;
+    } catch (err) {
+        if (err.response?.status === 404 || err.response?.status === 410) {
+            return null;
+        }
+        console.error('WordPress fetch post error:', err.response?.data || err.message);
+        throw new Error(`Failed to fetch WordPress post: ${err.response?.data?.message || err.message}`);
+    }
+}
+
 /**
  * Get or create a tag
  */
@@ -168,6 +558,58 @@ async function uploadFeaturedImage(baseUrl, username, password, imageUrl) {
     }
 }
 
+/**
+ * Copy the standalone images in Markdown content to the media library with their alt text and
+ * captions. The media slug comes from the image URL, so publishing again reuses the copy.
+ * Returns { [imageUrl]: { id, url } }; an image that fails to upload keeps its own URL.
+ */
+async function uploadContentImages(baseUrl, username, password, content) {
+    const auth = { username, password };
+    const media = {};
+
+    for (const image of extractImages(content)) {
+        if (media[image.src] || !/^https?:\/\//.test(image.src) || image.src.startsWith(baseUrl)) continue;
+
+        const slug = `claw-image-${crypto.createHash('sha1').update(image.src).digest('hex').slice(0, 16)}`;
+        try {
+            const existing = await axios.get(`${baseUrl}/wp-json/wp/v2/media`, {
+                auth,
+                params: { slug, _fields: 'id,source_url' },
+                timeout: 15000
+            });
+            let item = Array.isArray(existing.data) ? existing.data[0] : null;
+
+            if (!item) {
+                const imageResponse = await axios.get(image.src, {
+                    responseType: 'arraybuffer',
+                    timeout: 30000
+                });
+                const mimeType = imageResponse.headers['content-type'] || 'image/png';
+                const extension = (mimeType.split('/')[1] || 'png').split(/[;+]/)[0];
+
+                const formData = new FormData();
+                formData.append('file', new Blob([imageResponse.data], { type: mimeType }), `${slug}.${extension}`);
+                formData.append('slug', slug);
+                formData.append('alt_text', image.alt);
+                if (image.caption) formData.append('caption', image.caption);
+
+                const uploadResponse = await axios.post(`${baseUrl}/wp-json/wp/v2/media`, formData, {
+                    auth,
+                    headers: { 'Content-Type': 'multipart/form-data' },
+                    timeout: 60000
+                });
+                item = uploadResponse.data;
+            }
+
+            media[image.src] = { id: item.id, url: item.source_url };
+        } catch (err) {
+            console.error('Content image upload error:', err.message);
+        }
+    }
+
+    return media;
+}
+
 /**
  * Test WordPress connection
  */
@@ -192,5 +634,14 @@ async function testConnection(credentials) {
 
 module.exports = {
     publishToWordPress,
+    fetchWordPressPost,
+    fetchRecentPosts,
+    fetchPostIndex,
+    fetchPostContent,
+    updatePostContent,
+    detectDrift,
+    getSiteTimezone,
+    getContentFormat,
+    getPublishOptions,
     testConnection
 };
\ No newline at end of file
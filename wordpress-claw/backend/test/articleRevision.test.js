@@ -0,0 +1,129 @@
+process.env.DB_PATH = ':memory:';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const db = require('../database/db');
+const { setLocalResponder } = require('../services/llmProviders');
+const { reviseDraft, improveArticle } = require('../services/articleRevision');
+const { LONG_FORM_MIN_WORDS, countWords } = require('../services/contentGeneration');
+
+const businessProfile = { llm_provider: 'local', company_name: 'Austin Pipe Co', word_count: 3000 };
+const keyword = 'emergency plumbing';
+const headings = ['Signs You Need an Emergency Plumber', 'What to Do While You Wait', 'Costs and Call-Out Fees', 'Preventing the Next Emergency', 'Choosing a Plumber You Can Trust'];
+
+function paragraph(topic, words) {
+    const sentence = `When ${topic} comes up, homeowners should act quickly, shut off the water and call a licensed professional.`;
+    const count = countWords(sentence);
+    return Array.from({ length: Math.ceil(words / count) }, () => sentence).join(' ');
+}
+
+// A section-by-section article: introduction, five H2 sections of ~550 words and an FAQ
+const faq = '## Frequently Asked Questions\n\n**Q: How fast can a plumber arrive?**\nA: Usually within the hour.';
+const longDraft = {
+    title: 'Burst Pipes and Leaks: A Homeowner Guide',
+    metaTitle: 'Burst Pipes and Leaks',
+    metaDescription: 'What to do about burst pipes and leaks.',
+    excerpt: 'A guide to burst pipes.',
+    focusKeyword: keyword,
+    content: [
+        paragraph('a burst pipe', 150),
+        ...headings.map(heading => `## ${heading}\n\n${paragraph(heading.toLowerCase(), 550)}`),
+        faq
+    ].join('\n\n')
+};
+
+let requests;
+
+beforeEach(() => {
+    requests = [];
+});
+
+function respond(reviseSection) {
+    setLocalResponder(({ messages }) => {
+        const prompt = messages[messages.length - 1].content;
+        requests.push(prompt);
+
+        const section = prompt.match(/CURRENT SECTION \(Markdown\):\n([\s\S]*?)\n\nRespond with/);
+        if (section) {
+            const heading = (prompt.match(/the section "([^"]+)"/) || [])[1];
+            return reviseSection(section[1], heading);
+        }
+        if (/"metaDescription"/.test(prompt)) {
+            return JSON.stringify({
+                title: 'Emergency Plumbing: What to Do When a Pipe Bursts',
+                metaTitle: 'Emergency Plumbing Guide | Austin Pipe Co',
+                metaDescription: 'Emergency plumbing help: what to do when a pipe bursts, what it costs and how to prevent it.'
+            });
+        }
+        return '1. Keywords: use "emergency plumbing" in the title and introduction.';
+    });
+}
+
+test('a long draft is revised section by section and keeps its length', async () => {
+    assert.ok(countWords(longDraft.content) > LONG_FORM_MIN_WORDS);
+    respond((body, heading) => `${heading ? `## ${heading}\n\n` : ''}Emergency plumbing matters. ${body}`);
+
+    const result = await reviseDraft({ draft: longDraft, keyword, businessProfile, maxRounds: 1, targetScore: 101 });
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.rounds, 1);
+    assert.ok(!requests.some(prompt => prompt.includes('CURRENT ARTICLE (Markdown)')), 'the whole article is never sent in one prompt');
+
+    const revised = result.drafts[1].draft;
+    assert.strictEqual(revised.title, 'Emergency Plumbing: What to Do When a Pipe Bursts');
+    assert.strictEqual(revised.excerpt, longDraft.excerpt);
+    assert.ok(revised.content.startsWith('Emergency plumbing matters.'));
+    assert.ok(countWords(revised.content) >= countWords(longDraft.content));
+    for (const heading of headings) {
+        assert.ok(revised.content.includes(`## ${heading}\n\nEmergency plumbing matters. `), `section "${heading}" is kept once, revised`);
+        assert.strictEqual(revised.content.split(`## ${heading}`).length, 2);
+    }
+    assert.ok(revised.content.endsWith(faq), 'the FAQ is left as it is');
+});
+
+test('a section rewrite that comes back cut short keeps the original section', async () => {
+    respond((body, heading) => heading === 'Costs and Call-Out Fees' ? 'Costs vary.' : body);
+
+    const result = await reviseDraft({ draft: longDraft, keyword, businessProfile, maxRounds: 1, targetScore: 101 });
+
+    const revised = result.drafts[1].draft;
+    assert.ok(revised.content.includes(`## Costs and Call-Out Fees\n\n${paragraph('costs and call-out fees', 550)}`));
+    assert.ok(!revised.content.includes('Costs vary.'));
+    assert.strictEqual(countWords(revised.content), countWords(longDraft.content));
+});
+
+test('a saved article edited during revision keeps the edit', async () => {
+    const user = await db.prepare("INSERT INTO users (email, password_hash, name) VALUES ('revise@test.local', 'x', 'Sam')").run();
+    await db.prepare("INSERT INTO business_profiles (user_id, llm_provider) VALUES (?, 'local')").run(user.lastInsertRowid);
+    const { lastInsertRowid: articleId } = await db.prepare(`
+        INSERT INTO articles (user_id, title, content, keyword, status) VALUES (?, 'Burst Pipes', ?, ?, 'review')
+    `).run(user.lastInsertRowid, paragraph('a burst pipe', 300), keyword);
+
+    setLocalResponder(async ({ messages }) => {
+        const prompt = messages[messages.length - 1].content;
+        if (!prompt.includes('CURRENT ARTICLE (Markdown)')) return '1. Keywords: use the keyword in the title.';
+
+        // Someone saves the article while the rewrite is running
+        await db.prepare("UPDATE articles SET content = 'Edited by hand.' WHERE id = ?").run(articleId);
+        return JSON.stringify({
+            title: 'Emergency Plumbing for Burst Pipes',
+            metaTitle: 'Emergency Plumbing for Burst Pipes',
+            metaDescription: 'What to do about burst pipes, and when to call for emergency plumbing.',
+            excerpt: 'Emergency plumbing basics.',
+            tags: ['plumbing'],
+            focusKeyword: keyword,
+            sections: [{ heading: '', body: `Emergency plumbing matters. ${paragraph('a burst pipe', 300)}` }],
+            faq: []
+        });
+    });
+
+    const result = await improveArticle(articleId, { maxRounds: 1, targetScore: 101 });
+
+    assert.strictEqual(result.rounds, 1);
+    assert.strictEqual(result.bestRound, 1);
+    assert.strictEqual(result.applied, false);
+    assert.strictEqual(result.skippedReason, 'The article was edited during revision');
+
+    const saved = await db.prepare('SELECT title, content FROM articles WHERE id = ?').get(articleId);
+    assert.deepStrictEqual({ ...saved }, { title: 'Burst Pipes', content: 'Edited by hand.' });
+});
@@ -0,0 +1,105 @@
+process.env.DB_PATH = ':memory:';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyzePage, analyzeCompetitors, setPageFetcher } = require('../services/competitorPages');
+
+// Saved pages: a WordPress blog post and a local business landing page
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'competitor-pages', `${name}.html`), 'utf8');
+const blogPost = fixture('heat-pump-guide');
+const landingPage = fixture('hvac-landing-page');
+
+after(() => setPageFetcher(null));
+
+test('reads the outline of the article, not the page chrome around it', () => {
+    const page = analyzePage(blogPost, 'https://comfortair.test/blog/heat-pump-cost');
+
+    assert.strictEqual(page.url, 'https://comfortair.test/blog/heat-pump-cost');
+    assert.strictEqual(page.title, 'Heat Pump Installation Cost in 2026: A Complete Guide & Price List | Comfort Air Blog');
+    assert.deepStrictEqual(page.outline, [
+        { level: 1, text: 'Heat Pump Installation Cost in 2026' },
+        { level: 2, text: 'What Affects the Price' },
+        { level: 3, text: 'Ductless vs. Ducted Systems' },
+        { level: 2, text: 'Rebates & Tax Credits' },
+        { level: 2, text: 'Frequently Asked Questions' },
+        { level: 3, text: '1. What size heat pump do I need?' }
+    ]);
+});
+
+test('counts only the words of the main content', () => {
+    const page = analyzePage(blogPost);
+
+    assert.strictEqual(page.wordCount, 184);
+    const text = JSON.stringify(page);
+    for (const chrome of ['Leave a reply', 'Furnace Repair', 'All rights reserved', 'dataLayer']) {
+        assert.ok(!text.includes(chrome), `"${chrome}" is page chrome`);
+    }
+});
+
+test('collects repeated named entities', () => {
+    assert.deepStrictEqual(analyzePage(blogPost).entities, ['Department of Energy', 'ENERGY STAR', 'Mitsubishi Electric']);
+    assert.deepStrictEqual(analyzePage(landingPage).entities, ['Cool Breeze', 'Travis County']);
+});
+
+test('collects FAQ questions from FAQPage schema, details blocks and question headings', () => {
+    assert.deepStrictEqual(analyzePage(blogPost).faq, [
+        'How long does a heat pump installation take?',
+        'Do heat pumps work in cold climates?',
+        'Is a heat pump worth it?',
+        'What size heat pump do I need?'
+    ]);
+    assert.deepStrictEqual(analyzePage(landingPage).faq, ['Why Choose Cool Breeze?', 'How much does a heat pump cost in Austin?']);
+});
+
+test('reads schema types from JSON-LD graphs and microdata, skipping malformed JSON-LD', () => {
+    assert.deepStrictEqual(analyzePage(blogPost).schemaTypes, ['Organization', 'BlogPosting', 'FAQPage']);
+    assert.deepStrictEqual(analyzePage(landingPage).schemaTypes, ['Service', 'AggregateRating']);
+});
+
+test('falls back to <main> and takes the H1 from outside it', () => {
+    const page = analyzePage(landingPage);
+
+    assert.deepStrictEqual(page.outline, [
+        { level: 1, text: 'Heat Pump Installation in Austin' },
+        { level: 2, text: 'Why Choose Cool Breeze?' },
+        { level: 2, text: 'Our Process' }
+    ]);
+    assert.strictEqual(page.wordCount, 60);
+});
+
+test('analyzes search results through the page fetcher', async () => {
+    const pages = {
+        'https://comfortair.test/blog/heat-pumps': blogPost,
+        'https://coolbreeze.test/heat-pumps': landingPage
+    };
+    const fetched = [];
+    setPageFetcher(async url => {
+        fetched.push(url);
+        if (!pages[url]) throw new Error('Request failed with status code 404');
+        return pages[url];
+    });
+
+    const results = [
+        { position: 1, url: 'https://coolbreeze.test/heat-pumps' },
+        { position: 2, url: 'https://www.example.com/mock-result' },
+        { position: 3, url: 'https://comfortair.test/blog/heat-pumps' },
+        { position: 4, url: 'https://gone.test/page' }
+    ];
+    const { pages: analyzed, errors, skipped } = await analyzeCompetitors(results);
+
+    assert.deepStrictEqual(analyzed.map(page => [page.position, page.title]), [
+        [1, 'Austin HVAC Services | Cool Breeze Heating & Air'],
+        [3, 'Heat Pump Installation Cost in 2026: A Complete Guide & Price List | Comfort Air Blog']
+    ]);
+    assert.deepStrictEqual(errors, [{ url: 'https://gone.test/page', error: 'Request failed with status code 404' }]);
+    assert.deepStrictEqual(skipped, ['https://www.example.com/mock-result']);
+    assert.ok(!fetched.includes('https://www.example.com/mock-result'));
+
+    // A second run is served from the research cache
+    fetched.length = 0;
+    const again = await analyzeCompetitors(results.slice(0, 3));
+    assert.strictEqual(again.pages.length, 2);
+    assert.deepStrictEqual(fetched, []);
+});
@@ -0,0 +1,47 @@
+process.env.DB_PATH = ':memory:';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeRules, checkCompliance, redactArticle, checkComplianceGate } = require('../services/compliance');
+
+test('claim patterns that can backtrack catastrophically are refused', () => {
+    for (const pattern of ['(a+)+$', '(\\w+\\s?)*done', '(a|ab)*c', '((ab)*c)+', '(x{2,})+', '(guarantee)\\1']) {
+        const { error } = normalizeRules({ claimPatterns: [{ pattern }] });
+        assert.match(error || '', /too slow to check/, pattern);
+    }
+});
+
+test('ordinary claim patterns are accepted', () => {
+    for (const pattern of ['guarantee(d|s)?', '100% (safe|effective)', 'cures? \\p{L}+', '(risk[- ]free)', '[(+]+ results', '(?<!no )miracle', '(very ){1}safe']) {
+        const { error, rules } = normalizeRules({ claimPatterns: [{ pattern }] });
+        assert.strictEqual(error, undefined, pattern);
+        assert.strictEqual(rules.claimPatterns[0].pattern, pattern);
+    }
+});
+
+test('redaction only swaps matches of rules that have a replacement', () => {
+    const { rules } = normalizeRules({
+        forbiddenTerms: [{ term: 'miracle', replacement: 'effective' }, 'cheap'],
+        claimPatterns: [{ pattern: 'guarantee(d|s)?', label: 'Guaranteed results' }]
+    });
+    const article = { title: 'A miracle fix', content: 'We guarantee it. This cheap miracle works.' };
+
+    const changes = redactArticle(article, rules);
+
+    assert.strictEqual(changes.title, 'A effective fix');
+    assert.strictEqual(changes.content, 'We guarantee it. This cheap effective works.');
+
+    // What couldn't be replaced stays flagged and keeps the article from auto-publishing
+    const report = checkCompliance({ ...article, ...changes }, rules);
+    assert.deepStrictEqual(report.violations.map(violation => violation.label).sort(), ['Claim: Guaranteed results', 'Forbidden term "cheap"']);
+    assert.strictEqual(checkComplianceGate(report).allowed, false);
+});
+
+test('an empty replacement still removes the match', () => {
+    const { rules } = normalizeRules({ forbiddenTerms: [{ term: 'truly', replacement: '' }] });
+
+    const changes = redactArticle({ content: 'It is truly, simply better.' }, rules);
+
+    assert.strictEqual(changes.content, 'It is, simply better.');
+    assert.strictEqual(checkCompliance({ content: changes.content }, rules).passed, true);
+});
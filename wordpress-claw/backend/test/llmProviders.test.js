@@ -0,0 +1,122 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { completeJson, setLocalResponder } = require('../services/llmProviders');
+const { validateArticleMeta } = require('../services/articleSchema');
+
+// Every call goes to the offline provider, whatever LLM_PROVIDER is set to
+const businessProfile = { llm_provider: 'local' };
+
+const validMeta = {
+    metaTitle: 'Emergency Plumbing in Austin | Fast Repairs',
+    metaDescription: 'What to do when a pipe bursts and how fast an emergency plumber can get to you.',
+    excerpt: 'A short guide to emergency plumbing.',
+    tags: ['plumbing', 'emergencies'],
+    focusKeyword: 'emergency plumbing',
+    faq: [{ question: 'How fast can a plumber arrive?', answer: 'Usually within the hour.' }]
+};
+
+let requests;
+
+function respondWith(...responses) {
+    setLocalResponder(({ system, messages }) => {
+        requests.push({ system, messages: messages.map(message => ({ ...message })) });
+        return responses[Math.min(requests.length, responses.length) - 1];
+    });
+}
+
+function askForMeta(options = {}) {
+    return completeJson({
+        businessProfile,
+        purpose: 'article_meta',
+        system: 'Return JSON only.',
+        prompt: 'Write the metadata for "emergency plumbing".',
+        validate: validateArticleMeta,
+        calls: options.calls || [],
+        ...options
+    });
+}
+
+beforeEach(() => {
+    requests = [];
+});
+
+test('returns valid JSON from the first response', async () => {
+    respondWith(JSON.stringify(validMeta));
+    const calls = [];
+
+    const result = await askForMeta({ calls });
+
+    assert.deepStrictEqual(result.data, validMeta);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.repaired, false);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].purpose, 'article_meta');
+    assert.strictEqual(calls[0].provider, 'local');
+    assert.strictEqual(calls[0].fallback, false);
+    assert.ok(calls[0].totalTokens > 0);
+});
+
+test('parses JSON wrapped in a code fence and surrounding text', async () => {
+    respondWith(`Here is the metadata:\n\`\`\`json\n${JSON.stringify(validMeta, null, 2)}\n\`\`\`\nLet me know if you need changes.`);
+
+    const result = await askForMeta();
+
+    assert.deepStrictEqual(result.data, validMeta);
+    assert.strictEqual(result.repaired, false);
+});
+
+test('repairs output that fails validation by re-asking with the errors', async () => {
+    const { faq, ...missingFaq } = validMeta;
+    const invalid = JSON.stringify({ ...missingFaq, metaDescription: 'x'.repeat(200) });
+    respondWith(invalid, JSON.stringify(validMeta));
+    const calls = [];
+
+    const result = await askForMeta({ calls });
+
+    assert.deepStrictEqual(result.data, validMeta);
+    assert.strictEqual(result.repaired, true);
+    assert.deepStrictEqual(calls.map(call => call.purpose), ['article_meta', 'article_meta_repair']);
+
+    // The repair call continues the conversation: original prompt, the bad answer, then the errors
+    const repairMessages = requests[1].messages;
+    assert.strictEqual(repairMessages.length, 3);
+    assert.strictEqual(repairMessages[0].content, 'Write the metadata for "emergency plumbing".');
+    assert.deepStrictEqual(repairMessages[1], { role: 'assistant', content: invalid });
+    assert.strictEqual(repairMessages[2].role, 'user');
+    assert.match(repairMessages[2].content, /\$\.faq is required/);
+    assert.match(repairMessages[2].content, /\$\.metaDescription must be at most 170 characters/);
+});
+
+test('repairs a response that is not JSON at all', async () => {
+    respondWith('Sorry, I cannot help with that.', JSON.stringify(validMeta));
+
+    const result = await askForMeta();
+
+    assert.deepStrictEqual(result.data, validMeta);
+    assert.strictEqual(result.repaired, true);
+    assert.match(requests[1].messages[2].content, /Invalid JSON: Response does not contain a JSON object/);
+});
+
+test('gives up after the repair attempts and returns the last errors', async () => {
+    respondWith(JSON.stringify({ ...validMeta, metaDescription: '   ' }));
+    const calls = [];
+
+    const result = await askForMeta({ calls, repairAttempts: 2 });
+
+    assert.strictEqual(result.data, null);
+    assert.strictEqual(result.repaired, false);
+    assert.deepStrictEqual(result.errors, ['$.metaDescription must not be empty']);
+    assert.strictEqual(requests.length, 3);
+    assert.deepStrictEqual(calls.map(call => call.purpose), ['article_meta', 'article_meta_repair', 'article_meta_repair']);
+});
+
+test('does not re-ask when repairAttempts is 0', async () => {
+    respondWith('{ "metaTitle": ');
+
+    const result = await askForMeta({ repairAttempts: 0 });
+
+    assert.strictEqual(result.data, null);
+    assert.strictEqual(requests.length, 1);
+    assert.match(result.errors[0], /^Invalid JSON:/);
+});
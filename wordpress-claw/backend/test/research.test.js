@@ -0,0 +1,30 @@
+process.env.DB_PATH = ':memory:';
+process.env.SEARCH_PROVIDER = 'serpapi';
+delete process.env.SERPAPI_KEY;
+delete process.env.SEARCH_ALLOW_MOCK;
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { researchKeyword } = require('../services/research');
+const { buildTemplateVariables } = require('../services/templates');
+
+test('mock search results are not analyzed or passed to the prompts', async () => {
+    const result = await researchKeyword('heat pump installation cost');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.data.search.mock, true);
+    assert.match(result.data.search.mockReason, /not configured/);
+    assert.ok(result.data.searchResults.length > 0);
+    assert.strictEqual(result.data.analysis, null);
+    assert.strictEqual(result.data.insights, null);
+    assert.deepStrictEqual(result.data.recommendations, []);
+
+    const variables = buildTemplateVariables({
+        keyword: 'heat pump installation cost',
+        businessProfile: {},
+        researchData: result.data.analysis
+    });
+    assert.strictEqual(variables.has_research, false);
+    assert.deepStrictEqual(variables.research_common_headings, []);
+    assert.deepStrictEqual(variables.research_content_gaps, []);
+});
@@ -1,124 +1,99 @@
-const axios = require('axios');
+const {
+    searchCacheKey,
+    getCached,
+    setCached,
+    reserveSearch,
+    releaseSearch,
+    getUsageStatus
+} = require('../services/researchCache');
+const { resolveSearchProvider, resolveSearchLocale, searchWithProvider } = require('../services/searchProviders');
 
-const SERPAPI_KEY = process.env.SERPAPI_KEY;
-const DAILY_LIMIT = parseInt(process.env.SERPAPI_DAILY_LIMIT) || 250;
-
-// Simple in-memory usage tracking (resets on server restart)
-// For production, use Redis or database
-let dailyUsage = {
-    count: 0,
-    date: new Date().toDateString()
-};
+// Set SEARCH_ALLOW_MOCK=false to fail research instead of falling back to mock results
+const ALLOW_MOCK = process.env.SEARCH_ALLOW_MOCK !== 'false';
 
 /**
- * Perform web search using SerpAPI
+ * Perform web search with the business profile's search provider
  * Only used for article research - NOT for casual chat
- * Limited to 250 searches/day
+ * Returns { results, relatedQuestions, relatedSearches, provider, locale, cached, mock,
+ * mockReason }; relatedQuestions are "People Also Ask" questions. Results are cached per
+ * provider, query and locale, and paid searches count against the daily limit and the
+ * user's allocation (see services/researchCache.js). When the provider can't be used the
+ * results are mock data with `mock: true` and the reason.
  */
-async function web_search({ query, count = 10 }) {
-    // Check if we have API key
-    if (!SERPAPI_KEY) {
-        console.log('⚠️  SERPAPI_KEY not configured, using mock data');
-        return getMockSearchResults(query);
+async function web_search({ query, count = 10, locale = null, userId = null, businessProfile = null }) {
+    const provider = resolveSearchProvider(businessProfile);
+    const response = {
+        provider: provider.name,
+        locale: locale || resolveSearchLocale({ businessProfile }),
+        cached: false,
+        mock: false,
+        mockReason: null
+    };
+
+    if (!provider.isConfigured()) {
+        return mockResponse(query, response, `Search provider "${provider.name}" is not configured`);
+    }
+
+    // Saved fixtures are free and always current
+    if (!provider.metered) {
+        return { ...response, ...(await searchWithProvider(provider, { query, count, locale: response.locale })) };
+    }
+
+    const cacheKey = searchCacheKey(provider.name, query, response.locale);
+    const cached = await getCached(cacheKey, { userId });
+    if (cached) {
+        console.log(`♻️  Cached ${provider.name} results for: "${query.substring(0, 50)}"`);
+        return { ...response, cached: true, ...fromCache(cached, count) };
     }
 
-    // Check daily limit
-    const limitStatus = checkDailyLimit();
+    // Claim a search from the daily limit
+    const limitStatus = await reserveSearch(userId);
     if (!limitStatus.canSearch) {
-        console.log(`⚠️  SerpAPI daily limit reached (${DAILY_LIMIT}/${DAILY_LIMIT}). Using mock data.`);
-        return getMockSearchResults(query);
+        return mockResponse(query, response, limitStatus.reason);
     }
 
     try {
-        const results = await searchWithSerpAPI(query, count);
-        incrementUsage();
-        console.log(`✅ SerpAPI search #${dailyUsage.count}/${DAILY_LIMIT} used for: "${query.substring(0, 50)}..."`);
-        return results;
+        // Always fetch a full page of results so the cached entry serves any count
+        const search = await searchWithProvider(provider, { query, count: 10, locale: response.locale });
+        await setCached(cacheKey, search, {
+            kind: 'serp',
+            query,
+            location: response.locale.location,
+            language: response.locale.language
+        });
+        const usage = await getUsageStatus(userId);
+        console.log(`✅ ${provider.name} search #${usage.used}/${usage.limit} used for: "${query.substring(0, 50)}..." (${response.locale.location})`);
+        return { ...response, ...search, results: search.results.slice(0, count) };
     } catch (err) {
-        console.error('❌ SerpAPI search failed:', err.message);
-        console.log('⚠️  Falling back to mock data');
-        return getMockSearchResults(query);
+        await releaseSearch(userId);
+        console.error(`❌ ${provider.name} search failed:`, err.message);
+        return mockResponse(query, response, `${provider.name} search failed: ${err.message}`);
     }
 }
 
-/**
- * Check if we can perform a search today
- */
-function checkDailyLimit() {
-    const today = new Date().toDateString();
-    
-    // Reset counter if it's a new day
-    if (dailyUsage.date !== today) {
-        dailyUsage = {
-            count: 0,
-            date: today
-        };
-    }
-
+// Entries cached before related questions were kept hold just the results array
+function fromCache(cached, count) {
+    const search = Array.isArray(cached) ? { results: cached } : cached;
     return {
-        canSearch: dailyUsage.count < DAILY_LIMIT,
-        remaining: DAILY_LIMIT - dailyUsage.count,
-        used: dailyUsage.count,
-        limit: DAILY_LIMIT
+        results: (search.results || []).slice(0, count),
+        relatedQuestions: search.relatedQuestions || [],
+        relatedSearches: search.relatedSearches || []
     };
 }
 
-/**
- * Increment usage counter
- */
-function incrementUsage() {
-    dailyUsage.count++;
-}
-
-/**
- * Get current usage status
- */
-function getUsageStatus() {
-    return checkDailyLimit();
-}
-
-/**
- * Search using SerpAPI (Google Search API)
- */
-async function searchWithSerpAPI(query, count = 10) {
-    const response = await axios.get('https://serpapi.com/search', {
-        params: {
-            q: query,
-            api_key: SERPAPI_KEY,
-            engine: 'google',
-            num: Math.min(count, 10), // Max 10 results
-            gl: 'us',
-            hl: 'en'
-        },
-        timeout: 30000
-    });
-
-    const organicResults = response.data.organic_results || [];
-    
-    return organicResults.map((result, index) => ({
-        position: index + 1,
-        title: result.title,
-        url: result.link,
-        snippet: result.snippet || result.description || '',
-        domain: extractDomain(result.link)
-    }));
-}
-
-/**
- * Extract domain from URL
- */
-function extractDomain(url) {
-    try {
-        const urlObj = new URL(url);
-        return urlObj.hostname.replace('www.', '');
-    } catch {
-        return '';
+// Mock results flagged with the reason, or an error when mock fallback is turned off
+function mockResponse(query, response, reason) {
+    if (!ALLOW_MOCK) {
+        throw new Error(reason);
     }
+
+    console.log(`⚠️  ${reason}. Using mock data.`);
+    return { ...response, mock: true, mockReason: reason, results: getMockSearchResults(query), relatedQuestions: [], relatedSearches: [] };
 }
 
 /**
  * Get mock search results for development/testing
- * Used when API limit reached or not configured
+ * Used when the provider isn't configured, the limit is reached or the search fails
  */
 function getMockSearchResults(query) {
     const safeQuery = query.replace(/[^a-zA-Z0-9\s]/g, ' ');
@@ -199,6 +174,5 @@ function getMockSearchResults(query) {
 
 module.exports = {
     web_search,
-    getUsageStatus,
-    checkDailyLimit
+    getUsageStatus
 };
\ No newline at end of file